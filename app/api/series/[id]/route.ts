@@ -0,0 +1,68 @@
+import { NextResponse, type NextRequest } from 'next/server';
+import { DataProviderError, type Frequency } from '@/lib/data/provider';
+import { getSeriesCache } from '@/lib/data/server';
+
+const FREQUENCIES: Frequency[] = ['d', 'w', 'bw', 'm', 'q', 'sa', 'a'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const SERIES_ID_PATTERN = /^[A-Za-z0-9_]{1,64}$/;
+
+interface RouteContext {
+  params: Promise<{ id: string }>;
+}
+
+function errorResponse(status: number, error: string) {
+  return NextResponse.json({ error }, { status });
+}
+
+/**
+ * GET /api/series/<id>?start=YYYY-MM-DD&end=YYYY-MM-DD&frequency=m
+ *
+ * Proxies the configured data provider through the series cache. Responses
+ * carry an ETag and a max-age matching the cache TTL; If-None-Match gets a
+ * 304 when the data has not changed.
+ */
+export async function GET(request: NextRequest, { params }: RouteContext) {
+  const { id } = await params;
+  const searchParams = request.nextUrl.searchParams;
+  const start = searchParams.get('start') ?? undefined;
+  const end = searchParams.get('end') ?? undefined;
+  const frequency = searchParams.get('frequency') ?? undefined;
+
+  if (!SERIES_ID_PATTERN.test(id)) {
+    return errorResponse(400, `Invalid series id "${id}"`);
+  }
+  if ((start && !DATE_PATTERN.test(start)) || (end && !DATE_PATTERN.test(end))) {
+    return errorResponse(400, 'start and end must be dates in YYYY-MM-DD format');
+  }
+  if (frequency && !FREQUENCIES.includes(frequency as Frequency)) {
+    return errorResponse(400, `frequency must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+
+  let result;
+  try {
+    result = await (await getSeriesCache()).get(id, { start, end, frequency: frequency as Frequency | undefined });
+  } catch (error) {
+    if (error instanceof DataProviderError) {
+      // FRED answers 400 for unknown series; anything else is an upstream failure
+      return error.status === 400 || error.status === 404
+        ? errorResponse(404, `Series ${id} not found`)
+        : errorResponse(502, error.message);
+    }
+    console.error(`Series ${id} could not be loaded:`, error);
+    return errorResponse(500, (error as Error).message);
+  }
+
+  const maxAge = Math.max(0, Math.floor((result.expiresAt - Date.now()) / 1000));
+  const headers = {
+    ETag: result.etag,
+    'Cache-Control': `public, max-age=${maxAge}`,
+    'X-Cache': result.cache.toUpperCase()
+  };
+
+  const ifNoneMatch = request.headers.get('if-none-match');
+  if (ifNoneMatch && ifNoneMatch.split(',').some(tag => ['*', result.etag].includes(tag.trim().replace(/^W\//, '')))) {
+    return new NextResponse(null, { status: 304, headers });
+  }
+
+  return NextResponse.json(result.series, { headers });
+}
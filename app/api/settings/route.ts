@@ -0,0 +1,46 @@
+import { NextResponse, type NextRequest } from 'next/server';
+import {
+  maskApiKey,
+  validateSettings,
+  type FeedSettings,
+  type PublicFeedSettings
+} from '@/lib/settings';
+import { readSettings, writeSettings } from '@/lib/settings-store';
+
+function toPublic({ email, frequency, apiKey }: FeedSettings): PublicFeedSettings {
+  return { email, frequency, apiKeyMasked: apiKey ? maskApiKey(apiKey) : null };
+}
+
+/**
+ * GET /api/settings - stored settings with the API key masked
+ */
+export async function GET() {
+  return NextResponse.json(toPublic(await readSettings()));
+}
+
+/**
+ * PUT /api/settings - validate and save. Field errors come back as
+ * 422 { errors: { email?, apiKey?, frequency? } }; a blank apiKey keeps
+ * the stored one.
+ */
+export async function PUT(request: NextRequest) {
+  const body = await request.json().catch(() => null);
+  if (!body || typeof body !== 'object') {
+    return NextResponse.json({ error: 'Request body must be a JSON object' }, { status: 400 });
+  }
+
+  const stored = await readSettings();
+  const submitted: FeedSettings = {
+    email: String(body.email ?? '').trim(),
+    apiKey: String(body.apiKey ?? '').trim(),
+    frequency: String(body.frequency ?? '') as FeedSettings['frequency']
+  };
+
+  const errors = validateSettings(submitted, { hasStoredApiKey: Boolean(stored.apiKey) });
+  if (Object.keys(errors).length > 0) {
+    return NextResponse.json({ errors }, { status: 422 });
+  }
+
+  const saved = await writeSettings({ ...submitted, apiKey: submitted.apiKey || stored.apiKey });
+  return NextResponse.json(toPublic(saved));
+}
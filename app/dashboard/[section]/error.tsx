@@ -0,0 +1,28 @@
+'use client';
+
+import { useEffect } from 'react';
+import DashboardLayout from '@/components/DashboardLayout';
+
+interface SectionErrorProps {
+  error: Error & { digest?: string };
+  reset: () => void;
+}
+
+export default function SectionError({ error, reset }: SectionErrorProps) {
+  useEffect(() => {
+    console.error('Dashboard section failed to render:', error);
+  }, [error]);
+
+  return (
+    <DashboardLayout routing="path" title="Something went wrong" subtitle="This section could not be loaded">
+      <div className="ds-panel ds-grid-span-full" role="alert">
+        <p className="ds-error-text">Error: {error.message || 'Unknown error'}</p>
+        <div className="ds-form-actions">
+          <button type="button" className="ds-btn-primary" onClick={reset}>
+            Try again
+          </button>
+        </div>
+      </div>
+    </DashboardLayout>
+  );
+}
@@ -0,0 +1,16 @@
+import { notFound } from 'next/navigation';
+import { getSection } from '@/lib/sections';
+
+interface SectionLayoutProps {
+  children: React.ReactNode;
+  params: Promise<{ section: string }>;
+}
+
+// Checked here rather than only in the page: the page renders inside the
+// loading.tsx boundary, where the response has already started as a 200
+export default async function SectionLayout({ children, params }: SectionLayoutProps) {
+  if (!getSection((await params).section)) {
+    notFound();
+  }
+  return children;
+}
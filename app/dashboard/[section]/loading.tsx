@@ -0,0 +1,14 @@
+import DashboardLayout from '@/components/DashboardLayout';
+import ChartPanel from '@/components/ChartPanel';
+
+const PLACEHOLDER_PANELS = ['panel-1', 'panel-2', 'panel-3', 'panel-4'];
+
+export default function SectionLoading() {
+  return (
+    <DashboardLayout routing="path" title="Loading..." subtitle="Fetching the latest data from FRED">
+      {PLACEHOLDER_PANELS.map(id => (
+        <ChartPanel key={id} title="Loading..." source="FRED" status="loading" />
+      ))}
+    </DashboardLayout>
+  );
+}
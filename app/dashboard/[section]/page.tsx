@@ -0,0 +1,35 @@
+import type { Metadata } from 'next';
+import DashboardLayout from '@/components/DashboardLayout';
+import SectionCharts from '@/components/SectionCharts';
+import { DASHBOARD_SECTIONS, getSection } from '@/lib/sections';
+
+interface SectionPageProps {
+  params: Promise<{ section: string }>;
+}
+
+// Pre-render every known section; unknown ones get the layout's notFound()
+export function generateStaticParams() {
+  return DASHBOARD_SECTIONS.map(section => ({ section: section.id }));
+}
+
+export async function generateMetadata({ params }: SectionPageProps): Promise<Metadata> {
+  const section = getSection((await params).section);
+  if (!section) {
+    return { title: 'Section Not Found | FRED Economic Indicators' };
+  }
+  return {
+    title: `${section.title} | FRED Economic Indicators`,
+    description: section.description,
+  };
+}
+
+export default async function SectionPage({ params }: SectionPageProps) {
+  // layout.tsx has already returned 404 for unknown sections
+  const section = getSection((await params).section)!;
+
+  return (
+    <DashboardLayout routing="path" title={section.title} subtitle={section.description}>
+      <SectionCharts panels={section.panels} layoutId={section.id} />
+    </DashboardLayout>
+  );
+}
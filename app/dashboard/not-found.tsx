@@ -0,0 +1,22 @@
+import Link from 'next/link';
+import DashboardLayout from '@/components/DashboardLayout';
+import { DASHBOARD_SECTIONS } from '@/lib/sections';
+
+export default function SectionNotFound() {
+  return (
+    <DashboardLayout routing="path" title="Section not found" subtitle="There is no dashboard section at this address">
+      <div className="ds-panel ds-grid-span-full">
+        <p className="ds-info-text">Choose one of the available sections:</p>
+        <ul className="mt-2">
+          {DASHBOARD_SECTIONS.map(section => (
+            <li key={section.id}>
+              <Link href={`/dashboard/${section.id}`} className="ds-info-text">
+                {section.title}
+              </Link>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </DashboardLayout>
+  );
+}
@@ -0,0 +1,6 @@
+import { redirect } from 'next/navigation';
+import { DEFAULT_SECTION_ID } from '@/lib/sections';
+
+export default function DashboardIndexPage() {
+  redirect(`/dashboard/${DEFAULT_SECTION_ID}`);
+}
@@ -0,0 +1,43 @@
+'use client';
+
+import React, { useState } from 'react';
+import SchemaForm from '@/components/SchemaForm';
+import { range, type FieldSchema, type FormValues } from '@/lib/forms';
+
+const fields: FieldSchema[] = [
+  {
+    name: 'series',
+    label: 'Series ID',
+    type: 'text',
+    required: true,
+    asyncValidators: [async (id, values, signal) => {
+      const response = await fetch(`/api/series/${encodeURIComponent(id)}`, { signal });
+      return response.ok ? undefined : `Series ${id} not found`;
+    }]
+  },
+  { name: 'smoothing', label: 'Smoothing', type: 'checkbox' },
+  {
+    name: 'window',
+    label: 'Window (months)',
+    type: 'number',
+    required: true,
+    validators: [range(2, 24)],
+    visibleWhen: values => values.smoothing === true
+  }
+];
+
+export default function SchemaFormFixture() {
+  const [submitted, setSubmitted] = useState<FormValues | null>(null);
+
+  return (
+    <div className="ds-panel">
+      <h2 className="ds-chart-title">Chart Settings</h2>
+      <SchemaForm fields={fields} submitLabel="Apply" onSubmit={values => setSubmitted(values)} />
+      {submitted && (
+        <pre className="ds-info-text" data-testid="submitted-values">
+          {JSON.stringify(submitted)}
+        </pre>
+      )}
+    </div>
+  );
+}
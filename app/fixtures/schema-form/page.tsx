@@ -0,0 +1,24 @@
+import type { Metadata } from 'next';
+import { notFound } from 'next/navigation';
+import SchemaFormFixture from './SchemaFormFixture';
+
+export const metadata: Metadata = {
+  title: 'SchemaForm fixture | FRED Economic Indicators',
+};
+
+/**
+ * Test page for tests/schema-form.spec.ts: a SchemaForm with an async
+ * validator and a visibleWhen field, which the settings form does not use.
+ * Only served by the dev server.
+ */
+export default function SchemaFormFixturePage() {
+  if (process.env.NODE_ENV !== 'development') {
+    notFound();
+  }
+
+  return (
+    <main className="ds-main-content">
+      <SchemaFormFixture />
+    </main>
+  );
+}
@@ -1,5 +1,8 @@
 import type { Metadata } from "next";
 import { Geist, Geist_Mono } from "next/font/google";
+import ThemeProvider from "../components/ThemeProvider";
+import { themeInitScript } from "../lib/theme";
+import "../styles/design-system.css";
 import "./globals.css";
 
 const geistSans = Geist({
@@ -17,17 +20,25 @@ export const metadata: Metadata = {
   description: "Economic Data Dashboard - Real-time economic data from the Federal Reserve Economic Data (FRED) system",
 };
 
+// Set by watch mode (npm run dev:watch); loads its style/layout overlay
+const verifyWatchUrl = process.env.NODE_ENV === "development" ? process.env.VERIFY_WATCH_URL : undefined;
+
 export default function RootLayout({
   children,
 }: Readonly<{
   children: React.ReactNode;
 }>) {
+  // The init script sets data-theme on <html> before hydration
   return (
-    <html lang="en">
+    <html lang="en" suppressHydrationWarning>
+      <head>
+        <script dangerouslySetInnerHTML={{ __html: themeInitScript }} />
+      </head>
       <body
         className={`${geistSans.variable} ${geistMono.variable} antialiased`}
       >
-        {children}
+        <ThemeProvider>{children}</ThemeProvider>
+        {verifyWatchUrl && <script src={`${verifyWatchUrl}/overlay.js`} async />}
       </body>
     </html>
   );
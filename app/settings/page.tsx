@@ -0,0 +1,16 @@
+import type { Metadata } from 'next';
+import DashboardLayout from '@/components/DashboardLayout';
+import FormWithValidation from '@/components/FormWithValidation';
+
+export const metadata: Metadata = {
+  title: 'Settings | FRED Economic Indicators',
+  description: 'FRED data feed configuration',
+};
+
+export default function SettingsPage() {
+  return (
+    <DashboardLayout routing="path" title="Settings" subtitle="FRED data feed configuration">
+      <FormWithValidation />
+    </DashboardLayout>
+  );
+}
@@ -1,35 +1,373 @@
-import React from 'react';
+'use client';
+
+import React, { useEffect, useId, useMemo, useRef, useState } from 'react';
+import { ChartLine, FileDown, ImageDown, Maximize2, Minimize2, Table2 } from 'lucide-react';
+import { downloadBlob, exportFileName, svgToPngBlob, toCsv, type ExportRow } from '../lib/chart-export';
+import {
+  describeChartData,
+  describePoint,
+  formatValue,
+  inferChartColumns,
+  pointLabel,
+  pointValue,
+  seriesName,
+  type ChartColumns,
+  type SummarySeries
+} from '../lib/chart-summary';
+import { resolveChartTheme, type AxisFormat } from '../lib/chart-theme';
+import type { DateRange } from '../lib/forms';
+
+export type ChartPanelStatus = 'loading' | 'error' | 'empty' | 'ready';
 
 interface ChartPanelProps {
   title: string;
   source: string;
-  children: React.ReactNode;
+  children?: React.ReactNode;
   className?: string;
+  /** Children are only rendered when 'ready' (the default) */
+  status?: ChartPanelStatus;
+  /** Shown when status is 'error' */
+  error?: string | Error | null;
+  /** Adds a Retry button to the error state */
+  onRetry?: () => void;
+  emptyMessage?: string;
+  /** Extra controls rendered at the start of the toolbar */
+  toolbar?: React.ReactNode;
+  /** Shows start/end date inputs in the toolbar */
+  dateRange?: DateRange;
+  onDateRangeChange?: (range: DateRange) => void;
+  /** Shows the expand/collapse toggle */
+  expandable?: boolean;
+  /** Rows behind the chart; enables "Download CSV" */
+  data?: ExportRow[];
+  /** CSV column order (defaults to every key in data) */
+  exportColumns?: string[];
+  /** Enables "Download PNG" of the rendered chart */
+  exportPng?: boolean;
+  /** Column of data shown as the table's row headers (defaults to the first column) */
+  xKey?: string;
+  /** Series for the table, summary and announcements (defaults to the numeric columns) */
+  series?: SummarySeries[];
+  /** Number format for the table, summary and announcements */
+  valueFormat?: AxisFormat;
 }
 
-export default function ChartPanel({ title, source, children, className = '' }: ChartPanelProps) {
+const POINT_STEPS: Record<string, number> = {
+  ArrowLeft: -1,
+  ArrowDown: -1,
+  ArrowRight: 1,
+  ArrowUp: 1
+};
+
+function ChartDataTable({ title, rows, columns, format, describedBy }: {
+  title: string;
+  rows: ExportRow[];
+  columns: ChartColumns;
+  format?: AxisFormat;
+  describedBy: string;
+}) {
+  // Focusable so keyboard users can scroll a long table
   return (
-    <div className={`ds-panel ${className}`}>
-      <h3 className="ds-chart-title">{title}</h3>
-      <p className="ds-chart-source">{source}</p>
-      <div className="ds-chart-container">
-        {children}
-      </div>
+    <div className="ds-chart-table-wrapper" role="region" aria-label={`${title} data`} aria-describedby={describedBy} tabIndex={0}>
+      <table className="ds-chart-table">
+        <caption className="sr-only">{title}</caption>
+        <thead>
+          <tr>
+            <th scope="col">{columns.xKey.charAt(0).toUpperCase() + columns.xKey.slice(1)}</th>
+            {columns.series.map(series => (
+              <th key={series.dataKey} scope="col">{seriesName(series)}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row, index) => (
+            <tr key={index}>
+              <th scope="row">{pointLabel(row, columns.xKey)}</th>
+              {columns.series.map(series => (
+                <td key={series.dataKey}>{formatValue(pointValue(row, series.dataKey), format)}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
     </div>
   );
 }
 
+function ChartSkeleton() {
+  return (
+    <div className="ds-chart-skeleton" role="status">
+      <span className="sr-only">Loading chart data...</span>
+    </div>
+  );
+}
+
+export default function ChartPanel({
+  title,
+  source,
+  children,
+  className = '',
+  status = 'ready',
+  error,
+  onRetry,
+  emptyMessage = 'No data for the selected period',
+  toolbar,
+  dateRange,
+  onDateRangeChange,
+  expandable = false,
+  data,
+  exportColumns,
+  exportPng = false,
+  xKey,
+  series,
+  valueFormat
+}: ChartPanelProps) {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [actionError, setActionError] = useState<string | null>(null);
+  const [showTable, setShowTable] = useState(false);
+  const [activePoint, setActivePoint] = useState<number | null>(null);
+  const chartRef = useRef<HTMLDivElement>(null);
+  const summaryId = useId();
+  const instructionsId = useId();
+
+  const columns = useMemo(
+    () => (xKey && series ? { xKey, series } : inferChartColumns(data ?? [], exportColumns)),
+    [xKey, series, data, exportColumns]
+  );
+  const summary = useMemo(
+    () => (data && data.length > 0 ? describeChartData(data, columns, valueFormat) : ''),
+    [data, columns, valueFormat]
+  );
+
+  // Escape leaves the expanded view
+  useEffect(() => {
+    if (!isExpanded) {
+      return undefined;
+    }
+    const handleKeyDown = (event: KeyboardEvent) => {
+      if (event.key === 'Escape') {
+        setIsExpanded(false);
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isExpanded]);
+
+  const isReady = status === 'ready';
+  const canExportCsv = isReady && !!data && data.length > 0;
+  // Text views need rows and at least one series
+  const hasDataView = canExportCsv && columns.series.length > 0;
+  const rows = data ?? [];
+  const point = hasDataView && activePoint !== null && activePoint < rows.length ? activePoint : null;
+  const pointText = point !== null ? describePoint(rows, point, columns, valueFormat) : '';
+
+  // Left/Right (or Down/Up) step through the points, Home/End jump, Escape leaves
+  const handleChartKeyDown = (event: React.KeyboardEvent) => {
+    const last = rows.length - 1;
+    let next: number | null;
+    if (event.key === 'Home') {
+      next = 0;
+    } else if (event.key === 'End') {
+      next = last;
+    } else if (event.key === 'Escape' && point !== null) {
+      event.stopPropagation();
+      next = null;
+    } else if (event.key in POINT_STEPS) {
+      const step = POINT_STEPS[event.key];
+      next = point === null ? (step > 0 ? 0 : last) : Math.max(0, Math.min(last, point + step));
+    } else {
+      return;
+    }
+    event.preventDefault();
+    setActivePoint(next);
+  };
+
+  const handleCsvExport = () => {
+    if (!data) {
+      return;
+    }
+    setActionError(null);
+    downloadBlob(new Blob([toCsv(data, exportColumns)], { type: 'text/csv;charset=utf-8' }), exportFileName(title, 'csv'));
+  };
+
+  const handlePngExport = async () => {
+    // The first svg in a recharts wrapper is the chart; legend icons come later
+    const svg = chartRef.current?.querySelector<SVGSVGElement>('.recharts-wrapper > svg, svg');
+    if (!svg) {
+      setActionError('Nothing to export yet');
+      return;
+    }
+    setActionError(null);
+    try {
+      downloadBlob(await svgToPngBlob(svg, { background: resolveChartTheme().background }), exportFileName(title, 'png'));
+    } catch (exportError) {
+      setActionError(exportError instanceof Error ? exportError.message : 'PNG export failed');
+    }
+  };
+
+  const hasToolbar = !!toolbar || !!onDateRangeChange || expandable || !!data || exportPng;
+
+  const renderBody = () => {
+    switch (status) {
+      case 'loading':
+        return <ChartSkeleton />;
+      case 'error':
+        return (
+          <div className="ds-chart-state" role="alert">
+            <p className="ds-error-text">
+              {error instanceof Error ? error.message : error || 'This chart could not be loaded'}
+            </p>
+            {onRetry && (
+              <button type="button" className="ds-btn-primary" onClick={onRetry}>
+                Retry
+              </button>
+            )}
+          </div>
+        );
+      case 'empty':
+        return (
+          <div className="ds-chart-state">
+            <p className="ds-placeholder-text">{emptyMessage}</p>
+          </div>
+        );
+      default:
+        if (!hasDataView) {
+          return children;
+        }
+        if (showTable) {
+          return <ChartDataTable title={title} rows={rows} columns={columns} format={valueFormat} describedBy={summaryId} />;
+        }
+        return (
+          <div
+            className="ds-chart-focus"
+            role="img"
+            tabIndex={0}
+            aria-label={`${title} chart`}
+            aria-describedby={`${summaryId} ${instructionsId}`}
+            onKeyDown={handleChartKeyDown}
+            onBlur={() => setActivePoint(null)}
+          >
+            {children}
+            {pointText && <div className="ds-chart-readout">{pointText}</div>}
+          </div>
+        );
+    }
+  };
+
+  return (
+    <>
+      {isExpanded && <div className="ds-panel-backdrop" onClick={() => setIsExpanded(false)} />}
+      <div className={`ds-panel ${isExpanded ? 'ds-panel-expanded' : ''} ${className}`} aria-busy={status === 'loading'}>
+        <div className="ds-panel-header">
+          <div>
+            <h3 className="ds-chart-title">{title}</h3>
+            <p className="ds-chart-source">{source}</p>
+          </div>
+          {hasToolbar && (
+            <div className="ds-panel-toolbar" role="toolbar" aria-label={`${title} controls`}>
+              {toolbar}
+              {onDateRangeChange && (
+                <div className="ds-panel-date-range">
+                  <input
+                    type="date"
+                    className="ds-panel-date"
+                    aria-label="Start date"
+                    value={dateRange?.start ?? ''}
+                    max={dateRange?.end || undefined}
+                    onChange={event => onDateRangeChange({ start: event.target.value, end: dateRange?.end ?? '' })}
+                  />
+                  <span aria-hidden="true">–</span>
+                  <input
+                    type="date"
+                    className="ds-panel-date"
+                    aria-label="End date"
+                    value={dateRange?.end ?? ''}
+                    min={dateRange?.start || undefined}
+                    onChange={event => onDateRangeChange({ start: dateRange?.start ?? '', end: event.target.value })}
+                  />
+                </div>
+              )}
+              {data && (
+                <button
+                  type="button"
+                  className="ds-panel-action"
+                  onClick={handleCsvExport}
+                  disabled={!canExportCsv}
+                  aria-label="Download CSV"
+                  title="Download CSV"
+                >
+                  <FileDown size={16} aria-hidden="true" />
+                </button>
+              )}
+              {data && (
+                <button
+                  type="button"
+                  className="ds-panel-action"
+                  onClick={() => setShowTable(table => !table)}
+                  disabled={!hasDataView}
+                  aria-pressed={hasDataView && showTable}
+                  aria-label={showTable ? 'View as chart' : 'View as table'}
+                  title={showTable ? 'View as chart' : 'View as table'}
+                >
+                  {showTable ? <ChartLine size={16} aria-hidden="true" /> : <Table2 size={16} aria-hidden="true" />}
+                </button>
+              )}
+              {exportPng && (
+                <button
+                  type="button"
+                  className="ds-panel-action"
+                  onClick={handlePngExport}
+                  disabled={!isReady || (hasDataView && showTable)}
+                  aria-label="Download PNG"
+                  title="Download PNG"
+                >
+                  <ImageDown size={16} aria-hidden="true" />
+                </button>
+              )}
+              {expandable && (
+                <button
+                  type="button"
+                  className="ds-panel-action"
+                  onClick={() => setIsExpanded(expanded => !expanded)}
+                  aria-pressed={isExpanded}
+                  aria-label={isExpanded ? 'Collapse chart' : 'Expand chart'}
+                  title={isExpanded ? 'Collapse chart' : 'Expand chart'}
+                >
+                  {isExpanded ? <Minimize2 size={16} aria-hidden="true" /> : <Maximize2 size={16} aria-hidden="true" />}
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+        {actionError && <p className="ds-error-text" role="alert">{actionError}</p>}
+        <div className="ds-chart-container" ref={chartRef}>
+          {renderBody()}
+        </div>
+        {hasDataView && (
+          <>
+            <p id={summaryId} className="sr-only">{summary}</p>
+            <p id={instructionsId} className="sr-only">
+              Use the arrow keys to step through the data points, Home and End for the first and last.
+            </p>
+            <div className="sr-only" aria-live="polite">{pointText}</div>
+          </>
+        )}
+      </div>
+    </>
+  );
+}
+
 /**
  * USAGE EXAMPLE:
- * 
+ *
  * import ChartPanel from './components/ChartPanel';
  * import { LineChart, Line, XAxis, YAxis, ResponsiveContainer } from 'recharts';
- * 
+ *
  * const data = [
  *   { month: 'Jan', value: 100 },
  *   { month: 'Feb', value: 120 },
  * ];
- * 
+ *
  * function Dashboard() {
  *   return (
  *     <div className="ds-dashboard-grid">
@@ -45,7 +383,31 @@ export default function ChartPanel({ title, source, children, className = '' }:
  *     </div>
  *   );
  * }
- * 
+ *
+ * WITH STATES AND TOOLBAR:
+ *
+ * const [range, setRange] = useState({ start: '2022-01-01', end: '' });
+ * const { data, error, isLoading, refetch } = useSeries(provider, 'CPIAUCSL', range);
+ * const rows = data?.observations ?? [];
+ *
+ * <ChartPanel
+ *   title="CPI - Consumer Price Index"
+ *   source="FRED"
+ *   status={isLoading && !data ? 'loading' : error && !data ? 'error' : rows.length === 0 ? 'empty' : 'ready'}
+ *   error={error}
+ *   onRetry={refetch}
+ *   dateRange={range}
+ *   onDateRangeChange={setRange}
+ *   data={rows}
+ *   xKey="date"
+ *   series={[{ dataKey: 'value', name: 'CPI' }]}
+ *   valueFormat="index"
+ *   exportPng
+ *   expandable
+ * >
+ *   <ResponsiveContainer width="100%" height="100%">...</ResponsiveContainer>
+ * </ChartPanel>
+ *
  * FEATURES:
  * ✅ Consistent panel styling with design system
  * ✅ Proper typography hierarchy (title, source, chart)
@@ -53,11 +415,18 @@ export default function ChartPanel({ title, source, children, className = '' }:
  * ✅ Optional className prop for customization
  * ✅ TypeScript support with proper interfaces
  * ✅ Optimized for 180px chart height (design system standard)
- * 
+ * ✅ Built-in loading skeleton, error (with Retry) and empty states
+ * ✅ Optional toolbar: date range, expand toggle (Escape closes), CSV and PNG download
+ * ✅ Table view, aria-describedby summary and arrow-key point announcements from data
+ *
  * DEPENDENCIES REQUIRED:
  * - React
- * - CSS classes: .ds-panel, .ds-chart-title, .ds-chart-source, .ds-chart-container
- * 
+ * - lucide-react: npm install lucide-react
+ * - CSS classes: .ds-panel, .ds-chart-title, .ds-chart-source, .ds-chart-container,
+ *   .ds-panel-header, .ds-panel-toolbar, .ds-panel-action, .ds-panel-date,
+ *   .ds-chart-skeleton, .ds-chart-state, .ds-panel-expanded, .ds-chart-focus,
+ *   .ds-chart-readout, .ds-chart-table-wrapper, .ds-chart-table
+ *
  * RECOMMENDED CHART LIBRARY:
  * - recharts: npm install recharts
- */
\ No newline at end of file
+ */
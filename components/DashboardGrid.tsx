@@ -0,0 +1,245 @@
+'use client';
+
+import React, { useEffect, useId, useMemo, useRef, useState } from 'react';
+import { GripHorizontal } from 'lucide-react';
+import { applySavedOrder, loadLayout, moveItem, saveLayout, type GridColSpan } from '../lib/dashboard-layout';
+
+export interface DashboardGridItem {
+  id: string;
+  /** Used in the move handle's label and screen reader announcements */
+  label: string;
+  colSpan?: GridColSpan;
+  rowSpan?: number;
+  content: React.ReactNode;
+}
+
+interface DashboardGridProps {
+  items: DashboardGridItem[];
+  /** Saves the order under this id (e.g. the section id); omit to keep it in memory */
+  layoutId?: string;
+  /** Shows the move handles (default true) */
+  reorderable?: boolean;
+}
+
+const KEYBOARD_STEPS: Record<string, number> = {
+  ArrowLeft: -1,
+  ArrowUp: -1,
+  ArrowRight: 1,
+  ArrowDown: 1
+};
+
+/**
+ * Renders items straight into the enclosing .ds-dashboard-grid (the one
+ * DashboardLayout provides), so the grid keeps its gap, chart height and
+ * responsive collapse.
+ */
+export default function DashboardGrid({ items, layoutId, reorderable = true }: DashboardGridProps) {
+  const idsKey = items.map(item => item.id).join('\n');
+  const defaultOrder = useMemo(() => (idsKey ? idsKey.split('\n') : []), [idsKey]);
+  const [order, setOrder] = useState(defaultOrder);
+  const [armedId, setArmedId] = useState<string | null>(null);
+  const [draggingId, setDraggingId] = useState<string | null>(null);
+  const [grabbedId, setGrabbedId] = useState<string | null>(null);
+  const [announcement, setAnnouncement] = useState('');
+  const orderBeforeGrab = useRef<string[]>([]);
+  const orderRef = useRef(order);
+  const handleRefs = useRef(new Map<string, HTMLButtonElement>());
+  const instructionsId = useId();
+
+  orderRef.current = order;
+
+  // The server renders the default order; a saved one is applied after mount
+  useEffect(() => {
+    setOrder(applySavedOrder(defaultOrder, layoutId ? loadLayout(layoutId) : null));
+  }, [defaultOrder, layoutId]);
+
+  // Reordering moves the DOM node, which drops focus; keep it on the grabbed handle
+  useEffect(() => {
+    if (grabbedId) {
+      handleRefs.current.get(grabbedId)?.focus();
+    }
+  }, [order, grabbedId]);
+
+  const itemsById = new Map(items.map(item => [item.id, item]));
+  const labelOf = (id: string) => itemsById.get(id)?.label ?? id;
+
+  const persist = (nextOrder: string[]) => {
+    if (layoutId) {
+      saveLayout(layoutId, nextOrder);
+    }
+  };
+
+  // Mouse: native drag and drop, started from the handle only so charts stay interactive
+
+  const handleDragStart = (event: React.DragEvent, id: string) => {
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', id);
+    orderBeforeGrab.current = order;
+    setDraggingId(id);
+  };
+
+  const handleDragOver = (event: React.DragEvent, targetId: string) => {
+    if (!draggingId) {
+      return;
+    }
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'move';
+    if (targetId !== draggingId) {
+      setOrder(current => moveItem(current, draggingId, current.indexOf(targetId)));
+    }
+  };
+
+  const handleDragEnd = (event: React.DragEvent) => {
+    // Cancelled (Escape) or dropped outside the grid: the live preview reverts and nothing is saved
+    if (draggingId && event.dataTransfer.dropEffect === 'none') {
+      setOrder(orderBeforeGrab.current);
+      setAnnouncement(`Move cancelled. ${labelOf(draggingId)} returned to position ${orderBeforeGrab.current.indexOf(draggingId) + 1} of ${orderBeforeGrab.current.length}.`);
+    } else if (draggingId) {
+      persist(orderRef.current);
+      setAnnouncement(`${labelOf(draggingId)} moved to position ${orderRef.current.indexOf(draggingId) + 1} of ${orderRef.current.length}.`);
+    }
+    setDraggingId(null);
+    setArmedId(null);
+  };
+
+  // Keyboard: Space/Enter picks up and drops, arrows move, Escape cancels
+
+  const handleKeyDown = (event: React.KeyboardEvent, id: string) => {
+    const position = (list: string[]) => `position ${list.indexOf(id) + 1} of ${list.length}`;
+
+    if (event.key === ' ' || event.key === 'Enter') {
+      event.preventDefault();
+      if (grabbedId === id) {
+        setGrabbedId(null);
+        persist(order);
+        setAnnouncement(`${labelOf(id)} dropped at ${position(order)}.`);
+      } else {
+        orderBeforeGrab.current = order;
+        setGrabbedId(id);
+        setAnnouncement(`${labelOf(id)} picked up at ${position(order)}. Use the arrow keys to move it, Space to drop, Escape to cancel.`);
+      }
+      return;
+    }
+
+    if (grabbedId !== id) {
+      return;
+    }
+
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      setGrabbedId(null);
+      setOrder(orderBeforeGrab.current);
+      setAnnouncement(`Move cancelled. ${labelOf(id)} returned to ${position(orderBeforeGrab.current)}.`);
+      return;
+    }
+
+    const step = KEYBOARD_STEPS[event.key];
+    const target = event.key === 'Home' ? 0 : event.key === 'End' ? order.length - 1 : step !== undefined ? order.indexOf(id) + step : null;
+    if (target === null) {
+      return;
+    }
+    event.preventDefault();
+    const nextOrder = moveItem(order, id, target);
+    setOrder(nextOrder);
+    setAnnouncement(`${labelOf(id)} moved to ${position(nextOrder)}.`);
+  };
+
+  return (
+    <>
+      {order.map(id => {
+        const item = itemsById.get(id);
+        if (!item) {
+          return null;
+        }
+        const spans = { '--grid-col-span': item.colSpan ?? 1, '--grid-row-span': item.rowSpan ?? 1 } as React.CSSProperties;
+
+        return (
+          <div
+            key={id}
+            className={`ds-grid-item ${draggingId === id ? 'ds-grid-item-dragging' : ''} ${grabbedId === id ? 'ds-grid-item-grabbed' : ''}`}
+            style={spans}
+            data-grid-id={id}
+            draggable={armedId === id}
+            onDragStart={event => handleDragStart(event, id)}
+            onDragOver={event => handleDragOver(event, id)}
+            onDrop={event => event.preventDefault()}
+            onDragEnd={handleDragEnd}
+          >
+            {reorderable && (
+              <button
+                type="button"
+                ref={node => {
+                  if (node) {
+                    handleRefs.current.set(id, node);
+                  } else {
+                    handleRefs.current.delete(id);
+                  }
+                }}
+                className="ds-grid-handle"
+                aria-label={`Move ${item.label}`}
+                aria-describedby={instructionsId}
+                aria-pressed={grabbedId === id}
+                onPointerDown={() => setArmedId(id)}
+                onPointerUp={() => setArmedId(null)}
+                onKeyDown={event => handleKeyDown(event, id)}
+                onClick={event => event.preventDefault()}
+              >
+                <GripHorizontal size={16} aria-hidden="true" />
+              </button>
+            )}
+            {item.content}
+          </div>
+        );
+      })}
+      {reorderable && (
+        <>
+          <p id={instructionsId} className="sr-only">
+            Press Space or Enter to pick up a panel, the arrow keys to move it, Space or Enter to drop it and Escape to cancel.
+          </p>
+          <div className="sr-only" aria-live="assertive">{announcement}</div>
+        </>
+      )}
+    </>
+  );
+}
+
+/**
+ * USAGE EXAMPLE:
+ *
+ * import DashboardLayout from './components/DashboardLayout';
+ * import DashboardGrid from './components/DashboardGrid';
+ * import ChartPanel from './components/ChartPanel';
+ *
+ * function InflationDashboard() {
+ *   return (
+ *     <DashboardLayout title="Inflation">
+ *       <DashboardGrid
+ *         layoutId="inflation"
+ *         items={[
+ *           { id: 'headline', label: 'Headline Inflation', colSpan: 2,
+ *             content: <ChartPanel title="Headline Inflation" source="FRED"><YourChart /></ChartPanel> },
+ *           { id: 'core', label: 'Core Inflation', rowSpan: 2,
+ *             content: <ChartPanel title="Core Inflation" source="FRED"><YourChart /></ChartPanel> },
+ *           { id: 'volatility', label: 'Volatility',
+ *             content: <ChartPanel title="Volatility" source="FRED"><YourChart /></ChartPanel> },
+ *         ]}
+ *       />
+ *     </DashboardLayout>
+ *   );
+ * }
+ *
+ * FEATURES:
+ * ✅ Per-panel column (1-2) and row spans through CSS custom properties, not Tailwind spans
+ * ✅ Drag the handle above a panel to reorder; the chart itself stays interactive
+ * ✅ A drag cancelled or dropped outside the grid restores the order without saving
+ * ✅ Keyboard reordering: Space/Enter to pick up, arrows/Home/End to move, Escape to cancel
+ * ✅ Moves announced to screen readers through a live region
+ * ✅ Order saved per layoutId in localStorage (lib/dashboard-layout.ts)
+ * ✅ Spans reset in the single-column layout at 1280px and below
+ *
+ * DEPENDENCIES REQUIRED:
+ * - React
+ * - lucide-react: npm install lucide-react
+ * - An enclosing .ds-dashboard-grid (DashboardLayout renders one)
+ * - CSS classes: .ds-grid-item, .ds-grid-handle, .ds-grid-item-dragging, .ds-grid-item-grabbed
+ */
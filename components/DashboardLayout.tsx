@@ -1,22 +1,32 @@
 import React from 'react';
-import Sidebar from './Sidebar';
+import Sidebar, { type SidebarRouting } from './Sidebar';
 
 interface DashboardLayoutProps {
   children: React.ReactNode;
   onSectionChange?: (sectionId: string) => void;
+  title?: string;
+  subtitle?: string;
+  /** How the sidebar keeps the active section in the URL (see Sidebar) */
+  routing?: SidebarRouting;
 }
 
-export default function DashboardLayout({ children, onSectionChange }: DashboardLayoutProps) {
+export default function DashboardLayout({
+  children,
+  onSectionChange,
+  title = 'Economic Indicators Dashboard',
+  subtitle = 'Real-time economic data from the Federal Reserve Economic Data (FRED) system',
+  routing
+}: DashboardLayoutProps) {
   return (
-    <div className="flex h-screen bg-bg-secondary">
-      <Sidebar onSectionChange={onSectionChange} />
+    <div className="flex h-screen ds-bg-secondary">
+      <Sidebar onSectionChange={onSectionChange} routing={routing} />
       
       <main className="flex-1 overflow-auto">
         <div className="p-8">
           <div className="mb-6">
-            <h1 className="ds-title">Economic Indicators Dashboard</h1>
+            <h1 className="ds-title">{title}</h1>
             <p className="ds-subtitle mt-2">
-              Real-time economic data from the Federal Reserve Economic Data (FRED) system
+              {subtitle}
             </p>
           </div>
           
@@ -46,27 +56,44 @@ export default function DashboardLayout({ children, onSectionChange }: Dashboard
  *   return (
  *     <DashboardLayout onSectionChange={handleSectionChange}>
  *       <ChartPanel title="Chart 1" source="FRED">
- *         {/* Your chart component */}
+ *         <YourChart />
  *       </ChartPanel>
  *       <ChartPanel title="Chart 2" source="FRED">
- *         {/* Your chart component */}
+ *         <YourChart />
  *       </ChartPanel>
  *       <ChartPanel title="Chart 3" source="FRED">
- *         {/* Your chart component */}
+ *         <YourChart />
  *       </ChartPanel>
  *       <ChartPanel title="Chart 4" source="FRED">
- *         {/* Your chart component */}
+ *         <YourChart />
  *       </ChartPanel>
  *     </DashboardLayout>
  *   );
  * }
  * 
+ * With routed sections (app/dashboard/[section]) pass routing="path" and a
+ * per-section title instead of a callback:
+ *
+ *   <DashboardLayout routing="path" title={section.title} subtitle={section.description}>
+ *
+ * For panel spans, drag/keyboard reordering and a saved per-section order,
+ * render a DashboardGrid as the child; its items go straight into this grid:
+ *
+ *   <DashboardLayout title="Inflation">
+ *     <DashboardGrid layoutId="inflation" items={[
+ *       { id: 'headline', label: 'Headline Inflation', colSpan: 2, content: <ChartPanel ... /> },
+ *       ...
+ *     ]} />
+ *   </DashboardLayout>
+ *
  * FEATURES:
  * ✅ Complete dashboard layout with sidebar + main content
  * ✅ 2x2 grid layout that actually works (using CSS, not broken Tailwind)
  * ✅ Proper header with title and subtitle
  * ✅ Responsive overflow handling
  * ✅ Integration callback for section changes
+ * ✅ Per-page title/subtitle and URL routing passed through to the sidebar
+ * ✅ Spanning, reorderable panels with DashboardGrid (same gap, height and collapse)
  * ✅ Matches Figma design specifications exactly
  * 
  * LAYOUT SPECIFICATIONS:
@@ -78,5 +105,5 @@ export default function DashboardLayout({ children, onSectionChange }: Dashboard
  * DEPENDENCIES REQUIRED:
  * - React
  * - Sidebar component (included)
- * - CSS classes: .ds-dashboard-grid, .ds-title, .ds-subtitle, .bg-bg-secondary
+ * - CSS classes: .ds-dashboard-grid, .ds-title, .ds-subtitle, .ds-bg-secondary
  */
\ No newline at end of file
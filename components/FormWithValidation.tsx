@@ -1,216 +1,138 @@
 'use client';
 
-import React, { useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
+import SchemaForm, { type SubmitResult } from './SchemaForm';
+import { type FieldSchema, type FormValues, when } from '../lib/forms';
+import {
+  DEFAULT_SETTINGS,
+  UPDATE_FREQUENCIES,
+  validateApiKey,
+  validateEmail,
+  validateFrequency,
+  type PublicFeedSettings
+} from '../lib/settings';
+
+const SETTINGS_URL = '/api/settings';
+
+const FREQUENCY_LABELS: Record<typeof UPDATE_FREQUENCIES[number], string> = {
+  realtime: 'Real-time',
+  hourly: 'Hourly',
+  daily: 'Daily',
+  weekly: 'Weekly',
+  monthly: 'Monthly'
+};
 
-interface FormData {
-  email: string;
-  apiKey: string;
-  frequency: string;
-}
-
-interface ValidationErrors {
-  email?: string;
-  apiKey?: string;
-  frequency?: string;
+/**
+ * Field schema; savedApiKey is the masked stored key, if any.
+ * Validation uses the same rules as app/api/settings (lib/settings.ts).
+ */
+function buildFields(savedApiKey: string | null): FieldSchema[] {
+  return [
+    {
+      name: 'email',
+      label: 'Email Address',
+      type: 'email',
+      autoComplete: 'email',
+      validators: [validateEmail]
+    },
+    {
+      name: 'apiKey',
+      label: 'FRED API Key',
+      type: 'password',
+      autoComplete: 'off',
+      placeholder: savedApiKey ? 'Leave blank to keep the saved key' : 'Enter your FRED API key',
+      description: savedApiKey ? `Saved key: ${savedApiKey}` : undefined,
+      // Blank keeps the saved key
+      validators: [when(values => Boolean(values.apiKey) || !savedApiKey, validateApiKey)]
+    },
+    {
+      name: 'frequency',
+      label: 'Update Frequency',
+      type: 'select',
+      options: UPDATE_FREQUENCIES.map(value => ({ value, label: FREQUENCY_LABELS[value] })),
+      validators: [validateFrequency]
+    }
+  ];
 }
 
 export default function FormWithValidation() {
-  const [formData, setFormData] = useState<FormData>({
-    email: '',
-    apiKey: '',
-    frequency: 'daily'
-  });
-  
-  const [errors, setErrors] = useState<ValidationErrors>({});
-  const [isSubmitting, setIsSubmitting] = useState(false);
-  const [submitSuccess, setSubmitSuccess] = useState(false);
-
-  // Email validation
-  const validateEmail = (email: string): string | undefined => {
-    if (!email) {
-      return 'Email is required';
-    }
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return 'Please enter a valid email address';
-    }
-    return undefined;
-  };
-
-  // API Key validation
-  const validateApiKey = (apiKey: string): string | undefined => {
-    if (!apiKey) {
-      return 'API Key is required';
-    }
-    if (apiKey.length < 10) {
-      return 'API Key must be at least 10 characters';
-    }
-    if (!/^[A-Za-z0-9-_]+$/.test(apiKey)) {
-      return 'API Key can only contain letters, numbers, hyphens, and underscores';
-    }
-    return undefined;
-  };
-
-  // Handle field changes with real-time validation
-  const handleChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
-    const { name, value } = e.target;
-    
-    // Update form data
-    setFormData(prev => ({
-      ...prev,
-      [name]: value
-    }));
-
-    // Clear submit success on new input
-    if (submitSuccess) {
-      setSubmitSuccess(false);
-    }
-
-    // Real-time validation
-    let error: string | undefined;
-    switch (name) {
-      case 'email':
-        error = validateEmail(value);
-        break;
-      case 'apiKey':
-        error = validateApiKey(value);
-        break;
-    }
-
-    setErrors(prev => ({
-      ...prev,
-      [name]: error
-    }));
-  };
-
-  // Handle form submission
-  const handleSubmit = async (e: React.FormEvent) => {
-    e.preventDefault();
-    
-    // Validate all fields
-    const newErrors: ValidationErrors = {
-      email: validateEmail(formData.email),
-      apiKey: validateApiKey(formData.apiKey)
+  const [initialValues, setInitialValues] = useState<FormValues>({ ...DEFAULT_SETTINGS });
+  // Masked version of the saved key; the real key never reaches the browser
+  const [savedApiKey, setSavedApiKey] = useState<string | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState<string | null>(null);
+
+  const fields = useMemo(() => buildFields(savedApiKey), [savedApiKey]);
+
+  // Prefill with the stored settings
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const loadSettings = async () => {
+      try {
+        const response = await fetch(SETTINGS_URL, { signal: controller.signal });
+        if (!response.ok) {
+          throw new Error(`Loading settings failed with ${response.status}`);
+        }
+        const settings: PublicFeedSettings = await response.json();
+        setInitialValues({ email: settings.email, apiKey: '', frequency: settings.frequency });
+        setSavedApiKey(settings.apiKeyMasked);
+      } catch (error) {
+        if (!controller.signal.aborted) {
+          console.error('Settings load error:', error);
+          setLoadError('Saved settings could not be loaded');
+        }
+      } finally {
+        if (!controller.signal.aborted) {
+          setIsLoading(false);
+        }
+      }
     };
 
-    setErrors(newErrors);
-
-    // Check if there are any errors
-    const hasErrors = Object.values(newErrors).some(error => error !== undefined);
-    if (hasErrors) {
-      return;
+    loadSettings();
+    return () => controller.abort();
+  }, []);
+
+  // Save through the settings API; field errors from the server go next to their fields
+  const handleSubmit = async (values: FormValues): Promise<SubmitResult> => {
+    const response = await fetch(SETTINGS_URL, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(values)
+    });
+    const body = await response.json().catch(() => ({}));
+
+    if (response.status === 422 && body.errors) {
+      return { errors: body.errors };
     }
-
-    // Simulate API call
-    setIsSubmitting(true);
-    try {
-      await new Promise(resolve => setTimeout(resolve, 1500));
-      console.log('Form submitted with data:', formData);
-      setSubmitSuccess(true);
-      // Reset form after successful submission
-      setFormData({
-        email: '',
-        apiKey: '',
-        frequency: 'daily'
-      });
-    } catch (error) {
-      console.error('Submission error:', error);
-    } finally {
-      setIsSubmitting(false);
+    if (!response.ok) {
+      throw new Error(body.error ?? `Saving settings failed with ${response.status}`);
     }
+
+    const saved: PublicFeedSettings = body;
+    setSavedApiKey(saved.apiKeyMasked);
+    // Keep the saved values; only the key input is cleared
+    return { values: { email: saved.email, apiKey: '', frequency: saved.frequency } };
   };
 
   return (
     <div className="ds-panel">
       <h2 className="ds-chart-title">Data Feed Configuration</h2>
       <p className="ds-info-text">Configure your FRED data feed settings</p>
-      
-      <form onSubmit={handleSubmit} className="ds-form">
-        {/* Email Field */}
-        <div className="ds-form-group">
-          <label htmlFor="email" className="ds-form-label">
-            Email Address
-          </label>
-          <input
-            id="email"
-            name="email"
-            type="email"
-            value={formData.email}
-            onChange={handleChange}
-            className={`ds-form-input ${errors.email ? 'ds-input-error' : ''}`}
-            aria-invalid={!!errors.email}
-            aria-describedby={errors.email ? 'email-error' : undefined}
-            disabled={isSubmitting}
-          />
-          {errors.email && (
-            <span id="email-error" className="ds-error-text" role="alert">
-              {errors.email}
-            </span>
-          )}
-        </div>
-
-        {/* API Key Field */}
-        <div className="ds-form-group">
-          <label htmlFor="apiKey" className="ds-form-label">
-            FRED API Key
-          </label>
-          <input
-            id="apiKey"
-            name="apiKey"
-            type="text"
-            value={formData.apiKey}
-            onChange={handleChange}
-            className={`ds-form-input ${errors.apiKey ? 'ds-input-error' : ''}`}
-            placeholder="Enter your FRED API key"
-            aria-invalid={!!errors.apiKey}
-            aria-describedby={errors.apiKey ? 'apiKey-error' : undefined}
-            disabled={isSubmitting}
-          />
-          {errors.apiKey && (
-            <span id="apiKey-error" className="ds-error-text" role="alert">
-              {errors.apiKey}
-            </span>
-          )}
-        </div>
-
-        {/* Update Frequency Field */}
-        <div className="ds-form-group">
-          <label htmlFor="frequency" className="ds-form-label">
-            Update Frequency
-          </label>
-          <select
-            id="frequency"
-            name="frequency"
-            value={formData.frequency}
-            onChange={handleChange}
-            className="ds-form-select"
-            disabled={isSubmitting}
-          >
-            <option value="realtime">Real-time</option>
-            <option value="hourly">Hourly</option>
-            <option value="daily">Daily</option>
-            <option value="weekly">Weekly</option>
-            <option value="monthly">Monthly</option>
-          </select>
-        </div>
-
-        {/* Submit Button */}
-        <div className="ds-form-actions">
-          <button
-            type="submit"
-            className="ds-btn-primary"
-            disabled={isSubmitting}
-          >
-            {isSubmitting ? 'Saving...' : 'Save Configuration'}
-          </button>
-          
-          {submitSuccess && (
-            <span className="ds-success-text" role="status">
-              ✓ Configuration saved successfully!
-            </span>
-          )}
-        </div>
-      </form>
+      {loadError && (
+        <p className="ds-error-text" role="alert">{loadError}</p>
+      )}
+
+      {/* Remount once the stored values arrive so they become the initial values */}
+      <SchemaForm
+        key={isLoading ? 'loading' : 'loaded'}
+        fields={fields}
+        initialValues={initialValues}
+        onSubmit={handleSubmit}
+        disabled={isLoading}
+        submitLabel={isLoading ? 'Loading...' : 'Save Configuration'}
+        successMessage="✓ Configuration saved successfully!"
+      />
     </div>
   );
 }
@@ -224,29 +146,29 @@ export default function FormWithValidation() {
  *   return (
  *     <DashboardLayout>
  *       <FormWithValidation />
- *       {/* Other settings panels */}
+ *       <OtherSettingsPanel />
  *     </DashboardLayout>
  *   );
  * }
  * 
  * FEATURES:
+ * ✅ Built on SchemaForm - the fields are a schema (buildFields), not hand-written inputs
  * ✅ Real-time field validation
  * ✅ Multiple validation rules per field
  * ✅ Accessible error messages with ARIA attributes
  * ✅ Loading states during submission
  * ✅ Success feedback
- * ✅ Form reset after successful submission
+ * ✅ Settings persisted through /api/settings (data/settings.json) and prefilled on load
+ * ✅ Same validation rules on client and server (lib/settings.ts), server field errors shown inline
+ * ✅ API key masked on display; leave it blank to keep the saved key
  * ✅ Proper TypeScript types
  * 
+ * DEPENDENCIES REQUIRED:
+ * - SchemaForm component (included)
+ * - app/api/settings/route.ts (GET and PUT)
+ *
  * REQUIRED CSS CLASSES:
- * Add these to your design-system.css:
- * 
- * .ds-form { ... }
- * .ds-form-group { margin-bottom: 20px; }
- * .ds-form-label { display: block; margin-bottom: 8px; font-weight: 500; }
- * .ds-form-input { width: 100%; padding: 10px; border: 1px solid var(--color-border); }
- * .ds-form-select { width: 100%; padding: 10px; border: 1px solid var(--color-border); }
- * .ds-input-error { border-color: #ef4444; }
- * .ds-form-actions { display: flex; align-items: center; gap: 16px; margin-top: 24px; }
- * .ds-btn-primary { ... your button styles ... }
+ * .ds-form, .ds-form-group, .ds-form-label, .ds-form-input, .ds-form-select,
+ * .ds-input-error, .ds-form-actions, .ds-btn-primary
+ * (defined in styles/design-system.css; `npm run verify-styles` reports any that are missing)
  */
\ No newline at end of file
@@ -0,0 +1,428 @@
+'use client';
+
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  initialFormValues,
+  isFieldVisible,
+  validateFieldSync,
+  validateFormSync,
+  type AsyncValidator,
+  type DateRange,
+  type FieldSchema,
+  type FieldValue,
+  type FormErrors,
+  type FormValues
+} from '../lib/forms';
+
+export interface SubmitResult {
+  /** Field errors to show, e.g. from server-side validation */
+  errors?: FormErrors;
+  /** Values to put in the form after a successful submit */
+  values?: Partial<FormValues>;
+}
+
+interface SchemaFormProps {
+  fields: FieldSchema[];
+  /** Read on mount; change the component key to load new values */
+  initialValues?: Partial<FormValues>;
+  /** Receives the values of the visible fields only */
+  onSubmit: (values: FormValues) => Promise<SubmitResult | void> | SubmitResult | void;
+  submitLabel?: string;
+  submittingLabel?: string;
+  successMessage?: string;
+  disabled?: boolean;
+  /** Prefix for element ids when several forms share a page */
+  idPrefix?: string;
+}
+
+const ASYNC_DEBOUNCE_MS = 400;
+
+export default function SchemaForm({
+  fields,
+  initialValues,
+  onSubmit,
+  submitLabel = 'Save',
+  submittingLabel = 'Saving...',
+  successMessage = '✓ Saved successfully!',
+  disabled = false,
+  idPrefix = ''
+}: SchemaFormProps) {
+  const [values, setValues] = useState<FormValues>(() => initialFormValues(fields, initialValues));
+  const [errors, setErrors] = useState<FormErrors>({});
+  const [pending, setPending] = useState<Record<string, boolean>>({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submitSuccess, setSubmitSuccess] = useState(false);
+  const [submitError, setSubmitError] = useState<string | null>(null);
+
+  // In-flight async validation per field
+  const asyncRuns = useRef(new Map<string, { timer?: ReturnType<typeof setTimeout>; controller: AbortController }>());
+
+  useEffect(() => {
+    const runs = asyncRuns.current;
+    return () => runs.forEach(run => {
+      clearTimeout(run.timer);
+      run.controller.abort();
+    });
+  }, []);
+
+  const cancelAsync = (name: string) => {
+    const run = asyncRuns.current.get(name);
+    if (run) {
+      clearTimeout(run.timer);
+      run.controller.abort();
+      asyncRuns.current.delete(name);
+      // The aborted run skips its own cleanup, so clear its spinner here
+      setPending(prev => (prev[name] ? { ...prev, [name]: false } : prev));
+    }
+  };
+
+  const runAsyncValidators = async (field: FieldSchema, formValues: FormValues, signal: AbortSignal) => {
+    for (const validator of (field.asyncValidators ?? []) as AsyncValidator<FieldValue>[]) {
+      const error = await validator(formValues[field.name], formValues, signal);
+      if (error) {
+        return error;
+      }
+    }
+    return undefined;
+  };
+
+  // Debounced async validation after a change
+  const scheduleAsync = (field: FieldSchema, formValues: FormValues) => {
+    cancelAsync(field.name);
+    if (!field.asyncValidators?.length) {
+      return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setPending(prev => ({ ...prev, [field.name]: true }));
+      try {
+        const error = await runAsyncValidators(field, formValues, controller.signal);
+        if (!controller.signal.aborted) {
+          setErrors(prev => ({ ...prev, [field.name]: error }));
+        }
+      } catch (error) {
+        if (!controller.signal.aborted) {
+          console.error(`Async validation of ${field.name} failed:`, error);
+        }
+      } finally {
+        if (!controller.signal.aborted) {
+          setPending(prev => ({ ...prev, [field.name]: false }));
+          asyncRuns.current.delete(field.name);
+        }
+      }
+    }, ASYNC_DEBOUNCE_MS);
+    asyncRuns.current.set(field.name, { timer, controller });
+  };
+
+  // Update a value and re-validate it and every field that depends on it
+  const handleValueChange = (name: string, value: FieldValue) => {
+    const nextValues = { ...values, [name]: value };
+    setValues(nextValues);
+
+    // Clear submit feedback on new input
+    setSubmitSuccess(false);
+    setSubmitError(null);
+
+    const affected = fields.filter(field => field.name === name || field.dependsOn?.includes(name));
+    const nextErrors: FormErrors = {};
+    affected.forEach(field => {
+      nextErrors[field.name] = validateFieldSync(field, nextValues);
+      if (!nextErrors[field.name] && isFieldVisible(field, nextValues)) {
+        scheduleAsync(field, nextValues);
+      } else {
+        cancelAsync(field.name);
+      }
+    });
+    setErrors(prev => ({ ...prev, ...nextErrors }));
+  };
+
+  // Handle form submission
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    fields.forEach(field => cancelAsync(field.name));
+    setPending({});
+
+    const syncErrors = validateFormSync(fields, values);
+    setErrors(syncErrors);
+    if (Object.values(syncErrors).some(error => error !== undefined)) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    setSubmitError(null);
+    try {
+      const controller = new AbortController();
+      const asyncFields = fields.filter(field => field.asyncValidators?.length && isFieldVisible(field, values));
+      const asyncErrors: FormErrors = Object.fromEntries(await Promise.all(
+        asyncFields.map(async field => [field.name, await runAsyncValidators(field, values, controller.signal)])
+      ));
+      if (Object.values(asyncErrors).some(error => error !== undefined)) {
+        setErrors(asyncErrors);
+        return;
+      }
+
+      // Hidden fields are left out of the submitted values
+      const visibleValues: FormValues = Object.fromEntries(
+        fields.filter(field => isFieldVisible(field, values)).map(field => [field.name, values[field.name]])
+      );
+      const result = await onSubmit(visibleValues);
+      if (result?.errors && Object.values(result.errors).some(error => error !== undefined)) {
+        setErrors(result.errors);
+        return;
+      }
+      if (result?.values) {
+        setValues(prev => ({ ...prev, ...result.values }) as FormValues);
+      }
+      setSubmitSuccess(true);
+    } catch (error) {
+      console.error('Submission error:', error);
+      setSubmitError(error instanceof Error ? error.message : 'Submission failed');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const renderField = (field: FieldSchema) => {
+    const id = `${idPrefix}${field.name}`;
+    const error = errors[field.name];
+    const isDisabled = disabled || isSubmitting || (field.disabledWhen?.(values) ?? false);
+    const describedBy = [
+      field.description && `${id}-description`,
+      error && `${id}-error`
+    ].filter(Boolean).join(' ') || undefined;
+
+    const commonProps = {
+      'aria-invalid': !!error,
+      'aria-describedby': describedBy,
+      'aria-required': field.required || undefined,
+      'aria-busy': pending[field.name] || undefined,
+      disabled: isDisabled
+    };
+    const inputClass = `ds-form-input ${error ? 'ds-input-error' : ''}`;
+
+    let control: React.ReactNode;
+    switch (field.type) {
+      case 'select':
+        control = (
+          <select
+            id={id}
+            name={field.name}
+            value={values[field.name] as string}
+            onChange={e => handleValueChange(field.name, e.target.value)}
+            className={`ds-form-select ${error ? 'ds-input-error' : ''}`}
+            {...commonProps}
+          >
+            {field.options.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        );
+        break;
+
+      case 'number':
+        control = (
+          <input
+            id={id}
+            name={field.name}
+            type="number"
+            value={values[field.name] === null ? '' : String(values[field.name])}
+            min={field.min}
+            max={field.max}
+            step={field.step}
+            placeholder={field.placeholder}
+            onChange={e => handleValueChange(field.name, e.target.value === '' ? null : e.target.valueAsNumber)}
+            className={inputClass}
+            {...commonProps}
+          />
+        );
+        break;
+
+      case 'checkbox':
+        control = (
+          <input
+            id={id}
+            name={field.name}
+            type="checkbox"
+            checked={values[field.name] as boolean}
+            onChange={e => handleValueChange(field.name, e.target.checked)}
+            {...commonProps}
+          />
+        );
+        break;
+
+      case 'date-range': {
+        const rangeValue = values[field.name] as DateRange;
+        control = (
+          <div className="ds-form-range">
+            {(['start', 'end'] as const).map(part => (
+              <input
+                key={part}
+                id={`${id}-${part}`}
+                name={`${field.name}.${part}`}
+                type="date"
+                value={rangeValue[part]}
+                min={field.min}
+                max={field.max}
+                aria-label={`${field.label} ${part === 'start' ? 'from' : 'to'}`}
+                onChange={e => handleValueChange(field.name, { ...rangeValue, [part]: e.target.value })}
+                className={inputClass}
+                {...commonProps}
+              />
+            ))}
+          </div>
+        );
+        break;
+      }
+
+      default:
+        control = (
+          <input
+            id={id}
+            name={field.name}
+            type={field.type}
+            value={values[field.name] as string}
+            placeholder={field.placeholder}
+            autoComplete={field.autoComplete}
+            onChange={e => handleValueChange(field.name, e.target.value)}
+            className={inputClass}
+            {...commonProps}
+          />
+        );
+    }
+
+    const messages = (
+      <>
+        {field.description && (
+          <span id={`${id}-description`} className="ds-info-text">
+            {field.description}
+          </span>
+        )}
+        {pending[field.name] && (
+          <span className="ds-loading-text" role="status">
+            Checking...
+          </span>
+        )}
+        {error && (
+          <span id={`${id}-error`} className="ds-error-text" role="alert">
+            {error}
+          </span>
+        )}
+      </>
+    );
+
+    if (field.type === 'checkbox') {
+      return (
+        <div key={field.name} className="ds-form-group">
+          <div className="ds-form-checkbox">
+            {control}
+            <label htmlFor={id} className="ds-form-label">
+              {field.label}
+            </label>
+          </div>
+          {messages}
+        </div>
+      );
+    }
+
+    if (field.type === 'date-range') {
+      return (
+        <fieldset key={field.name} className="ds-form-group ds-form-fieldset">
+          <legend className="ds-form-label">{field.label}</legend>
+          {control}
+          {messages}
+        </fieldset>
+      );
+    }
+
+    return (
+      <div key={field.name} className="ds-form-group">
+        <label htmlFor={id} className="ds-form-label">
+          {field.label}
+        </label>
+        {control}
+        {messages}
+      </div>
+    );
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="ds-form" aria-busy={disabled || undefined} noValidate>
+      {fields.filter(field => isFieldVisible(field, values)).map(renderField)}
+
+      {/* Submit Button */}
+      <div className="ds-form-actions">
+        <button
+          type="submit"
+          className="ds-btn-primary"
+          disabled={disabled || isSubmitting}
+        >
+          {isSubmitting ? submittingLabel : submitLabel}
+        </button>
+
+        {submitSuccess && (
+          <span className="ds-success-text" role="status">
+            {successMessage}
+          </span>
+        )}
+
+        {submitError && (
+          <span className="ds-error-text" role="alert">
+            {submitError}
+          </span>
+        )}
+      </div>
+    </form>
+  );
+}
+
+/**
+ * USAGE EXAMPLE:
+ *
+ * import SchemaForm from './components/SchemaForm';
+ * import { dateRangeOrder, range, type FieldSchema } from '@/lib/forms';
+ *
+ * const fields: FieldSchema[] = [
+ *   { name: 'series', label: 'Series ID', type: 'text', required: true,
+ *     asyncValidators: [async (id, values, signal) => {
+ *       const response = await fetch(`/api/series/${id}`, { signal });
+ *       return response.ok ? undefined : 'Unknown series';
+ *     }] },
+ *   { name: 'period', label: 'Period', type: 'date-range', validators: [dateRangeOrder()] },
+ *   { name: 'smoothing', label: 'Smoothing', type: 'checkbox' },
+ *   { name: 'window', label: 'Window (months)', type: 'number', validators: [range(2, 24)],
+ *     visibleWhen: values => values.smoothing === true, required: true },
+ * ];
+ *
+ * function ChartSettings() {
+ *   return (
+ *     <div className="ds-panel">
+ *       <SchemaForm
+ *         fields={fields}
+ *         submitLabel="Apply"
+ *         onSubmit={async values => {
+ *           const response = await fetch('/api/chart-settings', { method: 'PUT', body: JSON.stringify(values) });
+ *           if (response.status === 422) {
+ *             return { errors: (await response.json()).errors };
+ *           }
+ *         }}
+ *       />
+ *     </div>
+ *   );
+ * }
+ *
+ * FEATURES:
+ * ✅ Text, email, password, select, number, checkbox and date-range fields from a schema
+ * ✅ Composable sync validators (lib/forms.ts: compose, when, minLength, pattern, range, dateRangeOrder)
+ * ✅ Debounced async validators, cancelled when the value changes again
+ * ✅ Dependent fields: dependsOn re-validation, visibleWhen and disabledWhen rules
+ * ✅ Hidden fields are not validated or submitted
+ * ✅ Server-side field errors returned from onSubmit shown next to their fields
+ * ✅ Accessible error messages with ARIA attributes (aria-invalid, aria-describedby, role="alert")
+ *
+ * REQUIRED CSS CLASSES:
+ * .ds-form, .ds-form-group, .ds-form-label, .ds-form-input, .ds-form-select,
+ * .ds-input-error, .ds-form-actions, .ds-btn-primary, .ds-form-checkbox,
+ * .ds-form-fieldset, .ds-form-range
+ * (defined in styles/design-system.css; `npm run verify-styles` reports any that are missing)
+ */
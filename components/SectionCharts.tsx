@@ -0,0 +1,105 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import ChartPanel from './ChartPanel';
+import DashboardGrid from './DashboardGrid';
+import { ChartThemeProvider, ThemedAreaChart, ThemedBarChart, ThemedLineChart } from './ThemedCharts';
+import type { ChartPalette } from '../lib/chart-theme';
+import type { SectionPanel } from '../lib/sections';
+
+interface SectionChartsProps {
+  panels: SectionPanel[];
+  /** Saves the user's panel order under this id (usually the section id) */
+  layoutId?: string;
+  /** Chart palette; defaults to ?palette=colorblind in the URL, else 'default' */
+  palette?: ChartPalette;
+}
+
+/**
+ * Palette requested through ?palette=, read after mount so statically
+ * rendered pages hydrate with the default palette
+ */
+function useUrlPalette(): ChartPalette {
+  const [palette, setPalette] = useState<ChartPalette>('default');
+  useEffect(() => {
+    if (new URLSearchParams(window.location.search).get('palette') === 'colorblind') {
+      setPalette('colorblind');
+    }
+  }, []);
+  return palette;
+}
+
+const CHARTS = {
+  line: ThemedLineChart,
+  area: ThemedAreaChart,
+  bar: ThemedBarChart
+};
+
+function PanelChart({ panel }: { panel: SectionPanel }) {
+  const Chart = CHARTS[panel.type];
+  return <Chart data={panel.data} xKey={panel.xKey} series={panel.series} yDomain={panel.domain} yFormat={panel.yFormat} />;
+}
+
+export default function SectionCharts({ panels, layoutId, palette }: SectionChartsProps) {
+  const urlPalette = useUrlPalette();
+  const items = panels.map(panel => ({
+    id: panel.id,
+    label: panel.title,
+    colSpan: panel.colSpan,
+    rowSpan: panel.rowSpan,
+    content: (
+      <ChartPanel
+        title={panel.title}
+        source={panel.source}
+        status={panel.data.length > 0 ? 'ready' : 'empty'}
+        data={panel.data}
+        exportColumns={[panel.xKey, ...panel.series.map(series => series.dataKey)]}
+        xKey={panel.xKey}
+        series={panel.series}
+        valueFormat={panel.yFormat}
+        exportPng
+        expandable
+      >
+        <PanelChart panel={panel} />
+      </ChartPanel>
+    )
+  }));
+
+  return (
+    <ChartThemeProvider palette={palette ?? urlPalette}>
+      <DashboardGrid items={items} layoutId={layoutId} />
+    </ChartThemeProvider>
+  );
+}
+
+/**
+ * USAGE EXAMPLE:
+ *
+ * import DashboardLayout from './components/DashboardLayout';
+ * import SectionCharts from './components/SectionCharts';
+ * import { getSection } from '@/lib/sections';
+ *
+ * export default function InflationPage() {
+ *   const section = getSection('inflation')!;
+ *   return (
+ *     <DashboardLayout routing="path" title={section.title}>
+ *       <SectionCharts panels={section.panels} layoutId={section.id} />
+ *     </DashboardLayout>
+ *   );
+ * }
+ *
+ * FEATURES:
+ * ✅ Renders line, area and bar panels from plain section data (lib/sections.ts)
+ * ✅ Themed line, area and bar wrappers (ThemedCharts) - colors, fonts and tooltip from tokens
+ * ✅ Color-blind-safe palette through the palette prop or ?palette=colorblind
+ * ✅ Safe to render from a server component - panels are serializable props
+ * ✅ Legend shown automatically for multi-series panels
+ * ✅ Every panel can be expanded and exported as CSV or PNG
+ * ✅ Panel spans (colSpan/rowSpan) and drag or keyboard reordering via DashboardGrid
+ * ✅ Reordered layouts saved per section when layoutId is set
+ *
+ * DEPENDENCIES REQUIRED:
+ * - recharts: npm install recharts
+ * - ChartPanel, DashboardGrid and ThemedCharts components (included)
+ * - CSS classes: .ds-panel, .ds-chart-title, .ds-chart-source, .ds-chart-container
+ */
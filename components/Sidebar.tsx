@@ -1,79 +1,273 @@
 'use client';
 
-import React, { useState } from 'react';
+import React, { Suspense, useEffect, useRef, useState } from 'react';
+import { usePathname, useRouter, useSearchParams } from 'next/navigation';
+import { ChevronDown, ChevronRight, PanelLeftClose, PanelLeftOpen } from 'lucide-react';
 import {
-  TrendingUp,
-  Users,
-  Percent,
-  TrendingDown,
-  DollarSign,
-  Home,
-  ShoppingCart,
-  ChevronRight
-} from 'lucide-react';
-
-interface NavItem {
-  id: string;
-  label: string;
-  icon: React.ElementType;
-}
+  DEFAULT_NAV_ITEMS,
+  findNavAncestors,
+  findNavItem,
+  flattenNavItems,
+  type NavItem
+} from '../lib/navigation';
+import ThemeToggle from './ThemeToggle';
+
+export type { NavItem };
 
-const navItems: NavItem[] = [
-  { id: 'key-indicators', label: 'Key Indicators', icon: TrendingUp },
-  { id: 'inflation', label: 'Inflation', icon: TrendingUp },
-  { id: 'employment', label: 'Employment', icon: Users },
-  { id: 'interest-rates', label: 'Interest Rates', icon: Percent },
-  { id: 'economic-growth', label: 'Economic Growth', icon: TrendingDown },
-  { id: 'exchange-rates', label: 'Exchange Rates', icon: DollarSign },
-  { id: 'housing', label: 'Housing', icon: Home },
-  { id: 'consumer-spending', label: 'Consumer Spending', icon: ShoppingCart },
-];
+/**
+ * Where the active section lives:
+ * - 'search': ?section=<id> on the current page (default)
+ * - 'path':   <basePath>/<id>, e.g. /dashboard/inflation
+ * - 'none':   local state only, nothing in the URL
+ */
+export type SidebarRouting = 'search' | 'path' | 'none';
 
 interface SidebarProps {
+  items?: NavItem[];
+  title?: string;
+  subtitle?: string;
+  routing?: SidebarRouting;
+  basePath?: string;
+  searchParam?: string;
   onSectionChange?: (sectionId: string) => void;
+  /** Icon-only mode; pass to control it, or use defaultCollapsed */
+  collapsed?: boolean;
+  defaultCollapsed?: boolean;
+  onCollapsedChange?: (collapsed: boolean) => void;
+  /** Theme switch in the footer (needs a ThemeProvider above); default true */
+  showThemeToggle?: boolean;
+}
+
+interface SidebarViewProps extends SidebarProps {
+  /** Section id read from the URL, if any */
+  routedId: string | null;
+  onNavigate?: (item: NavItem) => void;
 }
 
-export default function Sidebar({ onSectionChange }: SidebarProps) {
-  // State management for active navigation item
-  const [activeItem, setActiveItem] = useState<string>('key-indicators');
+function firstSelectable(items: NavItem[]): NavItem | undefined {
+  return flattenNavItems(items).find(item => !item.disabled && !item.children?.length);
+}
+
+function SidebarView({
+  items = DEFAULT_NAV_ITEMS,
+  title = 'Dashboard Template',
+  subtitle = 'Next.js + Figma + Playwright',
+  routing = 'search',
+  onSectionChange,
+  collapsed: controlledCollapsed,
+  defaultCollapsed = false,
+  onCollapsedChange,
+  showThemeToggle = true,
+  routedId,
+  onNavigate
+}: SidebarViewProps) {
+  // With routing the URL alone decides, so pages outside the sections (e.g.
+  // /settings) have no active item; routing="none" keeps it in local state
+  const [selectedId, setSelectedId] = useState<string | null>(
+    () => routing === 'none' ? firstSelectable(items)?.id ?? null : null
+  );
+  const activeId = routing === 'none' ? selectedId : routedId;
+
+  const [expanded, setExpanded] = useState<Set<string>>(
+    () => new Set(activeId ? findNavAncestors(items, activeId) ?? [] : [])
+  );
+  const [focusedId, setFocusedId] = useState<string | null>(null);
+  const [uncontrolledCollapsed, setUncontrolledCollapsed] = useState(defaultCollapsed);
+  const collapsed = controlledCollapsed ?? uncontrolledCollapsed;
+  const buttonRefs = useRef(new Map<string, HTMLButtonElement>());
+
+  // Reveal the active section when it arrives through the URL
+  useEffect(() => {
+    const ancestors = activeId ? findNavAncestors(items, activeId) : null;
+    if (ancestors?.length) {
+      setExpanded(current => new Set([...current, ...ancestors]));
+    }
+  }, [activeId, items]);
+
+  const setCollapsed = (next: boolean) => {
+    setUncontrolledCollapsed(next);
+    onCollapsedChange?.(next);
+  };
+
+  const isExpanded = (item: NavItem) => !collapsed && expanded.has(item.id);
+  const visibleItems = flattenNavItems(items, isExpanded).filter(item => !item.disabled);
+
+  // Roving tabindex: exactly one item is in the tab order
+  const tabStopId = (() => {
+    const visibleIds = visibleItems.map(item => item.id);
+    if (focusedId && visibleIds.includes(focusedId)) {
+      return focusedId;
+    }
+    const activeTrail = activeId ? [...(findNavAncestors(items, activeId) ?? []), activeId] : [];
+    return [...activeTrail].reverse().find(id => visibleIds.includes(id)) ?? visibleIds[0];
+  })();
+
+  const toggleGroup = (item: NavItem, open = !expanded.has(item.id)) => {
+    setExpanded(current => {
+      const next = new Set(current);
+      if (open) {
+        next.add(item.id);
+      } else {
+        next.delete(item.id);
+      }
+      return next;
+    });
+  };
 
   // Click handler for navigation items
-  const handleNavClick = (itemId: string) => {
-    console.log(`Navigation clicked: ${itemId}`);
-    setActiveItem(itemId);
-    
+  const handleNavClick = (item: NavItem) => {
+    if (item.disabled) {
+      return;
+    }
+    setFocusedId(item.id);
+
+    if (item.children?.length) {
+      // Groups open in place; an icon-only sidebar expands first to show them
+      if (collapsed) {
+        setCollapsed(false);
+        toggleGroup(item, true);
+      } else {
+        toggleGroup(item);
+      }
+      return;
+    }
+
+    setSelectedId(item.id);
+
     // Optional callback for parent component integration
-    onSectionChange?.(itemId);
+    onSectionChange?.(item.id);
+    onNavigate?.(item);
   };
 
+  const focusItem = (id: string) => {
+    setFocusedId(id);
+    buttonRefs.current.get(id)?.focus();
+  };
+
+  const handleKeyDown = (event: React.KeyboardEvent) => {
+    const index = visibleItems.findIndex(item => item.id === tabStopId);
+    const current = visibleItems[index];
+    if (!current) {
+      return;
+    }
+
+    switch (event.key) {
+      case 'ArrowDown':
+        focusItem(visibleItems[(index + 1) % visibleItems.length].id);
+        break;
+      case 'ArrowUp':
+        focusItem(visibleItems[(index - 1 + visibleItems.length) % visibleItems.length].id);
+        break;
+      case 'Home':
+        focusItem(visibleItems[0].id);
+        break;
+      case 'End':
+        focusItem(visibleItems[visibleItems.length - 1].id);
+        break;
+      case 'ArrowRight':
+        if (current.children?.length && !collapsed) {
+          if (!expanded.has(current.id)) {
+            toggleGroup(current, true);
+          } else {
+            const firstChild = current.children.find(child => !child.disabled);
+            if (firstChild) {
+              focusItem(firstChild.id);
+            }
+          }
+        }
+        break;
+      case 'ArrowLeft': {
+        if (current.children?.length && expanded.has(current.id)) {
+          toggleGroup(current, false);
+        } else {
+          const parentId = findNavAncestors(items, current.id)?.at(-1);
+          if (parentId) {
+            focusItem(parentId);
+          }
+        }
+        break;
+      }
+      default:
+        return;
+    }
+    event.preventDefault();
+  };
+
+  const renderItems = (levelItems: NavItem[]) => levelItems.map((item) => {
+    const Icon = item.icon;
+    const hasChildren = Boolean(item.children?.length);
+    const isActive = activeId === item.id;
+    const isOpen = hasChildren && isExpanded(item);
+    const containsActive = hasChildren && Boolean(activeId && findNavItem(item.children!, activeId));
+    const badgeLabel = item.badge !== undefined ? ` (${item.badge})` : '';
+
+    return (
+      <li key={item.id}>
+        <button
+          ref={(element) => {
+            if (element) {
+              buttonRefs.current.set(item.id, element);
+            } else {
+              buttonRefs.current.delete(item.id);
+            }
+          }}
+          onClick={() => handleNavClick(item)}
+          onFocus={() => setFocusedId(item.id)}
+          className={`ds-nav-item ${isActive ? 'active' : ''} ${containsActive ? 'ds-nav-item-ancestor' : ''}`}
+          aria-label={hasChildren ? `${item.label} sections${badgeLabel}` : `Navigate to ${item.label}${badgeLabel}`}
+          aria-current={isActive ? 'page' : undefined}
+          aria-expanded={hasChildren ? isOpen : undefined}
+          title={collapsed ? item.label : undefined}
+          tabIndex={item.id === tabStopId ? 0 : -1}
+          disabled={item.disabled}
+          type="button"
+        >
+          {Icon ? (
+            <Icon size={18} aria-hidden="true" />
+          ) : (
+            collapsed && <span className="ds-nav-initial" aria-hidden="true">{item.label.charAt(0)}</span>
+          )}
+          <span className="ds-nav-label">{item.label}</span>
+          {item.badge !== undefined && <span className="ds-nav-badge">{item.badge}</span>}
+          {hasChildren && (isOpen
+            ? <ChevronDown className="ds-nav-chevron" size={16} aria-hidden="true" />
+            : <ChevronRight className="ds-nav-chevron" size={16} aria-hidden="true" />)}
+        </button>
+        {isOpen && (
+          <ul className="ds-nav-sublist" role="list">
+            {renderItems(item.children!)}
+          </ul>
+        )}
+      </li>
+    );
+  });
+
   return (
-    <aside className="ds-sidebar">
-      <div>
-        <h1 className="ds-sidebar-title">Dashboard Template</h1>
-        <p className="ds-sidebar-subtitle">Next.js + Figma + Playwright</p>
+    <aside className={`ds-sidebar ${collapsed ? 'ds-sidebar-collapsed' : ''}`}>
+      <div className="ds-sidebar-header">
+        <div className="ds-sidebar-heading">
+          <h1 className="ds-sidebar-title">{title}</h1>
+          <p className="ds-sidebar-subtitle">{subtitle}</p>
+        </div>
+        <button
+          type="button"
+          className="ds-sidebar-toggle"
+          onClick={() => setCollapsed(!collapsed)}
+          aria-label={collapsed ? 'Expand sidebar' : 'Collapse sidebar'}
+          aria-expanded={!collapsed}
+        >
+          {collapsed ? <PanelLeftOpen size={18} aria-hidden="true" /> : <PanelLeftClose size={18} aria-hidden="true" />}
+        </button>
       </div>
-      
-      <nav className="ds-nav-list">
-        {navItems.map((item) => {
-          const Icon = item.icon;
-          const isActive = activeItem === item.id;
-          
-          return (
-            <button
-              key={item.id}
-              onClick={() => handleNavClick(item.id)}
-              className={`ds-nav-item ${isActive ? 'active' : ''}`}
-              aria-label={`Navigate to ${item.label}`}
-              type="button"
-            >
-              <Icon size={18} />
-              <span>{item.label}</span>
-            </button>
-          );
-        })}
+
+      <nav aria-label="Dashboard sections" onKeyDown={handleKeyDown}>
+        <ul className="ds-nav-list" role="list">
+          {renderItems(items)}
+        </ul>
       </nav>
-      
+
       <div className="ds-footer">
+        {showThemeToggle && <ThemeToggle compact={collapsed} />}
         <p className="ds-footer-text">
           Template ready for<br />
           dashboard development
@@ -83,37 +277,92 @@ export default function Sidebar({ onSectionChange }: SidebarProps) {
   );
 }
 
+/**
+ * Reads the active section from the App Router and navigates on selection
+ */
+function RoutedSidebar(props: SidebarProps) {
+  const { items = DEFAULT_NAV_ITEMS, routing = 'search', basePath = '/dashboard', searchParam = 'section' } = props;
+  const router = useRouter();
+  const pathname = usePathname();
+  const searchParams = useSearchParams();
+
+  const hrefMatch = flattenNavItems(items).find(item => item.href && item.href === pathname);
+  let urlId: string | null = hrefMatch?.id ?? null;
+  if (!urlId && routing === 'path' && pathname.startsWith(`${basePath}/`)) {
+    urlId = pathname.slice(basePath.length + 1).split('/')[0];
+  } else if (!urlId && routing === 'search') {
+    urlId = searchParams.get(searchParam);
+  }
+  const routedId = findNavItem(items, urlId) ? urlId : null;
+
+  const handleNavigate = (item: NavItem) => {
+    if (item.href) {
+      router.push(item.href);
+    } else if (routing === 'path') {
+      router.push(`${basePath}/${item.id}`);
+    } else if (routing === 'search') {
+      const params = new URLSearchParams(searchParams.toString());
+      params.set(searchParam, item.id);
+      router.push(`${pathname}?${params.toString()}`, { scroll: false });
+    }
+  };
+
+  return <SidebarView {...props} routedId={routedId} onNavigate={handleNavigate} />;
+}
+
+export default function Sidebar(props: SidebarProps) {
+  // useSearchParams needs a Suspense boundary in the App Router; until the
+  // URL is available the sidebar renders without an active section
+  return (
+    <Suspense fallback={<SidebarView {...props} routedId={null} />}>
+      <RoutedSidebar {...props} />
+    </Suspense>
+  );
+}
+
 /**
  * USAGE EXAMPLE:
- * 
+ *
  * import Sidebar from './components/Sidebar';
- * 
+ * import { TrendingUp, Users } from 'lucide-react';
+ *
+ * const items = [
+ *   { id: 'inflation', label: 'Inflation', icon: TrendingUp, children: [
+ *     { id: 'cpi', label: 'CPI' },
+ *     { id: 'pce', label: 'PCE', badge: 'New' },
+ *   ] },
+ *   { id: 'employment', label: 'Employment', icon: Users, badge: 3 },
+ *   { id: 'housing', label: 'Housing', disabled: true },
+ * ];
+ *
  * function App() {
  *   const handleSectionChange = (sectionId: string) => {
  *     console.log('Section changed to:', sectionId);
  *     // Update charts, load data, etc.
  *   };
- * 
+ *
  *   return (
  *     <div className="flex h-screen">
- *       <Sidebar onSectionChange={handleSectionChange} />
- *       <main className="flex-1">
- *         {/* Your dashboard content */}
- *       </main>
+ *       <Sidebar items={items} routing="path" basePath="/dashboard" onSectionChange={handleSectionChange} />
+ *       <main className="flex-1">{children}</main>
  *     </div>
  *   );
  * }
- * 
+ *
  * FEATURES:
- * ✅ Full click functionality with state management
- * ✅ Visual active state that matches Figma designs
+ * ✅ Items, nested groups, badges and disabled states from props
+ * ✅ Active section from the URL (?section=<id> or /dashboard/<id>), so reloads and deep links work
  * ✅ Optional callback for parent component integration
- * ✅ Accessibility attributes (aria-label, button type)
+ * ✅ Arrow-key navigation with a roving tabindex (Up/Down/Home/End, Right/Left to open/close groups)
+ * ✅ Collapsible icon-only mode (--sidebar-collapsed-width)
+ * ✅ System/light/dark theme switch in the footer (showThemeToggle={false} to hide it)
+ * ✅ Accessibility attributes (aria-label, aria-current, aria-expanded, button type)
  * ✅ Console logging for debugging
  * ✅ TypeScript support with proper interfaces
- * 
+ *
  * DEPENDENCIES REQUIRED:
  * - lucide-react: npm install lucide-react
- * - React with hooks support
- * - CSS classes: .ds-sidebar, .ds-nav-item, .active (see design-system.css)
- */
\ No newline at end of file
+ * - Next.js App Router (next/navigation)
+ * - ThemeProvider above the sidebar, for the theme switch (see ThemeProvider.tsx)
+ * - CSS classes: .ds-sidebar, .ds-nav-item, .active, .ds-nav-* (see design-system.css)
+ */
@@ -0,0 +1,110 @@
+'use client';
+
+import React, { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import {
+  applyTheme,
+  loadThemePreference,
+  resolveTheme,
+  saveThemePreference,
+  watchSystemTheme,
+  type ResolvedTheme,
+  type ThemePreference
+} from '../lib/theme';
+
+interface ThemeContextValue {
+  preference: ThemePreference;
+  /** The theme actually shown: 'system' resolved against prefers-color-scheme */
+  resolvedTheme: ResolvedTheme;
+  setPreference: (preference: ThemePreference) => void;
+}
+
+const ThemeContext = createContext<ThemeContextValue | null>(null);
+
+/**
+ * Owns the theme preference once the app has loaded. The inline
+ * themeInitScript has already applied the saved theme before paint; the
+ * provider reads the same preference after mount, so the server HTML and
+ * the first client render agree, and leaves <html data-theme> alone until
+ * then so the first render can't reset it.
+ */
+export default function ThemeProvider({ children }: { children: React.ReactNode }) {
+  // null until the saved preference is read; the switch shows 'system' meanwhile
+  const [preference, setPreferenceState] = useState<ThemePreference | null>(null);
+  const [resolvedTheme, setResolvedTheme] = useState<ResolvedTheme>('light');
+
+  useEffect(() => {
+    setPreferenceState(loadThemePreference());
+  }, []);
+
+  useEffect(() => {
+    if (!preference) {
+      return;
+    }
+    const theme = resolveTheme(preference);
+    setResolvedTheme(theme);
+    applyTheme(theme);
+
+    if (preference !== 'system') {
+      return;
+    }
+    return watchSystemTheme(systemTheme => {
+      setResolvedTheme(systemTheme);
+      applyTheme(systemTheme);
+    });
+  }, [preference]);
+
+  const setPreference = useCallback((next: ThemePreference) => {
+    setPreferenceState(next);
+    saveThemePreference(next);
+  }, []);
+
+  return (
+    <ThemeContext.Provider value={{ preference: preference ?? 'system', resolvedTheme, setPreference }}>
+      {children}
+    </ThemeContext.Provider>
+  );
+}
+
+export function useTheme(): ThemeContextValue {
+  const context = useContext(ThemeContext);
+  if (!context) {
+    throw new Error('useTheme must be used inside <ThemeProvider>');
+  }
+  return context;
+}
+
+/**
+ * USAGE EXAMPLE:
+ *
+ * // app/layout.tsx
+ * import ThemeProvider from '../components/ThemeProvider';
+ * import { themeInitScript } from '../lib/theme';
+ *
+ * export default function RootLayout({ children }) {
+ *   return (
+ *     <html lang="en" suppressHydrationWarning>
+ *       <head>
+ *         <script dangerouslySetInnerHTML={{ __html: themeInitScript }} />
+ *       </head>
+ *       <body>
+ *         <ThemeProvider>{children}</ThemeProvider>
+ *       </body>
+ *     </html>
+ *   );
+ * }
+ *
+ * // anywhere below it
+ * const { preference, resolvedTheme, setPreference } = useTheme();
+ * setPreference('dark');
+ *
+ * FEATURES:
+ * ✅ System, light and dark preferences; 'system' follows prefers-color-scheme live
+ * ✅ Preference saved in localStorage and applied before first paint (no flash)
+ * ✅ Applies <html data-theme>, which selects the dark token block in design-system.css
+ * ✅ Themed charts re-read their colors when data-theme changes
+ *
+ * DEPENDENCIES REQUIRED:
+ * - React
+ * - lib/theme.ts (themeInitScript must be in <head>)
+ * - Generated :root[data-theme="dark"] block in styles/design-system.css (npm run tokens)
+ */
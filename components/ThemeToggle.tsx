@@ -0,0 +1,73 @@
+'use client';
+
+import React, { useId } from 'react';
+import { Monitor, Moon, Sun, type LucideIcon } from 'lucide-react';
+import { useTheme } from './ThemeProvider';
+import type { ThemePreference } from '../lib/theme';
+
+const OPTIONS: Array<{ value: ThemePreference; label: string; icon: LucideIcon }> = [
+  { value: 'system', label: 'System', icon: Monitor },
+  { value: 'light', label: 'Light', icon: Sun },
+  { value: 'dark', label: 'Dark', icon: Moon }
+];
+
+interface ThemeToggleProps {
+  /** Icons only (the labels stay available to screen readers) */
+  compact?: boolean;
+}
+
+/**
+ * System / light / dark switch, as a radio group so arrow keys move
+ * between the options
+ */
+export default function ThemeToggle({ compact = false }: ThemeToggleProps) {
+  const { preference, setPreference } = useTheme();
+  const name = useId();
+
+  return (
+    <fieldset className={`ds-theme-toggle ${compact ? 'ds-theme-toggle-compact' : ''}`}>
+      <legend className="sr-only">Color theme</legend>
+      {OPTIONS.map(({ value, label, icon: Icon }) => (
+        <label
+          key={value}
+          className={`ds-theme-option ${preference === value ? 'ds-theme-option-selected' : ''}`}
+          title={compact ? `${label} theme` : undefined}
+        >
+          <input
+            type="radio"
+            className="sr-only"
+            name={name}
+            value={value}
+            checked={preference === value}
+            onChange={() => setPreference(value)}
+          />
+          <Icon size={14} aria-hidden="true" />
+          <span className={compact ? 'sr-only' : 'ds-theme-option-label'}>{label}</span>
+        </label>
+      ))}
+    </fieldset>
+  );
+}
+
+/**
+ * USAGE EXAMPLE:
+ *
+ * import ThemeProvider from './components/ThemeProvider';
+ * import ThemeToggle from './components/ThemeToggle';
+ *
+ * <ThemeProvider>
+ *   <ThemeToggle />
+ * </ThemeProvider>
+ *
+ * FEATURES:
+ * ✅ System, light and dark options with icons
+ * ✅ Native radio group: Tab to reach it, arrow keys to change the theme
+ * ✅ Compact icon-only mode for the collapsed sidebar
+ *
+ * DEPENDENCIES REQUIRED:
+ * - React
+ * - lucide-react: npm install lucide-react
+ * - An enclosing ThemeProvider
+ * - CSS classes: .ds-theme-toggle, .ds-theme-toggle-compact, .ds-theme-option,
+ *   .ds-theme-option-selected, .ds-theme-option-label
+ */
@@ -0,0 +1,244 @@
+'use client';
+
+import React, { createContext, useContext, useEffect, useId, useState } from 'react';
+import {
+  LineChart,
+  AreaChart,
+  BarChart,
+  Line,
+  Area,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+  Legend,
+  type TooltipProps
+} from 'recharts';
+import type { AxisDomain } from 'recharts/types/util/types';
+import type { NameType, ValueType } from 'recharts/types/component/DefaultTooltipContent';
+import {
+  AXIS_FORMATS,
+  resolveChartTheme,
+  seriesColor,
+  seriesDash,
+  type AxisFormat,
+  type ChartPalette,
+  type ChartTheme,
+  type NumberFormatter
+} from '../lib/chart-theme';
+import type { TokenName } from '../lib/design-tokens';
+
+const ChartPaletteContext = createContext<ChartPalette>('default');
+
+/**
+ * Selects the palette for every themed chart below it
+ */
+export function ChartThemeProvider({ palette = 'default', children }: { palette?: ChartPalette; children: React.ReactNode }) {
+  return <ChartPaletteContext.Provider value={palette}>{children}</ChartPaletteContext.Provider>;
+}
+
+/**
+ * The resolved chart theme. The first render uses the token constants so
+ * it matches the server HTML; after mount the theme is read from the
+ * computed custom properties and re-read when the root element's class,
+ * style or data-theme changes, or the system color scheme does.
+ */
+export function useChartTheme(): ChartTheme {
+  const palette = useContext(ChartPaletteContext);
+  const [theme, setTheme] = useState(() => resolveChartTheme(palette, null));
+
+  useEffect(() => {
+    const update = () => setTheme(resolveChartTheme(palette));
+    update();
+
+    const observer = new MutationObserver(update);
+    observer.observe(document.documentElement, { attributes: true, attributeFilter: ['class', 'style', 'data-theme'] });
+    const colorScheme = window.matchMedia('(prefers-color-scheme: dark)');
+    colorScheme.addEventListener('change', update);
+
+    return () => {
+      observer.disconnect();
+      colorScheme.removeEventListener('change', update);
+    };
+  }, [palette]);
+
+  return theme;
+}
+
+interface ChartTooltipProps extends TooltipProps<ValueType, NameType> {
+  format?: NumberFormatter;
+}
+
+/**
+ * Shared tooltip content; pass as <Tooltip content={<ChartTooltip />} />
+ */
+export function ChartTooltip({ active, payload, label, format }: ChartTooltipProps) {
+  if (!active || !payload?.length) {
+    return null;
+  }
+  return (
+    <div className="ds-chart-tooltip">
+      <p className="ds-chart-tooltip-label">{label}</p>
+      <ul className="ds-chart-tooltip-list">
+        {payload.map(entry => (
+          <li key={String(entry.dataKey)} className="ds-chart-tooltip-item">
+            <span className="ds-chart-tooltip-swatch" style={{ background: entry.color }} aria-hidden="true" />
+            {entry.name}:{' '}
+            <strong>{typeof entry.value === 'number' && format ? format(entry.value) : entry.value}</strong>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export interface ThemedSeries {
+  dataKey: string;
+  name?: string;
+  /** A chart-color-N token keeps its slot when the palette changes */
+  color?: TokenName;
+  dashed?: boolean;
+}
+
+export interface ThemedChartProps {
+  data: object[];
+  xKey: string;
+  series: ThemedSeries[];
+  /** Formats the y-axis ticks and tooltip values */
+  yFormat?: AxisFormat;
+  yDomain?: AxisDomain;
+  /** Defaults to true when there is more than one series */
+  legend?: boolean;
+}
+
+/**
+ * Grid, axes, tooltip and legend shared by every themed chart; recharts
+ * picks them out of the fragment by type
+ */
+function chartFurniture(theme: ChartTheme, { xKey, series, yFormat, yDomain, legend }: ThemedChartProps, cursor: object) {
+  const format = yFormat ? AXIS_FORMATS[yFormat] : undefined;
+  const tick = { fontSize: theme.fontSize.axis, fill: theme.mutedText };
+  return (
+    <>
+      <CartesianGrid strokeDasharray="3 3" stroke={theme.grid} />
+      <XAxis dataKey={xKey} tick={tick} stroke={theme.grid} />
+      <YAxis domain={yDomain ?? ['auto', 'auto']} tick={tick} stroke={theme.grid} tickFormatter={format} />
+      <Tooltip content={<ChartTooltip format={format} />} cursor={cursor} />
+      {(legend ?? series.length > 1) && (
+        <Legend wrapperStyle={{ fontSize: theme.fontSize.legend, color: theme.mutedText }} />
+      )}
+    </>
+  );
+}
+
+export function ThemedLineChart(props: ThemedChartProps) {
+  const theme = useChartTheme();
+  return (
+    <ResponsiveContainer width="100%" height="100%">
+      <LineChart data={props.data}>
+        {chartFurniture(theme, props, { stroke: theme.grid })}
+        {props.series.map((series, index) => (
+          <Line
+            key={series.dataKey}
+            type="monotone"
+            dataKey={series.dataKey}
+            name={series.name ?? series.dataKey}
+            stroke={seriesColor(theme, index, series.color)}
+            strokeWidth={2}
+            strokeDasharray={seriesDash(theme, index, series.dashed)}
+            dot={false}
+            connectNulls
+          />
+        ))}
+      </LineChart>
+    </ResponsiveContainer>
+  );
+}
+
+export function ThemedAreaChart(props: ThemedChartProps) {
+  const theme = useChartTheme();
+  // useId output contains characters that are not valid in url(#...)
+  const gradientPrefix = `gradient-${useId().replace(/[^\w-]/g, '')}`;
+  return (
+    <ResponsiveContainer width="100%" height="100%">
+      <AreaChart data={props.data}>
+        <defs>
+          {props.series.map((series, index) => (
+            <linearGradient key={series.dataKey} id={`${gradientPrefix}-${index}`} x1="0" y1="0" x2="0" y2="1">
+              <stop offset="5%" stopColor={seriesColor(theme, index, series.color)} stopOpacity={0.3} />
+              <stop offset="95%" stopColor={seriesColor(theme, index, series.color)} stopOpacity={0} />
+            </linearGradient>
+          ))}
+        </defs>
+        {chartFurniture(theme, props, { stroke: theme.grid })}
+        {props.series.map((series, index) => (
+          <Area
+            key={series.dataKey}
+            type="monotone"
+            dataKey={series.dataKey}
+            name={series.name ?? series.dataKey}
+            stroke={seriesColor(theme, index, series.color)}
+            strokeDasharray={seriesDash(theme, index, series.dashed)}
+            fill={`url(#${gradientPrefix}-${index})`}
+            connectNulls
+          />
+        ))}
+      </AreaChart>
+    </ResponsiveContainer>
+  );
+}
+
+export function ThemedBarChart(props: ThemedChartProps) {
+  const theme = useChartTheme();
+  return (
+    <ResponsiveContainer width="100%" height="100%">
+      <BarChart data={props.data}>
+        {chartFurniture(theme, props, { fill: theme.grid, fillOpacity: 0.5 })}
+        {props.series.map((series, index) => (
+          <Bar
+            key={series.dataKey}
+            dataKey={series.dataKey}
+            name={series.name ?? series.dataKey}
+            fill={seriesColor(theme, index, series.color)}
+          />
+        ))}
+      </BarChart>
+    </ResponsiveContainer>
+  );
+}
+
+/**
+ * USAGE EXAMPLE:
+ *
+ * import ChartPanel from './components/ChartPanel';
+ * import { ThemedLineChart, ThemedBarChart, ChartThemeProvider } from './components/ThemedCharts';
+ *
+ * <ChartThemeProvider palette={colorblind ? 'colorblind' : 'default'}>
+ *   <ChartPanel title="Headline Inflation Rate" source="FRED">
+ *     <ThemedLineChart
+ *       data={inflation}
+ *       xKey="month"
+ *       yFormat="percent"
+ *       series={[{ dataKey: 'value', name: 'Headline' }, { dataKey: 'core', name: 'Core' }]}
+ *     />
+ *   </ChartPanel>
+ *   <ChartPanel title="Nonfarm Payrolls" source="FRED">
+ *     <ThemedBarChart data={employment} xKey="month" yFormat="compact" series={[{ dataKey: 'payrolls' }]} />
+ *   </ChartPanel>
+ * </ChartThemeProvider>
+ *
+ * FEATURES:
+ * ✅ Colors, grid, text and font sizes resolved from the design tokens at runtime
+ * ✅ Re-themes when the root element's class/style/data-theme or the system color scheme changes
+ * ✅ Shared ChartTooltip styled with .ds-chart-tooltip
+ * ✅ Axis formats: percent, index, currency, compact thousands (lib/chart-theme.ts)
+ * ✅ Color-blind-safe palette (Okabe-Ito) with dash patterns for line and area series
+ * ✅ Each wrapper includes its ResponsiveContainer, so it drops straight into ChartPanel
+ *
+ * DEPENDENCIES REQUIRED:
+ * - recharts: npm install recharts
+ * - CSS classes: .ds-chart-tooltip, .ds-chart-tooltip-label, .ds-chart-tooltip-list,
+ *   .ds-chart-tooltip-item, .ds-chart-tooltip-swatch
+ */
@@ -7,7 +7,7 @@
  * Features Demonstrated:
  * ✅ Complete dashboard layout with functional navigation
  * ✅ 2x2 grid layout that works (CSS-based, not broken Tailwind)
- * ✅ All chart types with proper styling
+ * ✅ All chart types themed from design tokens (components/ThemedCharts.tsx)
  * ✅ Navigation state management with section switching
  * ✅ Loading states and error handling
  * ✅ Responsive design
@@ -23,20 +23,7 @@
 import React, { useState, useEffect } from 'react';
 import DashboardLayout from '../components/DashboardLayout';
 import ChartPanel from '../components/ChartPanel';
-import { 
-  LineChart, 
-  AreaChart, 
-  BarChart,
-  Line, 
-  Area, 
-  Bar,
-  XAxis, 
-  YAxis, 
-  CartesianGrid, 
-  Tooltip, 
-  ResponsiveContainer,
-  Legend
-} from 'recharts';
+import { ThemedAreaChart, ThemedBarChart, ThemedLineChart } from '../components/ThemedCharts';
 
 // Sample data for different economic indicators
 const economicData = {
@@ -120,29 +107,15 @@ export default function CompleteDashboardExample() {
   const currentData = economicData[selectedSection] || [];
   const isLoading = loading[selectedSection];
 
-  // Loading component
-  const LoadingSpinner = () => (
-    <div className="flex items-center justify-center h-full">
-      <div className="text-text-tertiary">Loading {selectedSection} data...</div>
-    </div>
-  );
-
-  // Error component
-  const ErrorDisplay = ({ message }: { message: string }) => (
-    <div className="flex items-center justify-center h-full">
-      <div className="text-red-500">Error: {message}</div>
-    </div>
-  );
-
   // Render charts based on selected section
   const renderCharts = () => {
     if (isLoading) {
       return (
         <>
-          <ChartPanel title="Loading..." source="FRED"><LoadingSpinner /></ChartPanel>
-          <ChartPanel title="Loading..." source="FRED"><LoadingSpinner /></ChartPanel>
-          <ChartPanel title="Loading..." source="FRED"><LoadingSpinner /></ChartPanel>
-          <ChartPanel title="Loading..." source="FRED"><LoadingSpinner /></ChartPanel>
+          <ChartPanel title="Loading..." source="FRED" status="loading" />
+          <ChartPanel title="Loading..." source="FRED" status="loading" />
+          <ChartPanel title="Loading..." source="FRED" status="loading" />
+          <ChartPanel title="Loading..." source="FRED" status="loading" />
         </>
       );
     }
@@ -150,10 +123,10 @@ export default function CompleteDashboardExample() {
     if (error) {
       return (
         <>
-          <ChartPanel title="Error" source="FRED"><ErrorDisplay message={error} /></ChartPanel>
-          <ChartPanel title="Error" source="FRED"><ErrorDisplay message={error} /></ChartPanel>
-          <ChartPanel title="Error" source="FRED"><ErrorDisplay message={error} /></ChartPanel>
-          <ChartPanel title="Error" source="FRED"><ErrorDisplay message={error} /></ChartPanel>
+          <ChartPanel title="Error" source="FRED" status="error" error={error} />
+          <ChartPanel title="Error" source="FRED" status="error" error={error} />
+          <ChartPanel title="Error" source="FRED" status="error" error={error} />
+          <ChartPanel title="Error" source="FRED" status="error" error={error} />
         </>
       );
     }
@@ -163,57 +136,23 @@ export default function CompleteDashboardExample() {
         return (
           <>
             <ChartPanel title="CPI - Consumer Price Index" source="FRED">
-              <ResponsiveContainer width="100%" height="100%">
-                <LineChart data={currentData}>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#E2E8F0" />
-                  <XAxis dataKey="month" tick={{ fontSize: 11, fill: '#64748B' }} />
-                  <YAxis domain={[295, 310]} tick={{ fontSize: 11, fill: '#64748B' }} />
-                  <Tooltip contentStyle={{ backgroundColor: '#fff', border: '1px solid #E2E8F0' }} />
-                  <Line type="monotone" dataKey="cpi" stroke="#0F52BA" strokeWidth={2} dot={false} />
-                </LineChart>
-              </ResponsiveContainer>
+              <ThemedLineChart data={currentData} xKey="month" yDomain={[295, 310]} yFormat="index"
+                series={[{ dataKey: 'cpi', name: 'CPI', color: 'chart-color-1' }]} />
             </ChartPanel>
 
             <ChartPanel title="Unemployment Rate" source="FRED">
-              <ResponsiveContainer width="100%" height="100%">
-                <AreaChart data={currentData}>
-                  <defs>
-                    <linearGradient id="colorUnemployment" x1="0" y1="0" x2="0" y2="1">
-                      <stop offset="5%" stopColor="#7C3AED" stopOpacity={0.3}/>
-                      <stop offset="95%" stopColor="#7C3AED" stopOpacity={0}/>
-                    </linearGradient>
-                  </defs>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#E2E8F0" />
-                  <XAxis dataKey="month" tick={{ fontSize: 11, fill: '#64748B' }} />
-                  <YAxis domain={[3.0, 4.0]} tick={{ fontSize: 11, fill: '#64748B' }} />
-                  <Tooltip contentStyle={{ backgroundColor: '#fff', border: '1px solid #E2E8F0' }} />
-                  <Area type="monotone" dataKey="unemployment" stroke="#7C3AED" fill="url(#colorUnemployment)" />
-                </AreaChart>
-              </ResponsiveContainer>
+              <ThemedAreaChart data={currentData} xKey="month" yDomain={[3.0, 4.0]} yFormat="percent"
+                series={[{ dataKey: 'unemployment', name: 'Unemployment', color: 'chart-color-2' }]} />
             </ChartPanel>
 
             <ChartPanel title="Federal Funds Rate" source="FRED">
-              <ResponsiveContainer width="100%" height="100%">
-                <LineChart data={currentData}>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#E2E8F0" />
-                  <XAxis dataKey="month" tick={{ fontSize: 11, fill: '#64748B' }} />
-                  <YAxis domain={[4, 6]} tick={{ fontSize: 11, fill: '#64748B' }} />
-                  <Tooltip contentStyle={{ backgroundColor: '#fff', border: '1px solid #E2E8F0' }} />
-                  <Line type="monotone" dataKey="interestRate" stroke="#10B981" strokeWidth={2} dot={false} />
-                </LineChart>
-              </ResponsiveContainer>
+              <ThemedLineChart data={currentData} xKey="month" yDomain={[4, 6]} yFormat="percent"
+                series={[{ dataKey: 'interestRate', name: 'Fed Funds', color: 'chart-color-3' }]} />
             </ChartPanel>
 
             <ChartPanel title="GDP Growth Rate" source="FRED">
-              <ResponsiveContainer width="100%" height="100%">
-                <BarChart data={currentData}>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#E2E8F0" />
-                  <XAxis dataKey="month" tick={{ fontSize: 11, fill: '#64748B' }} />
-                  <YAxis domain={[1.5, 2.5]} tick={{ fontSize: 11, fill: '#64748B' }} />
-                  <Tooltip contentStyle={{ backgroundColor: '#fff', border: '1px solid #E2E8F0' }} />
-                  <Bar dataKey="gdp" fill="#F59E0B" />
-                </BarChart>
-              </ResponsiveContainer>
+              <ThemedBarChart data={currentData} xKey="month" yDomain={[1.5, 2.5]} yFormat="percent"
+                series={[{ dataKey: 'gdp', name: 'GDP', color: 'chart-color-4' }]} />
             </ChartPanel>
           </>
         );
@@ -222,61 +161,23 @@ export default function CompleteDashboardExample() {
         return (
           <>
             <ChartPanel title="Headline Inflation Rate" source="FRED">
-              <ResponsiveContainer width="100%" height="100%">
-                <LineChart data={currentData}>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#E2E8F0" />
-                  <XAxis dataKey="month" tick={{ fontSize: 11, fill: '#64748B' }} />
-                  <YAxis domain={[2.5, 7]} tick={{ fontSize: 11, fill: '#64748B' }} />
-                  <Tooltip contentStyle={{ backgroundColor: '#fff', border: '1px solid #E2E8F0' }} />
-                  <Line type="monotone" dataKey="value" stroke="#0F52BA" strokeWidth={2} name="Headline" />
-                  <Line type="monotone" dataKey="core" stroke="#7C3AED" strokeWidth={2} name="Core" />
-                  <Legend />
-                </LineChart>
-              </ResponsiveContainer>
+              <ThemedLineChart data={currentData} xKey="month" yDomain={[2.5, 7]} yFormat="percent"
+                series={[{ dataKey: 'value', name: 'Headline' }, { dataKey: 'core', name: 'Core' }]} />
             </ChartPanel>
 
             <ChartPanel title="Inflation Trend" source="FRED">
-              <ResponsiveContainer width="100%" height="100%">
-                <AreaChart data={currentData}>
-                  <defs>
-                    <linearGradient id="colorInflation" x1="0" y1="0" x2="0" y2="1">
-                      <stop offset="5%" stopColor="#0F52BA" stopOpacity={0.3}/>
-                      <stop offset="95%" stopColor="#0F52BA" stopOpacity={0}/>
-                    </linearGradient>
-                  </defs>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#E2E8F0" />
-                  <XAxis dataKey="month" tick={{ fontSize: 11, fill: '#64748B' }} />
-                  <YAxis domain={[2.5, 7]} tick={{ fontSize: 11, fill: '#64748B' }} />
-                  <Tooltip contentStyle={{ backgroundColor: '#fff', border: '1px solid #E2E8F0' }} />
-                  <Area type="monotone" dataKey="value" stroke="#0F52BA" fill="url(#colorInflation)" />
-                </AreaChart>
-              </ResponsiveContainer>
+              <ThemedAreaChart data={currentData} xKey="month" yDomain={[2.5, 7]} yFormat="percent"
+                series={[{ dataKey: 'value', name: 'Headline' }]} />
             </ChartPanel>
 
             <ChartPanel title="Core vs Headline Comparison" source="FRED">
-              <ResponsiveContainer width="100%" height="100%">
-                <BarChart data={currentData}>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#E2E8F0" />
-                  <XAxis dataKey="month" tick={{ fontSize: 11, fill: '#64748B' }} />
-                  <YAxis domain={[2.5, 7]} tick={{ fontSize: 11, fill: '#64748B' }} />
-                  <Tooltip contentStyle={{ backgroundColor: '#fff', border: '1px solid #E2E8F0' }} />
-                  <Bar dataKey="value" fill="#0F52BA" name="Headline" />
-                  <Bar dataKey="core" fill="#7C3AED" name="Core" />
-                  <Legend />
-                </BarChart>
-              </ResponsiveContainer>
+              <ThemedBarChart data={currentData} xKey="month" yDomain={[2.5, 7]} yFormat="percent"
+                series={[{ dataKey: 'value', name: 'Headline' }, { dataKey: 'core', name: 'Core' }]} />
             </ChartPanel>
 
             <ChartPanel title="Inflation Volatility" source="FRED">
-              <ResponsiveContainer width="100%" height="100%">
-                <LineChart data={currentData}>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#E2E8F0" />
-                  <XAxis dataKey="month" tick={{ fontSize: 11, fill: '#64748B' }} />
-                  <YAxis domain={[2.5, 7]} tick={{ fontSize: 11, fill: '#64748B' }} />
-                  <Tooltip contentStyle={{ backgroundColor: '#fff', border: '1px solid #E2E8F0' }} />
-                  <Line type="monotone" dataKey="value" stroke="#10B981" strokeWidth={2} strokeDasharray="5 5" />
-                </LineChart>
-              </ResponsiveContainer>
+              <ThemedLineChart data={currentData} xKey="month" yDomain={[2.5, 7]} yFormat="percent"
+                series={[{ dataKey: 'value', name: 'Headline', color: 'chart-color-3', dashed: true }]} />
             </ChartPanel>
           </>
         );
@@ -347,7 +248,7 @@ export default function CompleteDashboardExample() {
  * ✅ Console logging for debugging
  * 
  * CUSTOMIZATION POINTS:
- * - economicData: Replace with your API data
+ * - economicData: Replace with your API data (see examples/live-series-example.tsx)
  * - Chart configurations: Adjust colors, domains, formatting
  * - Loading states: Customize loading UI
  * - Error handling: Add retry mechanisms
@@ -0,0 +1,100 @@
+/**
+ * Live Series Example
+ *
+ * Loads real FRED series through the data-provider layer instead of the
+ * static economicData object in complete-dashboard-example.tsx.
+ *
+ * Features Demonstrated:
+ * ✅ Series served by the cached /api/series route (FRED adapter on the server)
+ * ✅ useSeries hook with loading, error and stale states
+ * ✅ Works offline against the fixture server (npm run fixtures:fred)
+ * ✅ ChartPanel loading/error/empty states with Retry
+ * ✅ Per-panel date range, CSV/PNG download and expand toggle
+ * ✅ Data table view, screen reader summary and arrow-key point stepping
+ *
+ * Dependencies Required:
+ * - recharts: npm install recharts
+ */
+
+'use client';
+
+import React, { useMemo, useState } from 'react';
+import ChartPanel, { type ChartPanelStatus } from '../components/ChartPanel';
+import { ThemedLineChart } from '../components/ThemedCharts';
+import { createApiProvider } from '../lib/data/api';
+import { useSeries } from '../lib/data/use-series';
+import type { AxisFormat } from '../lib/chart-theme';
+import type { DateRange } from '../lib/forms';
+
+// Created once at module scope so useSeries does not refetch on every render.
+// Requests go to app/api/series/[id], which holds the FRED key and caches responses.
+const provider = createApiProvider();
+
+interface SeriesChartProps {
+  seriesId: string;
+  title: string;
+  start?: string;
+  yFormat?: AxisFormat;
+}
+
+function SeriesChart({ seriesId, title, start = '2022-01-01', yFormat }: SeriesChartProps) {
+  const [range, setRange] = useState<DateRange>({ start, end: '' });
+  const { data, error, isLoading, isStale, refetch } = useSeries(provider, seriesId, range);
+  const observations = data?.observations ?? [];
+  const series = useMemo(() => [{ dataKey: 'value', name: seriesId }], [seriesId]);
+
+  // Keep showing stale data instead of the skeleton or error while reloading
+  const status: ChartPanelStatus = !data
+    ? (error ? 'error' : isLoading ? 'loading' : 'empty')
+    : observations.length === 0 ? 'empty' : 'ready';
+
+  // Stale: the chart still shows the previous data while reloading or after a failed refresh
+  const source = isStale ? (error ? 'FRED (showing last loaded data)' : 'FRED (updating...)') : 'FRED';
+
+  return (
+    <ChartPanel
+      title={title}
+      source={source}
+      status={status}
+      error={error}
+      onRetry={refetch}
+      dateRange={range}
+      onDateRangeChange={setRange}
+      data={observations}
+      xKey="date"
+      series={series}
+      valueFormat={yFormat}
+      exportPng
+      expandable
+    >
+      <ThemedLineChart data={observations} xKey="date" yFormat={yFormat} series={series} />
+    </ChartPanel>
+  );
+}
+
+export default function LiveSeriesExample() {
+  return (
+    <div className="ds-dashboard-grid">
+      <SeriesChart seriesId="CPIAUCSL" title="CPI - Consumer Price Index" yFormat="index" />
+      <SeriesChart seriesId="UNRATE" title="Unemployment Rate" yFormat="percent" />
+      <SeriesChart seriesId="FEDFUNDS" title="Federal Funds Rate" yFormat="percent" />
+      <SeriesChart seriesId="DGS10" title="10-Year Treasury Yield" start="2023-06-01" yFormat="percent" />
+    </div>
+  );
+}
+
+/**
+ * USAGE INSTRUCTIONS:
+ *
+ * 1. Configure the server-side provider in .env.local:
+ *    FRED_API_KEY=your-key
+ *    FRED_API_URL=http://localhost:8787/fred   (only for the offline fixture server)
+ * 2. For offline work, start the fixture server: npm run fixtures:fred
+ * 3. Render <LiveSeriesExample /> in a page
+ *
+ * CUSTOMIZATION POINTS:
+ * - provider: any object implementing DataProvider (lib/data/provider.ts)
+ * - useSeries query: { start, end, frequency } - e.g. frequency: 'q' for quarterly averages
+ * - Stale handling: isStale is true while old data is still on screen
+ * - Toolbar: drop dateRange/onDateRangeChange, data, exportPng or expandable to hide a control
+ */
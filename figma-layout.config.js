@@ -17,7 +17,8 @@ module.exports = {
   
   // Layout Expectations
   expectedPattern: "2x2-grid", // Expected layout pattern - see docs for options
-  tolerance: 0.1, // Tolerance for positioning differences (0.0-1.0)
+  tolerance: 0.1, // Per-element geometry tolerance: 0.1 = 10% of the expected size, or "8px" for pixels
+  matchBy: "position", // Pair Figma frames with rendered elements by "position" (reading order) or "name"
   
   // Debug Options
   debug: false, // Set to true for detailed debugging information
@@ -28,6 +29,38 @@ module.exports = {
     height: 900
   },
   
+  // Breakpoints (optional) - each is verified in the same browser session.
+  // Each entry overrides viewport, figmaNodeId and expectedPattern above.
+  // The design system collapses .ds-dashboard-grid to one column at 1280px and below.
+  breakpoints: [
+    // { name: "desktop", viewport: { width: 1440, height: 900 }, figmaNodeId: "22:21", expectedPattern: "2x2-grid" },
+    // { name: "tablet", viewport: { width: 768, height: 1024 }, figmaNodeId: "22:40", expectedPattern: "1x4-vertical" },
+    // { name: "mobile", viewport: { width: 375, height: 812 }, figmaNodeId: "22:60", expectedPattern: "1x4-vertical" },
+  ],
+  
+  // Comparison Targets (optional) - check several pages in one run.
+  // Each target's route is resolved against baseUrl (defaults to playwrightUrl).
+  // Targets are checked at `viewport` unless they list their own breakpoints.
+  baseUrl: "http://localhost:3000",
+  targets: [
+    // { name: "dashboard", route: "/", figmaNodeId: "22:21", selector: ".ds-panel", expectedPattern: "2x2-grid" },
+    // { name: "settings", route: "/settings", figmaNodeId: "30:1", selector: ".ds-panel", expectedPattern: "1x1-single" },
+    // { name: "detail", route: "/detail/cpi", figmaNodeId: "31:1", selector: ".ds-panel", expectedPattern: "rows-1-2", tolerance: "8px" },
+  ],
+  concurrency: 1, // Number of targets checked in parallel pages
+  
+  // Visual Diff (optional) - pixel comparison against a PNG export of the Figma frame.
+  // Runs with --visual, or always when enabled is true. baseline can also be set
+  // per target or per breakpoint.
+  visual: {
+    enabled: false,
+    baseline: null, // e.g. "figma/exports/dashboard-1440.png" (export the frame at 1x)
+    selector: ".ds-dashboard-grid", // Region to screenshot (whole viewport when null)
+    threshold: 0.1, // Per-pixel color distance treated as equal (0.0-1.0)
+    includeAntiAliasing: false, // Count anti-aliased edge pixels as differences
+    maxDiffRatio: 0.01, // Fail when more than 1% of pixels differ
+  },
+  
   // Timeout Configuration (optional)
   timeout: 10000, // Timeout in milliseconds for element detection
 };
@@ -43,15 +76,16 @@ module.exports = {
  *    - Common selectors: ".chart-panel", ".ds-panel", ".card", ".widget"
  * 
  * 3. Set expectedPattern based on your design:
- *    - "2x2-grid": Four elements in 2 columns, 2 rows
- *    - "1x4-vertical": Four elements stacked vertically  
- *    - "4x1-horizontal": Four elements in single row
+ *    - "<columns>x<rows>-grid": e.g. "2x2-grid", "3x2-grid", "3x3-grid", "2x4-grid"
+ *    - "1x<n>-vertical": n elements stacked vertically (e.g. "1x4-vertical")
+ *    - "<n>x1-horizontal": n elements in single row (e.g. "4x1-horizontal")
+ *    - "rows-<n>-<n>...": Uneven rows, e.g. "rows-3-2" (3 panels, then 2)
  *    - "scattered": Custom positioning
  * 
  * 4. Test with: npm run verify-layout
  * 
  * COMMON PATTERNS:
- * - Dashboard layouts: "2x2-grid"
+ * - Dashboard layouts: "2x2-grid", "3x2-grid"
  * - Mobile layouts: "1x4-vertical"
  * - Toolbar layouts: "4x1-horizontal"
  * - Landing pages: "scattered"
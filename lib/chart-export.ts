@@ -0,0 +1,89 @@
+/**
+ * Browser helpers behind ChartPanel's "Download CSV" and "Download PNG" actions
+ */
+
+/** Any plain row object, e.g. chart data rows or series observations */
+export type ExportRow = object;
+
+function csvCell(value: unknown): string {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * RFC 4180 CSV; columns default to every key in the rows, in first-seen order
+ */
+export function toCsv(rows: ExportRow[], columns?: string[]): string {
+  const header = columns ?? [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const lines = [header, ...rows.map(row => header.map(column => (row as Record<string, unknown>)[column]))];
+  return lines.map(line => line.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * "CPI - Consumer Price Index" → "cpi-consumer-price-index"
+ */
+export function exportFileName(title: string, extension: string): string {
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'chart';
+  return `${slug}.${extension}`;
+}
+
+export function downloadBlob(blob: Blob, fileName: string): void {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke after the click has been handled
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Rasterize a rendered chart SVG to PNG. Computed fill/stroke/font values
+ * are inlined first, since the standalone image cannot see page styles.
+ */
+export async function svgToPngBlob(svg: SVGSVGElement, { scale = 2, background = '#FFFFFF' } = {}): Promise<Blob> {
+  const { width, height } = svg.getBoundingClientRect();
+  const clone = svg.cloneNode(true) as SVGSVGElement;
+  const sourceNodes = [svg, ...svg.querySelectorAll('*')];
+  const cloneNodes = [clone, ...clone.querySelectorAll('*')];
+  sourceNodes.forEach((node, index) => {
+    const computed = getComputedStyle(node);
+    const target = cloneNodes[index] as SVGElement;
+    ['fill', 'stroke', 'stroke-width', 'stroke-dasharray', 'opacity', 'font-family', 'font-size', 'font-weight'].forEach(property => {
+      target.style.setProperty(property, computed.getPropertyValue(property));
+    });
+  });
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  clone.setAttribute('width', String(width));
+  clone.setAttribute('height', String(height));
+
+  const svgUrl = URL.createObjectURL(new Blob([new XMLSerializer().serializeToString(clone)], { type: 'image/svg+xml' }));
+  try {
+    const image = new Image();
+    await new Promise<void>((resolve, reject) => {
+      image.onload = () => resolve();
+      image.onerror = () => reject(new Error('The chart could not be rendered as an image'));
+      image.src = svgUrl;
+    });
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(width * scale);
+    canvas.height = Math.ceil(height * scale);
+    const context = canvas.getContext('2d');
+    if (!context) {
+      throw new Error('Canvas is not available');
+    }
+    context.fillStyle = background;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.scale(scale, scale);
+    context.drawImage(image, 0, 0, width, height);
+
+    return await new Promise<Blob>((resolve, reject) => {
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+    });
+  } finally {
+    URL.revokeObjectURL(svgUrl);
+  }
+}
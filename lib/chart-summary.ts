@@ -0,0 +1,134 @@
+import { AXIS_FORMATS, formatIndex, type AxisFormat } from './chart-theme';
+import type { ExportRow } from './chart-export';
+
+/**
+ * Text views of chart data for ChartPanel: the data table, the summary
+ * referenced by aria-describedby and the keyboard point announcements.
+ */
+
+/** The part of a chart series the text views need (ThemedSeries and ChartSeries fit) */
+export interface SummarySeries {
+  dataKey: string;
+  name?: string;
+}
+
+export interface ChartColumns {
+  xKey: string;
+  series: SummarySeries[];
+}
+
+export interface DataPoint {
+  label: string;
+  value: number;
+}
+
+export interface SeriesSummary {
+  name: string;
+  first: DataPoint;
+  latest: DataPoint;
+  min: DataPoint;
+  max: DataPoint;
+  /** latest - first */
+  change: number;
+  /** Points with a value */
+  count: number;
+}
+
+const field = (row: ExportRow, key: string) => (row as Record<string, unknown>)[key];
+
+/** A finite number, or null for gaps (e.g. FRED observations without a value) */
+export function pointValue(row: ExportRow, dataKey: string): number | null {
+  const value = field(row, dataKey);
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+export function pointLabel(row: ExportRow, xKey: string): string {
+  return String(field(row, xKey) ?? '');
+}
+
+export const seriesName = (series: SummarySeries) => series.name ?? series.dataKey;
+
+/**
+ * Columns when the panel doesn't name them: the first column is the x
+ * axis, the numeric ones after it are series
+ */
+export function inferChartColumns(rows: ExportRow[], columns?: string[]): ChartColumns {
+  const keys = columns ?? [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const [xKey = '', ...rest] = keys;
+  return {
+    xKey,
+    series: rest
+      .filter(dataKey => rows.some(row => pointValue(row, dataKey) !== null))
+      .map(dataKey => ({ dataKey }))
+  };
+}
+
+export function summarizeSeries(rows: ExportRow[], xKey: string, series: SummarySeries): SeriesSummary | null {
+  const points = rows
+    .map(row => ({ label: pointLabel(row, xKey), value: pointValue(row, series.dataKey) }))
+    .filter((point): point is DataPoint => point.value !== null);
+  if (points.length === 0) {
+    return null;
+  }
+
+  const first = points[0];
+  const latest = points[points.length - 1];
+  return {
+    name: seriesName(series),
+    first,
+    latest,
+    min: points.reduce((min, point) => (point.value < min.value ? point : min)),
+    max: points.reduce((max, point) => (point.value > max.value ? point : max)),
+    change: latest.value - first.value,
+    count: points.length
+  };
+}
+
+export function formatValue(value: number | null, format?: AxisFormat): string {
+  if (value === null) {
+    return 'no data';
+  }
+  return format ? AXIS_FORMATS[format](value) : formatIndex(value);
+}
+
+/** "up 0.3 percentage points", "down $0.04", "unchanged" */
+export function describeChange(change: number, format?: AxisFormat): string {
+  if (change === 0) {
+    return 'unchanged';
+  }
+  const amount = format === 'percent'
+    ? `${formatIndex(Math.abs(change))} percentage points`
+    : formatValue(Math.abs(change), format);
+  return `${change > 0 ? 'up' : 'down'} ${amount}`;
+}
+
+/**
+ * "Headline: latest 3.4% (Dec 23), up 0.3 percentage points since Jan 23;
+ * low 3.1% (Jun 23), high 3.7% (Mar 23)."
+ */
+export function describeSummary(summary: SeriesSummary, format?: AxisFormat): string {
+  const value = (point: DataPoint) => `${formatValue(point.value, format)} (${point.label})`;
+  if (summary.count === 1) {
+    return `${summary.name}: ${value(summary.latest)}.`;
+  }
+  return `${summary.name}: latest ${value(summary.latest)}, ${describeChange(summary.change, format)} since ${summary.first.label}; ` +
+    `low ${value(summary.min)}, high ${value(summary.max)}.`;
+}
+
+/**
+ * One sentence per series, for aria-describedby
+ */
+export function describeChartData(rows: ExportRow[], { xKey, series }: ChartColumns, format?: AxisFormat): string {
+  return series
+    .map(item => summarizeSeries(rows, xKey, item))
+    .filter((summary): summary is SeriesSummary => summary !== null)
+    .map(summary => describeSummary(summary, format))
+    .join(' ');
+}
+
+/** "Mar 23: Headline 3.7%, Core 3.1%. Point 3 of 12." */
+export function describePoint(rows: ExportRow[], index: number, { xKey, series }: ChartColumns, format?: AxisFormat): string {
+  const row = rows[index];
+  const values = series.map(item => `${seriesName(item)} ${formatValue(pointValue(row, item.dataKey), format)}`);
+  return `${pointLabel(row, xKey)}: ${values.join(', ')}. Point ${index + 1} of ${rows.length}.`;
+}
@@ -0,0 +1,131 @@
+import { tokens, type TokenName } from './design-tokens';
+
+/**
+ * Chart theme: design tokens resolved for charting libraries, which need
+ * literal colors and sizes rather than CSS classes.
+ *
+ * In the browser the values are read from the computed custom properties,
+ * so stylesheet overrides and the dark theme (<html data-theme="dark">)
+ * reach the charts. On the server the generated token constants are used.
+ */
+
+export type ChartPalette = 'default' | 'colorblind';
+
+export const CHART_PALETTES: Record<ChartPalette, TokenName[]> = {
+  default: ['chart-color-1', 'chart-color-2', 'chart-color-3', 'chart-color-4'],
+  colorblind: ['chart-safe-1', 'chart-safe-2', 'chart-safe-3', 'chart-safe-4']
+};
+
+/**
+ * Line dash patterns for the color-blind palette, so series differ by more
+ * than color alone (WCAG 1.4.1)
+ */
+const COLORBLIND_DASHES = [undefined, '6 3', '2 2', '8 3 2 3'];
+
+export interface ChartTheme {
+  palette: ChartPalette;
+  /** Series colors in palette order */
+  colors: string[];
+  /** Series dash patterns in palette order (undefined = solid) */
+  dashes: Array<string | undefined>;
+  text: string;
+  mutedText: string;
+  grid: string;
+  background: string;
+  border: string;
+  /** Any other token, resolved the same way as the fields above */
+  token: (name: TokenName) => string;
+  fontSize: {
+    axis: number;
+    legend: number;
+    tooltip: number;
+  };
+}
+
+type TokenReader = (name: TokenName) => string;
+
+const readStaticToken: TokenReader = name => tokens[name];
+
+function computedTokenReader(element: Element): TokenReader {
+  const styles = getComputedStyle(element);
+  return name => styles.getPropertyValue(`--${name}`).trim() || tokens[name];
+}
+
+/**
+ * Resolve the theme from an element's computed custom properties (the root
+ * element by default), or from the token constants when element is null
+ */
+export function resolveChartTheme(
+  palette: ChartPalette = 'default',
+  element: Element | null = typeof document === 'undefined' ? null : document.documentElement
+): ChartTheme {
+  const read = element ? computedTokenReader(element) : readStaticToken;
+  const size = (name: TokenName) => parseFloat(read(name)) || parseFloat(tokens[name]);
+
+  return {
+    palette,
+    colors: CHART_PALETTES[palette].map(read),
+    dashes: palette === 'colorblind' ? COLORBLIND_DASHES : CHART_PALETTES[palette].map(() => undefined),
+    text: read('color-text-primary'),
+    mutedText: read('color-text-tertiary'),
+    grid: read('color-bg-tertiary'),
+    background: read('color-bg-primary'),
+    border: read('color-bg-tertiary'),
+    token: read,
+    fontSize: {
+      axis: size('chart-font-axis'),
+      legend: size('chart-font-legend'),
+      tooltip: size('chart-font-tooltip')
+    }
+  };
+}
+
+/**
+ * Color for the series at an index. An explicit chart-color-N token maps to
+ * slot N of the active palette, so a chart keeps its color order when the
+ * palette changes; other tokens are used as-is in the default palette.
+ */
+export function seriesColor(theme: ChartTheme, index: number, token?: TokenName): string {
+  const slot = token ? CHART_PALETTES.default.indexOf(token) : -1;
+  if (slot !== -1) {
+    return theme.colors[slot];
+  }
+  if (token && theme.palette === 'default') {
+    return theme.token(token);
+  }
+  return theme.colors[index % theme.colors.length];
+}
+
+export function seriesDash(theme: ChartTheme, index: number, dashed = false): string | undefined {
+  return theme.dashes[index % theme.dashes.length] ?? (dashed ? '5 5' : undefined);
+}
+
+// Axis and tooltip formatters
+
+const percentFormat = new Intl.NumberFormat('en-US', { maximumFractionDigits: 1 });
+const indexFormat = new Intl.NumberFormat('en-US', { maximumFractionDigits: 2 });
+const currencyFormat = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 2 });
+const compactFormat = new Intl.NumberFormat('en-US', { notation: 'compact', maximumFractionDigits: 1 });
+
+export type NumberFormatter = (value: number) => string;
+
+/** 3.4 → "3.4%" (values are already percentages, as FRED reports them) */
+export const formatPercent: NumberFormatter = value => `${percentFormat.format(value)}%`;
+
+/** 299.17 → "299.17" */
+export const formatIndex: NumberFormatter = value => indexFormat.format(value);
+
+/** 1.08 → "$1.08" */
+export const formatCurrency: NumberFormatter = value => currencyFormat.format(value);
+
+/** 17920 → "17.9K" */
+export const formatCompact: NumberFormatter = value => compactFormat.format(value);
+
+export const AXIS_FORMATS: Record<'percent' | 'index' | 'currency' | 'compact', NumberFormatter> = {
+  percent: formatPercent,
+  index: formatIndex,
+  currency: formatCurrency,
+  compact: formatCompact
+};
+
+export type AxisFormat = keyof typeof AXIS_FORMATS;
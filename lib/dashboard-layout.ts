@@ -0,0 +1,69 @@
+import { safeStorage } from './safe-storage';
+
+/**
+ * Panel order for DashboardGrid, and its per-section persistence.
+ *
+ * Only the order is saved; spans are part of the panel definition. Saved
+ * layouts live in localStorage, so they are per browser and need no server.
+ */
+
+/** Columns a panel covers in the two-column dashboard grid */
+export type GridColSpan = 1 | 2;
+
+export const LAYOUT_STORAGE_PREFIX = 'fred-dashboard:layout:';
+
+interface StoredLayout {
+  version: 1;
+  order: string[];
+}
+
+/**
+ * Apply a saved order to the current panel ids. Saved ids that no longer
+ * exist are dropped; panels added since the save keep their default order
+ * after the saved ones.
+ */
+export function applySavedOrder(defaultOrder: string[], savedOrder: string[] | null): string[] {
+  if (!savedOrder) {
+    return defaultOrder;
+  }
+  const known = new Set(defaultOrder);
+  const saved = savedOrder.filter((id, index) => known.has(id) && savedOrder.indexOf(id) === index);
+  const savedSet = new Set(saved);
+  return [...saved, ...defaultOrder.filter(id => !savedSet.has(id))];
+}
+
+/**
+ * Move one id to a new index (clamped to the list)
+ */
+export function moveItem(order: string[], id: string, toIndex: number): string[] {
+  const from = order.indexOf(id);
+  if (from === -1) {
+    return order;
+  }
+  const to = Math.max(0, Math.min(order.length - 1, toIndex));
+  if (from === to) {
+    return order;
+  }
+  const next = order.filter(other => other !== id);
+  next.splice(to, 0, id);
+  return next;
+}
+
+export function loadLayout(layoutId: string): string[] | null {
+  try {
+    const stored = JSON.parse(safeStorage.get(LAYOUT_STORAGE_PREFIX + layoutId) ?? 'null') as StoredLayout | null;
+    return stored?.version === 1 && Array.isArray(stored.order) ? stored.order.filter(id => typeof id === 'string') : null;
+  } catch {
+    // A corrupt entry falls back to the default order
+    return null;
+  }
+}
+
+export function saveLayout(layoutId: string, order: string[]): void {
+  const stored: StoredLayout = { version: 1, order };
+  safeStorage.set(LAYOUT_STORAGE_PREFIX + layoutId, JSON.stringify(stored));
+}
+
+export function clearLayout(layoutId: string): void {
+  safeStorage.remove(LAYOUT_STORAGE_PREFIX + layoutId);
+}
@@ -0,0 +1,29 @@
+import { DataProviderError, type DataProvider, type RequestOptions, type Series, type SeriesQuery } from './provider';
+
+/**
+ * Browser-side provider that reads series through app/api/series/[id],
+ * which caches upstream responses and keeps the API key on the server
+ */
+export function createApiProvider({ baseUrl = '/api/series' }: { baseUrl?: string } = {}): DataProvider {
+  return {
+    name: 'api',
+
+    async getSeries(id: string, { start, end, frequency }: SeriesQuery = {}, { signal }: RequestOptions = {}) {
+      const params = new URLSearchParams();
+      if (start) params.set('start', start);
+      if (end) params.set('end', end);
+      if (frequency) params.set('frequency', frequency);
+      const query = params.toString();
+
+      const response = await fetch(`${baseUrl}/${encodeURIComponent(id)}${query ? `?${query}` : ''}`, { signal });
+      const body = await response.json().catch(() => null);
+      if (!response.ok) {
+        throw new DataProviderError(body?.error ?? `Loading ${id} failed with ${response.status}`, {
+          status: response.status,
+          seriesId: id
+        });
+      }
+      return body as Series;
+    }
+  };
+}
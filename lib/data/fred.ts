@@ -0,0 +1,88 @@
+import {
+  DataProviderError,
+  type DataProvider,
+  type Observation,
+  type RequestOptions,
+  type SeriesQuery
+} from './provider';
+
+export const FRED_API_URL = 'https://api.stlouisfed.org/fred';
+
+interface FredProviderOptions {
+  apiKey: string;
+  /** API root; point it at tools/fred-fixture-server.js to work offline */
+  baseUrl?: string;
+  fetch?: typeof fetch;
+}
+
+/** Shape of GET /fred/series/observations?file_type=json */
+interface FredObservationsResponse {
+  units?: string;
+  observations: Array<{ date: string; value: string }>;
+}
+
+interface FredErrorResponse {
+  error_code?: number;
+  error_message?: string;
+}
+
+/**
+ * FRED reports missing values as "."
+ */
+function parseObservation({ date, value }: { date: string; value: string }): Observation {
+  const number = Number(value);
+  return { date, value: value === '.' || Number.isNaN(number) ? null : number };
+}
+
+/**
+ * Adapter for the FRED series/observations endpoint
+ * (https://fred.stlouisfed.org/docs/api/fred/series_observations.html)
+ */
+export function createFredProvider({ apiKey, baseUrl = FRED_API_URL, fetch: fetchImpl = fetch }: FredProviderOptions): DataProvider {
+  const buildUrl = (id: string, { start, end, frequency }: SeriesQuery) => {
+    const url = new URL(`${baseUrl.replace(/\/$/, '')}/series/observations`);
+    url.searchParams.set('series_id', id);
+    url.searchParams.set('api_key', apiKey);
+    url.searchParams.set('file_type', 'json');
+    if (start) url.searchParams.set('observation_start', start);
+    if (end) url.searchParams.set('observation_end', end);
+    if (frequency) url.searchParams.set('frequency', frequency);
+    return url;
+  };
+
+  return {
+    name: 'fred',
+
+    async getSeries(id: string, query: SeriesQuery = {}, { signal }: RequestOptions = {}) {
+      let response: Response;
+      try {
+        response = await fetchImpl(buildUrl(id, query), { signal });
+      } catch (error) {
+        if (signal?.aborted) {
+          throw error;
+        }
+        throw new DataProviderError(`FRED request for ${id} failed: ${(error as Error).message}`, { seriesId: id });
+      }
+
+      const body = await response.json().catch(() => null);
+      if (!response.ok) {
+        const message = (body as FredErrorResponse | null)?.error_message ?? response.statusText;
+        throw new DataProviderError(`FRED returned ${response.status} for ${id}: ${message}`, {
+          status: response.status,
+          seriesId: id
+        });
+      }
+      if (!body || !Array.isArray((body as FredObservationsResponse).observations)) {
+        throw new DataProviderError(`FRED returned an unexpected response for ${id}`, { status: response.status, seriesId: id });
+      }
+
+      const { units, observations } = body as FredObservationsResponse;
+      return {
+        id,
+        units,
+        frequency: query.frequency,
+        observations: observations.map(parseObservation)
+      };
+    }
+  };
+}
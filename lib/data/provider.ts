@@ -0,0 +1,70 @@
+/**
+ * Time-series data provider interface.
+ *
+ * Charts ask a provider for a series by id and date range; adapters map that
+ * onto a concrete API (see fred.ts). Dates are ISO strings (YYYY-MM-DD).
+ */
+
+/** FRED frequency codes: daily, weekly, biweekly, monthly, quarterly, semiannual, annual */
+export type Frequency = 'd' | 'w' | 'bw' | 'm' | 'q' | 'sa' | 'a';
+
+export interface SeriesQuery {
+  start?: string;
+  end?: string;
+  /** Aggregate to a lower frequency than the native one */
+  frequency?: Frequency;
+}
+
+export interface Observation {
+  date: string;
+  /** null where the source has no value for the date */
+  value: number | null;
+}
+
+export interface Series {
+  id: string;
+  units?: string;
+  frequency?: Frequency;
+  observations: Observation[];
+}
+
+export interface RequestOptions {
+  signal?: AbortSignal;
+}
+
+export interface DataProvider {
+  /** Short name for logs and error messages */
+  readonly name: string;
+  getSeries(id: string, query?: SeriesQuery, options?: RequestOptions): Promise<Series>;
+}
+
+/**
+ * Error raised by providers; status is the upstream HTTP status when there was one
+ */
+export class DataProviderError extends Error {
+  readonly status?: number;
+  readonly seriesId?: string;
+
+  constructor(message: string, { status, seriesId }: { status?: number; seriesId?: string } = {}) {
+    super(message);
+    this.name = 'DataProviderError';
+    this.status = status;
+    this.seriesId = seriesId;
+  }
+}
+
+/**
+ * Join several series into recharts rows keyed by date:
+ * [{ date: '2023-01-01', CPIAUCSL: 299.17, UNRATE: 3.4 }, ...]
+ */
+export function toChartRows(series: Series[]): Array<Record<string, string | number | null>> {
+  const rows = new Map<string, Record<string, string | number | null>>();
+  series.forEach(({ id, observations }) => {
+    observations.forEach(({ date, value }) => {
+      const row = rows.get(date) ?? { date };
+      row[id] = value;
+      rows.set(date, row);
+    });
+  });
+  return [...rows.values()].sort((a, b) => String(a.date).localeCompare(String(b.date)));
+}
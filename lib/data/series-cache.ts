@@ -0,0 +1,130 @@
+import { createHash } from 'crypto';
+import type { DataProvider, Frequency, Observation, Series, SeriesQuery } from './provider';
+
+/**
+ * Seconds a cached series stays fresh, by frequency: daily series get new
+ * observations every business day, monthly and slower ones rarely change.
+ */
+export const SERIES_TTL_SECONDS: Record<Frequency, number> = {
+  d: 60 * 60,
+  w: 6 * 60 * 60,
+  bw: 12 * 60 * 60,
+  m: 24 * 60 * 60,
+  q: 7 * 24 * 60 * 60,
+  sa: 7 * 24 * 60 * 60,
+  a: 7 * 24 * 60 * 60
+};
+
+export type CacheStatus = 'hit' | 'miss' | 'coalesced' | 'stale';
+
+export interface CachedSeries {
+  series: Series;
+  etag: string;
+  /** Epoch ms after which the entry is refreshed */
+  expiresAt: number;
+}
+
+export interface CacheResult extends CachedSeries {
+  cache: CacheStatus;
+}
+
+interface SeriesCacheOptions {
+  provider: DataProvider;
+  ttl?: Record<Frequency, number>;
+  /** Oldest entries are dropped beyond this many queries */
+  maxEntries?: number;
+  now?: () => number;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Guess the native frequency from the median gap between observations
+ */
+export function inferFrequency(observations: Observation[]): Frequency {
+  if (observations.length < 2) {
+    return 'm';
+  }
+  const gaps = observations
+    .slice(1)
+    .map((obs, index) => (Date.parse(obs.date) - Date.parse(observations[index].date)) / DAY_MS)
+    .sort((a, b) => a - b);
+  const median = gaps[Math.floor(gaps.length / 2)];
+
+  if (median <= 4) return 'd';
+  if (median <= 8) return 'w';
+  if (median <= 16) return 'bw';
+  if (median <= 31) return 'm';
+  if (median <= 92) return 'q';
+  if (median <= 184) return 'sa';
+  return 'a';
+}
+
+function cacheKey(id: string, { start, end, frequency }: SeriesQuery): string {
+  return [id.toUpperCase(), start ?? '', end ?? '', frequency ?? ''].join('|');
+}
+
+/**
+ * In-memory cache in front of a provider.
+ *
+ * Fresh entries are served without calling the provider; concurrent misses
+ * for the same key share one upstream request; if a refresh fails, the
+ * expired entry is served instead of the error.
+ */
+export function createSeriesCache({ provider, ttl = SERIES_TTL_SECONDS, maxEntries = 500, now = Date.now }: SeriesCacheOptions) {
+  const entries = new Map<string, CachedSeries>();
+  const inflight = new Map<string, Promise<CachedSeries>>();
+
+  const load = async (id: string, query: SeriesQuery): Promise<CachedSeries> => {
+    const series = await provider.getSeries(id, query);
+    const frequency = query.frequency ?? series.frequency ?? inferFrequency(series.observations);
+    const body = JSON.stringify({ ...series, frequency });
+    return {
+      series: { ...series, frequency },
+      etag: `"${createHash('sha1').update(body).digest('base64url')}"`,
+      expiresAt: now() + ttl[frequency] * 1000
+    };
+  };
+
+  return {
+    async get(id: string, query: SeriesQuery = {}): Promise<CacheResult> {
+      const key = cacheKey(id, query);
+      const cached = entries.get(key);
+      if (cached && cached.expiresAt > now()) {
+        return { ...cached, cache: 'hit' };
+      }
+
+      let request = inflight.get(key);
+      const coalesced = request !== undefined;
+      if (!request) {
+        request = load(id, query)
+          .then(fresh => {
+            entries.delete(key);
+            entries.set(key, fresh);
+            if (entries.size > maxEntries) {
+              entries.delete(entries.keys().next().value!);
+            }
+            return fresh;
+          })
+          .finally(() => inflight.delete(key));
+        inflight.set(key, request);
+      }
+
+      try {
+        return { ...(await request), cache: coalesced ? 'coalesced' : 'miss' };
+      } catch (error) {
+        if (cached) {
+          console.warn(`Refreshing ${id} from ${provider.name} failed, serving cached data:`, (error as Error).message);
+          return { ...cached, cache: 'stale' };
+        }
+        throw error;
+      }
+    },
+
+    clear() {
+      entries.clear();
+    }
+  };
+}
+
+export type SeriesCache = ReturnType<typeof createSeriesCache>;
@@ -0,0 +1,28 @@
+import { readSettings } from '../settings-store';
+import { createFredProvider, FRED_API_URL } from './fred';
+import { createSeriesCache, type SeriesCache } from './series-cache';
+
+let cache: { apiKey: string; series: SeriesCache } | null = null;
+
+/**
+ * Process-wide series cache over the FRED provider, configured by:
+ *   FRED_API_KEY  API key; falls back to the key saved in the settings form
+ *   FRED_API_URL  API root, e.g. http://localhost:8787/fred for the fixture server
+ *
+ * A new key (saved settings) starts a fresh cache.
+ */
+export async function getSeriesCache(): Promise<SeriesCache> {
+  const apiKey = process.env.FRED_API_KEY || (await readSettings()).apiKey;
+  if (!apiKey) {
+    throw new Error('No FRED API key: set FRED_API_KEY or save one in the data feed settings');
+  }
+  if (!cache || cache.apiKey !== apiKey) {
+    cache = {
+      apiKey,
+      series: createSeriesCache({
+        provider: createFredProvider({ apiKey, baseUrl: process.env.FRED_API_URL || FRED_API_URL })
+      })
+    };
+  }
+  return cache.series;
+}
@@ -0,0 +1,64 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import type { DataProvider, Series, SeriesQuery } from './provider';
+
+export type SeriesStatus = 'idle' | 'loading' | 'success' | 'error';
+
+export interface SeriesState {
+  status: SeriesStatus;
+  /** Last series loaded; kept while a new query loads or after a failed refresh */
+  data: Series | null;
+  error: Error | null;
+  /** data belongs to an earlier query or refresh, not the current one */
+  isStale: boolean;
+}
+
+export interface UseSeriesResult extends SeriesState {
+  isLoading: boolean;
+  refetch: () => void;
+}
+
+/**
+ * Load a series from a provider and track loading, error and stale states.
+ *
+ * The provider should be created once (module scope or useMemo); a new
+ * provider object on every render refetches on every render. Pass a null
+ * id to skip loading.
+ */
+export function useSeries(provider: DataProvider, id: string | null, query: SeriesQuery = {}): UseSeriesResult {
+  const { start, end, frequency } = query;
+  const [reloadCount, setReloadCount] = useState(0);
+  const [state, setState] = useState<SeriesState>({
+    status: id ? 'loading' : 'idle',
+    data: null,
+    error: null,
+    isStale: false
+  });
+
+  useEffect(() => {
+    if (!id) {
+      setState({ status: 'idle', data: null, error: null, isStale: false });
+      return;
+    }
+
+    const controller = new AbortController();
+    setState(prev => ({ ...prev, status: 'loading', error: null, isStale: prev.data !== null }));
+
+    provider.getSeries(id, { start, end, frequency }, { signal: controller.signal })
+      .then(data => setState({ status: 'success', data, error: null, isStale: false }))
+      .catch((error: Error) => {
+        if (controller.signal.aborted) {
+          return;
+        }
+        console.error(`Loading series ${id} from ${provider.name} failed:`, error);
+        setState(prev => ({ status: 'error', data: prev.data, error, isStale: prev.data !== null }));
+      });
+
+    return () => controller.abort();
+  }, [provider, id, start, end, frequency, reloadCount]);
+
+  const refetch = useCallback(() => setReloadCount(count => count + 1), []);
+
+  return { ...state, isLoading: state.status === 'loading', refetch };
+}
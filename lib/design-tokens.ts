@@ -0,0 +1,91 @@
+/**
+ * Design tokens as typed constants.
+ *
+ * Generated by tools/sync-design-tokens.js from tokens/design-tokens.json.
+ * Do not edit by hand: run `npm run tokens` instead.
+ */
+
+export const tokens = {
+  'color-bg-primary': '#FFFFFF',
+  'color-bg-secondary': '#F1F5F9',
+  'color-bg-tertiary': '#E2E8F0',
+  'color-text-primary': '#0F172A',
+  'color-text-secondary': '#334155',
+  'color-text-tertiary': '#64748B',
+  'color-text-quaternary': '#94A3B8',
+  'color-brand-primary': '#0F52BA',
+  'color-brand-hover': '#0D47A1',
+  'color-chart-primary': '#0F52BA',
+  'color-chart-secondary': '#7C3AED',
+  'color-chart-tertiary': '#10B981',
+  'color-chart-quaternary': '#F59E0B',
+  'spacing-xs': '4px',
+  'spacing-sm': '8px',
+  'spacing-md': '16px',
+  'spacing-lg': '20px',
+  'spacing-xl': '24px',
+  'spacing-2xl': '32px',
+  'sidebar-width': '280px',
+  'sidebar-collapsed-width': '72px',
+  'panel-padding': '24px',
+  'panel-radius': '8px',
+  'gap-charts': '20px',
+  'chart-height': '180px',
+  'chart-color-1': '#0F52BA',
+  'chart-color-2': '#7C3AED',
+  'chart-color-3': '#10B981',
+  'chart-color-4': '#F59E0B',
+  'chart-font-axis': '11px',
+  'chart-font-legend': '12px',
+  'chart-font-tooltip': '12px',
+  'chart-safe-1': '#0072B2',
+  'chart-safe-2': '#D55E00',
+  'chart-safe-3': '#009E73',
+  'chart-safe-4': '#CC79A7',
+} as const;
+
+export type TokenName = keyof typeof tokens;
+
+/**
+ * Values that differ from `tokens` in each theme (applied with
+ * <html data-theme="...">)
+ */
+export const themeTokens = {
+  dark: {
+    'color-bg-primary': '#1E293B',
+    'color-bg-secondary': '#0F172A',
+    'color-bg-tertiary': '#334155',
+    'color-text-primary': '#F1F5F9',
+    'color-text-secondary': '#CBD5E1',
+    'color-text-tertiary': '#94A3B8',
+    'color-text-quaternary': '#8291A7',
+    'color-brand-primary': '#2563EB',
+    'color-brand-hover': '#1D4ED8',
+    'color-chart-primary': '#60A5FA',
+    'color-chart-secondary': '#A78BFA',
+    'color-chart-tertiary': '#34D399',
+    'color-chart-quaternary': '#FBBF24',
+    'chart-color-1': '#60A5FA',
+    'chart-color-2': '#A78BFA',
+    'chart-color-3': '#34D399',
+    'chart-color-4': '#FBBF24',
+    'chart-safe-1': '#56B4E9',
+  },
+} as const;
+
+export type ThemeName = 'light' | keyof typeof themeTokens;
+
+/**
+ * Resolved token value in a theme
+ */
+export function themeToken(name: TokenName, theme: ThemeName = 'light'): string {
+  const overrides: Partial<Record<TokenName, string>> = theme === 'light' ? {} : themeTokens[theme];
+  return overrides[name] ?? tokens[name];
+}
+
+/**
+ * CSS custom property reference for a token, e.g. cssVar('color-brand-primary')
+ */
+export function cssVar(name: TokenName): string {
+  return `var(--${name})`;
+}
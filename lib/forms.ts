@@ -0,0 +1,193 @@
+/**
+ * Form schema types and validators for SchemaForm.
+ *
+ * A form is a list of field definitions. Each field can carry sync
+ * validators (run on every change), async validators (run after the sync
+ * ones pass, debounced) and rules that depend on other fields' values.
+ */
+
+export interface DateRange {
+  start: string;
+  end: string;
+}
+
+export type FieldValue = string | number | boolean | DateRange | null;
+
+export type FormValues = Record<string, FieldValue>;
+
+/** Returns an error message, or undefined when the value is valid */
+export type Validator<T> = (value: T, values: FormValues) => string | undefined;
+
+export type AsyncValidator<T> = (value: T, values: FormValues, signal: AbortSignal) => Promise<string | undefined>;
+
+interface BaseField<T> {
+  name: string;
+  label: string;
+  /** Hint shown under the field */
+  description?: string;
+  required?: boolean;
+  /** Message for a missing required value */
+  requiredMessage?: string;
+  validators?: Validator<T>[];
+  asyncValidators?: AsyncValidator<T>[];
+  /** Fields whose changes re-run this field's validation */
+  dependsOn?: string[];
+  /** Hidden fields are not rendered, validated or submitted */
+  visibleWhen?: (values: FormValues) => boolean;
+  disabledWhen?: (values: FormValues) => boolean;
+  defaultValue?: T;
+}
+
+export interface TextField extends BaseField<string> {
+  type: 'text' | 'email' | 'password';
+  placeholder?: string;
+  autoComplete?: string;
+}
+
+export interface SelectField extends BaseField<string> {
+  type: 'select';
+  options: Array<{ value: string; label: string }>;
+}
+
+export interface NumberField extends BaseField<number | null> {
+  type: 'number';
+  min?: number;
+  max?: number;
+  step?: number;
+  placeholder?: string;
+}
+
+export interface CheckboxField extends BaseField<boolean> {
+  type: 'checkbox';
+}
+
+export interface DateRangeField extends BaseField<DateRange> {
+  type: 'date-range';
+  min?: string;
+  max?: string;
+}
+
+export type FieldSchema = TextField | SelectField | NumberField | CheckboxField | DateRangeField;
+
+export type FormErrors = Record<string, string | undefined>;
+
+/**
+ * Value used when neither initialValues nor defaultValue provide one
+ */
+export function emptyValue(field: FieldSchema): FieldValue {
+  switch (field.type) {
+    case 'number':
+      return null;
+    case 'checkbox':
+      return false;
+    case 'date-range':
+      return { start: '', end: '' };
+    case 'select':
+      return field.options[0]?.value ?? '';
+    default:
+      return '';
+  }
+}
+
+export function initialFormValues(fields: FieldSchema[], initialValues: Partial<FormValues> = {}): FormValues {
+  return Object.fromEntries(fields.map(field => [
+    field.name,
+    initialValues[field.name] ?? field.defaultValue ?? emptyValue(field)
+  ]));
+}
+
+export function isFieldVisible(field: FieldSchema, values: FormValues): boolean {
+  return field.visibleWhen ? field.visibleWhen(values) : true;
+}
+
+function isEmpty(value: FieldValue): boolean {
+  if (value === null || value === '' || value === false) {
+    return true;
+  }
+  if (typeof value === 'object') {
+    return !value.start && !value.end;
+  }
+  return false;
+}
+
+/**
+ * Run the required check and sync validators; the first failure wins
+ */
+export function validateFieldSync(field: FieldSchema, values: FormValues): string | undefined {
+  if (!isFieldVisible(field, values)) {
+    return undefined;
+  }
+  const value = values[field.name];
+  if (field.required && isEmpty(value)) {
+    return field.requiredMessage ?? `${field.label} is required`;
+  }
+  for (const validator of (field.validators ?? []) as Validator<FieldValue>[]) {
+    const error = validator(value, values);
+    if (error) {
+      return error;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Sync errors for every visible field
+ */
+export function validateFormSync(fields: FieldSchema[], values: FormValues): FormErrors {
+  return Object.fromEntries(fields.map(field => [field.name, validateFieldSync(field, values)]));
+}
+
+// Composable validators
+
+/**
+ * Chain validators; the first error is returned
+ */
+export function compose<T>(...validators: Validator<T>[]): Validator<T> {
+  return (value, values) => {
+    for (const validator of validators) {
+      const error = validator(value, values);
+      if (error) {
+        return error;
+      }
+    }
+    return undefined;
+  };
+}
+
+/**
+ * Skip a validator when a condition on the form values is false
+ */
+export function when<T>(condition: (values: FormValues) => boolean, validator: Validator<T>): Validator<T> {
+  return (value, values) => (condition(values) ? validator(value, values) : undefined);
+}
+
+export const minLength = (length: number, message?: string): Validator<string> =>
+  value => (value && value.length < length ? message ?? `Must be at least ${length} characters` : undefined);
+
+export const pattern = (regex: RegExp, message: string): Validator<string> =>
+  value => (value && !regex.test(value) ? message : undefined);
+
+export const range = (min: number | undefined, max: number | undefined, message?: string): Validator<number | null> =>
+  value => {
+    if (value === null) {
+      return undefined;
+    }
+    if ((min !== undefined && value < min) || (max !== undefined && value > max)) {
+      return message ?? `Must be between ${min ?? '-∞'} and ${max ?? '∞'}`;
+    }
+    return undefined;
+  };
+
+/**
+ * Start and end must both be set, with start on or before end
+ */
+export const dateRangeOrder = (message = 'Start date must be on or before the end date'): Validator<DateRange> =>
+  ({ start, end }) => {
+    if (!start && !end) {
+      return undefined;
+    }
+    if (!start || !end) {
+      return 'Enter both a start and an end date';
+    }
+    return start > end ? message : undefined;
+  };
@@ -0,0 +1,86 @@
+import type React from 'react';
+import {
+  TrendingUp,
+  Users,
+  Percent,
+  TrendingDown,
+  DollarSign,
+  Home,
+  ShoppingCart
+} from 'lucide-react';
+
+/**
+ * Sidebar navigation item.
+ *
+ * An item with children renders as an expandable group: activating it
+ * toggles the group, and its children are the navigable sections.
+ */
+export interface NavItem {
+  id: string;
+  label: string;
+  icon?: React.ElementType;
+  /** Explicit link target; defaults to the section URL for the routing mode */
+  href?: string;
+  /** Count or short label shown after the item label */
+  badge?: string | number;
+  disabled?: boolean;
+  children?: NavItem[];
+}
+
+/**
+ * Dashboard sections shown when Sidebar gets no items prop.
+ *
+ * Nested sections look like:
+ *   { id: 'inflation', label: 'Inflation', icon: TrendingUp, children: [
+ *     { id: 'cpi', label: 'CPI' },
+ *     { id: 'pce', label: 'PCE', badge: 'New' },
+ *   ] }
+ */
+export const DEFAULT_NAV_ITEMS: NavItem[] = [
+  { id: 'key-indicators', label: 'Key Indicators', icon: TrendingUp },
+  { id: 'inflation', label: 'Inflation', icon: TrendingUp },
+  { id: 'employment', label: 'Employment', icon: Users },
+  { id: 'interest-rates', label: 'Interest Rates', icon: Percent },
+  { id: 'economic-growth', label: 'Economic Growth', icon: TrendingDown },
+  { id: 'exchange-rates', label: 'Exchange Rates', icon: DollarSign },
+  { id: 'housing', label: 'Housing', icon: Home },
+  { id: 'consumer-spending', label: 'Consumer Spending', icon: ShoppingCart },
+];
+
+/**
+ * Depth-first list of items, optionally only those whose parents are expanded
+ */
+export function flattenNavItems(
+  items: NavItem[],
+  isExpanded: (item: NavItem) => boolean = () => true
+): NavItem[] {
+  return items.flatMap(item => [
+    item,
+    ...(item.children && isExpanded(item) ? flattenNavItems(item.children, isExpanded) : []),
+  ]);
+}
+
+/**
+ * Find an item by id anywhere in the tree
+ */
+export function findNavItem(items: NavItem[], id: string | null): NavItem | undefined {
+  return id ? flattenNavItems(items).find(item => item.id === id) : undefined;
+}
+
+/**
+ * Ids of the ancestors of an item, outermost first
+ */
+export function findNavAncestors(items: NavItem[], id: string, trail: string[] = []): string[] | null {
+  for (const item of items) {
+    if (item.id === id) {
+      return trail;
+    }
+    if (item.children) {
+      const found = findNavAncestors(item.children, id, [...trail, item.id]);
+      if (found) {
+        return found;
+      }
+    }
+  }
+  return null;
+}
@@ -0,0 +1,32 @@
+/**
+ * localStorage access that never throws.
+ *
+ * localStorage can throw (private mode, quota, disabled storage). Reads then
+ * return null, so callers fall back to their defaults; failed writes are
+ * logged and the value is simply not remembered.
+ */
+export const safeStorage = {
+  get(key: string): string | null {
+    try {
+      return window.localStorage.getItem(key);
+    } catch {
+      return null;
+    }
+  },
+
+  set(key: string, value: string): void {
+    try {
+      window.localStorage.setItem(key, value);
+    } catch (error) {
+      console.warn(`Saving "${key}" to localStorage failed:`, error);
+    }
+  },
+
+  remove(key: string): void {
+    try {
+      window.localStorage.removeItem(key);
+    } catch {
+      // Nothing saved, or storage is unavailable
+    }
+  }
+};
@@ -0,0 +1,248 @@
+import type { AxisFormat } from './chart-theme';
+import type { GridColSpan } from './dashboard-layout';
+import type { TokenName } from './design-tokens';
+
+/**
+ * One plotted series; color is a design token, resolved when the chart renders
+ */
+export interface ChartSeries {
+  dataKey: string;
+  name?: string;
+  color: TokenName;
+  dashed?: boolean;
+}
+
+/**
+ * A chart panel in a dashboard section.
+ *
+ * Everything here is plain data so a server component can pass it to the
+ * client-side chart renderer.
+ */
+export interface SectionPanel {
+  id: string;
+  title: string;
+  source: string;
+  type: 'line' | 'area' | 'bar';
+  xKey: string;
+  series: ChartSeries[];
+  domain?: [number, number];
+  /** Y-axis and tooltip number format */
+  yFormat?: AxisFormat;
+  data: Array<Record<string, string | number>>;
+  /** Grid columns (1-2) and rows the panel covers; both default to 1 */
+  colSpan?: GridColSpan;
+  rowSpan?: number;
+}
+
+export interface DashboardSection {
+  /** Matches the Sidebar item id and the /dashboard/<id> URL segment */
+  id: string;
+  title: string;
+  description: string;
+  panels: SectionPanel[];
+}
+
+// Sample data for different economic indicators
+const keyIndicators = [
+  { month: 'Jan 23', cpi: 299.17, unemployment: 3.4, interestRate: 4.53, gdp: 2.1 },
+  { month: 'Feb 23', cpi: 300.84, unemployment: 3.6, interestRate: 4.72, gdp: 2.0 },
+  { month: 'Mar 23', cpi: 301.84, unemployment: 3.5, interestRate: 4.85, gdp: 1.9 },
+  { month: 'Apr 23', cpi: 303.36, unemployment: 3.4, interestRate: 5.00, gdp: 2.2 },
+  { month: 'May 23', cpi: 304.10, unemployment: 3.7, interestRate: 5.14, gdp: 2.3 },
+  { month: 'Jun 23', cpi: 305.11, unemployment: 3.6, interestRate: 5.16, gdp: 2.1 },
+];
+
+const inflation = [
+  { month: 'Jan 23', value: 6.4, core: 5.6 },
+  { month: 'Feb 23', value: 6.0, core: 5.5 },
+  { month: 'Mar 23', value: 5.0, core: 5.6 },
+  { month: 'Apr 23', value: 4.9, core: 5.5 },
+  { month: 'May 23', value: 4.0, core: 5.3 },
+  { month: 'Jun 23', value: 3.0, core: 4.8 },
+];
+
+const employment = [
+  { month: 'Jan 23', unemployment: 3.4, participation: 62.4, payrolls: 517 },
+  { month: 'Feb 23', unemployment: 3.6, participation: 62.5, payrolls: 311 },
+  { month: 'Mar 23', unemployment: 3.5, participation: 62.6, payrolls: 236 },
+  { month: 'Apr 23', unemployment: 3.4, participation: 62.7, payrolls: 253 },
+  { month: 'May 23', unemployment: 3.7, participation: 62.3, payrolls: 339 },
+  { month: 'Jun 23', unemployment: 3.6, participation: 62.6, payrolls: 209 },
+];
+
+const interestRates = [
+  { month: 'Jan 23', federal: 4.50, twoYear: 4.25, tenYear: 3.52, thirtyYear: 3.65 },
+  { month: 'Feb 23', federal: 4.75, twoYear: 4.55, tenYear: 3.95, thirtyYear: 3.92 },
+  { month: 'Mar 23', federal: 5.00, twoYear: 4.10, tenYear: 3.47, thirtyYear: 3.61 },
+  { month: 'Apr 23', federal: 5.00, twoYear: 4.15, tenYear: 3.44, thirtyYear: 3.58 },
+  { month: 'May 23', federal: 5.25, twoYear: 4.35, tenYear: 3.65, thirtyYear: 3.85 },
+  { month: 'Jun 23', federal: 5.25, twoYear: 4.88, tenYear: 3.81, thirtyYear: 3.95 },
+];
+
+const economicGrowth = [
+  { quarter: 'Q1 22', gdp: -1.6, consumption: 1.8, investment: -14.0, exports: -6.0 },
+  { quarter: 'Q2 22', gdp: -0.6, consumption: 1.5, investment: -13.5, exports: -9.3 },
+  { quarter: 'Q3 22', gdp: 3.2, consumption: 1.7, investment: -6.1, exports: 14.4 },
+  { quarter: 'Q4 22', gdp: 2.6, consumption: 2.1, investment: -6.8, exports: -0.8 },
+  { quarter: 'Q1 23', gdp: 2.0, consumption: 3.7, investment: 0.8, exports: -4.8 },
+  { quarter: 'Q2 23', gdp: 2.4, consumption: 1.6, investment: 5.7, exports: -10.8 },
+];
+
+const exchangeRates = [
+  { month: 'Jan 23', broadDollar: 120.6, eurUsd: 1.08, usdJpy: 130.4, usdCny: 6.78 },
+  { month: 'Feb 23', broadDollar: 121.4, eurUsd: 1.07, usdJpy: 132.7, usdCny: 6.87 },
+  { month: 'Mar 23', broadDollar: 121.9, eurUsd: 1.07, usdJpy: 133.9, usdCny: 6.89 },
+  { month: 'Apr 23', broadDollar: 119.9, eurUsd: 1.10, usdJpy: 133.4, usdCny: 6.89 },
+  { month: 'May 23', broadDollar: 120.7, eurUsd: 1.09, usdJpy: 137.1, usdCny: 7.02 },
+  { month: 'Jun 23', broadDollar: 120.4, eurUsd: 1.08, usdJpy: 141.4, usdCny: 7.18 },
+];
+
+const housing = [
+  { month: 'Jan 23', starts: 1340, permits: 1354, mortgageRate: 6.27, caseShiller: 293.4 },
+  { month: 'Feb 23', starts: 1432, permits: 1550, mortgageRate: 6.26, caseShiller: 293.0 },
+  { month: 'Mar 23', starts: 1380, permits: 1437, mortgageRate: 6.54, caseShiller: 294.4 },
+  { month: 'Apr 23', starts: 1340, permits: 1417, mortgageRate: 6.34, caseShiller: 297.2 },
+  { month: 'May 23', starts: 1583, permits: 1496, mortgageRate: 6.43, caseShiller: 300.9 },
+  { month: 'Jun 23', starts: 1418, permits: 1441, mortgageRate: 6.71, caseShiller: 303.7 },
+];
+
+const consumerSpending = [
+  { month: 'Jan 23', pce: 17920, retailSales: 697.2, sentiment: 64.9, savingRate: 4.4 },
+  { month: 'Feb 23', pce: 17965, retailSales: 692.1, sentiment: 67.0, savingRate: 4.8 },
+  { month: 'Mar 23', pce: 17986, retailSales: 687.4, sentiment: 62.0, savingRate: 5.1 },
+  { month: 'Apr 23', pce: 18098, retailSales: 691.3, sentiment: 63.5, savingRate: 4.1 },
+  { month: 'May 23', pce: 18123, retailSales: 692.7, sentiment: 59.2, savingRate: 4.3 },
+  { month: 'Jun 23', pce: 18189, retailSales: 693.6, sentiment: 64.4, savingRate: 4.3 },
+];
+
+export const DASHBOARD_SECTIONS: DashboardSection[] = [
+  {
+    id: 'key-indicators',
+    title: 'Key Indicators',
+    description: 'Headline prices, labor market, policy rate and output at a glance',
+    panels: [
+      { id: 'cpi', title: 'CPI - Consumer Price Index', source: 'FRED', type: 'line', xKey: 'month', domain: [295, 310], yFormat: 'index', data: keyIndicators,
+        series: [{ dataKey: 'cpi', name: 'CPI', color: 'chart-color-1' }] },
+      { id: 'unemployment', title: 'Unemployment Rate', source: 'FRED', type: 'area', xKey: 'month', domain: [3.0, 4.0], yFormat: 'percent', data: keyIndicators,
+        series: [{ dataKey: 'unemployment', name: 'Unemployment', color: 'chart-color-2' }] },
+      { id: 'fed-funds', title: 'Federal Funds Rate', source: 'FRED', type: 'line', xKey: 'month', domain: [4, 6], yFormat: 'percent', data: keyIndicators,
+        series: [{ dataKey: 'interestRate', name: 'Fed Funds Rate', color: 'chart-color-3' }] },
+      { id: 'gdp', title: 'GDP Growth Rate', source: 'FRED', type: 'bar', xKey: 'month', domain: [1.5, 2.5], yFormat: 'percent', data: keyIndicators,
+        series: [{ dataKey: 'gdp', name: 'GDP Growth', color: 'chart-color-4' }] },
+    ],
+  },
+  {
+    id: 'inflation',
+    title: 'Inflation',
+    description: 'Headline and core consumer price inflation, year over year',
+    panels: [
+      { id: 'headline', title: 'Headline Inflation Rate', source: 'FRED', type: 'line', xKey: 'month', domain: [2.5, 7], yFormat: 'percent', data: inflation,
+        series: [{ dataKey: 'value', name: 'Headline', color: 'chart-color-1' }, { dataKey: 'core', name: 'Core', color: 'chart-color-2' }] },
+      { id: 'trend', title: 'Inflation Trend', source: 'FRED', type: 'area', xKey: 'month', domain: [2.5, 7], yFormat: 'percent', data: inflation,
+        series: [{ dataKey: 'value', name: 'Headline', color: 'chart-color-1' }] },
+      { id: 'core-vs-headline', title: 'Core vs Headline Comparison', source: 'FRED', type: 'bar', xKey: 'month', domain: [2.5, 7], yFormat: 'percent', data: inflation,
+        series: [{ dataKey: 'value', name: 'Headline', color: 'chart-color-1' }, { dataKey: 'core', name: 'Core', color: 'chart-color-2' }] },
+      { id: 'volatility', title: 'Inflation Volatility', source: 'FRED', type: 'line', xKey: 'month', domain: [2.5, 7], yFormat: 'percent', data: inflation,
+        series: [{ dataKey: 'value', name: 'Headline', color: 'chart-color-3', dashed: true }] },
+    ],
+  },
+  {
+    id: 'employment',
+    title: 'Employment',
+    description: 'Unemployment, labor force participation and payroll growth',
+    panels: [
+      { id: 'unemployment', title: 'Unemployment Rate', source: 'FRED', type: 'line', xKey: 'month', domain: [3.0, 4.0], yFormat: 'percent', data: employment,
+        series: [{ dataKey: 'unemployment', name: 'Unemployment', color: 'chart-color-1' }] },
+      { id: 'participation', title: 'Labor Force Participation', source: 'FRED', type: 'area', xKey: 'month', domain: [62, 63], yFormat: 'percent', data: employment,
+        series: [{ dataKey: 'participation', name: 'Participation', color: 'chart-color-2' }] },
+      { id: 'payrolls', title: 'Nonfarm Payrolls (Change, Thousands)', source: 'FRED', type: 'bar', xKey: 'month', yFormat: 'compact', data: employment,
+        series: [{ dataKey: 'payrolls', name: 'Payrolls', color: 'chart-color-3' }] },
+      { id: 'unemployment-trend', title: 'Unemployment Trend', source: 'FRED', type: 'area', xKey: 'month', domain: [3.0, 4.0], yFormat: 'percent', data: employment,
+        series: [{ dataKey: 'unemployment', name: 'Unemployment', color: 'chart-color-4' }] },
+    ],
+  },
+  {
+    id: 'interest-rates',
+    title: 'Interest Rates',
+    description: 'Policy rate and Treasury yields across the curve',
+    panels: [
+      { id: 'fed-funds', title: 'Federal Funds Rate', source: 'FRED', type: 'line', xKey: 'month', domain: [4, 6], yFormat: 'percent', data: interestRates,
+        series: [{ dataKey: 'federal', name: 'Fed Funds', color: 'chart-color-1' }] },
+      { id: 'two-year', title: '2-Year Treasury Yield', source: 'FRED', type: 'area', xKey: 'month', domain: [3.5, 5.5], yFormat: 'percent', data: interestRates,
+        series: [{ dataKey: 'twoYear', name: '2-Year', color: 'chart-color-2' }] },
+      { id: 'long-end', title: '10-Year vs 30-Year Treasury', source: 'FRED', type: 'line', xKey: 'month', domain: [3, 4.5], yFormat: 'percent', data: interestRates,
+        series: [{ dataKey: 'tenYear', name: '10-Year', color: 'chart-color-3' }, { dataKey: 'thirtyYear', name: '30-Year', color: 'chart-color-4' }] },
+      { id: 'curve', title: 'Policy Rate vs 10-Year', source: 'FRED', type: 'bar', xKey: 'month', yFormat: 'percent', data: interestRates,
+        series: [{ dataKey: 'federal', name: 'Fed Funds', color: 'chart-color-1' }, { dataKey: 'tenYear', name: '10-Year', color: 'chart-color-3' }] },
+    ],
+  },
+  {
+    id: 'economic-growth',
+    title: 'Economic Growth',
+    description: 'Real GDP and its components, quarterly annualized growth',
+    panels: [
+      { id: 'gdp', title: 'Real GDP Growth', source: 'FRED', type: 'bar', xKey: 'quarter', yFormat: 'percent', data: economicGrowth,
+        series: [{ dataKey: 'gdp', name: 'GDP', color: 'chart-color-1' }] },
+      { id: 'consumption', title: 'Personal Consumption', source: 'FRED', type: 'line', xKey: 'quarter', yFormat: 'percent', data: economicGrowth,
+        series: [{ dataKey: 'consumption', name: 'Consumption', color: 'chart-color-2' }] },
+      { id: 'investment', title: 'Private Investment', source: 'FRED', type: 'area', xKey: 'quarter', yFormat: 'percent', data: economicGrowth,
+        series: [{ dataKey: 'investment', name: 'Investment', color: 'chart-color-3' }] },
+      { id: 'exports', title: 'Exports', source: 'FRED', type: 'bar', xKey: 'quarter', yFormat: 'percent', data: economicGrowth,
+        series: [{ dataKey: 'exports', name: 'Exports', color: 'chart-color-4' }] },
+    ],
+  },
+  {
+    id: 'exchange-rates',
+    title: 'Exchange Rates',
+    description: 'Trade-weighted dollar and major bilateral exchange rates',
+    panels: [
+      { id: 'broad-dollar', title: 'Broad Dollar Index', source: 'FRED', type: 'line', xKey: 'month', domain: [118, 123], yFormat: 'index', data: exchangeRates,
+        series: [{ dataKey: 'broadDollar', name: 'Broad Dollar', color: 'chart-color-1' }] },
+      { id: 'eur-usd', title: 'U.S. Dollars per Euro', source: 'FRED', type: 'area', xKey: 'month', domain: [1.0, 1.15], yFormat: 'currency', data: exchangeRates,
+        series: [{ dataKey: 'eurUsd', name: 'EUR/USD', color: 'chart-color-2' }] },
+      { id: 'usd-jpy', title: 'Japanese Yen per U.S. Dollar', source: 'FRED', type: 'line', xKey: 'month', domain: [125, 145], yFormat: 'index', data: exchangeRates,
+        series: [{ dataKey: 'usdJpy', name: 'USD/JPY', color: 'chart-color-3' }] },
+      { id: 'usd-cny', title: 'Chinese Yuan per U.S. Dollar', source: 'FRED', type: 'bar', xKey: 'month', domain: [6.5, 7.3], yFormat: 'index', data: exchangeRates,
+        series: [{ dataKey: 'usdCny', name: 'USD/CNY', color: 'chart-color-4' }] },
+    ],
+  },
+  {
+    id: 'housing',
+    title: 'Housing',
+    description: 'Construction activity, mortgage rates and home prices',
+    panels: [
+      { id: 'starts', title: 'Housing Starts (Thousands, SAAR)', source: 'FRED', type: 'bar', xKey: 'month', yFormat: 'compact', data: housing,
+        series: [{ dataKey: 'starts', name: 'Starts', color: 'chart-color-1' }] },
+      { id: 'permits', title: 'Building Permits (Thousands, SAAR)', source: 'FRED', type: 'line', xKey: 'month', domain: [1300, 1600], yFormat: 'compact', data: housing,
+        series: [{ dataKey: 'permits', name: 'Permits', color: 'chart-color-2' }] },
+      { id: 'mortgage-rate', title: '30-Year Fixed Mortgage Rate', source: 'FRED', type: 'line', xKey: 'month', domain: [6, 7], yFormat: 'percent', data: housing,
+        series: [{ dataKey: 'mortgageRate', name: 'Mortgage Rate', color: 'chart-color-3' }] },
+      { id: 'case-shiller', title: 'Case-Shiller Home Price Index', source: 'FRED', type: 'area', xKey: 'month', domain: [290, 305], yFormat: 'index', data: housing,
+        series: [{ dataKey: 'caseShiller', name: 'Case-Shiller', color: 'chart-color-4' }] },
+    ],
+  },
+  {
+    id: 'consumer-spending',
+    title: 'Consumer Spending',
+    description: 'Personal consumption, retail sales, sentiment and saving',
+    panels: [
+      { id: 'pce', title: 'Personal Consumption Expenditures (Billions)', source: 'FRED', type: 'line', xKey: 'month', domain: [17800, 18300], yFormat: 'compact', data: consumerSpending,
+        series: [{ dataKey: 'pce', name: 'PCE', color: 'chart-color-1' }] },
+      { id: 'retail-sales', title: 'Retail Sales (Billions)', source: 'FRED', type: 'bar', xKey: 'month', domain: [680, 700], yFormat: 'compact', data: consumerSpending,
+        series: [{ dataKey: 'retailSales', name: 'Retail Sales', color: 'chart-color-2' }] },
+      { id: 'sentiment', title: 'Consumer Sentiment', source: 'FRED', type: 'area', xKey: 'month', domain: [55, 70], yFormat: 'index', data: consumerSpending,
+        series: [{ dataKey: 'sentiment', name: 'Sentiment', color: 'chart-color-3' }] },
+      { id: 'saving-rate', title: 'Personal Saving Rate', source: 'FRED', type: 'line', xKey: 'month', domain: [3.5, 5.5], yFormat: 'percent', data: consumerSpending,
+        series: [{ dataKey: 'savingRate', name: 'Saving Rate', color: 'chart-color-4' }] },
+    ],
+  },
+];
+
+export const DEFAULT_SECTION_ID = DASHBOARD_SECTIONS[0].id;
+
+/**
+ * Look up a section by its URL segment
+ */
+export function getSection(id: string): DashboardSection | undefined {
+  return DASHBOARD_SECTIONS.find(section => section.id === id);
+}
@@ -0,0 +1,44 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { DEFAULT_SETTINGS, type FeedSettings } from './settings';
+
+/**
+ * Settings file location; SETTINGS_FILE overrides it (e.g. per test run)
+ */
+export function settingsFilePath(): string {
+  return path.resolve(process.env.SETTINGS_FILE || path.join(process.cwd(), 'data', 'settings.json'));
+}
+
+/**
+ * Read the stored settings, or the defaults when nothing was saved yet
+ */
+export async function readSettings(): Promise<FeedSettings> {
+  try {
+    const stored = JSON.parse(await fs.readFile(settingsFilePath(), 'utf8'));
+    return { ...DEFAULT_SETTINGS, ...stored };
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+      return { ...DEFAULT_SETTINGS };
+    }
+    throw error;
+  }
+}
+
+let pendingWrite: Promise<unknown> = Promise.resolve();
+
+/**
+ * Save settings. Writes go through a temp file and rename so a crash never
+ * leaves half a file, and are queued so concurrent saves cannot interleave.
+ */
+export function writeSettings(settings: FeedSettings): Promise<FeedSettings> {
+  const write = pendingWrite.catch(() => undefined).then(async () => {
+    const file = settingsFilePath();
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(tempFile, JSON.stringify(settings, null, 2) + '\n', { mode: 0o600 });
+    await fs.rename(tempFile, file);
+    return settings;
+  });
+  pendingWrite = write;
+  return write;
+}
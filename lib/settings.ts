@@ -0,0 +1,83 @@
+/**
+ * Data feed settings shared by FormWithValidation and app/api/settings,
+ * so the browser and the server apply the same validation rules.
+ */
+
+export const UPDATE_FREQUENCIES = ['realtime', 'hourly', 'daily', 'weekly', 'monthly'] as const;
+
+export type UpdateFrequency = typeof UPDATE_FREQUENCIES[number];
+
+export interface FeedSettings {
+  email: string;
+  apiKey: string;
+  frequency: UpdateFrequency;
+}
+
+/** What GET /api/settings returns: the API key never leaves the server unmasked */
+export interface PublicFeedSettings {
+  email: string;
+  frequency: UpdateFrequency;
+  apiKeyMasked: string | null;
+}
+
+export type SettingsErrors = Partial<Record<keyof FeedSettings, string>>;
+
+export const DEFAULT_SETTINGS: FeedSettings = {
+  email: '',
+  apiKey: '',
+  frequency: 'daily'
+};
+
+// Email validation
+export const validateEmail = (email: string): string | undefined => {
+  if (!email) {
+    return 'Email is required';
+  }
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  if (!emailRegex.test(email)) {
+    return 'Please enter a valid email address';
+  }
+  return undefined;
+};
+
+// API Key validation
+export const validateApiKey = (apiKey: string): string | undefined => {
+  if (!apiKey) {
+    return 'API Key is required';
+  }
+  if (apiKey.length < 10) {
+    return 'API Key must be at least 10 characters';
+  }
+  if (!/^[A-Za-z0-9-_]+$/.test(apiKey)) {
+    return 'API Key can only contain letters, numbers, hyphens, and underscores';
+  }
+  return undefined;
+};
+
+export const validateFrequency = (frequency: string): string | undefined => {
+  if (!(UPDATE_FREQUENCIES as readonly string[]).includes(frequency)) {
+    return `Update frequency must be one of: ${UPDATE_FREQUENCIES.join(', ')}`;
+  }
+  return undefined;
+};
+
+/**
+ * Validate a complete settings object; an empty apiKey is accepted when
+ * a key is already stored (the form leaves it blank to keep the current one)
+ */
+export function validateSettings(settings: FeedSettings, { hasStoredApiKey = false } = {}): SettingsErrors {
+  const errors: SettingsErrors = {
+    email: validateEmail(settings.email),
+    apiKey: settings.apiKey || !hasStoredApiKey ? validateApiKey(settings.apiKey) : undefined,
+    frequency: validateFrequency(settings.frequency)
+  };
+  return Object.fromEntries(Object.entries(errors).filter(([, error]) => error !== undefined));
+}
+
+/**
+ * Show only the last four characters: "abcd1234efgh" → "••••••••efgh"
+ */
+export function maskApiKey(apiKey: string): string {
+  const visible = apiKey.length > 8 ? apiKey.slice(-4) : '';
+  return '•'.repeat(Math.max(apiKey.length - visible.length, 4)) + visible;
+}
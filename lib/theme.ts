@@ -0,0 +1,77 @@
+import { safeStorage } from './safe-storage';
+
+/**
+ * Color theme preference and how it is applied to the page.
+ *
+ * The resolved theme is set as <html data-theme="light|dark">, which selects
+ * the generated :root[data-theme="dark"] token block. The preference is kept
+ * in localStorage; 'system' follows prefers-color-scheme.
+ */
+
+export type ThemePreference = 'system' | 'light' | 'dark';
+export type ResolvedTheme = 'light' | 'dark';
+
+export const THEME_PREFERENCES: ThemePreference[] = ['system', 'light', 'dark'];
+
+export const THEME_STORAGE_KEY = 'fred-dashboard:theme';
+
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+export function isThemePreference(value: unknown): value is ThemePreference {
+  return typeof value === 'string' && (THEME_PREFERENCES as string[]).includes(value);
+}
+
+export function systemTheme(): ResolvedTheme {
+  return typeof window !== 'undefined' && window.matchMedia(DARK_QUERY).matches ? 'dark' : 'light';
+}
+
+export function resolveTheme(preference: ThemePreference): ResolvedTheme {
+  return preference === 'system' ? systemTheme() : preference;
+}
+
+export function loadThemePreference(): ThemePreference {
+  const stored = safeStorage.get(THEME_STORAGE_KEY);
+  return isThemePreference(stored) ? stored : 'system';
+}
+
+export function saveThemePreference(preference: ThemePreference): void {
+  if (preference === 'system') {
+    safeStorage.remove(THEME_STORAGE_KEY);
+  } else {
+    safeStorage.set(THEME_STORAGE_KEY, preference);
+  }
+}
+
+export function applyTheme(theme: ResolvedTheme, root: HTMLElement = document.documentElement): void {
+  root.dataset.theme = theme;
+  root.style.colorScheme = theme;
+}
+
+/**
+ * Inline script for <head> that applies the saved theme before the first
+ * paint, so a dark preference never flashes the light theme. It repeats
+ * loadThemePreference/resolveTheme/applyTheme because it runs before the
+ * app's JavaScript has loaded.
+ */
+export const themeInitScript = `(function () {
+  var preference = 'system';
+  try {
+    var stored = window.localStorage.getItem(${JSON.stringify(THEME_STORAGE_KEY)});
+    if (stored === 'light' || stored === 'dark') preference = stored;
+  } catch (error) {}
+  var theme = preference === 'system'
+    ? (window.matchMedia(${JSON.stringify(DARK_QUERY)}).matches ? 'dark' : 'light')
+    : preference;
+  document.documentElement.dataset.theme = theme;
+  document.documentElement.style.colorScheme = theme;
+})();`;
+
+/**
+ * Subscribe to system color scheme changes; returns the unsubscribe function
+ */
+export function watchSystemTheme(onChange: (theme: ResolvedTheme) => void): () => void {
+  const query = window.matchMedia(DARK_QUERY);
+  const listener = (event: MediaQueryListEvent) => onChange(event.matches ? 'dark' : 'light');
+  query.addEventListener('change', listener);
+  return () => query.removeEventListener('change', listener);
+}
@@ -21,14 +21,40 @@ export default defineConfig({
         ...devices['Desktop Chrome'],
         // Use system Chrome for WSL reliability
         channel: 'chrome',
+        colorScheme: 'light',
+      },
+    },
+    {
+      // Style assertions again under the dark theme (the 'system' preference
+      // follows the emulated color scheme)
+      name: 'chromium-dark',
+      testMatch: ['token-conformance.spec.ts', 'design-system-verification.spec.ts', 'chart-theme.spec.ts'],
+      use: {
+        ...devices['Desktop Chrome'],
+        channel: 'chrome',
+        colorScheme: 'dark',
       },
     },
   ],
 
-  webServer: {
-    command: 'npm run dev',
-    url: 'http://localhost:3000',
-    reuseExistingServer: !process.env.CI,
-    timeout: 120 * 1000,
-  },
+  webServer: [
+    {
+      // Offline FRED responses for /api/series (tools/fixtures/fred)
+      command: 'npm run fixtures:fred',
+      url: 'http://localhost:8787/fred/series/observations?series_id=UNRATE&api_key=fixture',
+      reuseExistingServer: !process.env.CI,
+    },
+    {
+      command: 'npm run dev',
+      url: 'http://localhost:3000',
+      reuseExistingServer: !process.env.CI,
+      timeout: 120 * 1000,
+      // A reused dev server keeps its own FRED and settings configuration
+      env: {
+        FRED_API_URL: 'http://localhost:8787/fred',
+        FRED_API_KEY: 'fixture',
+        SETTINGS_FILE: 'test-results/settings.json',
+      },
+    },
+  ],
 });
\ No newline at end of file
@@ -9,6 +9,34 @@ const config: Config = {
   ],
   theme: {
     extend: {
+      // @tokens:start - generated by tools/sync-design-tokens.js
+      colors: {
+        'bg-primary': 'var(--color-bg-primary)',
+        'bg-secondary': 'var(--color-bg-secondary)',
+        'bg-tertiary': 'var(--color-bg-tertiary)',
+        'text-primary': 'var(--color-text-primary)',
+        'text-secondary': 'var(--color-text-secondary)',
+        'text-tertiary': 'var(--color-text-tertiary)',
+        'text-quaternary': 'var(--color-text-quaternary)',
+        'brand-primary': 'var(--color-brand-primary)',
+        'brand-hover': 'var(--color-brand-hover)',
+        'chart-primary': 'var(--color-chart-primary)',
+        'chart-secondary': 'var(--color-chart-secondary)',
+        'chart-tertiary': 'var(--color-chart-tertiary)',
+        'chart-quaternary': 'var(--color-chart-quaternary)',
+      },
+      spacing: {
+        'xs': 'var(--spacing-xs)',
+        'sm': 'var(--spacing-sm)',
+        'md': 'var(--spacing-md)',
+        'lg': 'var(--spacing-lg)',
+        'xl': 'var(--spacing-xl)',
+        '2xl': 'var(--spacing-2xl)',
+      },
+      borderRadius: {
+        'panel': 'var(--panel-radius)',
+      },
+      // @tokens:end
       backgroundImage: {
         'gradient-radial': 'radial-gradient(var(--tw-gradient-stops))',
         'gradient-conic':
@@ -0,0 +1,553 @@
+import fs from 'fs';
+import path from 'path';
+import type { Page, TestInfo } from '@playwright/test';
+
+/**
+ * Accessibility Audit
+ *
+ * Local, rule-based checks against the rendered app: every rule reads the
+ * DOM and computed styles of the running page (or tabs through it), and maps
+ * to one WCAG 2.1 success criterion so results can be grouped by criterion.
+ *
+ * Known violations are accepted through tests/a11y-baseline.json, keyed by
+ * page, criterion and "rule: target"; a11y.spec.ts fails only on violations
+ * that are not in the baseline.
+ */
+
+export const WCAG_CRITERIA = {
+  '1.1.1': 'Non-text Content',
+  '1.3.1': 'Info and Relationships',
+  '1.4.3': 'Contrast (Minimum)',
+  '2.1.2': 'No Keyboard Trap',
+  '2.4.1': 'Bypass Blocks',
+  '2.4.3': 'Focus Order',
+  '2.4.7': 'Focus Visible',
+  '3.3.1': 'Error Identification',
+  '4.1.2': 'Name, Role, Value'
+} as const;
+
+export type WcagCriterion = keyof typeof WCAG_CRITERIA;
+
+export const AUDIT_RULES: Record<string, { criterion: WcagCriterion; description: string }> = {
+  'color-contrast': { criterion: '1.4.3', description: 'Text contrast against its rendered background is at least 4.5:1 (3:1 for large text)' },
+  'chart-text-alternative': { criterion: '1.1.1', description: 'Charts have a text alternative' },
+  'landmark-one-main': { criterion: '2.4.1', description: 'The page has exactly one main landmark' },
+  'region': { criterion: '1.3.1', description: 'Visible content is inside a landmark' },
+  'landmark-unique': { criterion: '1.3.1', description: 'Landmarks of the same type have distinct labels' },
+  'page-has-one-h1': { criterion: '1.3.1', description: 'The page has one level-1 heading' },
+  'heading-order': { criterion: '1.3.1', description: 'Heading levels increase by one' },
+  'aria-reference': { criterion: '1.3.1', description: 'aria-labelledby/-describedby/-errormessage point at existing elements' },
+  'form-label': { criterion: '4.1.2', description: 'Form controls have a label' },
+  'control-name': { criterion: '4.1.2', description: 'Buttons and links have an accessible name' },
+  'error-identification': { criterion: '3.3.1', description: 'Invalid fields reference a text error message' },
+  'tabindex-positive': { criterion: '2.4.3', description: 'No positive tabindex' },
+  'focus-order': { criterion: '2.4.3', description: 'Tab order follows the document order' },
+  'focus-visible': { criterion: '2.4.7', description: 'Focused elements are visible and have a focus indicator' },
+  'keyboard-trap': { criterion: '2.1.2', description: 'Tab moves focus on and eventually leaves the page' }
+};
+
+export interface AuditBreakpoint {
+  name: string;
+  viewport: { width: number; height: number };
+}
+
+/** The layouts the stylesheets switch between (1280px, 768px and 480px queries) */
+export const AUDIT_BREAKPOINTS: AuditBreakpoint[] = [
+  { name: 'desktop', viewport: { width: 1440, height: 900 } },
+  { name: 'laptop', viewport: { width: 1280, height: 800 } },
+  { name: 'tablet', viewport: { width: 768, height: 1024 } },
+  { name: 'mobile', viewport: { width: 390, height: 844 } }
+];
+
+export interface AuditViolation {
+  rule: string;
+  criterion: WcagCriterion;
+  /** Short element path plus its label, stable across runs */
+  target: string;
+  message: string;
+  breakpoint?: string;
+}
+
+type RawViolation = Omit<AuditViolation, 'criterion'>;
+
+const BASELINE_PATH = path.join(__dirname, 'a11y-baseline.json');
+
+/** page → "1.4.3 Contrast (Minimum)" → ["color-contrast: target", ...] */
+export type AuditBaseline = Record<string, Record<string, string[]>>;
+
+/**
+ * DOM rules, run inside the page. Self-contained: Playwright serializes
+ * the function, so helpers live inside it.
+ */
+function inspectDom(): RawViolation[] {
+  const violations: RawViolation[] = [];
+  const report = (rule: string, el: Element | null, message: string) =>
+    violations.push({ rule, target: el ? describe(el) : 'document', message });
+
+  function describe(el: Element): string {
+    const parts: string[] = [];
+    let node: Element | null = el;
+    while (node && node !== document.body && parts.length < 3) {
+      // Only hand-written ids; useId() output changes with the render tree
+      if (node.id && /^[a-z][\w-]*$/i.test(node.id)) {
+        parts.unshift(`#${node.id}`);
+        break;
+      }
+      const known = Array.from(node.classList).find(name => name.startsWith('ds-') || name.startsWith('recharts-'));
+      parts.unshift(node.tagName.toLowerCase() + (known ? `.${known}` : ''));
+      node = node.parentElement;
+    }
+    const label = (el.getAttribute('aria-label') || el.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 40);
+    return `${parts.join(' > ')}${label ? ` "${label}"` : ''}`;
+  }
+
+  function isRendered(el: Element): boolean {
+    for (let node: Element | null = el; node; node = node.parentElement) {
+      const style = getComputedStyle(node);
+      if (style.display === 'none' || style.visibility === 'hidden') {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  const isAriaHidden = (el: Element) => Boolean(el.closest('[aria-hidden="true"]'));
+
+  // Text of an element as assistive technology reads it (aria-hidden parts skipped)
+  function exposedText(node: Node): string {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.textContent ?? '';
+    }
+    if (!(node instanceof Element) || node.getAttribute('aria-hidden') === 'true' || !isRendered(node)) {
+      return '';
+    }
+    if (node instanceof HTMLImageElement) {
+      return node.alt;
+    }
+    return node.getAttribute('aria-label') || Array.from(node.childNodes).map(exposedText).join(' ');
+  }
+
+  // aria-labelledby or aria-label; landmarks are named only this way
+  function explicitName(el: Element): string {
+    const labelledBy = el.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      return labelledBy.split(/\s+/).map(id => document.getElementById(id)?.textContent ?? '').join(' ').trim();
+    }
+    return el.getAttribute('aria-label')?.trim() ?? '';
+  }
+
+  function accessibleName(el: Element): string {
+    const explicit = explicitName(el);
+    if (explicit) {
+      return explicit;
+    }
+    if (el instanceof HTMLInputElement || el instanceof HTMLSelectElement || el instanceof HTMLTextAreaElement) {
+      const labels = Array.from(el.labels ?? []).map(exposedText).join(' ').trim();
+      return labels || el.title.trim();
+    }
+    if (el instanceof SVGSVGElement) {
+      return el.querySelector(':scope > title')?.textContent?.trim() ?? '';
+    }
+    return exposedText(el).replace(/\s+/g, ' ').trim() || el.getAttribute('title')?.trim() || '';
+  }
+
+  // Color contrast
+
+  type Rgba = [number, number, number, number];
+
+  function parseColor(value: string): Rgba | null {
+    const match = /rgba?\(([^)]+)\)/.exec(value);
+    if (!match) {
+      return null;
+    }
+    const [r, g, b, a = 1] = match[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+    return [r, g, b, a];
+  }
+
+  const over = (top: Rgba, bottom: Rgba): Rgba =>
+    [0, 1, 2].map(i => top[i] * top[3] + bottom[i] * (1 - top[3])).concat(1) as Rgba;
+
+  function luminance([r, g, b]: Rgba): number {
+    const [lr, lg, lb] = [r, g, b].map(channel => {
+      const value = channel / 255;
+      return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+  }
+
+  // Background behind an element; null when an image or gradient is involved
+  function backgroundOf(el: Element): Rgba | null {
+    const layers: Rgba[] = [];
+    for (let node: Element | null = el; node; node = node.parentElement) {
+      const style = getComputedStyle(node);
+      if (style.backgroundImage !== 'none') {
+        return null;
+      }
+      const color = parseColor(style.backgroundColor);
+      if (color && color[3] > 0) {
+        layers.push(color);
+        if (color[3] === 1) {
+          break;
+        }
+      }
+    }
+    return layers.reduceRight<Rgba>((below, layer) => over(layer, below), [255, 255, 255, 1]);
+  }
+
+  function opacityOf(el: Element): number {
+    let opacity = 1;
+    for (let node: Element | null = el; node; node = node.parentElement) {
+      opacity *= parseFloat(getComputedStyle(node).opacity);
+    }
+    return opacity;
+  }
+
+  const textParents = new Set<Element>();
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    const parent = walker.currentNode.parentElement;
+    if (parent && walker.currentNode.textContent?.trim() && !parent.closest('script, style, noscript, template, option')) {
+      textParents.add(parent);
+    }
+  }
+
+  textParents.forEach(el => {
+    const rect = el.getBoundingClientRect();
+    // Hidden, screen-reader-only and disabled text is exempt
+    if (!isRendered(el) || rect.width <= 1 || rect.height <= 1 || el.closest(':disabled, [aria-disabled="true"]')) {
+      return;
+    }
+    const style = getComputedStyle(el);
+    const foreground = parseColor(el instanceof SVGElement ? style.fill : style.color);
+    const background = backgroundOf(el);
+    if (!foreground || !background) {
+      return;
+    }
+    const text = over([foreground[0], foreground[1], foreground[2], foreground[3] * opacityOf(el)], background);
+    const [light, dark] = [luminance(text), luminance(background)].sort((a, b) => b - a);
+    const ratio = (light + 0.05) / (dark + 0.05);
+    const size = parseFloat(style.fontSize);
+    const large = size >= 24 || (size >= 18.66 && parseInt(style.fontWeight, 10) >= 700);
+    const required = large ? 3 : 4.5;
+    if (ratio < required) {
+      const rgb = (color: Rgba) => `rgb(${color.slice(0, 3).map(Math.round).join(', ')})`;
+      report('color-contrast', el, `${ratio.toFixed(2)}:1, needs ${required}:1 (${rgb(text)} on ${rgb(background)})`);
+    }
+  });
+
+  // Charts
+
+  document.querySelectorAll('svg.recharts-surface').forEach(svg => {
+    if (!isRendered(svg)) {
+      return;
+    }
+    const figure = svg.closest('[role="img"], [role="figure"], figure');
+    const figureName = figure
+      ? explicitName(figure) || figure.querySelector('figcaption')?.textContent?.trim()
+      : '';
+    if (!(accessibleName(svg) && !isAriaHidden(svg)) && !figureName) {
+      report('chart-text-alternative', svg.closest('.ds-panel') ?? svg, 'chart has no text alternative (a named role="img" or figure)');
+    }
+  });
+
+  // Landmarks and headings
+
+  const rendered = (selector: string) => Array.from(document.querySelectorAll(selector)).filter(isRendered);
+
+  const mains = rendered('main, [role="main"]');
+  if (mains.length !== 1) {
+    report('landmark-one-main', null, `${mains.length} main landmarks`);
+  }
+
+  const LANDMARKS: Record<string, string> = {
+    banner: 'body > header, [role="banner"]',
+    navigation: 'nav, [role="navigation"]',
+    complementary: 'aside, [role="complementary"]',
+    contentinfo: 'body > footer, [role="contentinfo"]',
+    region: 'section[aria-label], section[aria-labelledby], [role="region"]',
+    main: 'main, [role="main"]',
+    form: 'form[aria-label], form[aria-labelledby], [role="form"]',
+    search: '[role="search"]'
+  };
+  Object.entries(LANDMARKS).forEach(([role, selector]) => {
+    const landmarks = rendered(selector);
+    if (landmarks.length < 2) {
+      return;
+    }
+    const names = landmarks.map(explicitName);
+    landmarks.forEach((landmark, index) => {
+      if (!names[index] || names.indexOf(names[index]) !== index) {
+        report('landmark-unique', landmark, `${landmarks.length} ${role} landmarks need distinct labels`);
+      }
+    });
+  });
+
+  const landmarkSelector = Object.values(LANDMARKS).join(', ');
+  const outside = new Set<Element>();
+  textParents.forEach(el => {
+    if (!isRendered(el) || el.closest(landmarkSelector) || el.closest('[aria-live], [role="alert"], [role="status"]')) {
+      return;
+    }
+    // Report the outermost container below <body>, once
+    let top = el;
+    while (top.parentElement && top.parentElement !== document.body) {
+      top = top.parentElement;
+    }
+    outside.add(top);
+  });
+  outside.forEach(el => report('region', el, 'content is not inside a landmark'));
+
+  const headings = rendered('h1, h2, h3, h4, h5, h6, [role="heading"]').filter(heading => !isAriaHidden(heading));
+  const levelOf = (heading: Element) => Number(heading.getAttribute('aria-level') ?? heading.tagName.slice(1)) || 2;
+  const topLevel = headings.filter(heading => levelOf(heading) === 1);
+  if (topLevel.length !== 1) {
+    topLevel.forEach(heading => report('page-has-one-h1', heading, `one of ${topLevel.length} level-1 headings`));
+    if (topLevel.length === 0) {
+      report('page-has-one-h1', null, 'no level-1 heading');
+    }
+  }
+  headings.forEach((heading, index) => {
+    const previous = index > 0 ? levelOf(headings[index - 1]) : 0;
+    if (levelOf(heading) > previous + 1) {
+      report('heading-order', heading, `level ${levelOf(heading)} follows level ${previous || 'none'}`);
+    }
+  });
+
+  // Names, labels and references
+
+  rendered('input:not([type="hidden"]), select, textarea').forEach(control => {
+    if (!accessibleName(control)) {
+      report('form-label', control, `${control.tagName.toLowerCase()} has no label`);
+    }
+  });
+
+  rendered('button, a[href], [role="button"], [role="link"], [role="tab"], [role="menuitem"]').forEach(control => {
+    if (!isAriaHidden(control) && !accessibleName(control)) {
+      report('control-name', control, `${control.tagName.toLowerCase()} has no accessible name`);
+    }
+  });
+
+  ['aria-labelledby', 'aria-describedby', 'aria-errormessage'].forEach(attribute => {
+    document.querySelectorAll(`[${attribute}]`).forEach(el => {
+      const missing = (el.getAttribute(attribute) ?? '').split(/\s+/).filter(id => id && !document.getElementById(id));
+      if (missing.length) {
+        report('aria-reference', el, `${attribute} points at missing #${missing.join(', #')}`);
+      }
+    });
+  });
+
+  rendered('[aria-invalid="true"]').forEach(field => {
+    const ids = `${field.getAttribute('aria-describedby') ?? ''} ${field.getAttribute('aria-errormessage') ?? ''}`;
+    const message = ids.split(/\s+/).map(id => (id && document.getElementById(id)?.textContent?.trim()) || '').join('');
+    if (!message) {
+      report('error-identification', field, 'invalid field does not reference an error message');
+    }
+  });
+
+  document.querySelectorAll('[tabindex]').forEach(el => {
+    if (Number(el.getAttribute('tabindex')) > 0) {
+      report('tabindex-positive', el, `tabindex="${el.getAttribute('tabindex')}"`);
+    }
+  });
+
+  return violations;
+}
+
+interface FocusStop {
+  target: string;
+  onBody: boolean;
+  /** Index of an earlier stop this element already was, or -1 */
+  revisit: number;
+  /** The previous stop comes later in the document */
+  backwards: boolean;
+  visible: boolean;
+  indicator: boolean;
+}
+
+/**
+ * Inspects the focused element after a Tab press. Earlier stops are kept
+ * on window, since labels alone don't identify elements (every panel has
+ * a "Download CSV" button).
+ */
+function inspectFocus(): FocusStop {
+  const state = window as unknown as { __a11yFocusStops?: Element[] };
+  const stops = (state.__a11yFocusStops ??= []);
+  const el = document.activeElement;
+  // Shadow hosts are outside the app (the Next.js dev tools live in one)
+  if (!el || el === document.body || el.shadowRoot) {
+    return { target: 'body', onBody: true, revisit: -1, backwards: false, visible: true, indicator: true };
+  }
+
+  const previous = stops[stops.length - 1];
+  const backwards = Boolean(previous && previous.isConnected && previous !== el &&
+    el.compareDocumentPosition(previous) & Node.DOCUMENT_POSITION_FOLLOWING);
+  const revisit = stops.indexOf(el);
+  stops.push(el);
+
+  const label = (el.getAttribute('aria-label') || el.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 40);
+  const panel = el.closest('.ds-panel')?.querySelector('.ds-chart-title')?.textContent?.trim();
+  const known = Array.from(el.classList).find(name => name.startsWith('ds-'));
+  const target = `${panel ? `"${panel}" ` : ''}${el.tagName.toLowerCase()}${known ? `.${known}` : ''}${label ? ` "${label}"` : ''}`;
+
+  // Visually hidden controls (e.g. radio inputs) show focus on their label
+  let shown: Element = el;
+  if (el.getBoundingClientRect().width <= 1 && el.parentElement) {
+    shown = el.closest('label') ?? el.parentElement;
+  }
+  const rect = shown.getBoundingClientRect();
+  const style = getComputedStyle(shown);
+  const indicator = (style.outlineStyle !== 'none' && parseFloat(style.outlineWidth) > 0) || style.boxShadow !== 'none';
+
+  return { target, onBody: false, revisit, backwards, visible: rect.width > 1 && rect.height > 1, indicator };
+}
+
+/**
+ * Tab through the page from the top and check focus order, visibility and
+ * traps. Run on a freshly loaded page, before anything has been clicked.
+ */
+export async function auditFocus(page: Page, maxStops = 200): Promise<RawViolation[]> {
+  const violations: RawViolation[] = [];
+
+  await page.evaluate(() => {
+    (window as unknown as { __a11yFocusStops?: Element[] }).__a11yFocusStops = [];
+    (document.activeElement as HTMLElement | null)?.blur();
+  });
+
+  for (let stop = 0; stop < maxStops; stop++) {
+    await page.keyboard.press('Tab');
+    const focus = await page.evaluate(inspectFocus);
+
+    // Back on the body, or round to the first stop: the whole page was visited
+    if (focus.onBody || focus.revisit === 0) {
+      return violations;
+    }
+    if (focus.revisit > 0) {
+      violations.push({ rule: 'keyboard-trap', target: focus.target, message: 'Tab returned to an earlier element before leaving the page' });
+      return violations;
+    }
+
+    if (focus.backwards) {
+      violations.push({ rule: 'focus-order', target: focus.target, message: 'reached after an element that follows it in the document' });
+    }
+    if (!focus.visible) {
+      violations.push({ rule: 'focus-visible', target: focus.target, message: 'focused element is not visible' });
+    } else if (!focus.indicator) {
+      violations.push({ rule: 'focus-visible', target: focus.target, message: 'no outline or box-shadow while focused' });
+    }
+  }
+
+  violations.push({ rule: 'keyboard-trap', target: 'document', message: `focus did not leave the page after ${maxStops} Tab presses` });
+  return violations;
+}
+
+/**
+ * Wait until charts and data have loaded, so the audit sees the final UI
+ */
+export async function waitForSettled(page: Page): Promise<void> {
+  await page.waitForLoadState('networkidle');
+  await page.waitForFunction(() => !document.querySelector('.ds-chart-skeleton'), undefined, { timeout: 15000 }).catch(() => {
+    console.warn('⚠️  Charts were still loading when the audit ran');
+  });
+}
+
+/**
+ * Run every rule against the current page state
+ */
+export async function auditPage(page: Page, { focus = true } = {}): Promise<AuditViolation[]> {
+  const raw = [...(await page.evaluate(inspectDom)), ...(focus ? await auditFocus(page) : [])];
+  return raw.map(violation => ({ ...violation, criterion: AUDIT_RULES[violation.rule].criterion }));
+}
+
+export function criterionLabel(criterion: WcagCriterion): string {
+  return `${criterion} ${WCAG_CRITERIA[criterion]}`;
+}
+
+export function baselineEntry(violation: AuditViolation): string {
+  return `${violation.rule}: ${violation.target}`;
+}
+
+export function loadBaseline(): AuditBaseline {
+  return fs.existsSync(BASELINE_PATH) ? JSON.parse(fs.readFileSync(BASELINE_PATH, 'utf8')) : {};
+}
+
+/**
+ * Baseline entries for one page, grouped by criterion (breakpoints merged)
+ */
+export function toBaseline(violations: AuditViolation[]): Record<string, string[]> {
+  const grouped: Record<string, string[]> = {};
+  [...violations]
+    .sort((a, b) => a.criterion.localeCompare(b.criterion, undefined, { numeric: true }))
+    .forEach(violation => {
+      const entries = (grouped[criterionLabel(violation.criterion)] ??= []);
+      if (!entries.includes(baselineEntry(violation))) {
+        entries.push(baselineEntry(violation));
+      }
+    });
+  Object.values(grouped).forEach(entries => entries.sort());
+  return grouped;
+}
+
+/**
+ * Replace one page's baseline entries; other pages are kept
+ */
+export function saveBaseline(pageKey: string, violations: AuditViolation[]): void {
+  const baseline = loadBaseline();
+  baseline[pageKey] = toBaseline(violations);
+  const sorted = Object.fromEntries(Object.entries(baseline).sort(([a], [b]) => a.localeCompare(b)));
+  fs.writeFileSync(BASELINE_PATH, `${JSON.stringify(sorted, null, 2)}\n`);
+}
+
+/**
+ * Split violations into new ones and those the baseline accepts, and list
+ * baseline entries that no longer occur
+ */
+export function compareWithBaseline(pageKey: string, violations: AuditViolation[], baseline: AuditBaseline = loadBaseline()) {
+  const accepted = baseline[pageKey] ?? {};
+  const isAccepted = (violation: AuditViolation) =>
+    (accepted[criterionLabel(violation.criterion)] ?? []).includes(baselineEntry(violation));
+  const current = toBaseline(violations);
+
+  return {
+    added: violations.filter(violation => !isAccepted(violation)),
+    accepted: violations.filter(isAccepted),
+    fixed: Object.entries(accepted).flatMap(([criterion, entries]) =>
+      entries.filter(entry => !(current[criterion] ?? []).includes(entry)).map(entry => `${criterion}: ${entry}`)
+    )
+  };
+}
+
+/**
+ * How the spec treats the baseline, following Playwright's snapshot
+ * option: --update-snapshots rewrites it, and locally pages without an
+ * entry are recorded (their current violations become the baseline). On
+ * CI a page without an entry is 'missing' and fails, so an unrecorded page
+ * can't pass by accepting whatever it finds.
+ */
+export function baselineMode(testInfo: TestInfo, pageKey: string): 'update' | 'record' | 'compare' | 'missing' {
+  const update = testInfo.config.updateSnapshots;
+  if (update === 'all' || update === 'changed') {
+    return 'update';
+  }
+  if (pageKey in loadBaseline()) {
+    return 'compare';
+  }
+  return update === 'none' || process.env.CI ? 'missing' : 'record';
+}
+
+/**
+ * Violations grouped by WCAG criterion, one line each
+ */
+export function formatAuditReport(violations: AuditViolation[]): string {
+  const byCriterion = new Map<WcagCriterion, AuditViolation[]>();
+  violations.forEach(violation => byCriterion.set(violation.criterion, [...(byCriterion.get(violation.criterion) ?? []), violation]));
+
+  return [...byCriterion.keys()]
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+    .map(criterion => {
+      const lines = byCriterion.get(criterion)!.map(violation =>
+        `    [${violation.rule}]${violation.breakpoint ? ` @${violation.breakpoint}` : ''} ${violation.target} - ${violation.message}`
+      );
+      return `  ${criterionLabel(criterion)} (${lines.length})\n${lines.join('\n')}`;
+    })
+    .join('\n');
+}
@@ -0,0 +1,81 @@
+import { test, expect } from '@playwright/test';
+import { DASHBOARD_SECTIONS } from '../lib/sections';
+import {
+  AUDIT_BREAKPOINTS,
+  auditPage,
+  baselineMode,
+  compareWithBaseline,
+  formatAuditReport,
+  saveBaseline,
+  waitForSettled,
+  type AuditViolation
+} from './a11y-audit';
+
+/**
+ * Accessibility Audit Tests
+ *
+ * Runs the rules in tests/a11y-audit.ts on every page at every breakpoint.
+ * Violations in tests/a11y-baseline.json are accepted; anything else fails.
+ * After fixing or accepting violations, rewrite the baseline with:
+ *   npx playwright test tests/a11y.spec.ts --update-snapshots
+ * On CI a page missing from the baseline fails rather than being recorded.
+ */
+
+const PAGES = [
+  '/',
+  ...DASHBOARD_SECTIONS.map(section => `/dashboard/${section.id}`),
+  '/dashboard/not-a-section',
+  '/settings'
+];
+
+// One page at a time, so baseline writes don't race
+test.describe.configure({ mode: 'default' });
+
+async function checkAgainstBaseline(pageKey: string, violations: AuditViolation[], testInfo: import('@playwright/test').TestInfo) {
+  const mode = baselineMode(testInfo, pageKey);
+  if (mode === 'missing') {
+    throw new Error(`No accessibility baseline for ${pageKey}; record it with --update-snapshots and commit tests/a11y-baseline.json`);
+  }
+  if (mode !== 'compare') {
+    saveBaseline(pageKey, violations);
+    console.log(`📝 ${mode === 'update' ? 'Updated' : 'Recorded'} the accessibility baseline for ${pageKey} (${violations.length} violations)`);
+    return;
+  }
+
+  const { added, accepted, fixed } = compareWithBaseline(pageKey, violations);
+  console.log(`♿ ${pageKey}: ${added.length} new, ${accepted.length} accepted by the baseline`);
+  if (fixed.length) {
+    console.log(`✨ No longer found (remove from the baseline with --update-snapshots):\n  ${fixed.join('\n  ')}`);
+  }
+  expect(added, `New accessibility violations on ${pageKey}:\n${formatAuditReport(added)}`).toEqual([]);
+}
+
+test.describe('Accessibility Audit', () => {
+  for (const pagePath of PAGES) {
+    test(`${pagePath} should have no new violations at any breakpoint`, async ({ page }, testInfo) => {
+      test.setTimeout(AUDIT_BREAKPOINTS.length * 60 * 1000);
+      const violations: AuditViolation[] = [];
+
+      for (const breakpoint of AUDIT_BREAKPOINTS) {
+        await page.setViewportSize(breakpoint.viewport);
+        await page.goto(pagePath);
+        await waitForSettled(page);
+        (await auditPage(page)).forEach(violation => violations.push({ ...violation, breakpoint: breakpoint.name }));
+      }
+
+      await checkAgainstBaseline(pagePath, violations, testInfo);
+    });
+  }
+
+  test('settings form errors should be labelled and announced', async ({ page }, testInfo) => {
+    await page.goto('/settings');
+    await waitForSettled(page);
+    await expect(page.getByRole('button', { name: 'Save Configuration' })).toBeEnabled();
+
+    await page.getByLabel('Email Address').fill('not-an-email');
+    await page.getByRole('button', { name: 'Save Configuration' }).click();
+    await expect(page.locator('[aria-invalid="true"]').first()).toBeVisible();
+
+    await checkAgainstBaseline('/settings (invalid submit)', await auditPage(page, { focus: false }), testInfo);
+  });
+});
@@ -0,0 +1,92 @@
+import { test, expect } from '@playwright/test';
+import { readFile } from 'fs/promises';
+import { DASHBOARD_SECTIONS } from '../lib/sections';
+
+/**
+ * ChartPanel Toolbar Tests
+ *
+ * Section panels get the expand toggle and CSV/PNG downloads from the
+ * ChartPanel toolbar; the CSV contains the panel's underlying data rows.
+ * The same rows back the table view, the summary and the point announcements.
+ */
+
+const section = DASHBOARD_SECTIONS[0];
+const panel = section.panels[0];
+
+test.describe('ChartPanel Toolbar', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto(`/dashboard/${section.id}`);
+  });
+
+  test('should download the panel data as CSV', async ({ page }) => {
+    const toolbar = page.getByRole('toolbar', { name: `${panel.title} controls` });
+
+    const [download] = await Promise.all([
+      page.waitForEvent('download'),
+      toolbar.getByRole('button', { name: 'Download CSV' }).click()
+    ]);
+
+    expect(download.suggestedFilename()).toMatch(/\.csv$/);
+    const csv = await readFile(await download.path(), 'utf8');
+    const lines = csv.trim().split('\r\n');
+
+    expect(lines[0]).toBe([panel.xKey, ...panel.series.map(series => series.dataKey)].join(','));
+    expect(lines).toHaveLength(panel.data.length + 1);
+  });
+
+  test('should download the rendered chart as PNG', async ({ page }) => {
+    const toolbar = page.getByRole('toolbar', { name: `${panel.title} controls` });
+    await expect(page.locator('.ds-panel').first().locator('.recharts-wrapper svg').first()).toBeVisible();
+
+    const [download] = await Promise.all([
+      page.waitForEvent('download'),
+      toolbar.getByRole('button', { name: 'Download PNG' }).click()
+    ]);
+
+    expect(download.suggestedFilename()).toMatch(/\.png$/);
+  });
+
+  test('should expand a panel and collapse it with Escape', async ({ page }) => {
+    const firstPanel = page.locator('.ds-panel').first();
+    const toggle = firstPanel.getByRole('button', { name: 'Expand chart' });
+
+    await toggle.click();
+    await expect(firstPanel).toHaveClass(/ds-panel-expanded/);
+    await expect(firstPanel.getByRole('button', { name: 'Collapse chart' })).toHaveAttribute('aria-pressed', 'true');
+
+    await page.keyboard.press('Escape');
+    await expect(firstPanel).not.toHaveClass(/ds-panel-expanded/);
+  });
+
+  test('should show the panel data as a table', async ({ page }) => {
+    const firstPanel = page.locator('.ds-panel').first();
+
+    await firstPanel.getByRole('button', { name: 'View as table' }).click();
+    const table = firstPanel.getByRole('table', { name: panel.title });
+    await expect(table).toBeVisible();
+    await expect(table.locator('tbody tr')).toHaveCount(panel.data.length);
+    await expect(table.getByRole('columnheader')).toHaveCount(panel.series.length + 1);
+    await expect(firstPanel.getByRole('button', { name: 'Download PNG' })).toBeDisabled();
+
+    await firstPanel.getByRole('button', { name: 'View as chart' }).click();
+    await expect(firstPanel.locator('.recharts-wrapper svg').first()).toBeVisible();
+  });
+
+  test('should describe the chart and announce points from the keyboard', async ({ page }) => {
+    const firstPanel = page.locator('.ds-panel').first();
+    const chart = firstPanel.getByRole('img', { name: `${panel.title} chart` });
+
+    await expect(chart).toHaveAccessibleDescription(/latest/);
+
+    await chart.focus();
+    await page.keyboard.press('ArrowRight');
+    const live = firstPanel.locator('[aria-live="polite"]');
+    await expect(live).toContainText(`Point 1 of ${panel.data.length}`);
+
+    await page.keyboard.press('End');
+    await expect(live).toContainText(`Point ${panel.data.length} of ${panel.data.length}`);
+
+    await page.keyboard.press('Escape');
+    await expect(live).toBeEmpty();
+  });
+});
@@ -0,0 +1,74 @@
+import { test, expect, type Locator } from '@playwright/test';
+import { themeToken } from '../lib/design-tokens';
+import { projectTheme } from './theme';
+
+/**
+ * Chart Theme Tests
+ *
+ * Themed charts read their colors from the page's custom properties at
+ * runtime, so a token override reaches already-rendered charts.
+ */
+
+test.describe('Chart Theme', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/dashboard/key-indicators');
+    await expect(page.locator('.recharts-line-curve').first()).toBeVisible();
+  });
+
+  test('should draw series with the --chart-color-* tokens', async ({ page }, testInfo) => {
+    const stroke = await page.locator('.recharts-line-curve').first().getAttribute('stroke');
+    const token = await page.evaluate(() => getComputedStyle(document.documentElement).getPropertyValue('--chart-color-1').trim());
+
+    expect(stroke?.toLowerCase()).toBe(token.toLowerCase());
+    expect(token.toUpperCase()).toBe(themeToken('chart-color-1', projectTheme(testInfo)));
+  });
+
+  test('should re-theme charts when a token changes on the root element', async ({ page }) => {
+    await page.evaluate(() => document.documentElement.style.setProperty('--chart-color-1', '#123456'));
+
+    await expect(page.locator('.recharts-line-curve').first()).toHaveAttribute('stroke', '#123456');
+  });
+
+  test('should format axis ticks with the panel format', async ({ page }) => {
+    // Second key-indicators panel is the unemployment rate, formatted as percent
+    const ticks = page.locator('.ds-panel').nth(1).locator('.recharts-yAxis .recharts-cartesian-axis-tick-value');
+    await expect(ticks.first()).toHaveText(/%$/);
+  });
+});
+
+/**
+ * Dash lengths of a line as drawn; recharts rewrites stroke-dasharray to
+ * animate the line in (e.g. "6px, 3px, 6px, …" or "420px 0px" when solid)
+ */
+const dashLengths = (line: Locator) =>
+  line.evaluate(path => (path.getAttribute('stroke-dasharray') ?? '').split(/[\s,]+/).filter(Boolean).map(parseFloat));
+
+/** A solid line has no gaps in its dash pattern */
+const isSolid = (lengths: number[]) => lengths.every((length, index) => index % 2 === 0 || length === 0);
+
+test.describe('Color-Blind Palette', () => {
+  test('should draw series with the --chart-safe-* tokens and dash patterns', async ({ page }) => {
+    // Headline Inflation Rate: two line series
+    await page.goto('/dashboard/inflation?palette=colorblind');
+    const lines = page.locator('.ds-panel').first().locator('.recharts-line-curve');
+    await expect(lines).toHaveCount(2);
+
+    const safe = await page.evaluate(() => [1, 2].map(slot =>
+      getComputedStyle(document.documentElement).getPropertyValue(`--chart-safe-${slot}`).trim().toLowerCase()));
+    await expect.poll(async () => (await lines.first().getAttribute('stroke'))?.toLowerCase()).toBe(safe[0]);
+    expect((await lines.nth(1).getAttribute('stroke'))?.toLowerCase()).toBe(safe[1]);
+
+    // Series differ by dash pattern too, not only by color
+    await expect.poll(async () => (await dashLengths(lines.nth(1))).slice(0, 2)).toEqual([6, 3]);
+    await expect.poll(async () => isSolid(await dashLengths(lines.first()))).toBe(true);
+  });
+
+  test('should keep the default palette without the parameter', async ({ page }) => {
+    await page.goto('/dashboard/inflation');
+    const line = page.locator('.ds-panel').first().locator('.recharts-line-curve').nth(1);
+    const token = await page.evaluate(() => getComputedStyle(document.documentElement).getPropertyValue('--chart-color-2').trim());
+
+    await expect.poll(async () => (await line.getAttribute('stroke'))?.toLowerCase()).toBe(token.toLowerCase());
+    await expect.poll(async () => isSolid(await dashLengths(line))).toBe(true);
+  });
+});
@@ -0,0 +1,85 @@
+import { test, expect } from '@playwright/test';
+import { DASHBOARD_SECTIONS } from '../lib/sections';
+
+/**
+ * Dashboard Grid Tests
+ *
+ * Panels can be reordered with the keyboard or by dragging the handle, and
+ * the order is saved per section in localStorage.
+ */
+
+const section = DASHBOARD_SECTIONS[1];
+const [first, second] = section.panels;
+
+const panelOrder = (page: import('@playwright/test').Page) =>
+  page.locator('.ds-dashboard-grid > .ds-grid-item').evaluateAll(items => items.map(item => item.getAttribute('data-grid-id')));
+
+test.describe('Dashboard Grid', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto(`/dashboard/${section.id}`);
+    await page.evaluate(() => window.localStorage.clear());
+    await page.reload();
+  });
+
+  test('should reorder panels with the keyboard and keep the order after reload', async ({ page }) => {
+    const handle = page.getByRole('button', { name: `Move ${first.title}` });
+
+    await handle.focus();
+    await page.keyboard.press('Space');
+    await expect(handle).toHaveAttribute('aria-pressed', 'true');
+    await page.keyboard.press('ArrowRight');
+    await page.keyboard.press('Space');
+
+    expect(await panelOrder(page)).toEqual([second.id, first.id, ...section.panels.slice(2).map(panel => panel.id)]);
+    await expect(page.getByRole('button', { name: `Move ${first.title}` })).toBeFocused();
+
+    await page.reload();
+    await expect.poll(() => panelOrder(page)).toEqual([second.id, first.id, ...section.panels.slice(2).map(panel => panel.id)]);
+
+    // Other sections keep their default order
+    await page.goto(`/dashboard/${DASHBOARD_SECTIONS[0].id}`);
+    expect(await panelOrder(page)).toEqual(DASHBOARD_SECTIONS[0].panels.map(panel => panel.id));
+  });
+
+  test('should restore the original order when a keyboard move is cancelled', async ({ page }) => {
+    await page.getByRole('button', { name: `Move ${first.title}` }).focus();
+    await page.keyboard.press('Enter');
+    await page.keyboard.press('End');
+    await page.keyboard.press('Escape');
+
+    expect(await panelOrder(page)).toEqual(section.panels.map(panel => panel.id));
+  });
+
+  test('should reorder panels by dragging the handle', async ({ page }) => {
+    await page.getByRole('button', { name: `Move ${first.title}` }).dragTo(page.locator(`[data-grid-id="${second.id}"]`));
+
+    await expect.poll(() => panelOrder(page)).toEqual([second.id, first.id, ...section.panels.slice(2).map(panel => panel.id)]);
+  });
+
+  test('should restore the order without saving when a drag is cancelled', async ({ page }) => {
+    const dataTransfer = await page.evaluateHandle(() => new DataTransfer());
+    const firstItem = page.locator(`[data-grid-id="${first.id}"]`);
+
+    await firstItem.dispatchEvent('dragstart', { dataTransfer });
+    await page.locator(`[data-grid-id="${second.id}"]`).dispatchEvent('dragover', { dataTransfer });
+    await expect.poll(() => panelOrder(page)).toEqual([second.id, first.id, ...section.panels.slice(2).map(panel => panel.id)]);
+
+    // Escape or a drop outside the grid ends the drag with no drop effect
+    await dataTransfer.evaluate(transfer => { transfer.dropEffect = 'none'; });
+    await firstItem.dispatchEvent('dragend', { dataTransfer });
+
+    await expect.poll(() => panelOrder(page)).toEqual(section.panels.map(panel => panel.id));
+    await page.reload();
+    expect(await panelOrder(page)).toEqual(section.panels.map(panel => panel.id));
+  });
+
+  test('should drop column spans in the single-column layout', async ({ page }) => {
+    // Just inside the 1280px collapse, where a span of 2 would add a second column
+    await page.setViewportSize({ width: 1200, height: 1000 });
+    const firstItem = page.locator('.ds-grid-item').first();
+    await firstItem.evaluate(item => item.style.setProperty('--grid-col-span', '2'));
+
+    const columns = await page.locator('.ds-dashboard-grid').evaluate(grid => getComputedStyle(grid).gridTemplateColumns.split(' ').length);
+    expect(columns).toBe(1);
+  });
+});
@@ -1,15 +1,28 @@
 import { test, expect } from '@playwright/test';
+import { projectTheme, tokenRgb } from './theme';
+
+type Page = import('@playwright/test').Page;
 
 /**
  * Design System Verification Tests
  * 
  * These tests verify that the design system is implemented correctly and
  * catch the common issues that cost developers 6-12 hours of debugging.
+ *
+ * They run against the Key Indicators section (four panels) at 1440px, wide
+ * enough for the two-column grid; it collapses at 1280px and below.
  */
 
+const DASHBOARD_URL = '/dashboard/key-indicators';
+
+test.use({ viewport: { width: 1440, height: 900 } });
+
+const gridColumnCount = (page: Page) =>
+  page.locator('.ds-dashboard-grid').evaluate(el => window.getComputedStyle(el).gridTemplateColumns.split(' ').length);
+
 test.describe('Design System Verification', () => {
   test.beforeEach(async ({ page }) => {
-    await page.goto('http://localhost:3000');
+    await page.goto(DASHBOARD_URL);
     await page.waitForLoadState('networkidle');
   });
 
@@ -33,7 +46,7 @@ test.describe('Design System Verification', () => {
     
     // Verify grid layout
     expect(gridStyles.display).toBe('grid');
-    expect(gridStyles.gridTemplateColumns).toContain('490px 490px'); // 2 columns
+    expect(gridStyles.gridTemplateColumns.split(' ')).toHaveLength(2); // 2 columns
     expect(gridStyles.gap).toBe('20px');
     
     // Verify panels are in 2x2 layout, not stacked vertically
@@ -43,13 +56,13 @@ test.describe('Design System Verification', () => {
     // Check panel positions (should be in 2x2 grid)
     const panelPositions = await panels.evaluateAll((elements) => {
       return elements.map((el, index) => {
-        const rect = el.getBoundingBox();
+        const rect = el.getBoundingClientRect();
         return {
           index,
-          x: rect?.x || 0,
-          y: rect?.y || 0,
-          width: rect?.width || 0,
-          height: rect?.height || 0
+          x: rect.x,
+          y: rect.y,
+          width: rect.width,
+          height: rect.height
         };
       });
     });
@@ -94,9 +107,8 @@ test.describe('Design System Verification', () => {
     for (const itemText of navItems) {
       console.log(`Testing click: ${itemText}`);
       
-      // Click the navigation item
+      // Click the navigation item; the sidebar navigates to the section URL
       await page.locator('.ds-nav-item').filter({ hasText: itemText }).click();
-      await page.waitForTimeout(100); // Wait for state update
       
       // Verify active state changed
       const activeItem = page.locator('.ds-nav-item.active');
@@ -133,16 +145,17 @@ test.describe('Design System Verification', () => {
       expect(classExists).toBe(true);
     }
     
-    // Verify grid-template-columns is properly set
-    const hasGridColumns = cssContent.includes('grid-template-columns:repeat(2,minmax(0,1fr))');
+    // Verify grid-template-columns is properly set (the dev server doesn't minify)
+    const hasGridColumns = cssContent.replace(/\s+/g, '').includes('grid-template-columns:repeat(2,minmax(0,1fr))');
     console.log(`Grid columns CSS: ${hasGridColumns ? '✅' : '❌'}`);
     expect(hasGridColumns).toBe(true);
     
     console.log('✅ CSS compilation verification passed');
   });
 
-  test('should have proper visual styling', async ({ page }) => {
+  test('should have proper visual styling', async ({ page }, testInfo) => {
     console.log('🔍 Testing Visual Styling...');
+    const theme = projectTheme(testInfo);
     
     // Check sidebar styling
     const sidebarStyles = await page.locator('.ds-sidebar').evaluate((el) => {
@@ -156,7 +169,7 @@ test.describe('Design System Verification', () => {
     
     console.log('Sidebar styles:', sidebarStyles);
     expect(sidebarStyles.width).toBe('280px');
-    expect(sidebarStyles.backgroundColor).toBe('rgb(255, 255, 255)'); // --color-bg-primary
+    expect(sidebarStyles.backgroundColor).toBe(tokenRgb('color-bg-primary', theme));
     
     // Check active navigation styling
     const activeNavStyles = await page.locator('.ds-nav-item.active').evaluate((el) => {
@@ -168,7 +181,7 @@ test.describe('Design System Verification', () => {
     });
     
     console.log('Active nav styles:', activeNavStyles);
-    expect(activeNavStyles.backgroundColor).toBe('rgb(15, 82, 186)'); // --color-brand-primary
+    expect(activeNavStyles.backgroundColor).toBe(tokenRgb('color-brand-primary', theme));
     expect(activeNavStyles.color).toBe('rgb(255, 255, 255)'); // White text
     
     // Check panel styling
@@ -182,7 +195,7 @@ test.describe('Design System Verification', () => {
     });
     
     console.log('Panel styles:', panelStyles);
-    expect(panelStyles.backgroundColor).toBe('rgb(255, 255, 255)'); // --color-bg-primary
+    expect(panelStyles.backgroundColor).toBe(tokenRgb('color-bg-primary', theme));
     expect(panelStyles.borderRadius).toBe('8px');
     expect(panelStyles.padding).toBe('24px');
     
@@ -200,12 +213,16 @@ test.describe('Design System Verification', () => {
     const containerDimensions = await chartContainers.evaluateAll((elements) => {
       return elements.map((el) => {
         const styles = window.getComputedStyle(el);
-        const rect = el.getBoundingBox();
+        const rect = el.getBoundingClientRect();
+        const panel = el.closest('.ds-panel')!;
+        const panelStyles = window.getComputedStyle(panel);
+        const panelContentWidth = panel.clientWidth - parseFloat(panelStyles.paddingLeft) - parseFloat(panelStyles.paddingRight);
         return {
           height: styles.height,
           width: styles.width,
-          actualHeight: rect?.height || 0,
-          actualWidth: rect?.width || 0
+          actualHeight: rect.height,
+          actualWidth: rect.width,
+          panelContentWidth
         };
       });
     });
@@ -216,7 +233,8 @@ test.describe('Design System Verification', () => {
     containerDimensions.forEach((container, index) => {
       console.log(`Chart ${index + 1}: ${container.height} height, ${container.width} width`);
       expect(container.height).toBe('180px');
-      expect(container.width).toBe('100%');
+      // width: 100% - fills the panel
+      expect(container.actualWidth).toBeCloseTo(container.panelContentWidth, 0);
     });
     
     console.log('✅ Chart dimensions verification passed');
@@ -258,49 +276,33 @@ test.describe('Design System Verification', () => {
     // Test desktop size (default)
     await page.setViewportSize({ width: 1440, height: 900 });
     
-    const desktopGrid = await page.locator('.ds-dashboard-grid').evaluate((el) => {
-      return window.getComputedStyle(el).gridTemplateColumns;
-    });
+    const desktopColumns = await gridColumnCount(page);
     
-    console.log('Desktop grid:', desktopGrid);
-    expect(desktopGrid).toContain('490px 490px'); // 2 columns
+    console.log('Desktop grid columns:', desktopColumns);
+    expect(desktopColumns).toBe(2);
     
     // Test tablet size
     await page.setViewportSize({ width: 768, height: 1024 });
-    await page.waitForTimeout(100); // Wait for CSS to update
     
-    const tabletGrid = await page.locator('.ds-dashboard-grid').evaluate((el) => {
-      return window.getComputedStyle(el).gridTemplateColumns;
-    });
+    const tabletColumns = await gridColumnCount(page);
     
-    console.log('Tablet grid:', tabletGrid);
+    console.log('Tablet grid columns:', tabletColumns);
     // Should be single column on tablet
-    expect(tabletGrid).not.toContain('490px 490px');
+    expect(tabletColumns).toBe(1);
     
     console.log('✅ Responsive design verification passed');
   });
 
-  test('should log console messages for debugging', async ({ page }) => {
-    console.log('🔍 Testing Debug Logging...');
-    
-    const consoleLogs: string[] = [];
-    
-    // Capture console logs
-    page.on('console', (msg) => {
-      if (msg.text().startsWith('Navigation clicked:')) {
-        consoleLogs.push(msg.text());
-      }
-    });
+  test('should mark the clicked section as the current page', async ({ page }) => {
+    console.log('🔍 Testing Navigation State...');
     
     // Click a navigation item
     await page.locator('.ds-nav-item').filter({ hasText: 'Inflation' }).click();
-    await page.waitForTimeout(100);
     
-    console.log('Console logs captured:', consoleLogs);
-    expect(consoleLogs.length).toBeGreaterThan(0);
-    expect(consoleLogs[0]).toContain('Navigation clicked: inflation');
+    await expect(page).toHaveURL('/dashboard/inflation');
+    await expect(page.locator('.ds-nav-item[aria-current="page"]')).toHaveText('Inflation');
     
-    console.log('✅ Debug logging verification passed');
+    console.log('✅ Navigation state verification passed');
   });
 });
 
@@ -312,14 +314,14 @@ test.describe('Design System Verification', () => {
 
 test.describe('Critical Failure Detection', () => {
   test('CRITICAL: Grid should NOT be single column (common failure)', async ({ page }) => {
-    await page.goto('http://localhost:3000');
+    await page.goto(DASHBOARD_URL);
     
     // This is the most common failure: grid displays as single column
     const panels = page.locator('.ds-panel');
     
     // Get Y positions of all panels
     const positions = await panels.evaluateAll((elements) => {
-      return elements.map((el) => el.getBoundingBox()?.y || 0);
+      return elements.map((el) => el.getBoundingClientRect().y);
     });
     
     // If all panels have different Y positions, they're stacked vertically (BAD)
@@ -340,14 +342,14 @@ test.describe('Critical Failure Detection', () => {
   });
 
   test('CRITICAL: Navigation should NOT be static (common failure)', async ({ page }) => {
-    await page.goto('http://localhost:3000');
+    await page.goto(DASHBOARD_URL);
     
     // Get initial active item
     const initialActive = await page.locator('.ds-nav-item.active').textContent();
     
-    // Click different item
+    // Click different item and wait for its section to load
     await page.locator('.ds-nav-item').filter({ hasText: 'Employment' }).click();
-    await page.waitForTimeout(100);
+    await expect(page).toHaveURL('/dashboard/employment');
     
     // Get new active item
     const newActive = await page.locator('.ds-nav-item.active').textContent();
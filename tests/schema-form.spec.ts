@@ -0,0 +1,109 @@
+import { test, expect, type Route } from '@playwright/test';
+
+/**
+ * SchemaForm Tests
+ *
+ * Async validation, visibleWhen fields and server field errors. The first
+ * two use the dev-only fixture page (app/fixtures/schema-form), whose Series
+ * ID field is checked against /api/series; the responses are stubbed here
+ * so each test controls when a check finishes.
+ */
+
+const FIXTURE_URL = '/fixtures/schema-form';
+
+test.describe('SchemaForm', () => {
+  test('should drop a superseded async check and clear its pending state', async ({ page }) => {
+    const heldChecks: Route[] = [];
+    await page.route('**/api/series/**', route => {
+      if (route.request().url().includes('/api/series/SLOW')) {
+        // Held until the end of the test
+        heldChecks.push(route);
+        return;
+      }
+      return route.fulfill({ json: [] });
+    });
+
+    await page.goto(FIXTURE_URL);
+    const series = page.getByLabel('Series ID');
+    const group = page.locator('.ds-form-group').filter({ has: series });
+
+    await series.fill('SLOW');
+    await expect(group.getByRole('status')).toHaveText('Checking...');
+    await expect(series).toHaveAttribute('aria-busy', 'true');
+
+    // Clearing the field cancels the check; the required error has no async run of its own
+    await series.fill('');
+    await expect(group.getByRole('status')).toHaveCount(0);
+    await expect(series).not.toHaveAttribute('aria-busy');
+    await expect(group.getByRole('alert')).toHaveText('Series ID is required');
+
+    const checked = page.waitForResponse('**/api/series/UNRATE');
+    await series.fill('UNRATE');
+    await checked;
+    await expect(group.getByRole('status')).toHaveCount(0);
+    await expect(group.getByRole('alert')).toHaveCount(0);
+
+    // The cancelled check finishing late must not overwrite the newer result
+    expect(heldChecks).toHaveLength(1);
+    await heldChecks[0].fulfill({ status: 404, json: { error: 'Series SLOW not found' } }).catch(() => {});
+    await expect(group.getByRole('alert')).toHaveCount(0);
+    await expect(series).toHaveAttribute('aria-invalid', 'false');
+  });
+
+  test('should skip a hidden field in validation and submit', async ({ page }) => {
+    await page.route('**/api/series/**', route => route.fulfill({ json: [] }));
+    await page.goto(FIXTURE_URL);
+
+    await page.getByLabel('Series ID').fill('UNRATE');
+    await page.getByLabel('Smoothing').check();
+    const windowInput = page.getByLabel('Window (months)');
+    await expect(windowInput).toBeVisible();
+
+    // Visible and empty: required
+    await page.getByRole('button', { name: 'Apply' }).click();
+    await expect(page.locator('#window-error')).toHaveText('Window (months) is required');
+    await expect(page.getByTestId('submitted-values')).toHaveCount(0);
+
+    // Hidden: neither validated nor submitted
+    await page.getByLabel('Smoothing').uncheck();
+    await expect(windowInput).toHaveCount(0);
+    await page.getByRole('button', { name: 'Apply' }).click();
+    await expect(page.getByText('✓ Saved successfully!')).toBeVisible();
+
+    const submitted = JSON.parse(await page.getByTestId('submitted-values').textContent() ?? '{}');
+    expect(submitted).toEqual({ series: 'UNRATE', smoothing: false });
+  });
+
+  test('should show server field errors next to their inputs', async ({ page }) => {
+    await page.route('**/api/settings', route => {
+      if (route.request().method() !== 'PUT') {
+        return route.fallback();
+      }
+      return route.fulfill({
+        status: 422,
+        json: { errors: { email: 'This address is already in use', apiKey: 'FRED rejected this API key' } }
+      });
+    });
+
+    await page.goto('/settings');
+    const save = page.getByRole('button', { name: 'Save Configuration' });
+    await expect(save).toBeEnabled();
+
+    await page.getByLabel('Email Address').fill('analyst@example.com');
+    await page.getByLabel('FRED API Key').fill('abcdef1234567890wxyz');
+    await save.click();
+
+    for (const [name, label, message] of [
+      ['email', 'Email Address', 'This address is already in use'],
+      ['apiKey', 'FRED API Key', 'FRED rejected this API key']
+    ]) {
+      const input = page.getByLabel(label);
+      await expect(page.locator(`#${name}-error`)).toHaveText(message);
+      await expect(input).toHaveAttribute('aria-invalid', 'true');
+      await expect(input).toHaveAttribute('aria-describedby', new RegExp(`\\b${name}-error\\b`));
+    }
+
+    await expect(page.getByLabel('Update Frequency')).toHaveAttribute('aria-invalid', 'false');
+    await expect(page.getByText('✓ Configuration saved successfully!')).toHaveCount(0);
+  });
+});
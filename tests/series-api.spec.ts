@@ -0,0 +1,71 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Series API Tests
+ *
+ * /api/series/<id> proxies the FRED fixture server (see playwright.config.ts)
+ * through the in-memory series cache.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A start/end range that differs on every run and retry, so its first request
+ * misses the cache even when a reused dev server kept earlier runs' entries
+ */
+function uncachedRange(retry: number): string {
+  const key = Math.floor(Date.now() / 1000) * 3 + retry;
+  const day = (base: string, offset: number) => new Date(Date.parse(base) + offset * DAY_MS).toISOString().slice(0, 10);
+  return `start=${day('1990-01-01', key % 9000)}&end=${day('2015-01-01', Math.floor(key / 9000) % 9000)}`;
+}
+
+test.describe('Series API', () => {
+  test('should return observations with an ETag', async ({ request }) => {
+    const response = await request.get('/api/series/UNRATE?start=2023-01-01');
+    expect(response.status()).toBe(200);
+    expect(response.headers()['etag']).toBeTruthy();
+    expect(response.headers()['cache-control']).toMatch(/max-age=\d+/);
+
+    const series = await response.json();
+    expect(series.id).toBe('UNRATE');
+    expect(series.frequency).toBe('m');
+    expect(series.observations[0]).toEqual({ date: '2023-01-01', value: 3.4 });
+  });
+
+  test('should answer If-None-Match with 304', async ({ request }) => {
+    const first = await request.get('/api/series/CPIAUCSL');
+    const etag = first.headers()['etag'];
+
+    const second = await request.get('/api/series/CPIAUCSL', { headers: { 'If-None-Match': etag } });
+    expect(second.status()).toBe(304);
+    expect(second.headers()['etag']).toBe(etag);
+  });
+
+  test('should serve repeated and concurrent requests from one upstream call', async ({ request }, testInfo) => {
+    const url = `/api/series/DGS10?${uncachedRange(testInfo.retry)}`;
+    const responses = await Promise.all([request.get(url), request.get(url), request.get(url)]);
+    const cacheStates = responses.map(response => response.headers()['x-cache']).sort();
+
+    expect(cacheStates.filter(state => state === 'MISS')).toHaveLength(1);
+    expect(cacheStates.every(state => ['MISS', 'COALESCED', 'HIT'].includes(state))).toBe(true);
+
+    const repeat = await request.get(url);
+    expect(repeat.headers()['x-cache']).toBe('HIT');
+  });
+
+  test('should use a shorter TTL for daily than for monthly series', async ({ request }) => {
+    const maxAge = async (url: string) => {
+      const response = await request.get(url);
+      return Number(response.headers()['cache-control'].match(/max-age=(\d+)/)![1]);
+    };
+
+    expect(await maxAge('/api/series/DGS10')).toBeLessThanOrEqual(60 * 60);
+    expect(await maxAge('/api/series/FEDFUNDS')).toBeGreaterThan(60 * 60);
+  });
+
+  test('should reject bad parameters and unknown series', async ({ request }) => {
+    expect((await request.get('/api/series/UNRATE?frequency=x')).status()).toBe(400);
+    expect((await request.get('/api/series/UNRATE?start=01-2023')).status()).toBe(400);
+    expect((await request.get('/api/series/NOT_A_SERIES')).status()).toBe(404);
+  });
+});
@@ -0,0 +1,47 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Settings API Tests
+ *
+ * The dev server stores settings in test-results/settings.json during test
+ * runs (SETTINGS_FILE in playwright.config.ts). The tests share that file,
+ * so they run in order.
+ */
+
+test.describe.serial('Settings API', () => {
+  const apiKey = 'abcdef1234567890wxyz';
+
+  test('should reject invalid settings with field errors', async ({ request }) => {
+    const response = await request.put('/api/settings', {
+      data: { email: 'not-an-email', apiKey: 'short', frequency: 'yearly' }
+    });
+    expect(response.status()).toBe(422);
+
+    const { errors } = await response.json();
+    expect(errors.email).toBe('Please enter a valid email address');
+    expect(errors.apiKey).toBe('API Key must be at least 10 characters');
+    expect(errors.frequency).toContain('Update frequency must be one of');
+  });
+
+  test('should save settings and return the API key masked', async ({ request }) => {
+    const response = await request.put('/api/settings', {
+      data: { email: 'analyst@example.com', apiKey, frequency: 'weekly' }
+    });
+    expect(response.status()).toBe(200);
+
+    const saved = await response.json();
+    expect(saved).toEqual({ email: 'analyst@example.com', frequency: 'weekly', apiKeyMasked: '••••••••••••••••wxyz' });
+    expect(JSON.stringify(saved)).not.toContain(apiKey);
+
+    const loaded = await (await request.get('/api/settings')).json();
+    expect(loaded).toEqual(saved);
+  });
+
+  test('should keep the saved API key when the field is left blank', async ({ request }) => {
+    const response = await request.put('/api/settings', {
+      data: { email: 'analyst@example.com', apiKey: '', frequency: 'monthly' }
+    });
+    expect(response.status()).toBe(200);
+    expect((await response.json()).apiKeyMasked).toBe('••••••••••••••••wxyz');
+  });
+});
@@ -0,0 +1,83 @@
+import { test, expect } from '@playwright/test';
+import { themeToken } from '../lib/design-tokens';
+import { THEME_STORAGE_KEY } from '../lib/theme';
+import { tokenRgb } from './theme';
+
+/**
+ * Theme Tests
+ *
+ * The sidebar switch sets <html data-theme>, which selects the dark token
+ * block. The choice is saved and applied by an inline script before the
+ * app's JavaScript runs, so reloads don't flash the light theme.
+ */
+
+const themeOf = (page: import('@playwright/test').Page) =>
+  page.evaluate(() => document.documentElement.dataset.theme);
+
+test.describe('Theme', () => {
+  test.use({ colorScheme: 'light' });
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/dashboard/key-indicators');
+    await page.evaluate(() => window.localStorage.clear());
+    await page.reload();
+  });
+
+  test('should switch to the dark tokens from the sidebar and re-theme charts', async ({ page }) => {
+    await expect.poll(() => themeOf(page)).toBe('light');
+
+    await page.getByRole('radio', { name: 'Dark' }).check();
+
+    await expect.poll(() => themeOf(page)).toBe('dark');
+    await expect(page.locator('.ds-panel').first()).toHaveCSS('background-color', tokenRgb('color-bg-primary', 'dark'));
+    await expect(page.locator('.recharts-line-curve').first()).toHaveAttribute('stroke', themeToken('chart-color-1', 'dark'));
+    expect(await page.evaluate(key => window.localStorage.getItem(key), THEME_STORAGE_KEY)).toBe('dark');
+  });
+
+  test('should apply a saved theme before the app scripts load', async ({ page }) => {
+    await page.evaluate(key => window.localStorage.setItem(key, 'dark'), THEME_STORAGE_KEY);
+    // Without the JavaScript bundles only the inline script can set the theme;
+    // the stylesheets still load
+    await page.route('**/_next/static/chunks/**', route => route.abort());
+    await page.reload();
+
+    expect(await themeOf(page)).toBe('dark');
+    await expect(page.locator('.ds-panel').first()).toHaveCSS('background-color', tokenRgb('color-bg-primary', 'dark'));
+  });
+
+  test('should not switch to the light theme while the app loads', async ({ page }) => {
+    await page.evaluate(key => window.localStorage.setItem(key, 'dark'), THEME_STORAGE_KEY);
+    // Record every data-theme value from the first script onwards
+    await page.addInitScript(() => {
+      const seen: string[] = [];
+      (window as unknown as { themesSeen: string[] }).themesSeen = seen;
+      new MutationObserver(() => seen.push(document.documentElement.dataset.theme ?? ''))
+        .observe(document.documentElement, { attributes: true, attributeFilter: ['data-theme'] });
+    });
+    await page.reload();
+    await expect(page.getByRole('radio', { name: 'Dark' })).toBeChecked();
+
+    const seen = await page.evaluate(() => (window as unknown as { themesSeen: string[] }).themesSeen);
+    expect(seen).not.toContain('light');
+  });
+
+  test('should follow the system color scheme until a theme is chosen', async ({ page }) => {
+    await expect(page.getByRole('radio', { name: 'System' })).toBeChecked();
+
+    await page.emulateMedia({ colorScheme: 'dark' });
+    await expect.poll(() => themeOf(page)).toBe('dark');
+
+    await page.getByRole('radio', { name: 'Light' }).check();
+    await expect.poll(() => themeOf(page)).toBe('light');
+    await page.reload();
+    await expect(page.getByRole('radio', { name: 'Light' })).toBeChecked();
+    expect(await themeOf(page)).toBe('light');
+  });
+
+  test('should keep the switch reachable in the collapsed sidebar', async ({ page }) => {
+    await page.getByRole('button', { name: 'Collapse sidebar' }).click();
+    await page.getByRole('radio', { name: 'Dark' }).check();
+
+    await expect.poll(() => themeOf(page)).toBe('dark');
+  });
+});
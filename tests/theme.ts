@@ -0,0 +1,22 @@
+import type { TestInfo } from '@playwright/test';
+import { themeToken, type ThemeName, type TokenName } from '../lib/design-tokens';
+
+/**
+ * Theme helpers for specs that run in both the light and dark projects
+ * (playwright.config.ts). The dark project emulates prefers-color-scheme:
+ * dark, which the 'system' preference follows.
+ */
+
+export function projectTheme(testInfo: TestInfo): ThemeName {
+  return testInfo.project.use.colorScheme === 'dark' ? 'dark' : 'light';
+}
+
+/**
+ * A color token in the project's theme as a computed-style string,
+ * e.g. '#0F52BA' → 'rgb(15, 82, 186)'
+ */
+export function tokenRgb(name: TokenName, theme: ThemeName): string {
+  const hex = themeToken(name, theme).replace('#', '');
+  const [r, g, b] = [0, 2, 4].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+  return `rgb(${r}, ${g}, ${b})`;
+}
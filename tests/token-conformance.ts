@@ -0,0 +1,166 @@
+import fs from 'fs';
+import path from 'path';
+import type { Page } from '@playwright/test';
+import type { ThemeName } from '../lib/design-tokens';
+
+/**
+ * Token Conformance Checker
+ *
+ * Reads the design tokens from styles/design-system.css and checks that
+ * elements in the running app resolve their computed styles to those
+ * tokens. Which element/property should use which token is declared in
+ * tests/token-map.ts, so covering a new component is a mapping entry
+ * rather than a new spec.
+ */
+
+export interface TokenMapping {
+  /** CSS selector; every matching element is checked */
+  selector: string;
+  /** Computed style properties (kebab-case) that must resolve to the token */
+  properties: string[];
+  /** Custom property name, e.g. "--panel-padding" */
+  token: string;
+  /** Don't fail when nothing matches the selector (e.g. state-dependent UI) */
+  optional?: boolean;
+}
+
+export interface TokenViolation {
+  element: string;
+  property: string;
+  token: string;
+  expected: string;
+  actual: string;
+}
+
+const DESIGN_SYSTEM_CSS = path.join(__dirname, '..', 'styles', 'design-system.css');
+
+/**
+ * Parse the custom properties declared in top-level :root blocks,
+ * overlaid with the :root[data-theme="<theme>"] blocks for a non-light
+ * theme, with var() references resolved to literal values
+ */
+export function loadDesignTokens(cssPath: string = DESIGN_SYSTEM_CSS, theme: ThemeName = 'light'): Map<string, string> {
+  const css = fs.readFileSync(cssPath, 'utf8').replace(/\/\*[\s\S]*?\*\//g, '');
+  const declared = new Map<string, string>();
+  const selectors = theme === 'light' ? [':root'] : [':root', `:root[data-theme="${theme}"]`];
+
+  selectors.forEach(selector => {
+    const escaped = selector.replace(/[[\]"]/g, '\\$&');
+    const rootBlockRegex = new RegExp(`(?:^|\\})\\s*${escaped}\\s*\\{([^}]*)\\}`, 'g');
+    let block: RegExpExecArray | null;
+
+    while ((block = rootBlockRegex.exec(css)) !== null) {
+      const declarationRegex = /(--[\w-]+)\s*:\s*([^;]+);/g;
+      let declaration: RegExpExecArray | null;
+      while ((declaration = declarationRegex.exec(block[1])) !== null) {
+        declared.set(declaration[1], declaration[2].trim());
+      }
+    }
+  });
+
+  const resolve = (value: string, seen: string[]): string =>
+    value.replace(/var\((--[\w-]+)(?:\s*,\s*([^)]+))?\)/g, (match, name: string, fallback?: string) => {
+      if (seen.includes(name)) {
+        throw new Error(`Circular token reference: ${[...seen, name].join(' → ')}`);
+      }
+      const referenced = declared.get(name) ?? fallback;
+      if (referenced === undefined) {
+        throw new Error(`Token ${seen[seen.length - 1]} references undefined ${name}`);
+      }
+      return resolve(referenced.trim(), [...seen, name]);
+    });
+
+  const tokens = new Map<string, string>();
+  declared.forEach((value, name) => tokens.set(name, resolve(value, [name])));
+  return tokens;
+}
+
+/**
+ * Check every mapping against the current page and return all violations
+ * (an empty array means the page conforms)
+ */
+export async function checkTokenConformance(
+  page: Page,
+  mappings: TokenMapping[],
+  tokens: Map<string, string> = loadDesignTokens()
+): Promise<TokenViolation[]> {
+  const violations: TokenViolation[] = [];
+
+  for (const mapping of mappings) {
+    const expected = tokens.get(mapping.token);
+    if (expected === undefined) {
+      violations.push({
+        element: mapping.selector,
+        property: mapping.properties.join(', '),
+        token: mapping.token,
+        expected: '(token not defined in styles/design-system.css)',
+        actual: '-'
+      });
+      continue;
+    }
+
+    // Let the browser normalize the token value (hex → rgb(), etc.) by
+    // applying it to a probe element, then compare with each match
+    const results = await page.evaluate(({ selector, properties, value }) => {
+      const describe = (el: Element, index: number) => {
+        const label = el.getAttribute('aria-label') || el.textContent?.trim().slice(0, 30);
+        return `${selector}[${index}]${label ? ` "${label}"` : ''}`;
+      };
+
+      const probe = document.createElement('div');
+      probe.style.position = 'absolute';
+      probe.style.visibility = 'hidden';
+      document.body.appendChild(probe);
+
+      const normalized: Record<string, string> = {};
+      properties.forEach(property => {
+        probe.style.setProperty(property, value);
+        normalized[property] = getComputedStyle(probe).getPropertyValue(property);
+        probe.style.removeProperty(property);
+      });
+      probe.remove();
+
+      return Array.from(document.querySelectorAll(selector)).map((el, index) => ({
+        element: describe(el, index),
+        values: properties.map(property => ({
+          property,
+          expected: normalized[property],
+          actual: getComputedStyle(el).getPropertyValue(property)
+        }))
+      }));
+    }, { selector: mapping.selector, properties: mapping.properties, value: expected });
+
+    if (results.length === 0 && !mapping.optional) {
+      violations.push({
+        element: mapping.selector,
+        property: mapping.properties.join(', '),
+        token: mapping.token,
+        expected,
+        actual: '(no elements match selector)'
+      });
+    }
+
+    results.forEach(result => {
+      result.values
+        .filter(value => value.actual !== value.expected)
+        .forEach(value => violations.push({
+          element: result.element,
+          property: value.property,
+          token: mapping.token,
+          expected: `${expected} (${value.expected})`,
+          actual: value.actual
+        }));
+    });
+  }
+
+  return violations;
+}
+
+/**
+ * One line per violation, for assertion messages
+ */
+export function formatViolations(violations: TokenViolation[]): string {
+  return violations
+    .map(v => `  ${v.element} → ${v.property}: expected ${v.token} = ${v.expected}, got ${v.actual}`)
+    .join('\n');
+}
@@ -0,0 +1,38 @@
+import type { TokenMapping } from './token-conformance';
+
+/**
+ * Which computed styles must resolve to which design tokens.
+ *
+ * Cover a new component by adding an entry here; token-conformance.spec.ts
+ * checks every entry against the running app.
+ */
+export const TOKEN_MAP: TokenMapping[] = [
+  // Layout
+  { selector: '.ds-sidebar', properties: ['width'], token: '--sidebar-width' },
+  { selector: '.ds-sidebar', properties: ['background-color'], token: '--color-bg-primary' },
+  { selector: '.ds-dashboard-grid', properties: ['column-gap', 'row-gap'], token: '--gap-charts' },
+  { selector: '.ds-chart-container', properties: ['height'], token: '--chart-height' },
+
+  // Navigation
+  { selector: '.ds-nav-item:not(.active)', properties: ['color'], token: '--color-text-secondary' },
+  { selector: '.ds-nav-item.active', properties: ['background-color'], token: '--color-brand-primary' },
+
+  // Panels
+  { selector: '.ds-panel', properties: ['background-color'], token: '--color-bg-primary' },
+  {
+    selector: '.ds-panel',
+    properties: ['padding-top', 'padding-right', 'padding-bottom', 'padding-left'],
+    token: '--panel-padding'
+  },
+  {
+    selector: '.ds-panel',
+    properties: ['border-top-left-radius', 'border-top-right-radius', 'border-bottom-right-radius', 'border-bottom-left-radius'],
+    token: '--panel-radius'
+  },
+
+  // Typography
+  { selector: '.ds-title', properties: ['color'], token: '--color-text-primary' },
+  { selector: '.ds-subtitle', properties: ['color'], token: '--color-text-tertiary', optional: true },
+  { selector: '.ds-chart-title', properties: ['color'], token: '--color-text-primary' },
+  { selector: '.ds-chart-source', properties: ['color'], token: '--color-text-quaternary', optional: true }
+];
@@ -9,6 +9,9 @@
  * Usage:
  *   node tools/compare-figma-layout.js
  *   node tools/compare-figma-layout.js --figma="22:21" --url="http://localhost:3001"
+ *   node tools/compare-figma-layout.js --reporter=junit --output=reports/layout.xml
+ *   node tools/compare-figma-layout.js --visual
+ *   node tools/compare-figma-layout.js --watch [--dev]   # re-check after every hot reload (see dev-watch.js)
  * 
  * @author Generated for nextjs-figma-playwright-wsl-template
  * @version 1.0.0
@@ -17,6 +20,9 @@
 const { chromium } = require('playwright');
 const fs = require('fs');
 const path = require('path');
+const { inferLayout, isValidPattern, describePattern } = require('./layout-inference');
+const { REPORTERS, buildReport, formatReport } = require('./layout-reporters');
+const { compareVisual } = require('./visual-diff');
 
 // Configuration (can be overridden by config file or CLI args)
 const DEFAULT_CONFIG = {
@@ -25,20 +31,59 @@ const DEFAULT_CONFIG = {
   elementSelector: ".ds-panel",
   expectedPattern: "2x2-grid",
   tolerance: 0.1,
+  matchBy: "position",
+  baseUrl: null,
+  targets: [],
+  concurrency: 1,
+  viewport: { width: 1440, height: 900 },
+  breakpoints: [],
+  timeout: 10000,
+  visual: {},
+  reporter: "console",
+  output: null,
   debug: false
 };
 
 /**
- * Layout Patterns supported by the comparison tool
+ * Common layout patterns
+ * Any "<columns>x<rows>-grid" label (e.g. "3x2-grid") and uneven
+ * "rows-<n>-<n>..." labels are also detected; see layout-inference.js
  */
 const LAYOUT_PATTERNS = {
   "2x2-grid": "Four elements arranged in 2 columns and 2 rows",
+  "3x2-grid": "Six elements arranged in 3 columns and 2 rows",
   "1x4-vertical": "Four elements stacked vertically in single column",
   "4x1-horizontal": "Four elements arranged horizontally in single row", 
   "scattered": "Elements with no clear grid or linear pattern",
   "unknown": "Layout pattern could not be determined"
 };
 
+/**
+ * Parse the configured tolerance
+ * A number is relative (0.1 = 10% of the expected dimension),
+ * a string such as "8px" is an absolute pixel tolerance
+ */
+function parseTolerance(tolerance) {
+  if (typeof tolerance === 'string' && tolerance.trim().endsWith('px')) {
+    return { mode: 'px', value: parseFloat(tolerance) };
+  }
+  return { mode: 'relative', value: Number(tolerance) };
+}
+
+/**
+ * Check a delta against the tolerance, scaled by the expected reference size
+ */
+function withinTolerance(delta, reference, tolerance) {
+  const allowed = tolerance.mode === 'px'
+    ? tolerance.value
+    : Math.abs(reference) * tolerance.value;
+  return Math.abs(delta) <= allowed;
+}
+
+function normalizeName(name) {
+  return (name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
 /**
  * Figma Element Extractor
  * Extracts element information from Figma MCP server
@@ -58,9 +103,13 @@ class FigmaExtractor {
       const cachePath = path.join(__dirname, 'figma-layout-cache.json');
       
       if (fs.existsSync(cachePath)) {
-        const cachedData = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+        const cache = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+        // Caches hold one layout per node; older caches hold a single layout
+        const cachedData = cache.nodes
+          ? cache.nodes[nodeId]
+          : (cache.nodeId === nodeId ? cache : null);
         
-        if (cachedData.nodeId === nodeId) {
+        if (cachedData) {
           console.log('   ✓ Using cached Figma data from MCP extraction');
           console.log(`   ✓ Found ${cachedData.elements.length} elements`);
           
@@ -71,6 +120,7 @@ class FigmaExtractor {
             nodeId: nodeId,
             elements: normalizedElements,
             pattern: cachedData.pattern,
+            layout: cachedData.layout || inferLayout(normalizedElements),
             confidence: cachedData.confidence
           };
         }
@@ -78,15 +128,18 @@ class FigmaExtractor {
       
       // Fallback to known structure if cache not found
       console.log('   ⚠️  No cached Figma data found, using fallback');
+      const fallbackElements = [
+        { id: "cpi-chart", bounds: { x: 300, y: 120, width: 490, height: 300 }, type: "chart" },
+        { id: "unemployment-chart", bounds: { x: 810, y: 120, width: 490, height: 300 }, type: "chart" },
+        { id: "interest-rates-chart", bounds: { x: 300, y: 440, width: 490, height: 300 }, type: "chart" },
+        { id: "inflation-chart", bounds: { x: 810, y: 440, width: 490, height: 300 }, type: "chart" }
+      ];
+      const fallbackLayout = inferLayout(fallbackElements);
       return {
         nodeId: nodeId,
-        elements: [
-          { id: "cpi-chart", bounds: { x: 300, y: 120, width: 490, height: 300 }, type: "chart" },
-          { id: "unemployment-chart", bounds: { x: 810, y: 120, width: 490, height: 300 }, type: "chart" },
-          { id: "interest-rates-chart", bounds: { x: 300, y: 440, width: 490, height: 300 }, type: "chart" },
-          { id: "inflation-chart", bounds: { x: 810, y: 440, width: 490, height: 300 }, type: "chart" }
-        ],
-        pattern: "2x2-grid",
+        elements: fallbackElements,
+        pattern: fallbackLayout.pattern,
+        layout: fallbackLayout,
         confidence: 0.95
       };
     } catch (error) {
@@ -137,7 +190,23 @@ class PlaywrightExtractor {
     this.browser = await chromium.launch({ headless: true });
     this.page = await this.browser.newPage();
     // Set viewport to match Figma design width
-    await this.page.setViewportSize({ width: 1440, height: 900 });
+    await this.setViewport(this.config.viewport || DEFAULT_CONFIG.viewport);
+  }
+
+  /**
+   * Open another page in the same browser, for checking targets in parallel
+   */
+  async newPage() {
+    const page = await this.browser.newPage();
+    await this.setViewport(this.config.viewport || DEFAULT_CONFIG.viewport, page);
+    return page;
+  }
+
+  /**
+   * Resize a page, e.g. when switching breakpoints
+   */
+  async setViewport(viewport, page = this.page) {
+    await page.setViewportSize({ width: viewport.width, height: viewport.height });
   }
 
   async cleanup() {
@@ -149,45 +218,10 @@ class PlaywrightExtractor {
   /**
    * Extract element positions from the live application
    */
-  async extractLayout(url, selector) {
+  async extractLayout(url, selector, page = this.page) {
     try {
-      await this.page.goto(url, { waitUntil: 'networkidle' });
-      
-      // Wait for elements to be present
-      await this.page.waitForSelector(selector, { timeout: 10000 });
-      
-      // Get all matching elements
-      const elements = await this.page.locator(selector).all();
-      
-      if (elements.length === 0) {
-        throw new Error(`No elements found with selector: ${selector}`);
-      }
-
-      // Extract bounding box information
-      const elementData = [];
-      for (let i = 0; i < elements.length; i++) {
-        const boundingBox = await elements[i].boundingBox();
-        if (boundingBox) {
-          elementData.push({
-            id: `element-${i}`,
-            bounds: {
-              x: boundingBox.x,
-              y: boundingBox.y, 
-              width: boundingBox.width,
-              height: boundingBox.height
-            },
-            type: "detected"
-          });
-        }
-      }
-
-      return {
-        url: url,
-        selector: selector,
-        elements: elementData,
-        pattern: this.detectLayoutPattern(elementData),
-        confidence: this.calculateConfidence(elementData)
-      };
+      await page.goto(url, { waitUntil: 'networkidle' });
+      return { ...(await this.measureLayout(selector, page)), url };
     } catch (error) {
       console.error('Error extracting Playwright layout:', error.message);
       throw error;
@@ -195,71 +229,77 @@ class PlaywrightExtractor {
   }
 
   /**
-   * Detect layout pattern from element positions
+   * Measure the elements on the page as it is, without navigating
+   * (watch mode re-measures after hot reloads)
+   * Element ids are "element-<n>", n being the index among all selector matches
    */
-  detectLayoutPattern(elements) {
-    if (elements.length !== 4) {
-      return "unknown";
-    }
-
-    const positions = elements.map(el => ({
-      x: el.bounds.x,
-      y: el.bounds.y,
-      centerX: el.bounds.x + el.bounds.width / 2,
-      centerY: el.bounds.y + el.bounds.height / 2
-    }));
-
-    // Sort by Y position to identify rows
-    const sortedByY = [...positions].sort((a, b) => a.y - b.y);
-    
-    // Check for 2x2 grid pattern
-    const tolerance = 50; // pixels
-    const topRow = sortedByY.slice(0, 2);
-    const bottomRow = sortedByY.slice(2, 4);
+  async measureLayout(selector, page = this.page) {
+    // Wait for elements to be present
+    await page.waitForSelector(selector, { timeout: this.config.timeout || DEFAULT_CONFIG.timeout });
     
-    // Check if top row elements are roughly same Y position
-    const topYDiff = Math.abs(topRow[0].y - topRow[1].y);
-    const bottomYDiff = Math.abs(bottomRow[0].y - bottomRow[1].y);
+    // Get all matching elements
+    const elements = await page.locator(selector).all();
     
-    if (topYDiff < tolerance && bottomYDiff < tolerance) {
-      // Sort each row by X position
-      topRow.sort((a, b) => a.x - b.x);
-      bottomRow.sort((a, b) => a.x - b.x);
-      
-      // Check if left column elements are roughly same X position
-      const leftXDiff = Math.abs(topRow[0].x - bottomRow[0].x);
-      const rightXDiff = Math.abs(topRow[1].x - bottomRow[1].x);
-      
-      if (leftXDiff < tolerance && rightXDiff < tolerance) {
-        return "2x2-grid";
-      }
+    if (elements.length === 0) {
+      throw new Error(`No elements found with selector: ${selector}`);
     }
-    
-    // Check for vertical stack (single column)
-    const sortedByX = [...positions].sort((a, b) => a.x - b.x);
-    const leftmostX = sortedByX[0].x;
-    const allInSameColumn = positions.every(p => Math.abs(p.x - leftmostX) < tolerance);
-    
-    if (allInSameColumn) {
-      return "1x4-vertical";
-    }
-    
-    // Check for horizontal row (single row)
-    const topmostY = sortedByY[0].y;
-    const allInSameRow = positions.every(p => Math.abs(p.y - topmostY) < tolerance);
-    
-    if (allInSameRow) {
-      return "4x1-horizontal";
+
+    // Extract bounding box information
+    const elementData = [];
+    for (let i = 0; i < elements.length; i++) {
+      const boundingBox = await elements[i].boundingBox();
+      if (boundingBox) {
+        elementData.push({
+          id: `element-${i}`,
+          name: await this.extractElementName(elements[i]),
+          bounds: {
+            x: boundingBox.x,
+            y: boundingBox.y, 
+            width: boundingBox.width,
+            height: boundingBox.height
+          },
+          type: "detected"
+        });
+      }
     }
-    
-    return "scattered";
+
+    const layout = inferLayout(elementData);
+
+    return {
+      url: page.url(),
+      selector: selector,
+      elements: elementData,
+      pattern: layout.pattern,
+      layout: layout,
+      confidence: this.calculateConfidence(elementData)
+    };
+  }
+
+  /**
+   * Name used to pair a rendered element with its Figma frame:
+   * data-figma-name, then aria-label, then the first heading's text
+   */
+  async extractElementName(element) {
+    return element.evaluate((el) => {
+      const heading = el.querySelector('h1, h2, h3, h4, h5, h6');
+      return el.getAttribute('data-figma-name') ||
+        el.getAttribute('aria-label') ||
+        (heading ? heading.textContent.trim() : '');
+    });
+  }
+
+  /**
+   * Detect layout pattern from element positions
+   */
+  detectLayoutPattern(elements) {
+    return inferLayout(elements).pattern;
   }
 
   /**
    * Calculate confidence score for pattern detection
    */
   calculateConfidence(elements) {
-    if (elements.length !== 4) {
+    if (elements.length === 0) {
       return 0.0;
     }
     
@@ -305,49 +345,146 @@ class LayoutComparator {
    * Compare Figma design with Playwright implementation
    */
   async compare() {
+    const targets = resolveTargets(this.config);
+
     console.log('🔍 Starting Figma → Playwright layout comparison...');
-    console.log(`   Figma Node: ${this.config.figmaNodeId}`);
-    console.log(`   App URL: ${this.config.playwrightUrl}`);
-    console.log(`   Element Selector: ${this.config.elementSelector}`);
+    targets.forEach(target => {
+      console.log(`   ${target.name}: ${target.url} (${target.elementSelector})`);
+      target.breakpoints.forEach(breakpoint => {
+        console.log(`     ${breakpoint.name}: ${breakpoint.viewport.width}x${breakpoint.viewport.height}, Figma Node ${breakpoint.figmaNodeId}`);
+      });
+    });
     console.log('');
 
     try {
-      // Initialize Playwright
+      // Initialize Playwright once; every target and breakpoint reuses the browser
       await this.playwrightExtractor.initialize();
 
+      // Each worker owns a page and takes the next unchecked target
+      const concurrency = Math.max(1, Math.min(Number(this.config.concurrency) || 1, targets.length));
+      const pages = [this.playwrightExtractor.page];
+      for (let i = 1; i < concurrency; i++) {
+        pages.push(await this.playwrightExtractor.newPage());
+      }
+
+      const runsByTarget = new Array(targets.length);
+      let nextTarget = 0;
+      await Promise.all(pages.map(async (page) => {
+        while (nextTarget < targets.length) {
+          const index = nextTarget++;
+          runsByTarget[index] = await this.compareTarget(targets[index], page);
+        }
+      }));
+
+      const runs = runsByTarget.flat();
+      if (runs.length > 1) {
+        this.generateSummary(runs);
+      }
+      
+      return {
+        match: runs.every(run => run.comparison && run.comparison.match),
+        runs
+      };
+
+    } catch (error) {
+      console.error('❌ Layout comparison failed:', error.message);
+      throw error;
+    } finally {
+      await this.playwrightExtractor.cleanup();
+    }
+  }
+
+  /**
+   * Compare every breakpoint of one target on the given page
+   */
+  async compareTarget(target, page) {
+    const runs = [];
+    for (const breakpoint of target.breakpoints) {
+      runs.push(await this.compareBreakpoint(target, breakpoint, page));
+    }
+    return runs;
+  }
+
+  /**
+   * Compare one target at one breakpoint; extraction errors are recorded
+   * on the run so the remaining targets and breakpoints still get checked
+   */
+  async compareBreakpoint(target, breakpoint, page) {
+    const { label, name } = this.describeRun(target, breakpoint);
+
+    try {
+      await this.playwrightExtractor.setViewport(breakpoint.viewport, page);
+
       // Extract layouts from both sources
-      console.log('📐 Extracting Figma layout...');
-      const figmaLayout = await this.figmaExtractor.extractLayout(this.config.figmaNodeId);
+      console.log(`📐 [${label}] Extracting Figma layout...`);
+      const figmaLayout = await this.figmaExtractor.extractLayout(breakpoint.figmaNodeId);
       
-      console.log('📐 Extracting Playwright layout...');
+      console.log(`📐 [${label}] Extracting Playwright layout...`);
       const playwrightLayout = await this.playwrightExtractor.extractLayout(
-        this.config.playwrightUrl,
-        this.config.elementSelector
+        target.url,
+        target.elementSelector,
+        page
       );
 
       // Compare the layouts
-      const comparison = this.compareLayouts(figmaLayout, playwrightLayout);
+      const comparison = this.compareLayouts(figmaLayout, playwrightLayout, {
+        ...target.expectations,
+        expectedPattern: breakpoint.expectedPattern
+      });
+      comparison.target = { name: target.name, url: target.url, elementSelector: target.elementSelector };
+      comparison.breakpoint = breakpoint;
+
+      if (this.isVisualEnabled(breakpoint.visual)) {
+        console.log(`🖼️  [${label}] Comparing pixels against ${breakpoint.visual.baseline}...`);
+        const visual = await compareVisual(page, name, {
+          ...breakpoint.visual,
+          outputDir: breakpoint.visual.outputDir || (this.config.output ? path.dirname(this.config.output) : null)
+        });
+        comparison.details.visual = visual;
+        comparison.match = comparison.match && visual.match;
+      }
       
       // Generate report
-      this.generateReport(comparison);
+      this.generateReport(comparison, name);
       
-      return comparison;
-
+      return { name, comparison };
     } catch (error) {
-      console.error('❌ Layout comparison failed:', error.message);
-      throw error;
-    } finally {
-      await this.playwrightExtractor.cleanup();
+      console.error(`❌ [${label}] Layout comparison failed:`, error.message);
+      return { name, error };
     }
   }
 
+  /**
+   * Console label ("dashboard / mobile") and run name with the viewport size
+   */
+  describeRun(target, breakpoint) {
+    const label = [target.name, breakpoint.name].filter(part => part !== 'default').join(' / ') || 'default';
+    return { label, name: `${label} (${breakpoint.viewport.width}x${breakpoint.viewport.height})` };
+  }
+
+  /**
+   * Visual mode runs when switched on (--visual or visual.enabled)
+   * and the breakpoint has a Figma PNG export to compare against
+   */
+  isVisualEnabled(visual) {
+    return Boolean((this.config.visualMode || (visual && visual.enabled)) && visual && visual.baseline);
+  }
+
   /**
    * Compare two layout objects
    */
-  compareLayouts(figmaLayout, playwrightLayout) {
+  compareLayouts(figmaLayout, playwrightLayout, expectations = {}) {
+    const { expectedPattern, tolerance, matchBy } = {
+      expectedPattern: this.config.expectedPattern,
+      tolerance: this.config.tolerance,
+      matchBy: this.config.matchBy,
+      ...expectations
+    };
     const elementCountMatch = figmaLayout.elements.length === playwrightLayout.elements.length;
     const patternMatch = figmaLayout.pattern === playwrightLayout.pattern;
-    const overallMatch = elementCountMatch && patternMatch;
+    const expectedPatternMatch = !expectedPattern || playwrightLayout.pattern === expectedPattern;
+    const geometry = this.compareGeometry(figmaLayout, playwrightLayout, tolerance, matchBy);
+    const overallMatch = elementCountMatch && patternMatch && expectedPatternMatch && geometry.match;
     
     return {
       match: overallMatch,
@@ -363,23 +500,246 @@ class LayoutComparator {
           match: patternMatch,
           expected: figmaLayout.pattern,
           actual: playwrightLayout.pattern
-        }
+        },
+        expectedPattern: {
+          match: expectedPatternMatch,
+          expected: expectedPattern || null,
+          actual: playwrightLayout.pattern
+        },
+        grid: {
+          expected: this.summarizeLayout(figmaLayout.layout),
+          actual: this.summarizeLayout(playwrightLayout.layout)
+        },
+        geometry: geometry
       },
       confidence: Math.min(figmaLayout.confidence, playwrightLayout.confidence)
     };
   }
 
+  /**
+   * Pair each Figma element with a rendered element
+   * matchBy "name" pairs equal (normalized) names first; everything left
+   * over, and everything when matchBy is "position", pairs in reading order
+   */
+  matchElements(figmaLayout, playwrightLayout, matchBy = this.config.matchBy) {
+    const readingOrder = (layout) => {
+      const cellsById = new Map(layout.layout.cells.map(cell => [cell.id, cell]));
+      return [...layout.elements].sort((a, b) => {
+        const cellA = cellsById.get(a.id) || { row: 0, column: 0 };
+        const cellB = cellsById.get(b.id) || { row: 0, column: 0 };
+        return cellA.row - cellB.row || cellA.column - cellB.column;
+      });
+    };
+
+    const expected = readingOrder(figmaLayout);
+    const actual = readingOrder(playwrightLayout);
+    const pairs = [];
+
+    if (matchBy === 'name') {
+      for (let i = expected.length - 1; i >= 0; i--) {
+        const name = normalizeName(expected[i].name);
+        const index = name ? actual.findIndex(el => normalizeName(el.name) === name) : -1;
+        if (index !== -1) {
+          pairs.push({ expected: expected[i], actual: actual[index], matchedBy: 'name' });
+          expected.splice(i, 1);
+          actual.splice(index, 1);
+        }
+      }
+      pairs.reverse();
+    }
+
+    while (expected.length > 0 && actual.length > 0) {
+      pairs.push({ expected: expected.shift(), actual: actual.shift(), matchedBy: 'position' });
+    }
+
+    return { pairs, unmatchedExpected: expected, unmatchedActual: actual };
+  }
+
+  /**
+   * Compare element geometry and gutters within the configured tolerance
+   * Positions are measured from each layout's top-left element corner, so a
+   * Figma frame origin that differs from the page origin is not a mismatch
+   */
+  compareGeometry(figmaLayout, playwrightLayout, toleranceSetting = this.config.tolerance, matchBy = this.config.matchBy) {
+    const tolerance = parseTolerance(toleranceSetting);
+    const origin = (elements) => ({
+      x: Math.min(...elements.map(el => el.bounds.x)),
+      y: Math.min(...elements.map(el => el.bounds.y))
+    });
+    const expectedOrigin = figmaLayout.elements.length ? origin(figmaLayout.elements) : { x: 0, y: 0 };
+    const actualOrigin = playwrightLayout.elements.length ? origin(playwrightLayout.elements) : { x: 0, y: 0 };
+    const { pairs, unmatchedExpected, unmatchedActual } = this.matchElements(figmaLayout, playwrightLayout, matchBy);
+
+    const elements = pairs.map(({ expected, actual, matchedBy }) => {
+      const e = expected.bounds;
+      const a = actual.bounds;
+      const deltas = {
+        x: (a.x - actualOrigin.x) - (e.x - expectedOrigin.x),
+        y: (a.y - actualOrigin.y) - (e.y - expectedOrigin.y),
+        width: a.width - e.width,
+        height: a.height - e.height
+      };
+      const expectedRatio = e.width / e.height;
+      const actualRatio = a.width / a.height;
+      const aspectRatio = {
+        expected: expectedRatio,
+        actual: actualRatio,
+        drift: (actualRatio - expectedRatio) / expectedRatio
+      };
+
+      const failures = [];
+      if (!withinTolerance(deltas.x, e.width, tolerance)) failures.push('x');
+      if (!withinTolerance(deltas.y, e.height, tolerance)) failures.push('y');
+      if (!withinTolerance(deltas.width, e.width, tolerance)) failures.push('width');
+      if (!withinTolerance(deltas.height, e.height, tolerance)) failures.push('height');
+      // Aspect ratio is unitless, so it is always checked relatively
+      const ratioTolerance = tolerance.mode === 'px'
+        ? Math.max(tolerance.value / e.width, tolerance.value / e.height)
+        : tolerance.value;
+      if (Math.abs(aspectRatio.drift) > ratioTolerance) failures.push('aspectRatio');
+
+      return {
+        expectedId: expected.id,
+        expectedName: expected.name || null,
+        actualId: actual.id,
+        actualName: actual.name || null,
+        matchedBy,
+        deltas,
+        aspectRatio,
+        failures,
+        match: failures.length === 0
+      };
+    });
+
+    const gutters = {
+      column: this.compareGutter(figmaLayout.layout.gutters, playwrightLayout.layout.gutters, 'column', tolerance),
+      row: this.compareGutter(figmaLayout.layout.gutters, playwrightLayout.layout.gutters, 'row', tolerance)
+    };
+
+    return {
+      match: elements.every(el => el.match) && gutters.column.match && gutters.row.match,
+      tolerance: tolerance,
+      elements,
+      gutters,
+      unmatched: {
+        expected: unmatchedExpected.map(el => el.id),
+        actual: unmatchedActual.map(el => el.id)
+      }
+    };
+  }
+
+  /**
+   * Compare one gutter axis: the mean gutter and the worst single gap
+   */
+  compareGutter(expectedGutters, actualGutters, axis, tolerance) {
+    const expected = expectedGutters[axis];
+    const actual = actualGutters[axis];
+
+    // No gutter on either side matches; a gutter on only one side doesn't
+    if (expected === null || actual === null) {
+      return { expected, actual, delta: null, maxDeviation: null, match: expected === actual };
+    }
+
+    const gaps = actualGutters[`${axis}Gaps`];
+    const maxDeviation = Math.max(...gaps.map(gap => Math.abs(gap - expected)));
+
+    return {
+      expected,
+      actual,
+      delta: actual - expected,
+      maxDeviation,
+      match: withinTolerance(maxDeviation, expected, tolerance)
+    };
+  }
+
+  /**
+   * Reduce an inferred layout to the fields worth reporting
+   */
+  summarizeLayout(layout) {
+    return {
+      rows: layout.rows,
+      columns: layout.columns,
+      rowCounts: layout.rowCounts,
+      columnGutter: layout.gutters.column,
+      rowGutter: layout.gutters.row
+    };
+  }
+
+  formatTolerance(tolerance) {
+    return tolerance.mode === 'px'
+      ? `±${tolerance.value}px`
+      : `±${(tolerance.value * 100).toFixed(0)}%`;
+  }
+
+  /**
+   * One line per target and breakpoint after the individual reports
+   */
+  generateSummary(runs) {
+    const passed = runs.filter(run => run.comparison && run.comparison.match).length;
+    console.log(`📋 Summary: ${passed}/${runs.length} passed`);
+    console.log('═'.repeat(50));
+    runs.forEach(run => {
+      if (run.error) {
+        console.log(`💥 ${run.name}: ${run.error.message}`);
+      } else if (run.comparison.match) {
+        console.log(`✅ ${run.name}: ${run.comparison.details.pattern.actual}`);
+      } else {
+        console.log(`❌ ${run.name}: ${this.mismatchReasons(run.comparison).join('; ')}`);
+      }
+    });
+    console.log('═'.repeat(50));
+  }
+
+  /**
+   * Short reasons a comparison failed, for one-line summaries
+   */
+  mismatchReasons(comparison) {
+    const { elementCount, pattern, expectedPattern, geometry, visual } = comparison.details;
+    return [
+      !elementCount.match && `${elementCount.actual} of ${elementCount.expected} elements`,
+      !pattern.match && `Figma ${pattern.expected}, rendered ${pattern.actual}`,
+      !expectedPattern.match && `expected ${expectedPattern.expected}, found ${expectedPattern.actual}`,
+      !geometry.match && 'geometry outside tolerance',
+      visual && !visual.match && 'visual diff above threshold'
+    ].filter(Boolean);
+  }
+
+  /**
+   * "x +24px, aspect ratio 3.1%" for an element outside tolerance
+   */
+  formatElementFailures(element) {
+    return element.failures.map(field => field === 'aspectRatio'
+      ? `aspect ratio ${(element.aspectRatio.drift * 100).toFixed(1)}%`
+      : `${field} ${element.deltas[field] > 0 ? '+' : ''}${Math.round(element.deltas[field])}px`).join(', ');
+  }
+
+  /**
+   * Format an inferred grid summary for console output
+   */
+  formatGrid(grid) {
+    const gutters = [
+      grid.columnGutter !== null ? `column gutter ${Math.round(grid.columnGutter)}px` : null,
+      grid.rowGutter !== null ? `row gutter ${Math.round(grid.rowGutter)}px` : null
+    ].filter(Boolean);
+    const rowCounts = grid.rowCounts.length > 0 ? ` (per row: ${grid.rowCounts.join(', ')})` : '';
+    return `${grid.columns} columns × ${grid.rows} rows${rowCounts}${gutters.length ? `, ${gutters.join(', ')}` : ''}`;
+  }
+
   /**
    * Generate human-readable comparison report
    */
-  generateReport(comparison) {
-    console.log('📊 Layout Comparison Report');
+  generateReport(comparison, title) {
+    console.log(`📊 Layout Comparison Report${title ? `: ${title}` : ''}`);
     console.log('═'.repeat(50));
     
     if (comparison.match) {
       console.log('✅ LAYOUT MATCH CONFIRMED');
       console.log(`   Pattern: ${comparison.figma.pattern}`);
       console.log(`   Elements: ${comparison.figma.elements.length}`);
+      console.log(`   Grid: ${this.formatGrid(comparison.details.grid.actual)}`);
+      if (comparison.details.visual) {
+        console.log(`   Visual Diff: ${(comparison.details.visual.diffRatio * 100).toFixed(2)}% pixels differ (${comparison.details.visual.artifacts.diff})`);
+      }
       console.log(`   Confidence: ${(comparison.confidence * 100).toFixed(1)}%`);
     } else {
       console.log('❌ LAYOUT MISMATCH DETECTED');
@@ -396,23 +756,70 @@ class LayoutComparator {
         console.log('📐 Layout Pattern Mismatch:');
         console.log(`   Expected: ${comparison.details.pattern.expected}`);
         console.log(`   Actual:   ${comparison.details.pattern.actual}`);
-        console.log(`   Expected Description: ${LAYOUT_PATTERNS[comparison.details.pattern.expected]}`);
-        console.log(`   Actual Description:   ${LAYOUT_PATTERNS[comparison.details.pattern.actual]}`);
+        console.log(`   Expected Description: ${describePattern(comparison.details.pattern.expected)}`);
+        console.log(`   Actual Description:   ${describePattern(comparison.details.pattern.actual)}`);
+        console.log(`   Expected Grid: ${this.formatGrid(comparison.details.grid.expected)}`);
+        console.log(`   Actual Grid:   ${this.formatGrid(comparison.details.grid.actual)}`);
+        console.log('');
+      }
+
+      const geometry = comparison.details.geometry;
+      const failedElements = geometry.elements.filter(el => !el.match);
+      if (failedElements.length > 0) {
+        console.log(`📏 Element Geometry Outside Tolerance (${this.formatTolerance(geometry.tolerance)}):`);
+        failedElements.forEach(el => {
+          const label = el.expectedName ? `${el.expectedName} (${el.expectedId})` : el.expectedId;
+          console.log(`   ${label} → ${el.actualId}: ${this.formatElementFailures(el)}`);
+        });
+        console.log('');
+      }
+
+      ['column', 'row'].forEach(axis => {
+        const gutter = geometry.gutters[axis];
+        if (!gutter.match) {
+          console.log(`↔️  ${axis === 'column' ? 'Column' : 'Row'} Gutter Mismatch:`);
+          if (gutter.expected === null || gutter.actual === null) {
+            console.log(`   Expected: ${gutter.expected === null ? 'none' : `${Math.round(gutter.expected)}px`}`);
+            console.log(`   Actual:   ${gutter.actual === null ? 'none' : `${Math.round(gutter.actual)}px`}`);
+          } else {
+            console.log(`   Expected: ${Math.round(gutter.expected)}px`);
+            console.log(`   Actual:   ${Math.round(gutter.actual)}px (worst gap off by ${Math.round(gutter.maxDeviation)}px)`);
+          }
+          console.log('');
+        }
+      });
+
+      const visual = comparison.details.visual;
+      if (visual && !visual.match) {
+        console.log('🖼️  Visual Diff Above Threshold:');
+        console.log(`   Differing pixels: ${visual.diffPixels} (${(visual.diffRatio * 100).toFixed(2)}%, max ${(visual.maxDiffRatio * 100).toFixed(2)}%)`);
+        if (!visual.size.match) {
+          console.log(`   Size: Figma ${visual.size.expected.width}x${visual.size.expected.height}, rendered ${visual.size.actual.width}x${visual.size.actual.height}`);
+        }
+        console.log(`   Diff image: ${visual.artifacts.diff}`);
+        console.log('');
+      }
+
+      if (!comparison.details.expectedPattern.match) {
+        console.log('🎯 Expected Pattern Mismatch (figma-layout.config.js):');
+        console.log(`   Expected: ${comparison.details.expectedPattern.expected}`);
+        console.log(`   Actual:   ${comparison.details.expectedPattern.actual}`);
         console.log('');
       }
 
       // Provide specific guidance for common failures
-      if (comparison.details.pattern.expected === "2x2-grid" && 
-          comparison.details.pattern.actual === "1x4-vertical") {
+      const expectedGrid = comparison.details.grid.expected;
+      const actualGrid = comparison.details.grid.actual;
+      if (expectedGrid.columns > 1 && actualGrid.columns === 1 && actualGrid.rows > 1) {
         console.log('🔧 SUGGESTED FIX:');
         console.log('   This is a common CSS grid configuration issue.');
         console.log('   Try using:');
         console.log('   .ds-dashboard-grid {');
         console.log('     display: grid;');
-        console.log('     grid-template-columns: repeat(2, minmax(0, 1fr));');
+        console.log(`     grid-template-columns: repeat(${expectedGrid.columns}, minmax(0, 1fr));`);
         console.log('     gap: 20px;');
         console.log('   }');
-        console.log('   Instead of Tailwind utilities like "grid-cols-2"');
+        console.log(`   Instead of Tailwind utilities like "grid-cols-${expectedGrid.columns}"`);
       }
     }
     
@@ -426,6 +833,79 @@ class LayoutComparator {
   }
 }
 
+/**
+ * Breakpoints to verify: the configured list, or the top-level
+ * viewport/figmaNodeId/expectedPattern as a single breakpoint
+ */
+function resolveBreakpoints(config) {
+  const viewport = config.viewport || DEFAULT_CONFIG.viewport;
+
+  if (!Array.isArray(config.breakpoints) || config.breakpoints.length === 0) {
+    return [{
+      name: 'default',
+      viewport,
+      figmaNodeId: config.figmaNodeId,
+      expectedPattern: config.expectedPattern,
+      visual: { ...config.visual }
+    }];
+  }
+
+  return config.breakpoints
+    .map(breakpoint => ({
+      name: breakpoint.name || `${(breakpoint.viewport || viewport).width}px`,
+      viewport: breakpoint.viewport || viewport,
+      figmaNodeId: breakpoint.figmaNodeId || config.figmaNodeId,
+      expectedPattern: breakpoint.expectedPattern !== undefined ? breakpoint.expectedPattern : config.expectedPattern,
+      visual: { ...config.visual, ...breakpoint.visual }
+    }))
+    .filter(breakpoint => !config.breakpoint || breakpoint.name === config.breakpoint);
+}
+
+function joinUrl(baseUrl, route) {
+  return `${baseUrl.replace(/\/+$/, '')}/${(route || '').replace(/^\/+/, '')}`;
+}
+
+/**
+ * Comparison targets: the configured list, or the top-level
+ * playwrightUrl/elementSelector/figmaNodeId as a single target
+ *
+ * Targets are checked at `viewport` unless they list their own
+ * breakpoints; top-level breakpoints apply to the single implicit target
+ */
+function resolveTargets(config) {
+  if (!Array.isArray(config.targets) || config.targets.length === 0) {
+    return [{
+      name: 'default',
+      url: config.playwrightUrl,
+      elementSelector: config.elementSelector,
+      expectations: {},
+      breakpoints: resolveBreakpoints(config)
+    }];
+  }
+
+  const baseUrl = config.baseUrl || config.playwrightUrl;
+
+  return config.targets
+    .filter(target => !config.target || target.name === config.target)
+    .map((target, index) => ({
+      name: target.name || target.route || `target-${index + 1}`,
+      url: joinUrl(baseUrl, target.route),
+      elementSelector: target.elementSelector || target.selector || config.elementSelector,
+      expectations: {
+        ...(target.tolerance !== undefined && { tolerance: target.tolerance }),
+        ...(target.matchBy !== undefined && { matchBy: target.matchBy })
+      },
+      breakpoints: resolveBreakpoints({
+        viewport: config.viewport,
+        figmaNodeId: target.figmaNodeId || config.figmaNodeId,
+        expectedPattern: target.expectedPattern !== undefined ? target.expectedPattern : config.expectedPattern,
+        breakpoints: target.breakpoints,
+        breakpoint: config.breakpoint,
+        visual: { ...config.visual, ...target.visual }
+      })
+    }));
+}
+
 /**
  * Configuration loader
  */
@@ -454,24 +934,113 @@ function loadConfig() {
       config.playwrightUrl = arg.split('=')[1];
     } else if (arg.startsWith('--selector=')) {
       config.elementSelector = arg.split('=')[1];
+    } else if (arg.startsWith('--tolerance=')) {
+      const value = arg.split('=')[1];
+      config.tolerance = value.endsWith('px') ? value : parseFloat(value);
+    } else if (arg.startsWith('--match-by=')) {
+      config.matchBy = arg.split('=')[1];
+    } else if (arg.startsWith('--base-url=')) {
+      config.baseUrl = arg.split('=')[1];
+    } else if (arg.startsWith('--target=')) {
+      config.target = arg.split('=')[1];
+    } else if (arg.startsWith('--concurrency=')) {
+      config.concurrency = parseInt(arg.split('=')[1], 10);
+    } else if (arg.startsWith('--breakpoint=')) {
+      config.breakpoint = arg.split('=')[1];
+    } else if (arg.startsWith('--reporter=')) {
+      config.reporter = arg.split('=')[1];
+    } else if (arg.startsWith('--output=')) {
+      config.output = arg.split('=')[1];
+    } else if (arg === '--visual') {
+      config.visualMode = true;
     } else if (arg === '--debug') {
       config.debug = true;
     }
   });
   
+  if (!REPORTERS.includes(config.reporter)) {
+    throw new Error(`Unknown reporter "${config.reporter}" (use one of: ${REPORTERS.join(', ')})`);
+  }
+  
+  const targets = config.targets || [];
+  const breakpoints = [...(config.breakpoints || []), ...targets.flatMap(target => target.breakpoints || [])];
+  [config, ...targets, ...breakpoints].forEach(entry => {
+    if (entry.expectedPattern && !isValidPattern(entry.expectedPattern)) {
+      console.warn(`⚠️  Unrecognized expectedPattern "${entry.expectedPattern}" (use e.g. "3x2-grid", "1x4-vertical", "rows-3-2")`);
+    }
+  });
+  
+  if (config.target && !resolveTargets(config).length) {
+    throw new Error(`No target named "${config.target}" in figma-layout.config.js`);
+  }
+  
+  if (config.breakpoint && resolveTargets(config).every(target => !target.breakpoints.length)) {
+    throw new Error(`No breakpoint named "${config.breakpoint}" in figma-layout.config.js`);
+  }
+  
   return config;
 }
 
+/**
+ * Write a machine-readable report for the configured reporter
+ * Without --output the report goes to stdout
+ */
+function writeReport(config, runs) {
+  if (config.reporter === 'console') {
+    return;
+  }
+  
+  const output = formatReport(config.reporter, buildReport(config, runs));
+  
+  if (config.output) {
+    const outputPath = path.resolve(config.output);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, output);
+    console.log(`📝 ${config.reporter} report written to: ${outputPath}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+function runName(config) {
+  return `${config.figmaNodeId} → ${config.playwrightUrl} (${config.elementSelector})`;
+}
+
 /**
  * Main execution
  */
 async function main() {
+  // A report written to stdout must not be interleaved with progress output
+  const args = process.argv.slice(2);
+  const reportsToStdout = args.some(arg => arg.startsWith('--reporter=') && arg !== '--reporter=console') &&
+    !args.some(arg => arg.startsWith('--output='));
+  if (reportsToStdout) {
+    console.log = console.error;
+  }
+  
+  let config = DEFAULT_CONFIG;
+  
   try {
-    const config = loadConfig();
+    config = loadConfig();
+    if (args.includes('--watch')) {
+      // Runs until Ctrl+C
+      const { watch, watchOptions } = require('./dev-watch');
+      await watch({
+        ...watchOptions(args),
+        devUrl: config.baseUrl || config.playwrightUrl,
+        layout: { comparator: new LayoutComparator(config), targets: resolveTargets(config) }
+      });
+      return;
+    }
     const comparator = new LayoutComparator(config);
     const result = await comparator.compare();
     
-    // Exit with appropriate code
+    writeReport(config, result.runs);
+    
+    // Exit with appropriate code: any breakpoint that could not be checked is an error
+    if (result.runs.some(run => run.error)) {
+      process.exit(2);
+    }
     process.exit(result.match ? 0 : 1);
     
   } catch (error) {
@@ -479,6 +1048,9 @@ async function main() {
     if (process.env.NODE_ENV === 'development') {
       console.error(error.stack);
     }
+    if (REPORTERS.includes(config.reporter)) {
+      writeReport(config, [{ name: runName(config), error }]);
+    }
     process.exit(2);
   }
 }
@@ -489,6 +1061,8 @@ if (require.main === module) {
 }
 
 module.exports = {
+  resolveBreakpoints,
+  resolveTargets,
   FigmaExtractor,
   PlaywrightExtractor, 
   LayoutComparator,
@@ -0,0 +1,560 @@
+/**
+ * Development Watch Mode
+ *
+ * Keeps the style rules and the Figma layout comparison running while you
+ * work, instead of once before `next dev`:
+ *
+ * - Style rules re-run when a file under the verify-styles include
+ *   directories (styles, app, components, examples) changes; unchanged
+ *   files are not re-parsed
+ * - The layout comparison keeps a Playwright browser warm with one page per
+ *   target and re-measures after every Next.js Fast Refresh or reload
+ * - Results are drawn as a compact terminal panel and pushed to an overlay
+ *   in the dev page that outlines mismatched elements in place
+ *
+ * The overlay script (tools/watch-overlay.js) is served by this process;
+ * app/layout.tsx loads it in development when VERIFY_WATCH_URL is set.
+ * --dev starts `next dev` with VERIFY_WATCH_URL already set.
+ *
+ * Usage:
+ *   node verify-styles.js --watch [--dev]                # style rules only
+ *   node tools/compare-figma-layout.js --watch [--dev]   # style rules and layout
+ *   Options: --overlay-port=3199, --no-overlay
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { spawn } = require('child_process');
+const { loadConfig, runRules } = require('./style-rules/engine');
+
+const DEFAULT_OVERLAY_PORT = 3199;
+const DEFAULT_DEV_URL = 'http://localhost:3000';
+const OVERLAY_SCRIPT = path.join(__dirname, 'watch-overlay.js');
+
+// Saves arrive in bursts (editor, formatter); check once they settle
+const CHANGE_DEBOUNCE_MS = 150;
+// Fast Refresh reports "done" before resize observers have re-rendered charts
+const REFRESH_SETTLE_MS = 300;
+// Re-measure even when a change never reaches the page (e.g. an unused component)
+const CHANGE_FALLBACK_MS = 2500;
+const DEV_SERVER_TIMEOUT_MS = 60000;
+
+const PANEL_FINDINGS = 8;
+const PANEL_ELEMENTS = 3;
+const OVERLAY_FINDINGS = 50;
+const DEV_LOG_LINES = 3;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const stripAnsi = text => text.replace(/\x1b\[[0-9;]*m/g, '');
+const formatTime = isoDate => new Date(isoDate).toLocaleTimeString();
+
+/**
+ * Watch options shared by verify-styles.js and compare-figma-layout.js
+ */
+function watchOptions(args) {
+  const portArg = args.find(arg => arg.startsWith('--overlay-port='));
+  return {
+    dev: args.includes('--dev'),
+    overlay: !args.includes('--no-overlay'),
+    overlayPort: portArg ? parseInt(portArg.split('=')[1], 10) : DEFAULT_OVERLAY_PORT
+  };
+}
+
+/**
+ * Call onChange with the files (relative to root) changed under the
+ * included directories, batched per burst of saves
+ *
+ * @returns {Function} Stops watching
+ */
+function watchFiles(root, config, onChange) {
+  let changed = new Set();
+  let timer = null;
+
+  const watchers = config.include
+    .map(dir => path.join(root, dir))
+    .filter(dir => fs.existsSync(dir))
+    .map(dir => fs.watch(dir, { recursive: true }, (event, filename) => {
+      if (!filename) {
+        return;
+      }
+      const relPath = path.relative(root, path.join(dir, filename.toString()));
+      if (relPath.split(path.sep).some(part => config.exclude.includes(part)) ||
+        !config.extensions.includes(path.extname(relPath))) {
+        return;
+      }
+      changed.add(relPath);
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        const files = [...changed];
+        changed = new Set();
+        onChange(files);
+      }, CHANGE_DEBOUNCE_MS);
+    }));
+
+  return () => {
+    clearTimeout(timer);
+    watchers.forEach(watcher => watcher.close());
+  };
+}
+
+/**
+ * Run the style rules; errors first, then findings in the changed files
+ */
+function checkStyles(root, config, cache, changedFiles) {
+  const checkedAt = new Date().toISOString();
+  try {
+    const { sources, results } = runRules({ root, config, cache });
+    const rank = result => (result.severity === 'error' ? 0 : changedFiles.includes(result.file) ? 1 : 2);
+    const findings = results
+      .map(({ ruleId, severity, file, line, column, message }) => ({ ruleId, severity, file, line, column, message }))
+      .sort((a, b) => rank(a) - rank(b));
+
+    return {
+      files: sources.length,
+      errors: results.filter(result => result.severity === 'error').length,
+      warnings: results.filter(result => result.severity === 'warn').length,
+      changedFiles,
+      // Other files' warnings are in the full report
+      findings: findings.filter(finding => rank(finding) < 2),
+      checkedAt
+    };
+  } catch (error) {
+    // e.g. a stylesheet saved halfway through an edit
+    return { error: error.message, changedFiles, checkedAt };
+  }
+}
+
+/**
+ * Reduce a comparison run to what the panel and overlay show
+ * Element indexes count every match of the run's selector
+ */
+function summarizeRun(run, comparator) {
+  const summary = {
+    name: run.name,
+    url: run.url,
+    selector: run.selector,
+    viewport: run.viewport,
+    match: Boolean(run.comparison && run.comparison.match)
+  };
+  if (run.error) {
+    return { ...summary, error: run.error.message };
+  }
+
+  const elementIndex = id => Number(id.replace('element-', ''));
+  const { pattern, geometry } = run.comparison.details;
+  return {
+    ...summary,
+    pattern: pattern.actual,
+    reasons: comparator.mismatchReasons(run.comparison),
+    elements: [
+      ...geometry.elements.filter(el => !el.match).map(el => ({
+        index: elementIndex(el.actualId),
+        label: el.expectedName || el.expectedId,
+        message: comparator.formatElementFailures(el)
+      })),
+      ...geometry.unmatched.actual.map(id => ({
+        index: elementIndex(id),
+        label: id,
+        message: 'not in the Figma design'
+      }))
+    ]
+  };
+}
+
+/**
+ * Keeps a page per target open and re-compares its layout at every
+ * breakpoint after hot reloads
+ */
+class LayoutWatcher {
+  constructor({ comparator, targets }, onResult) {
+    this.comparator = comparator;
+    this.extractor = comparator.playwrightExtractor;
+    this.targets = targets;
+    this.onResult = onResult;
+    this.entries = [];
+    this.figmaLayouts = new Map();
+    this.timer = null;
+    this.running = false;
+    this.pending = false;
+    this.stopped = false;
+  }
+
+  async start() {
+    await this.extractor.initialize();
+    for (let i = 0; i < this.targets.length; i++) {
+      const page = i === 0 ? this.extractor.page : await this.extractor.newPage();
+      this.entries.push({ target: this.targets[i], page, loaded: false });
+    }
+    await this.check();
+  }
+
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    await this.extractor.cleanup();
+  }
+
+  /**
+   * Check after delay ms; a later call replaces the pending check
+   */
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.check(), delay);
+  }
+
+  async check() {
+    if (this.stopped) {
+      return;
+    }
+    if (this.running) {
+      this.pending = true;
+      return;
+    }
+
+    this.running = true;
+    const runs = [];
+    for (const entry of this.entries) {
+      runs.push(...await this.checkTarget(entry));
+    }
+    this.running = false;
+
+    if (!this.stopped) {
+      this.onResult({
+        runs: runs.map(run => summarizeRun(run, this.comparator)),
+        checkedAt: new Date().toISOString()
+      });
+    }
+    if (this.pending) {
+      this.pending = false;
+      this.schedule(0);
+    }
+  }
+
+  /**
+   * Open the target once (retried on the next change while the dev server
+   * is down), then listen for Fast Refresh and full reloads
+   */
+  async checkTarget(entry) {
+    const { target, page } = entry;
+    if (!entry.loaded) {
+      try {
+        await page.goto(target.url, { waitUntil: 'networkidle' });
+      } catch (error) {
+        return target.breakpoints.map(breakpoint => this.createRun(target, breakpoint, { error }));
+      }
+      entry.loaded = true;
+      page.on('console', message => {
+        if (message.text().startsWith('[Fast Refresh] done')) {
+          this.schedule(REFRESH_SETTLE_MS);
+        }
+      });
+      page.on('load', () => this.schedule(REFRESH_SETTLE_MS));
+    }
+
+    const runs = [];
+    for (const breakpoint of target.breakpoints) {
+      runs.push(await this.checkBreakpoint(target, breakpoint, page));
+    }
+    return runs;
+  }
+
+  async checkBreakpoint(target, breakpoint, page) {
+    try {
+      await this.extractor.setViewport(breakpoint.viewport, page);
+      // Let resize observers (chart containers) re-render before measuring
+      await page.evaluate(() => new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve))));
+
+      const figmaLayout = await this.figmaLayout(breakpoint.figmaNodeId);
+      const playwrightLayout = await this.extractor.measureLayout(target.elementSelector, page);
+      const comparison = this.comparator.compareLayouts(figmaLayout, playwrightLayout, {
+        ...target.expectations,
+        expectedPattern: breakpoint.expectedPattern
+      });
+      return this.createRun(target, breakpoint, { comparison });
+    } catch (error) {
+      return this.createRun(target, breakpoint, { error });
+    }
+  }
+
+  createRun(target, breakpoint, result) {
+    return {
+      name: this.comparator.describeRun(target, breakpoint).name,
+      url: target.url,
+      selector: target.elementSelector,
+      viewport: breakpoint.viewport,
+      ...result
+    };
+  }
+
+  /**
+   * The Figma side doesn't change on hot reload; extract each node once
+   */
+  async figmaLayout(nodeId) {
+    if (!this.figmaLayouts.has(nodeId)) {
+      this.figmaLayouts.set(nodeId, await this.comparator.figmaExtractor.extractLayout(nodeId));
+    }
+    return this.figmaLayouts.get(nodeId);
+  }
+}
+
+/**
+ * Serve the overlay script and push state to it with server-sent events
+ */
+function startOverlayServer(port, getState) {
+  const clients = new Set();
+  const server = http.createServer((req, res) => {
+    // The dev page is on another port
+    const headers = { 'Access-Control-Allow-Origin': '*', 'Cache-Control': 'no-store' };
+    if (req.url === '/overlay.js') {
+      res.writeHead(200, { ...headers, 'Content-Type': 'text/javascript; charset=utf-8' });
+      res.end(fs.readFileSync(OVERLAY_SCRIPT));
+    } else if (req.url === '/events') {
+      res.writeHead(200, { ...headers, 'Content-Type': 'text/event-stream', Connection: 'keep-alive' });
+      res.write(`data: ${JSON.stringify(getState())}\n\n`);
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+    } else {
+      res.writeHead(404, headers);
+      res.end();
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', error => reject(error.code === 'EADDRINUSE'
+      ? new Error(`Overlay port ${port} is in use (pick another with --overlay-port=)`)
+      : error));
+    // Loopback only: the overlay server has no auth and allows any origin
+    server.listen(port, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${port}`,
+      broadcast: state => {
+        const data = `data: ${JSON.stringify(state)}\n\n`;
+        clients.forEach(client => client.write(data));
+      },
+      close: () => {
+        clients.forEach(client => client.end());
+        server.close();
+      }
+    }));
+  });
+}
+
+/**
+ * Start `next dev` on the port of devUrl, passing its output to onLine
+ */
+function startDevServer(root, devUrl, env, onLine) {
+  const port = new URL(devUrl).port || '3000';
+  const child = spawn(process.execPath, [require.resolve('next/dist/bin/next', { paths: [root] }), 'dev', '-p', port], {
+    cwd: root,
+    env: { ...process.env, ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  const forward = chunk => stripAnsi(chunk.toString()).split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .forEach(onLine);
+  child.stdout.on('data', forward);
+  child.stderr.on('data', forward);
+  child.on('exit', code => onLine(`next dev exited${code === null ? '' : ` with code ${code}`}`));
+  return child;
+}
+
+async function waitForServer(url, timeout = DEV_SERVER_TIMEOUT_MS) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    try {
+      await fetch(url);
+      return;
+    } catch {
+      await sleep(500);
+    }
+  }
+  throw new Error(`No response from ${url} within ${timeout / 1000}s`);
+}
+
+function styleLines(styles) {
+  if (!styles) {
+    return ['🎨 Styles  ⏳ checking...'];
+  }
+  if (styles.error) {
+    return [`🎨 Styles  💥 ${styles.error}  · ${formatTime(styles.checkedAt)}`];
+  }
+
+  const status = styles.errors > 0 ? '❌' : '✅';
+  const lines = [`🎨 Styles  ${status} ${styles.errors} error(s), ${styles.warnings} warning(s) in ${styles.files} files  · ${formatTime(styles.checkedAt)}`];
+  if (styles.changedFiles.length > 0) {
+    lines.push(`   changed: ${styles.changedFiles.join(', ')}`);
+  }
+  styles.findings.slice(0, PANEL_FINDINGS).forEach(finding => {
+    const marker = finding.severity === 'error' ? '✗' : '⚠';
+    lines.push(`   ${marker} ${finding.file}:${finding.line}:${finding.column}  ${finding.message}  ${finding.ruleId}`);
+  });
+  if (styles.findings.length > PANEL_FINDINGS) {
+    lines.push(`   … ${styles.findings.length - PANEL_FINDINGS} more (npm run verify-styles for the full report)`);
+  }
+  return lines;
+}
+
+function layoutLines(layout) {
+  if (!layout) {
+    return ['📐 Layout  ⏳ starting browser...'];
+  }
+  if (layout.error) {
+    return [`📐 Layout  💥 ${layout.error}`];
+  }
+
+  const passed = layout.runs.filter(run => run.match).length;
+  const status = passed === layout.runs.length ? '✅' : '❌';
+  const lines = [`📐 Layout  ${status} ${passed}/${layout.runs.length} passed  · ${formatTime(layout.checkedAt)}`];
+  layout.runs.forEach(run => {
+    if (run.error) {
+      lines.push(`   💥 ${run.name}: ${run.error.split('\n')[0]}`);
+    } else if (run.match) {
+      lines.push(`   ✅ ${run.name}: ${run.pattern}`);
+    } else {
+      lines.push(`   ❌ ${run.name}: ${run.reasons.join('; ')}`);
+      run.elements.slice(0, PANEL_ELEMENTS).forEach(el => lines.push(`      ${el.label}: ${el.message}`));
+    }
+  });
+  return lines;
+}
+
+/**
+ * The compact terminal panel, redrawn in place on every result
+ */
+function renderPanel(state, header) {
+  const rule = '─'.repeat(60);
+  const lines = [header, rule, ...styleLines(state.styles)];
+  if (state.layout !== undefined) {
+    lines.push(...layoutLines(state.layout));
+  }
+  if (state.devLog) {
+    lines.push('▶ next dev', ...state.devLog.map(line => `   ${line}`));
+  }
+  lines.push(rule);
+  return lines.join('\n');
+}
+
+/**
+ * Start watch mode; resolves once everything is running, and the process
+ * keeps running until Ctrl+C
+ *
+ * @param {object} [options]
+ * @param {string} [options.root] - Project root (default: cwd)
+ * @param {object} [options.styleConfig] - verify-styles config (default: verify-styles.config.js)
+ * @param {{comparator: object, targets: Array}} [options.layout] - Enables the layout comparison
+ * @param {boolean} [options.dev] - Start `next dev` with the overlay enabled
+ * @param {string} [options.devUrl] - Where `next dev` listens
+ * @param {boolean} [options.overlay] - Serve the overlay (default: true)
+ * @param {number} [options.overlayPort] - Overlay server port (default: 3199)
+ */
+async function watch({
+  root = process.cwd(),
+  styleConfig = loadConfig(root),
+  layout = null,
+  dev = false,
+  devUrl = DEFAULT_DEV_URL,
+  overlay = true,
+  overlayPort = DEFAULT_OVERLAY_PORT
+} = {}) {
+  // layout stays undefined when the comparison is off, so the panel skips it
+  const state = { styles: null, layout: layout ? null : undefined, devLog: dev ? [] : undefined };
+  const cache = new Map();
+  let server = null;
+  let devServer = null;
+  let layoutWatcher = null;
+  let stopWatching = () => {};
+  let header = '';
+
+  const overlayState = () => ({
+    styles: state.styles && state.styles.findings
+      ? { ...state.styles, findings: state.styles.findings.slice(0, OVERLAY_FINDINGS) }
+      : state.styles,
+    layout: state.layout
+  });
+
+  const draw = () => {
+    const panel = renderPanel(state, header);
+    if (process.stdout.isTTY) {
+      process.stdout.write(`\x1b[2J\x1b[H${panel}\n`);
+    } else {
+      console.log(`${panel}\n`);
+    }
+  };
+
+  const update = changes => {
+    Object.assign(state, changes);
+    draw();
+    if (server) {
+      server.broadcast(overlayState());
+    }
+  };
+
+  const shutdown = async () => {
+    stopWatching();
+    if (layoutWatcher) {
+      await layoutWatcher.stop();
+    }
+    if (server) {
+      server.close();
+    }
+    if (devServer && devServer.exitCode === null) {
+      devServer.kill();
+    }
+    process.exit(0);
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+
+  if (overlay) {
+    server = await startOverlayServer(overlayPort, overlayState);
+  }
+
+  header = [
+    `👀 Watching ${styleConfig.include.join(', ')}`,
+    server && `overlay ${server.url}${dev ? '' : ' (start next dev with VERIFY_WATCH_URL set to load it)'}`,
+    'Ctrl+C to stop'
+  ].filter(Boolean).join(' · ');
+
+  if (dev) {
+    devServer = startDevServer(root, devUrl, server ? { VERIFY_WATCH_URL: server.url } : {}, line => {
+      update({ devLog: [...state.devLog, line].slice(-DEV_LOG_LINES) });
+    });
+  }
+
+  update({ styles: checkStyles(root, styleConfig, cache, []) });
+  stopWatching = watchFiles(root, styleConfig, files => {
+    update({ styles: checkStyles(root, styleConfig, cache, files) });
+    if (layoutWatcher) {
+      layoutWatcher.schedule(CHANGE_FALLBACK_MS);
+    }
+  });
+
+  if (layout) {
+    try {
+      if (dev) {
+        await waitForServer(devUrl);
+      }
+      layoutWatcher = new LayoutWatcher(layout, result => update({ layout: result }));
+      await layoutWatcher.start();
+    } catch (error) {
+      // e.g. no Playwright browser installed; style checks keep running
+      if (layoutWatcher) {
+        await layoutWatcher.stop();
+        layoutWatcher = null;
+      }
+      update({ layout: { error: error.message.split('\n')[0] } });
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_OVERLAY_PORT,
+  watchOptions,
+  watchFiles,
+  checkStyles,
+  summarizeRun,
+  renderPanel,
+  LayoutWatcher,
+  watch
+};
@@ -2,56 +2,242 @@
 
 /**
  * Figma Data Extractor
- * Extracts layout information from Figma using MCP server
+ * Extracts layout information from a saved Figma export
  * This script generates a JSON file with Figma layout data
+ *
+ * Usage:
+ *   node tools/figma-extractor.js 22:21 --input=figma/dashboard-nodes.json
+ *   node tools/figma-extractor.js 22:21 --input=figma/dashboard-metadata.xml
+ *   node tools/figma-extractor.js 22:21 22:40 22:60 --input=figma/dashboard-nodes.json
+ *
+ * Inputs are either a Figma REST GET /files/:key/nodes response or an
+ * MCP get_metadata XML dump, so the cache can be produced offline.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { inferLayout } = require('./layout-inference');
 
 /**
- * Parse Figma metadata XML to extract element positions
- * Based on the actual structure returned by get_metadata
+ * Node types that can stand in for a layout element (chart, panel, card)
+ */
+const FRAME_NODE_TYPES = ['FRAME', 'COMPONENT', 'INSTANCE', 'GROUP', 'RECTANGLE', 'SECTION'];
+
+/**
+ * Decode the XML entities Figma emits in attribute values
+ */
+function decodeEntities(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+function parseAttributes(attributeString) {
+  const attributes = {};
+  const attrRegex = /([\w:.-]+)\s*=\s*"([^"]*)"/g;
+  let match;
+
+  while ((match = attrRegex.exec(attributeString)) !== null) {
+    attributes[match[1]] = decodeEntities(match[2]);
+  }
+
+  return attributes;
+}
+
+function readBounds(attributes) {
+  if (attributes.width === undefined || attributes.height === undefined) {
+    return null;
+  }
+  return {
+    x: parseFloat(attributes.x || 0),
+    y: parseFloat(attributes.y || 0),
+    width: parseFloat(attributes.width),
+    height: parseFloat(attributes.height)
+  };
+}
+
+/**
+ * Parse Figma metadata XML (MCP get_metadata output) into a node tree
+ *
+ * Accepts both attribute styles seen in saved dumps:
+ *   <frame id="22:22" name="Chart" x="300" y="120" width="490" height="300">
+ *   <FRAME data-node-id="22:22" name="Chart"><bounds x="300" ... /></FRAME>
+ *
+ * Positions in the dump are relative to the parent node; the returned
+ * tree carries absolute bounds so every node shares one coordinate space.
  */
 function parseMetadataXML(xmlString) {
-  const elements = [];
-  
-  // Extract all FRAME elements with their positions
-  const frameRegex = /<FRAME[^>]*data-node-id="([^"]*)"[^>]*>\s*<bounds[^>]*x="([^"]*)"[^>]*y="([^"]*)"[^>]*width="([^"]*)"[^>]*height="([^"]*)"[^>]*\/>/g;
+  const roots = [];
+  const stack = [];
+  const tagRegex = /<(\/?)([A-Za-z_][\w:.-]*)([^>]*?)(\/?)>/g;
+  const source = xmlString.replace(/<!--[\s\S]*?-->/g, '').replace(/<\?[\s\S]*?\?>/g, '');
   let match;
-  
-  while ((match = frameRegex.exec(xmlString)) !== null) {
-    const [, nodeId, x, y, width, height] = match;
-    elements.push({
-      id: nodeId,
-      bounds: {
-        x: parseFloat(x),
-        y: parseFloat(y),
-        width: parseFloat(width),
-        height: parseFloat(height)
-      },
-      type: "frame"
-    });
+
+  while ((match = tagRegex.exec(source)) !== null) {
+    const [, closing, tagName, attributeString, selfClosing] = match;
+    const parent = stack[stack.length - 1];
+
+    if (closing) {
+      if (parent && parent.tagName === tagName) {
+        stack.pop();
+      }
+      continue;
+    }
+
+    const attributes = parseAttributes(attributeString);
+
+    // <bounds> carries the geometry of its parent node
+    if (tagName.toLowerCase() === 'bounds') {
+      if (parent) {
+        parent.relativeBounds = readBounds(attributes);
+      }
+      continue;
+    }
+
+    const node = {
+      tagName,
+      id: attributes['data-node-id'] || attributes.id || null,
+      name: attributes.name || '',
+      type: tagName.toUpperCase(),
+      relativeBounds: readBounds(attributes),
+      children: []
+    };
+
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+
+    if (!selfClosing) {
+      stack.push(node);
+    }
   }
-  
-  // Also extract RECTANGLE elements (charts might be represented as rectangles)
-  const rectRegex = /<RECTANGLE[^>]*data-node-id="([^"]*)"[^>]*>\s*<bounds[^>]*x="([^"]*)"[^>]*y="([^"]*)"[^>]*width="([^"]*)"[^>]*height="([^"]*)"[^>]*\/>/g;
-  
-  while ((match = rectRegex.exec(xmlString)) !== null) {
-    const [, nodeId, x, y, width, height] = match;
-    elements.push({
-      id: nodeId,
+
+  return roots.map(root => toAbsoluteNode(root, { x: 0, y: 0 }));
+}
+
+function toAbsoluteNode(node, origin) {
+  const bounds = node.relativeBounds
+    ? {
+        x: origin.x + node.relativeBounds.x,
+        y: origin.y + node.relativeBounds.y,
+        width: node.relativeBounds.width,
+        height: node.relativeBounds.height
+      }
+    : null;
+
+  return {
+    id: node.id,
+    name: node.name,
+    type: node.type,
+    bounds: bounds,
+    children: node.children.map(child => toAbsoluteNode(child, bounds || origin))
+  };
+}
+
+/**
+ * Convert a Figma REST node (GET /files/:key/nodes) into the shared node shape
+ * REST exports already use absolute canvas coordinates (absoluteBoundingBox)
+ */
+function fromRestNode(node) {
+  const box = node.absoluteBoundingBox;
+
+  return {
+    id: node.id || null,
+    name: node.name || '',
+    type: (node.type || '').toUpperCase(),
+    bounds: box
+      ? { x: box.x, y: box.y, width: box.width, height: box.height }
+      : null,
+    children: (node.children || []).map(fromRestNode)
+  };
+}
+
+/**
+ * Parse a saved Figma REST export into a list of root nodes
+ * Supports both GET /files/:key/nodes ({ nodes: { id: { document } } })
+ * and full GET /files/:key ({ document }) responses
+ */
+function parseRestExport(json) {
+  if (json.nodes) {
+    return Object.values(json.nodes)
+      .filter(entry => entry && entry.document)
+      .map(entry => fromRestNode(entry.document));
+  }
+
+  if (json.document) {
+    return [fromRestNode(json.document)];
+  }
+
+  throw new Error('Unrecognized Figma JSON export: expected a "nodes" or "document" property');
+}
+
+/**
+ * Load a saved Figma export from disk, detecting JSON vs XML by content
+ */
+function loadFigmaExport(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8').trim();
+
+  if (content.startsWith('{')) {
+    return { format: 'rest', nodes: parseRestExport(JSON.parse(content)) };
+  }
+
+  if (content.startsWith('<')) {
+    return { format: 'mcp', nodes: parseMetadataXML(content) };
+  }
+
+  throw new Error(`Cannot detect Figma export format of ${filePath} (expected JSON or XML)`);
+}
+
+/**
+ * Figma URLs use "22-21" while the APIs use "22:21"
+ */
+function normalizeNodeId(nodeId) {
+  return String(nodeId).replace(/-/g, ':');
+}
+
+/**
+ * Depth-first search for a node by ID
+ */
+function findNode(nodes, nodeId) {
+  for (const node of nodes) {
+    if (node.id === nodeId) {
+      return node;
+    }
+    const found = findNode(node.children, nodeId);
+    if (found) {
+      return found;
+    }
+  }
+  return null;
+}
+
+/**
+ * Collect the frame-like children of a node as layout elements
+ * Bounds are made relative to the node itself so they line up with the
+ * rendered page, which starts at (0, 0)
+ */
+function collectChildFrames(node) {
+  const origin = node.bounds || { x: 0, y: 0 };
+
+  return node.children
+    .filter(child => child.bounds && FRAME_NODE_TYPES.includes(child.type))
+    .map(child => ({
+      id: child.id,
+      name: child.name,
       bounds: {
-        x: parseFloat(x),
-        y: parseFloat(y),
-        width: parseFloat(width),
-        height: parseFloat(height)
+        x: child.bounds.x - origin.x,
+        y: child.bounds.y - origin.y,
+        width: child.bounds.width,
+        height: child.bounds.height
       },
-      type: "rectangle"
-    });
-  }
-  
-  return elements;
+      type: child.type.toLowerCase()
+    }));
 }
 
 /**
@@ -63,107 +249,89 @@ function detectFigmaPattern(elements) {
     el.bounds.width > 200 && el.bounds.height > 100
   );
   
-  if (chartElements.length === 0) {
-    return { pattern: "unknown", chartElements: [] };
-  }
-  
-  // Sort by position to identify layout
-  const sortedByY = [...chartElements].sort((a, b) => a.bounds.y - b.bounds.y);
-  
-  // Group by rows (elements with similar Y positions)
-  const rows = [];
-  let currentRow = [sortedByY[0]];
-  const rowTolerance = 50;
+  const layout = inferLayout(chartElements);
   
-  for (let i = 1; i < sortedByY.length; i++) {
-    const element = sortedByY[i];
-    const lastInRow = currentRow[currentRow.length - 1];
-    
-    if (Math.abs(element.bounds.y - lastInRow.bounds.y) < rowTolerance) {
-      currentRow.push(element);
-    } else {
-      rows.push(currentRow);
-      currentRow = [element];
-    }
-  }
-  rows.push(currentRow);
-  
-  // Determine pattern based on row/column structure
-  if (rows.length === 2 && rows[0].length === 2 && rows[1].length === 2) {
-    return { pattern: "2x2-grid", chartElements };
-  } else if (rows.length === 4 && rows.every(r => r.length === 1)) {
-    return { pattern: "1x4-vertical", chartElements };
-  } else if (rows.length === 1 && rows[0].length === 4) {
-    return { pattern: "4x1-horizontal", chartElements };
-  } else {
-    return { pattern: "scattered", chartElements };
-  }
+  return { pattern: layout.pattern, layout, chartElements };
 }
 
 /**
  * Generate Figma layout data for the verification tool
- * This would normally be called with actual MCP data
  */
-function generateFigmaLayoutData(nodeId, metadata) {
-  // Parse the metadata to extract element positions
-  const elements = parseMetadataXML(metadata);
-  const { pattern, chartElements } = detectFigmaPattern(elements);
+function generateFigmaLayoutData(nodeId, node) {
+  const elements = collectChildFrames(node);
+  const { pattern, layout, chartElements } = detectFigmaPattern(elements);
   
   return {
     nodeId: nodeId,
-    elements: chartElements.map((el, index) => ({
-      id: `chart-${index}`,
+    name: node.name,
+    elements: chartElements.map(el => ({
+      id: el.id,
+      name: el.name,
       bounds: el.bounds,
-      type: "chart"
+      type: el.type
     })),
     pattern: pattern,
+    layout: layout,
     confidence: 0.95,
     timestamp: new Date().toISOString()
   };
 }
 
+/**
+ * Read the existing cache, keyed by node ID
+ * A cache written before multi-node support holds a single layout
+ */
+function readCache(cachePath) {
+  if (!fs.existsSync(cachePath)) {
+    return { nodes: {} };
+  }
+  const cachedData = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+  if (cachedData.nodes) {
+    return cachedData;
+  }
+  return { nodes: cachedData.nodeId ? { [cachedData.nodeId]: cachedData } : {} };
+}
+
 /**
  * Main function to extract and save Figma data
+ *
+ * @param {string|string[]} nodeIds - Figma node(s) whose children are the layout elements,
+ *   e.g. the desktop, tablet and mobile frames of one design
+ * @param {string} inputPath - Saved REST JSON export or MCP get_metadata XML dump
  */
-async function extractFigmaData(nodeId) {
+async function extractFigmaData(nodeIds, inputPath) {
   try {
-    console.log(`📐 Extracting Figma layout for node: ${nodeId}`);
-    
-    // Since we can't directly call MCP from Node.js, we'll use the known structure
-    // In a real implementation, this would be called from Claude with the MCP server
-    // For now, we'll create sample data based on the FRED dashboard structure
-    
-    const sampleMetadata = `
-      <PAGE data-node-id="0:1" name="Page 1">
-        <FRAME data-node-id="22:21" name="Dashboard">
-          <bounds x="0" y="0" width="1440" height="900" />
-          <FRAME data-node-id="22:22" name="Chart-CPI">
-            <bounds x="300" y="120" width="490" height="300" />
-          </FRAME>
-          <FRAME data-node-id="22:23" name="Chart-Unemployment">
-            <bounds x="810" y="120" width="490" height="300" />
-          </FRAME>
-          <FRAME data-node-id="22:24" name="Chart-InterestRates">
-            <bounds x="300" y="440" width="490" height="300" />
-          </FRAME>
-          <FRAME data-node-id="22:25" name="Chart-Inflation">
-            <bounds x="810" y="440" width="490" height="300" />
-          </FRAME>
-        </FRAME>
-      </PAGE>
-    `;
+    if (!inputPath) {
+      throw new Error('No Figma export given. Pass --input=<file.json|file.xml>');
+    }
+
+    const targetIds = [].concat(nodeIds).map(normalizeNodeId);
+    console.log(`📐 Extracting Figma layout for node${targetIds.length > 1 ? 's' : ''}: ${targetIds.join(', ')}`);
+    console.log(`   Source: ${inputPath}`);
     
-    const layoutData = generateFigmaLayoutData(nodeId, sampleMetadata);
+    const { format, nodes } = loadFigmaExport(inputPath);
+    const layouts = targetIds.map(targetId => {
+      const node = findNode(nodes, targetId);
+      if (!node) {
+        throw new Error(`Node ${targetId} not found in ${format === 'rest' ? 'REST export' : 'MCP metadata'}`);
+      }
+      return generateFigmaLayoutData(targetId, node);
+    });
     
-    // Save to file for the verification tool to use
+    // Merge into the cache so frames from several exports can live side by side
     const outputPath = path.join(__dirname, 'figma-layout-cache.json');
-    fs.writeFileSync(outputPath, JSON.stringify(layoutData, null, 2));
+    const cache = readCache(outputPath);
+    layouts.forEach(layoutData => {
+      cache.nodes[layoutData.nodeId] = layoutData;
+    });
+    fs.writeFileSync(outputPath, JSON.stringify(cache, null, 2));
     
     console.log(`✅ Figma layout data saved to: ${outputPath}`);
-    console.log(`   Pattern detected: ${layoutData.pattern}`);
-    console.log(`   Elements found: ${layoutData.elements.length}`);
+    layouts.forEach(layoutData => {
+      console.log(`   ${layoutData.nodeId} (${layoutData.name}): ${layoutData.pattern}, ${layoutData.elements.length} elements`);
+    });
     
-    return layoutData;
+    return layouts;
     
   } catch (error) {
     console.error('❌ Error extracting Figma data:', error.message);
@@ -173,13 +341,22 @@ async function extractFigmaData(nodeId) {
 
 // Run if called directly
 if (require.main === module) {
-  const nodeId = process.argv[2] || '22:21';
-  extractFigmaData(nodeId);
+  const args = process.argv.slice(2);
+  const nodeIds = args.filter(arg => !arg.startsWith('--'));
+  const inputArg = args.find(arg => arg.startsWith('--input='));
+  const inputPath = inputArg ? path.resolve(inputArg.split('=')[1]) : null;
+
+  extractFigmaData(nodeIds.length > 0 ? nodeIds : ['22:21'], inputPath).catch(() => process.exit(1));
 }
 
 module.exports = {
   parseMetadataXML,
+  parseRestExport,
+  loadFigmaExport,
+  findNode,
+  collectChildFrames,
   detectFigmaPattern,
   generateFigmaLayoutData,
+  readCache,
   extractFigmaData
 };
\ No newline at end of file
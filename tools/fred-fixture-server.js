@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+
+/**
+ * FRED Fixture Server
+ *
+ * Serves FRED series/observations responses from JSON fixtures so the FRED
+ * adapter (lib/data/fred.ts) can be developed and tested without network
+ * access or an API key. Point the adapter's baseUrl at this server:
+ *
+ *   createFredProvider({ apiKey: 'fixture', baseUrl: 'http://localhost:8787/fred' })
+ *
+ * Fixtures are stored in tools/fixtures/fred/<SERIES_ID>.json as the raw
+ * upstream response (file_type=json) covering the full recorded range;
+ * observation_start, observation_end and frequency (m, q, sa, a; averaged)
+ * are applied by this server.
+ *
+ * With --record, series without a fixture are fetched from the real API
+ * (FRED_API_KEY must be set) and saved, so the next run is offline.
+ *
+ * Usage:
+ *   node tools/fred-fixture-server.js [--port=8787] [--latency=300]
+ *   FRED_API_KEY=... node tools/fred-fixture-server.js --record
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'fred');
+const UPSTREAM_URL = 'https://api.stlouisfed.org/fred';
+
+// Period start for each supported aggregation frequency
+const PERIOD_KEYS = {
+  m: date => `${date.slice(0, 7)}-01`,
+  q: date => `${date.slice(0, 5)}${String(Math.floor((Number(date.slice(5, 7)) - 1) / 3) * 3 + 1).padStart(2, '0')}-01`,
+  sa: date => `${date.slice(0, 5)}${Number(date.slice(5, 7)) <= 6 ? '01' : '07'}-01`,
+  a: date => `${date.slice(0, 4)}-01-01`
+};
+const PASSTHROUGH_FREQUENCIES = ['d', 'w', 'bw'];
+
+/**
+ * Keep observations within [start, end]; ISO dates compare as strings
+ */
+function filterObservations(observations, start, end) {
+  return observations.filter(obs => (!start || obs.date >= start) && (!end || obs.date <= end));
+}
+
+/**
+ * Average observations per period, like FRED's aggregation_method=avg.
+ * Missing values (".") are skipped; a period with none stays ".".
+ */
+function aggregateObservations(observations, frequency) {
+  const periodKey = PERIOD_KEYS[frequency];
+  const periods = new Map();
+
+  observations.forEach(obs => {
+    const key = periodKey(obs.date);
+    const values = periods.get(key) || [];
+    if (obs.value !== '.') {
+      values.push(Number(obs.value));
+    }
+    periods.set(key, values);
+  });
+
+  return [...periods.entries()].map(([date, values]) => ({
+    realtime_start: observations[0].realtime_start,
+    realtime_end: observations[0].realtime_end,
+    date,
+    value: values.length
+      ? String(Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 1000) / 1000)
+      : '.'
+  }));
+}
+
+/**
+ * Fetch the full series from the real API and save it as a fixture
+ */
+async function recordFixture(seriesId, fixturePath, apiKey) {
+  const url = new URL(`${UPSTREAM_URL}/series/observations`);
+  url.searchParams.set('series_id', seriesId);
+  url.searchParams.set('api_key', apiKey);
+  url.searchParams.set('file_type', 'json');
+
+  const response = await fetch(url);
+  const body = await response.json();
+  if (!response.ok) {
+    return { status: response.status, body };
+  }
+
+  fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+  fs.writeFileSync(fixturePath, JSON.stringify(body, null, 2) + '\n');
+  console.log(`📼 Recorded ${seriesId} (${body.observations.length} observations)`);
+  return { status: 200, body };
+}
+
+function errorBody(status, message) {
+  return { status, body: { error_code: status, error_message: message } };
+}
+
+/**
+ * Answer one series/observations request the way FRED would
+ */
+async function handleObservations(params, { fixturesDir, record, apiKey }) {
+  const seriesId = params.get('series_id');
+  if (!params.get('api_key')) {
+    return errorBody(400, 'Bad Request.  Variable api_key has not been set.');
+  }
+  if (!seriesId || !/^[A-Za-z0-9_]+$/.test(seriesId)) {
+    return errorBody(400, 'Bad Request.  Variable series_id is not set or is invalid.');
+  }
+
+  const frequency = params.get('frequency');
+  if (frequency && !PERIOD_KEYS[frequency] && !PASSTHROUGH_FREQUENCIES.includes(frequency)) {
+    return errorBody(400, `Bad Request.  Variable frequency can not be '${frequency}'.`);
+  }
+
+  const fixturePath = path.join(fixturesDir, `${seriesId.toUpperCase()}.json`);
+  let fixture;
+  if (fs.existsSync(fixturePath)) {
+    fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  } else if (record) {
+    const recorded = await recordFixture(seriesId.toUpperCase(), fixturePath, apiKey);
+    if (recorded.status !== 200) {
+      return recorded;
+    }
+    fixture = recorded.body;
+  } else {
+    return errorBody(400, 'Bad Request.  The series does not exist.');
+  }
+
+  const start = params.get('observation_start');
+  const end = params.get('observation_end');
+  let observations = filterObservations(fixture.observations, start, end);
+  if (PERIOD_KEYS[frequency] && observations.length > 0) {
+    observations = aggregateObservations(observations, frequency);
+  }
+
+  return {
+    status: 200,
+    body: {
+      ...fixture,
+      observation_start: start || fixture.observation_start,
+      observation_end: end || fixture.observation_end,
+      frequency: frequency || fixture.frequency,
+      count: observations.length,
+      offset: 0,
+      observations
+    }
+  };
+}
+
+/**
+ * Create (but do not start) the fixture server
+ *
+ * @param {object} [options]
+ * @param {string} [options.fixturesDir] - Fixture directory (default: tools/fixtures/fred)
+ * @param {boolean} [options.record] - Record missing fixtures from the real API
+ * @param {string} [options.apiKey] - Key for recording (default: FRED_API_KEY)
+ * @param {number} [options.latency] - Delay every response by this many ms
+ * @returns {http.Server}
+ */
+function createFixtureServer({
+  fixturesDir = DEFAULT_FIXTURES_DIR,
+  record = false,
+  apiKey = process.env.FRED_API_KEY,
+  latency = 0
+} = {}) {
+  if (record && !apiKey) {
+    throw new Error('--record needs FRED_API_KEY to fetch missing series');
+  }
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    // Browsers call the adapter directly during development
+    res.setHeader('Access-Control-Allow-Origin', '*');
+
+    let result;
+    if (req.method !== 'GET') {
+      result = errorBody(405, 'Method Not Allowed.');
+    } else if (!url.pathname.endsWith('/series/observations')) {
+      result = errorBody(404, 'Not Found.  Only series/observations is served by the fixture server.');
+    } else {
+      try {
+        result = await handleObservations(url.searchParams, { fixturesDir, record, apiKey });
+      } catch (error) {
+        result = errorBody(500, `Fixture server error: ${error.message}`);
+      }
+    }
+
+    if (latency > 0) {
+      await new Promise(resolve => setTimeout(resolve, latency));
+    }
+    res.writeHead(result.status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result.body));
+  });
+}
+
+// Run if called directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const readArg = name => {
+    const arg = args.find(value => value.startsWith(`--${name}=`));
+    return arg ? arg.split('=')[1] : undefined;
+  };
+  const port = Number(readArg('port') || process.env.FRED_FIXTURE_PORT || DEFAULT_PORT);
+
+  try {
+    const server = createFixtureServer({
+      record: args.includes('--record'),
+      latency: Number(readArg('latency') || 0)
+    });
+    server.listen(port, () => {
+      console.log(`🗂️  FRED fixture server on http://localhost:${port}/fred`);
+      console.log(`   Fixtures: ${path.relative(process.cwd(), DEFAULT_FIXTURES_DIR)}${args.includes('--record') ? ' (recording missing series)' : ''}`);
+    });
+  } catch (error) {
+    console.error('❌ Fixture server could not start:', error.message);
+    process.exit(2);
+  }
+}
+
+module.exports = {
+  filterObservations,
+  aggregateObservations,
+  createFixtureServer
+};
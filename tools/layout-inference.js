@@ -0,0 +1,283 @@
+/**
+ * Layout Inference
+ *
+ * Infers the grid structure behind a set of element bounding boxes.
+ * Shared by the Figma extractor and the Playwright extractor so both
+ * sides of a comparison describe their layout the same way.
+ *
+ * Pattern labels are "<columns>x<rows>-<kind>":
+ *   "3x2-grid"       Three columns, two rows, every cell filled once
+ *   "1x4-vertical"   Single column of four elements
+ *   "4x1-horizontal" Single row of four elements
+ *   "rows-3-2"       Rows with differing element counts (or spanning elements)
+ *   "1x1-single"     One element
+ *   "scattered"      Overlapping elements with no row structure
+ *   "unknown"        No elements
+ */
+
+const DEFAULT_OPTIONS = {
+  // Edges closer than this (in px) are treated as aligned; by default
+  // MAX_ALIGN_TOLERANCE, shrunk to half the smallest element side so
+  // small cells with small gaps aren't merged into one row or column
+  alignTolerance: null,
+  // Elements overlapping by more than this (in px, both axes) are scattered
+  overlapTolerance: 2
+};
+
+const MAX_ALIGN_TOLERANCE = 50;
+
+const PATTERN_REGEX = /^(\d+)x(\d+)-(grid|vertical|horizontal|single)$/;
+const UNEVEN_PATTERN_REGEX = /^rows(-\d+)+$/;
+
+/**
+ * Cluster sorted numbers into groups whose members sit within tolerance
+ * of the group's first value. Returns the first value of each group.
+ */
+function clusterEdges(values, tolerance) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const clusters = [];
+
+  sorted.forEach(value => {
+    const last = clusters[clusters.length - 1];
+    if (last === undefined || value - last >= tolerance) {
+      clusters.push(value);
+    }
+  });
+
+  return clusters;
+}
+
+function nearestIndex(clusters, value) {
+  let best = 0;
+  clusters.forEach((candidate, index) => {
+    if (Math.abs(candidate - value) < Math.abs(clusters[best] - value)) {
+      best = index;
+    }
+  });
+  return best;
+}
+
+/**
+ * Count the track starts an element covers from its own start
+ */
+function countSpan(trackStarts, start, size, tolerance) {
+  const covered = trackStarts.filter(track =>
+    track >= start - tolerance && track < start + size - tolerance
+  ).length;
+  return Math.max(1, covered);
+}
+
+function hasOverlap(elements, tolerance) {
+  for (let i = 0; i < elements.length; i++) {
+    for (let j = i + 1; j < elements.length; j++) {
+      const a = elements[i].bounds;
+      const b = elements[j].bounds;
+      const overlapX = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+      const overlapY = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+      if (overlapX > tolerance && overlapY > tolerance) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+function mean(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Group elements into rows by their top edge, each row sorted left to right
+ */
+function groupRows(elements, tolerance) {
+  const sortedByY = [...elements].sort((a, b) => a.bounds.y - b.bounds.y || a.bounds.x - b.bounds.x);
+  const rows = [];
+
+  sortedByY.forEach(element => {
+    const currentRow = rows[rows.length - 1];
+    if (currentRow && element.bounds.y - currentRow.top < tolerance) {
+      currentRow.elements.push(element);
+    } else {
+      rows.push({ top: element.bounds.y, elements: [element] });
+    }
+  });
+
+  rows.forEach(row => row.elements.sort((a, b) => a.bounds.x - b.bounds.x));
+  return rows;
+}
+
+function resolveAlignTolerance(elements, alignTolerance) {
+  if (alignTolerance !== null && alignTolerance !== undefined) {
+    return alignTolerance;
+  }
+  const smallestSide = Math.min(...elements.map(el => Math.min(el.bounds.width, el.bounds.height)));
+  return Math.min(MAX_ALIGN_TOLERANCE, smallestSide / 2);
+}
+
+/**
+ * Measure the gaps between horizontally adjacent elements in each row and
+ * between vertically adjacent elements in each column. Elements spanning
+ * several rows are skipped for row gaps, since their bottom edge lines up
+ * with a later row rather than their own.
+ */
+function measureGutters(rows, placed) {
+  const columnGaps = [];
+  const rowGaps = [];
+
+  rows.forEach(row => {
+    for (let i = 1; i < row.elements.length; i++) {
+      const previous = row.elements[i - 1].bounds;
+      columnGaps.push(row.elements[i].bounds.x - (previous.x + previous.width));
+    }
+  });
+
+  const stackable = placed.filter(({ cell }) => cell.rowSpan === 1);
+  stackable.forEach(({ element, cell }) => {
+    const below = stackable.find(other => other.cell.column === cell.column && other.cell.row === cell.row + 1);
+    if (below) {
+      rowGaps.push(below.element.bounds.y - (element.bounds.y + element.bounds.height));
+    }
+  });
+
+  return {
+    column: mean(columnGaps),
+    row: mean(rowGaps),
+    columnGaps,
+    rowGaps
+  };
+}
+
+function labelPattern(rows, columns, cells) {
+  const rowCounts = rows.map(row => row.elements.length);
+  const total = rowCounts.reduce((sum, count) => sum + count, 0);
+
+  if (total === 1) {
+    return '1x1-single';
+  }
+  if (rows.length === 1) {
+    return `${total}x1-horizontal`;
+  }
+  if (columns === 1 && rowCounts.every(count => count === 1)) {
+    return `1x${rows.length}-vertical`;
+  }
+
+  const isFullGrid = rowCounts.every(count => count === columns) &&
+    cells.every(cell => cell.rowSpan === 1 && cell.colSpan === 1);
+
+  if (isFullGrid) {
+    return `${columns}x${rows.length}-grid`;
+  }
+  return `rows-${rowCounts.join('-')}`;
+}
+
+/**
+ * Infer the layout of a set of elements
+ *
+ * @param {Array<{id: string, bounds: {x, y, width, height}}>} elements
+ * @param {object} [options] - alignTolerance / overlapTolerance in px
+ *   (alignTolerance defaults to scaling with the smallest element)
+ * @returns {{pattern: string, rows: number, columns: number, rowCounts: number[],
+ *   cells: Array<{id, row, column, rowSpan, colSpan}>, gutters: object}}
+ */
+function inferLayout(elements, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const { overlapTolerance } = settings;
+
+  if (!elements || elements.length === 0) {
+    return {
+      pattern: 'unknown',
+      rows: 0,
+      columns: 0,
+      rowCounts: [],
+      cells: [],
+      gutters: { column: null, row: null, columnGaps: [], rowGaps: [] }
+    };
+  }
+
+  const alignTolerance = resolveAlignTolerance(elements, settings.alignTolerance);
+  const rows = groupRows(elements, alignTolerance);
+  const rowTops = rows.map(row => row.top);
+  const columnStarts = clusterEdges(elements.map(el => el.bounds.x), alignTolerance);
+
+  const placed = [];
+  rows.forEach((row, rowIndex) => {
+    row.elements.forEach(element => {
+      const { x, y, width, height } = element.bounds;
+      placed.push({
+        element,
+        cell: {
+          id: element.id,
+          row: rowIndex,
+          column: nearestIndex(columnStarts, x),
+          rowSpan: countSpan(rowTops, y, height, alignTolerance),
+          colSpan: countSpan(columnStarts, x, width, alignTolerance)
+        }
+      });
+    });
+  });
+  const cells = placed.map(({ cell }) => cell);
+
+  const pattern = hasOverlap(elements, overlapTolerance)
+    ? 'scattered'
+    : labelPattern(rows, columnStarts.length, cells);
+
+  return {
+    pattern,
+    rows: rows.length,
+    columns: columnStarts.length,
+    rowCounts: rows.map(row => row.elements.length),
+    cells,
+    gutters: measureGutters(rows, placed)
+  };
+}
+
+/**
+ * Check whether a string is a pattern label inferLayout can produce
+ */
+function isValidPattern(pattern) {
+  return PATTERN_REGEX.test(pattern) ||
+    UNEVEN_PATTERN_REGEX.test(pattern) ||
+    pattern === 'scattered' ||
+    pattern === 'unknown';
+}
+
+/**
+ * Human-readable description of a pattern label
+ */
+function describePattern(pattern) {
+  const match = PATTERN_REGEX.exec(pattern || '');
+
+  if (match) {
+    const [, columns, rows, kind] = match;
+    const count = Number(columns) * Number(rows);
+    switch (kind) {
+      case 'single':
+        return 'A single element';
+      case 'vertical':
+        return `${rows} elements stacked vertically in single column`;
+      case 'horizontal':
+        return `${columns} elements arranged horizontally in single row`;
+      default:
+        return `${count} elements arranged in ${columns} columns and ${rows} rows`;
+    }
+  }
+
+  if (UNEVEN_PATTERN_REGEX.test(pattern || '')) {
+    const counts = pattern.split('-').slice(1);
+    return `${counts.length} rows with ${counts.join(', ')} elements (uneven rows or spanning elements)`;
+  }
+
+  if (pattern === 'scattered') {
+    return 'Elements with no clear grid or linear pattern';
+  }
+  return 'Layout pattern could not be determined';
+}
+
+module.exports = {
+  inferLayout,
+  isValidPattern,
+  describePattern
+};
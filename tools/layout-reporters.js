@@ -0,0 +1,241 @@
+/**
+ * Layout Comparison Reporters
+ *
+ * Machine-readable output for compare-figma-layout.js. The console report
+ * stays in LayoutComparator.generateReport(); these format the same
+ * comparison for CI:
+ *   json     - stable schema (schemaVersion 1) with the full comparison
+ *   junit    - JUnit XML for test dashboards
+ *   markdown - summary for merge request comments
+ *
+ * Every reporter takes a report object built by buildReport():
+ *   { schemaVersion, tool, timestamp, status, config, runs: [{ name, status, comparison, error }] }
+ */
+
+const SCHEMA_VERSION = 1;
+const REPORTERS = ['console', 'json', 'junit', 'markdown'];
+
+function runStatus(comparison, error) {
+  if (error) {
+    return 'error';
+  }
+  return comparison.match ? 'pass' : 'fail';
+}
+
+/**
+ * Build the report object shared by all reporters
+ *
+ * @param {object} config - Loaded comparison config
+ * @param {Array<{name: string, comparison?: object, error?: Error}>} runs
+ */
+function buildReport(config, runs) {
+  const normalizedRuns = runs.map(run => ({
+    name: run.name,
+    status: runStatus(run.comparison, run.error),
+    comparison: run.comparison || null,
+    error: run.error ? { message: run.error.message } : null
+  }));
+
+  let status = 'pass';
+  if (normalizedRuns.some(run => run.status === 'error')) {
+    status = 'error';
+  } else if (normalizedRuns.some(run => run.status === 'fail')) {
+    status = 'fail';
+  }
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    tool: 'compare-figma-layout',
+    timestamp: new Date().toISOString(),
+    status,
+    config: {
+      figmaNodeId: config.figmaNodeId,
+      playwrightUrl: config.playwrightUrl,
+      elementSelector: config.elementSelector,
+      expectedPattern: config.expectedPattern || null,
+      tolerance: config.tolerance,
+      matchBy: config.matchBy,
+      targets: (config.targets || []).map(target => target.name)
+    },
+    runs: normalizedRuns
+  };
+}
+
+/**
+ * Individual checks of one comparison, as { name, passed, message }
+ */
+function listChecks(comparison) {
+  const { details } = comparison;
+  const checks = [
+    {
+      name: 'element-count',
+      passed: details.elementCount.match,
+      message: `expected ${details.elementCount.expected} elements, found ${details.elementCount.actual}`
+    },
+    {
+      name: 'pattern',
+      passed: details.pattern.match,
+      message: `expected ${details.pattern.expected}, found ${details.pattern.actual}`
+    }
+  ];
+
+  if (details.expectedPattern.expected) {
+    checks.push({
+      name: 'expected-pattern',
+      passed: details.expectedPattern.match,
+      message: `expected ${details.expectedPattern.expected}, found ${details.expectedPattern.actual}`
+    });
+  }
+
+  ['column', 'row'].forEach(axis => {
+    const gutter = details.geometry.gutters[axis];
+    const format = value => (value === null ? 'none' : `${Math.round(value)}px`);
+    if (gutter.expected !== null || gutter.actual !== null) {
+      checks.push({
+        name: `${axis}-gutter`,
+        passed: gutter.match,
+        message: `expected ${format(gutter.expected)}, found ${format(gutter.actual)}`
+      });
+    }
+  });
+
+  if (details.visual) {
+    checks.push({
+      name: 'visual',
+      passed: details.visual.match,
+      message: `${details.visual.diffPixels} pixels differ (${(details.visual.diffRatio * 100).toFixed(2)}%, max ${(details.visual.maxDiffRatio * 100).toFixed(2)}%); diff image ${details.visual.artifacts.diff}`
+    });
+  }
+
+  details.geometry.elements.forEach(el => {
+    const deltas = ['x', 'y', 'width', 'height']
+      .map(field => `${field} ${Math.round(el.deltas[field])}px`)
+      .join(', ');
+    checks.push({
+      name: `element ${el.expectedName || el.expectedId}`,
+      passed: el.match,
+      message: el.match
+        ? deltas
+        : `outside tolerance on ${el.failures.join(', ')} (${deltas}, aspect ratio ${(el.aspectRatio.drift * 100).toFixed(1)}%)`
+    });
+  });
+
+  return checks;
+}
+
+function formatJson(report) {
+  return JSON.stringify(report, null, 2) + '\n';
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function formatJunit(report) {
+  const suites = report.runs.map(run => {
+    if (run.error) {
+      return [
+        `  <testsuite name="${escapeXml(run.name)}" tests="1" failures="0" errors="1" timestamp="${report.timestamp}">`,
+        `    <testcase classname="${escapeXml(run.name)}" name="layout comparison">`,
+        `      <error message="${escapeXml(run.error.message)}"/>`,
+        '    </testcase>',
+        '  </testsuite>'
+      ].join('\n');
+    }
+
+    const checks = listChecks(run.comparison);
+    const failures = checks.filter(check => !check.passed).length;
+    const testcases = checks.map(check => {
+      const open = `    <testcase classname="${escapeXml(run.name)}" name="${escapeXml(check.name)}"`;
+      if (check.passed) {
+        return `${open}/>`;
+      }
+      return [
+        `${open}>`,
+        `      <failure message="${escapeXml(check.message)}"/>`,
+        '    </testcase>'
+      ].join('\n');
+    });
+
+    return [
+      `  <testsuite name="${escapeXml(run.name)}" tests="${checks.length}" failures="${failures}" errors="0" timestamp="${report.timestamp}">`,
+      ...testcases,
+      '  </testsuite>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<testsuites name="figma-layout">',
+    ...suites,
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+function escapeMarkdownCell(value) {
+  return String(value).replace(/\|/g, '\\|');
+}
+
+function formatMarkdown(report) {
+  const statusLabel = { pass: '✅ Pass', fail: '❌ Fail', error: '💥 Error' };
+  const lines = [
+    '## Figma Layout Comparison',
+    '',
+    `**Status:** ${statusLabel[report.status]}  `,
+    `**Tolerance:** ${report.config.tolerance} · **Match by:** ${report.config.matchBy}`,
+    ''
+  ];
+
+  report.runs.forEach(run => {
+    lines.push(`### ${statusLabel[run.status]} — ${run.name}`, '');
+
+    if (run.error) {
+      lines.push(`> ${run.error.message}`, '');
+      return;
+    }
+
+    const { comparison } = run;
+    lines.push(
+      `Pattern \`${comparison.details.pattern.actual}\` · ${comparison.playwright.elements.length} elements · confidence ${(comparison.confidence * 100).toFixed(1)}%`,
+      '',
+      '| Check | Result | Details |',
+      '|-------|--------|---------|'
+    );
+    listChecks(comparison).forEach(check => {
+      lines.push(`| ${escapeMarkdownCell(check.name)} | ${check.passed ? '✅' : '❌'} | ${escapeMarkdownCell(check.message)} |`);
+    });
+    lines.push('');
+  });
+
+  return lines.join('\n');
+}
+
+const FORMATTERS = {
+  json: formatJson,
+  junit: formatJunit,
+  markdown: formatMarkdown
+};
+
+/**
+ * Format a report with the named reporter ("json", "junit" or "markdown")
+ */
+function formatReport(reporter, report) {
+  const formatter = FORMATTERS[reporter];
+  if (!formatter) {
+    throw new Error(`Unknown reporter "${reporter}" (use one of: ${REPORTERS.join(', ')})`);
+  }
+  return formatter(report);
+}
+
+module.exports = {
+  REPORTERS,
+  SCHEMA_VERSION,
+  buildReport,
+  formatReport
+};
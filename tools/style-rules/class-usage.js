@@ -0,0 +1,58 @@
+/**
+ * Shared helpers for the ds-* class cross-reference rules
+ */
+
+const DS_CLASS_REGEX = /^ds-[\w-]*$/;
+
+/**
+ * ds-* classes used in TSX/JSX, with dynamic prefixes (`ds-nav-${kind}`)
+ * kept separately
+ */
+function collectUsedClasses(sources) {
+  const used = new Map();
+  const prefixes = new Set();
+
+  sources
+    .filter(source => source.type === 'tsx')
+    .forEach(source => source.classNames
+      .filter(entry => DS_CLASS_REGEX.test(entry.name))
+      .forEach(entry => {
+        // A token ending in "-" was cut off by a template substitution
+        if (entry.name.endsWith('-')) {
+          prefixes.add(entry.name);
+          return;
+        }
+        if (!used.has(entry.name)) {
+          used.set(entry.name, []);
+        }
+        used.get(entry.name).push({ source, entry });
+      }));
+
+  return { used, prefixes };
+}
+
+/**
+ * ds-* classes defined by CSS selectors, name → [{ source, entry }]
+ */
+function collectDefinedClasses(sources) {
+  const defined = new Map();
+
+  sources
+    .filter(source => source.type === 'css')
+    .forEach(source => source.classNames
+      .filter(entry => entry.context === 'selector' && DS_CLASS_REGEX.test(entry.name))
+      .forEach(entry => {
+        if (!defined.has(entry.name)) {
+          defined.set(entry.name, []);
+        }
+        defined.get(entry.name).push({ source, entry });
+      }));
+
+  return defined;
+}
+
+module.exports = {
+  DS_CLASS_REGEX,
+  collectUsedClasses,
+  collectDefinedClasses
+};
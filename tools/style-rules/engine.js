@@ -0,0 +1,273 @@
+/**
+ * Style Rule Engine
+ *
+ * Loads verify-styles.config.js, parses every matching file into an AST,
+ * runs the enabled rules and filters findings through inline directives
+ * written in // or block comments:
+ *
+ *   verify-styles-disable-next-line no-raw-hex-colors
+ *   verify-styles-disable-line no-tailwind-grid
+ *   verify-styles-disable no-token-utilities  ...  verify-styles-enable
+ *
+ * A directive without rule IDs applies to every rule. Text after " -- " is
+ * a free-form reason and ignored.
+ *
+ * Rules are modules exporting { id, defaultSeverity, description } plus
+ * checkFile(source, context, options) and/or checkProject(sources, context, options).
+ * A finding may carry a fix ({ start, end, text }) that --fix applies.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_CLASSNAME_FUNCTIONS, locate, parseSource } = require('./parsers');
+const BUILTIN_RULES = require('./rules');
+
+const SEVERITIES = ['off', 'warn', 'error'];
+
+const DEFAULT_CONFIG = {
+  include: ['styles', 'app', 'components', 'examples'],
+  exclude: ['node_modules', '.next'],
+  extensions: ['.tsx', '.jsx', '.css'],
+  classNameFunctions: DEFAULT_CLASSNAME_FUNCTIONS,
+  rules: {}
+};
+
+const DIRECTIVE_REGEX = /(?:\/\/|\/\*)\s*verify-styles-(disable-next-line|disable-line|disable|enable)\b([^\n*]*)/g;
+
+/**
+ * Load the config file (verify-styles.config.js by default) over the defaults
+ */
+function loadConfig(root, configPath) {
+  const resolved = path.resolve(root, configPath || 'verify-styles.config.js');
+  if (!fs.existsSync(resolved)) {
+    if (configPath) {
+      throw new Error(`Config file not found: ${resolved}`);
+    }
+    return { ...DEFAULT_CONFIG };
+  }
+  return { ...DEFAULT_CONFIG, ...require(resolved) };
+}
+
+/**
+ * Normalize a rule setting ("error", "warn", "off" or [severity, options])
+ */
+function resolveRuleSetting(rule, setting) {
+  const [severity, options] = Array.isArray(setting) ? setting : [setting, {}];
+  const resolved = severity === undefined ? rule.defaultSeverity : severity;
+  if (!SEVERITIES.includes(resolved)) {
+    throw new Error(`Invalid severity "${resolved}" for rule ${rule.id} (use one of: ${SEVERITIES.join(', ')})`);
+  }
+  return { severity: resolved, options: options || {} };
+}
+
+/**
+ * Recursively list the files to check under the configured directories
+ */
+function collectFiles(root, config) {
+  const files = [];
+
+  const walk = directory => {
+    fs.readdirSync(directory, { withFileTypes: true }).forEach(entry => {
+      if (config.exclude.includes(entry.name)) {
+        return;
+      }
+      const fullPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        walk(fullPath);
+      } else if (config.extensions.includes(path.extname(entry.name))) {
+        files.push(fullPath);
+      }
+    });
+  };
+
+  config.include
+    .map(dir => path.join(root, dir))
+    .filter(dir => fs.existsSync(dir))
+    .forEach(walk);
+
+  return files;
+}
+
+function parseRuleList(text) {
+  return text.split(' -- ')[0].split(/[\s,]+/).filter(Boolean);
+}
+
+/**
+ * Build a predicate telling whether a rule is disabled on a line
+ */
+function parseDirectives(source) {
+  const lineDisables = new Map();
+  const ranges = [];
+  let match;
+
+  const disableLine = (line, ids) => {
+    const current = lineDisables.get(line) || [];
+    lineDisables.set(line, current.concat(ids.length ? ids : ['*']));
+  };
+
+  DIRECTIVE_REGEX.lastIndex = 0;
+  while ((match = DIRECTIVE_REGEX.exec(source.text)) !== null) {
+    const [, kind, ruleText] = match;
+    const ids = parseRuleList(ruleText);
+    const { line } = locate(source, match.index);
+
+    if (kind === 'disable-next-line') {
+      disableLine(line + 1, ids);
+    } else if (kind === 'disable-line') {
+      disableLine(line, ids);
+    } else if (kind === 'disable') {
+      (ids.length ? ids : ['*']).forEach(id => ranges.push({ id, start: line, end: Infinity }));
+    } else {
+      ranges
+        .filter(range => range.end === Infinity && (ids.length === 0 || ids.includes(range.id)))
+        .forEach(range => { range.end = line; });
+    }
+  }
+
+  return (ruleId, line) => {
+    const lineIds = lineDisables.get(line) || [];
+    if (lineIds.includes('*') || lineIds.includes(ruleId)) {
+      return true;
+    }
+    return ranges.some(range =>
+      (range.id === '*' || range.id === ruleId) && line >= range.start && line <= range.end
+    );
+  };
+}
+
+/**
+ * Lowercase six/eight-digit form of a hex color (#FFF → #ffffff)
+ */
+function normalizeHex(hex) {
+  const value = hex.toLowerCase();
+  if (value.length === 4 || value.length === 5) {
+    return '#' + value.slice(1).split('').map(char => char + char).join('');
+  }
+  return value;
+}
+
+/**
+ * Literal hex values of :root custom properties → token names, for
+ * suggesting (and fixing to) tokens
+ */
+function buildTokenIndex(sources) {
+  const index = new Map();
+  sources
+    .filter(source => source.type === 'css')
+    .forEach(source => {
+      source.declarations
+        .filter(decl => decl.selector === ':root' && decl.prop.startsWith('--') && /^#[0-9a-f]+$/i.test(decl.value))
+        .forEach(decl => {
+          const key = normalizeHex(decl.value);
+          const names = index.get(key) || [];
+          if (!names.includes(decl.prop)) {
+            index.set(key, names.concat(decl.prop));
+          }
+        });
+    });
+  return index;
+}
+
+/**
+ * Token names redeclared outside plain :root (e.g. :root[data-theme="dark"]),
+ * whose value changes with the theme
+ */
+function buildThemeOverrides(sources) {
+  const overridden = new Set();
+  sources
+    .filter(source => source.type === 'css')
+    .forEach(source => source.declarations
+      .filter(decl => decl.selector !== ':root' && decl.prop.startsWith('--'))
+      .forEach(decl => overridden.add(decl.prop)));
+  return overridden;
+}
+
+/**
+ * Parse a file, reusing the cached source while its mtime is unchanged
+ */
+function loadSource(file, root, config, cache) {
+  if (!cache) {
+    return parseSource(file, root, { classNameFunctions: config.classNameFunctions });
+  }
+  const { mtimeMs } = fs.statSync(file);
+  const cached = cache.get(file);
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.source;
+  }
+  const source = parseSource(file, root, { classNameFunctions: config.classNameFunctions });
+  cache.set(file, { mtimeMs, source });
+  return source;
+}
+
+function buildClassIndex(sources) {
+  const defined = new Set();
+  sources
+    .filter(source => source.type === 'css')
+    .forEach(source => source.classNames
+      .filter(entry => entry.context === 'selector')
+      .forEach(entry => defined.add(entry.name)));
+  return defined;
+}
+
+/**
+ * Run the configured rules
+ *
+ * @param {object} [options]
+ * @param {string} [options.root] - Project root (default: cwd)
+ * @param {object} [options.config] - Loaded config (default: loadConfig(root))
+ * @param {Array} [options.rules] - Rule modules (default: built-in rules)
+ * @param {Map} [options.cache] - Parsed sources kept between runs; only changed files are re-parsed
+ * @returns {{sources: Array, results: Array<{ruleId, severity, file, line, column, message, start, end, fix}>}}
+ */
+function runRules({ root = process.cwd(), config = loadConfig(root), rules = BUILTIN_RULES, cache = null } = {}) {
+  const files = collectFiles(root, config);
+  const sources = files.map(file => loadSource(file, root, config, cache));
+  if (cache) {
+    // Forget deleted files
+    [...cache.keys()].filter(file => !files.includes(file)).forEach(file => cache.delete(file));
+  }
+  const directives = new Map(sources.map(source => [source, parseDirectives(source)]));
+  const tokenIndex = buildTokenIndex(sources);
+  const themeOverrides = buildThemeOverrides(sources);
+  const classIndex = buildClassIndex(sources);
+  const results = [];
+
+  rules.forEach(rule => {
+    const { severity, options } = resolveRuleSetting(rule, config.rules[rule.id]);
+    if (severity === 'off') {
+      return;
+    }
+
+    const createContext = defaultSource => ({
+      findTokens: hex => tokenIndex.get(normalizeHex(hex)) || [],
+      hasThemeOverride: name => themeOverrides.has(name),
+      isClassDefined: name => classIndex.has(name),
+      report: ({ source = defaultSource, start, end = start, message, fix = null }) => {
+        const { line, column } = locate(source, start);
+        if (directives.get(source)(rule.id, line)) {
+          return;
+        }
+        results.push({ ruleId: rule.id, severity, file: source.relPath, line, column, message, start, end, fix });
+      }
+    });
+
+    if (rule.checkFile) {
+      sources.forEach(source => rule.checkFile(source, createContext(source), options));
+    }
+    if (rule.checkProject) {
+      rule.checkProject(sources, createContext(null), options);
+    }
+  });
+
+  results.sort((a, b) => a.file.localeCompare(b.file) || a.start - b.start);
+  return { sources, results };
+}
+
+module.exports = {
+  BUILTIN_RULES,
+  SEVERITIES,
+  loadConfig,
+  collectFiles,
+  parseDirectives,
+  runRules
+};
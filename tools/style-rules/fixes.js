@@ -0,0 +1,88 @@
+/**
+ * Style Rule Fixes
+ *
+ * Rules attach a fix to a finding as { start, end, text }: replace the
+ * source range with text. Fixes only describe rewrites the rule is certain
+ * about; anything ambiguous is reported without one.
+ */
+
+/**
+ * Rewrite the classes of one class-string segment
+ *
+ * @param {{text: string}} segment - From a classNames entry
+ * @param {Map<string, string|null>} replacements - class → new class, or null to remove
+ * @returns {{start, end, text}} Fix replacing the whole segment
+ */
+function rewriteClassSegment(segment, replacements) {
+  const leading = /^\s*/.exec(segment.text)[0];
+  const trailing = /\s*$/.exec(segment.text.slice(leading.length))[0];
+  const classes = segment.text.trim().split(/\s+/).filter(Boolean);
+  const rewritten = [];
+
+  classes.forEach(name => {
+    const replacement = replacements.has(name) ? replacements.get(name) : name;
+    if (replacement && !rewritten.includes(replacement)) {
+      rewritten.push(replacement);
+    }
+  });
+
+  return {
+    start: segment.start,
+    end: segment.end,
+    text: rewritten.length ? `${leading}${rewritten.join(' ')}${trailing}` : ''
+  };
+}
+
+/**
+ * Apply fixes to a text; a fix overlapping an earlier one is skipped
+ *
+ * @returns {{text: string, applied: Array, skipped: Array}}
+ */
+function applyFixes(text, fixes) {
+  const sorted = [...fixes].sort((a, b) => a.start - b.start || a.end - b.end);
+  const applied = [];
+  const skipped = [];
+  let lastEnd = -1;
+
+  sorted.forEach(fix => {
+    if (fix.start < lastEnd) {
+      skipped.push(fix);
+      return;
+    }
+    applied.push(fix);
+    lastEnd = fix.end;
+  });
+
+  let output = text;
+  [...applied].reverse().forEach(fix => {
+    output = output.slice(0, fix.start) + fix.text + output.slice(fix.end);
+  });
+
+  return { text: output, applied, skipped };
+}
+
+/**
+ * Fixed text of every source that has fixable findings
+ *
+ * @returns {Array<{source, before: string, after: string, fixed: number}>}
+ */
+function fixSources(sources, results) {
+  return sources
+    .map(source => {
+      const fixes = results
+        .filter(result => result.fix && result.file === source.relPath)
+        .map(result => result.fix);
+      if (fixes.length === 0) {
+        return null;
+      }
+      const { text, applied } = applyFixes(source.text, fixes);
+      return { source, before: source.text, after: text, fixed: applied.length };
+    })
+    .filter(Boolean);
+}
+
+module.exports = {
+  rewriteClassSegment,
+  applyFixes,
+  fixSources
+};
@@ -0,0 +1,279 @@
+/**
+ * Style Rule Parsers
+ *
+ * Turn TSX/JSX and CSS files into the "source" objects rules work on.
+ * TSX is parsed with the TypeScript compiler API and CSS with postcss, so
+ * class names are found wherever they are built: string and template
+ * literals, conditionals, arrays, clsx-style calls and same-file constants.
+ *
+ * A source looks like:
+ *   {
+ *     path, relPath, type: 'tsx' | 'css', text, ast,
+ *     classNames:   [{ name, start, end, context: 'jsx' | 'call' | 'selector' | 'apply', segment }],
+ *     strings:      [{ value, start, end, inStyle }]           // TSX string literals
+ *     declarations: [{ prop, value, start, end, selector }]    // CSS declarations (value offsets)
+ *   }
+ * Offsets are character offsets into text; locate() turns them into line/column.
+ * A class's segment is the literal it was split from ({ start, end, text,
+ * exact }), where exact means the source text matches the cooked value, so
+ * the segment can be rewritten in place.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ts = require('typescript');
+const postcss = require('postcss');
+const selectorParser = require('postcss-selector-parser');
+
+const DEFAULT_CLASSNAME_FUNCTIONS = ['clsx', 'cn', 'classnames', 'classNames', 'cx', 'twMerge', 'cva'];
+const CLASSNAME_ATTRIBUTES = ['className', 'class'];
+
+function computeLineStarts(text) {
+  const starts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') {
+      starts.push(i + 1);
+    }
+  }
+  return starts;
+}
+
+/**
+ * 1-based line and column of a character offset
+ */
+function locate(source, offset) {
+  const starts = source.lineStarts;
+  let low = 0;
+  let high = starts.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (starts[mid] <= offset) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return { line: low + 1, column: offset - starts[low] + 1 };
+}
+
+/**
+ * Split a class string into tokens with their offsets
+ */
+function splitClasses(text, start, context, out, sourceText) {
+  const tokenRegex = /\S+/g;
+  const segment = {
+    start,
+    end: start + text.length,
+    text,
+    exact: sourceText === undefined || sourceText.slice(start, start + text.length) === text
+  };
+  let match;
+  while ((match = tokenRegex.exec(text)) !== null) {
+    out.push({
+      name: match[0],
+      start: start + match.index,
+      end: start + match.index + match[0].length,
+      context,
+      segment
+    });
+  }
+}
+
+function calleeName(expression) {
+  if (ts.isIdentifier(expression)) {
+    return expression.text;
+  }
+  if (ts.isPropertyAccessExpression(expression)) {
+    return expression.name.text;
+  }
+  return null;
+}
+
+/**
+ * Collect the class strings an expression can evaluate to
+ */
+function collectClassExpression(node, ctx, context, seen = new Set()) {
+  if (!node) {
+    return;
+  }
+
+  if (ts.isStringLiteral(node) || ts.isNoSubstitutionTemplateLiteral(node)) {
+    splitClasses(node.text, node.getStart(ctx.sourceFile) + 1, context, ctx.classNames, ctx.sourceFile.text);
+  } else if (ts.isTemplateExpression(node)) {
+    splitClasses(node.head.text, node.head.getStart(ctx.sourceFile) + 1, context, ctx.classNames, ctx.sourceFile.text);
+    node.templateSpans.forEach(span => {
+      collectClassExpression(span.expression, ctx, context, seen);
+      // Literal text follows the closing brace of the substitution
+      splitClasses(span.literal.text, span.literal.getStart(ctx.sourceFile) + 1, context, ctx.classNames, ctx.sourceFile.text);
+    });
+  } else if (ts.isJsxExpression(node) || ts.isParenthesizedExpression(node) ||
+    ts.isAsExpression(node) || ts.isNonNullExpression(node)) {
+    collectClassExpression(node.expression, ctx, context, seen);
+  } else if (ts.isConditionalExpression(node)) {
+    collectClassExpression(node.whenTrue, ctx, context, seen);
+    collectClassExpression(node.whenFalse, ctx, context, seen);
+  } else if (ts.isBinaryExpression(node)) {
+    // `cond && 'class'` only contributes its right side
+    if (node.operatorToken.kind !== ts.SyntaxKind.AmpersandAmpersandToken) {
+      collectClassExpression(node.left, ctx, context, seen);
+    }
+    collectClassExpression(node.right, ctx, context, seen);
+  } else if (ts.isArrayLiteralExpression(node)) {
+    node.elements.forEach(element => collectClassExpression(element, ctx, context, seen));
+  } else if (ts.isObjectLiteralExpression(node)) {
+    // clsx({ 'ds-active': isActive }) - keys are the classes
+    node.properties.forEach(property => {
+      if (property.name && (ts.isStringLiteral(property.name) || ts.isNoSubstitutionTemplateLiteral(property.name))) {
+        collectClassExpression(property.name, ctx, context, seen);
+      } else if (property.name && ts.isIdentifier(property.name)) {
+        splitClasses(property.name.text, property.name.getStart(ctx.sourceFile), context, ctx.classNames, ctx.sourceFile.text);
+      }
+    });
+  } else if (ts.isCallExpression(node)) {
+    const name = calleeName(node.expression);
+    if (ctx.classNameFunctions.includes(name)) {
+      ctx.visitedCalls.add(node);
+      node.arguments.forEach(arg => collectClassExpression(arg, ctx, 'call', seen));
+    } else if (name === 'join' && ts.isPropertyAccessExpression(node.expression)) {
+      collectClassExpression(node.expression.expression, ctx, context, seen);
+    }
+  } else if (ts.isIdentifier(node)) {
+    // Same-file constants: const gridClass = 'grid grid-cols-2'
+    const initializer = ctx.constants.get(node.text);
+    if (initializer && !seen.has(node.text)) {
+      seen.add(node.text);
+      collectClassExpression(initializer, ctx, context, seen);
+    }
+  }
+}
+
+/**
+ * Parse a TSX/JSX file
+ */
+function parseTsx(filePath, text, options = {}) {
+  const sourceFile = ts.createSourceFile(filePath, text, ts.ScriptTarget.Latest, true, ts.ScriptKind.TSX);
+  const ctx = {
+    sourceFile,
+    classNames: [],
+    classNameFunctions: options.classNameFunctions || DEFAULT_CLASSNAME_FUNCTIONS,
+    constants: new Map(),
+    visitedCalls: new Set()
+  };
+  const strings = [];
+
+  const collectConstants = node => {
+    if (ts.isVariableDeclaration(node) && ts.isIdentifier(node.name) && node.initializer &&
+      node.parent && (node.parent.flags & ts.NodeFlags.Const)) {
+      ctx.constants.set(node.name.text, node.initializer);
+    }
+    ts.forEachChild(node, collectConstants);
+  };
+  collectConstants(sourceFile);
+
+  // inStyle marks strings inside a JSX style={{ ... }} object, where CSS values apply;
+  // styleProp is the CSS property (camelCase key) the string is the value of
+  const visit = (node, inStyle, styleProp) => {
+    if (ts.isJsxAttribute(node) && CLASSNAME_ATTRIBUTES.includes(node.name.getText(sourceFile))) {
+      collectClassExpression(node.initializer, ctx, 'jsx');
+    } else if (ts.isCallExpression(node) && !ctx.visitedCalls.has(node) &&
+      ctx.classNameFunctions.includes(calleeName(node.expression))) {
+      collectClassExpression(node, ctx, 'call');
+    }
+
+    if ((ts.isStringLiteral(node) || ts.isNoSubstitutionTemplateLiteral(node)) &&
+      !ts.isImportDeclaration(node.parent) && !ts.isExportDeclaration(node.parent)) {
+      const start = node.getStart(sourceFile) + 1;
+      strings.push({ value: node.text, start, end: start + node.text.length, inStyle, styleProp });
+    } else if (ts.isTemplateHead(node) || ts.isTemplateMiddle(node) || ts.isTemplateTail(node)) {
+      const start = node.getStart(sourceFile) + 1;
+      strings.push({ value: node.text, start, end: start + node.text.length, inStyle, styleProp });
+    }
+
+    const childInStyle = inStyle || (ts.isJsxAttribute(node) && node.name.getText(sourceFile) === 'style');
+    const childStyleProp = inStyle && ts.isPropertyAssignment(node) && !ts.isComputedPropertyName(node.name)
+      ? node.name.text
+      : styleProp;
+    ts.forEachChild(node, child => visit(child, childInStyle, childStyleProp));
+  };
+  visit(sourceFile, false, null);
+
+  // Dedupe classes reached both via an attribute and a const reference
+  const uniqueClasses = new Map();
+  ctx.classNames.forEach(entry => uniqueClasses.set(`${entry.start}:${entry.name}`, entry));
+
+  return {
+    type: 'tsx',
+    ast: sourceFile,
+    classNames: [...uniqueClasses.values()].sort((a, b) => a.start - b.start),
+    strings,
+    declarations: []
+  };
+}
+
+/**
+ * Parse a CSS file
+ */
+function parseCss(filePath, text) {
+  const root = postcss.parse(text, { from: filePath });
+  const classNames = [];
+  const declarations = [];
+
+  root.walkRules(rule => {
+    const selectorStart = rule.source.start.offset;
+    try {
+      selectorParser(selectors => {
+        selectors.walkClasses(node => {
+          const start = selectorStart + node.sourceIndex + 1;
+          classNames.push({ name: node.value, start, end: start + node.value.length, context: 'selector', segment: null });
+        });
+      }).processSync(rule.selector);
+    } catch {
+      // Selectors postcss-selector-parser can't read are skipped
+    }
+  });
+
+  root.walkAtRules('apply', atRule => {
+    const paramsStart = atRule.source.start.offset + 1 + atRule.name.length + atRule.raws.afterName.length;
+    splitClasses(atRule.params, paramsStart, 'apply', classNames, text);
+  });
+
+  root.walkDecls(decl => {
+    const declStart = decl.source.start.offset;
+    const valueStart = text.indexOf(decl.value, declStart + decl.prop.length);
+    declarations.push({
+      prop: decl.prop,
+      value: decl.value,
+      start: valueStart,
+      end: valueStart + decl.value.length,
+      selector: decl.parent && decl.parent.type === 'rule' ? decl.parent.selector : null
+    });
+  });
+
+  return { type: 'css', ast: root, classNames, strings: [], declarations };
+}
+
+/**
+ * Parse a file into a source object, choosing the parser by extension
+ */
+function parseSource(filePath, root, options = {}) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const parsed = path.extname(filePath) === '.css'
+    ? parseCss(filePath, text)
+    : parseTsx(filePath, text, options);
+
+  return {
+    path: filePath,
+    relPath: path.relative(root, filePath),
+    text,
+    lineStarts: computeLineStarts(text),
+    ...parsed
+  };
+}
+
+module.exports = {
+  DEFAULT_CLASSNAME_FUNCTIONS,
+  locate,
+  parseTsx,
+  parseCss,
+  parseSource
+};
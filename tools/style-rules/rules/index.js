@@ -0,0 +1,15 @@
+/**
+ * Built-in style rules, in reporting order
+ */
+
+module.exports = [
+  require('./no-tailwind-grid'),
+  require('./no-token-utilities'),
+  require('./no-tailwind-palette'),
+  require('./no-raw-hex-colors'),
+  require('./require-ds-classes'),
+  require('./no-undefined-ds-classes'),
+  require('./no-unused-ds-classes'),
+  require('./no-duplicate-ds-definitions'),
+  require('./require-interactive-components')
+];
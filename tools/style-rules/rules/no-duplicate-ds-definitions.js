@@ -0,0 +1,112 @@
+/**
+ * no-duplicate-ds-definitions
+ *
+ * The same ds-* selector defined more than once (typically in both
+ * styles/design-system.css and app/globals.css) makes the result depend
+ * on stylesheet order. Each losing definition is reported with the one
+ * that wins and the properties where they disagree.
+ *
+ * Selectors are compared within the same @media/@supports context. With
+ * equal specificity the later rule wins: later in the file, or in a
+ * stylesheet loaded later.
+ *
+ * Options:
+ *   cascadeOrder: stylesheets in load order (default: design-system.css,
+ *                 then globals.css); unlisted stylesheets load last
+ */
+
+const path = require('path');
+const { locate } = require('../parsers');
+
+const DEFAULT_CASCADE_ORDER = ['styles/design-system.css', 'app/globals.css'];
+
+function atRuleContext(node) {
+  const contexts = [];
+  let parent = node.parent;
+  while (parent && parent.type !== 'root') {
+    if (parent.type === 'atrule') {
+      contexts.unshift(`@${parent.name} ${parent.params}`);
+    }
+    parent = parent.parent;
+  }
+  return contexts.join(' ');
+}
+
+function normalizeSelector(selector) {
+  return selector.split(',').map(part => part.trim().replace(/\s+/g, ' ')).sort().join(', ');
+}
+
+function declarationsOf(rule) {
+  const declarations = new Map();
+  rule.walkDecls(decl => declarations.set(decl.prop, decl.value));
+  return declarations;
+}
+
+function describeConflicts(loser, winner) {
+  const conflicts = [];
+  loser.declarations.forEach((value, prop) => {
+    if (winner.declarations.has(prop) && winner.declarations.get(prop) !== value) {
+      conflicts.push(`${prop}: ${value} → ${winner.declarations.get(prop)}`);
+    }
+  });
+  if (conflicts.length === 0) {
+    return 'no conflicting values';
+  }
+  return `overrides ${conflicts.join('; ')}`;
+}
+
+module.exports = {
+  id: 'no-duplicate-ds-definitions',
+  defaultSeverity: 'warn',
+  description: 'Flag ds-* selectors defined more than once, noting which definition wins',
+
+  checkProject(sources, context, options = {}) {
+    const cascadeOrder = (options.cascadeOrder || DEFAULT_CASCADE_ORDER).map(file => path.normalize(file));
+    const stylesheets = sources
+      .filter(source => source.type === 'css')
+      .map((source, scanIndex) => {
+        const position = cascadeOrder.indexOf(path.normalize(source.relPath));
+        return { source, order: position === -1 ? cascadeOrder.length + scanIndex : position };
+      });
+
+    const groups = new Map();
+    stylesheets.forEach(({ source, order }) => {
+      source.ast.walkRules(rule => {
+        if (!/\.ds-/.test(rule.selector)) {
+          return;
+        }
+        const key = `${atRuleContext(rule)}|${normalizeSelector(rule.selector)}`;
+        if (!groups.has(key)) {
+          groups.set(key, []);
+        }
+        groups.get(key).push({
+          source,
+          rule,
+          order,
+          start: rule.source.start.offset,
+          declarations: declarationsOf(rule)
+        });
+      });
+    });
+
+    groups.forEach(definitions => {
+      if (definitions.length < 2) {
+        return;
+      }
+      const ranked = [...definitions].sort((a, b) => a.order - b.order || a.start - b.start);
+      const winner = ranked[ranked.length - 1];
+      const { line } = locate(winner.source, winner.start);
+      const winnerLocation = `${winner.source.relPath}:${line}`;
+
+      ranked.slice(0, -1).forEach(loser => {
+        const why = loser.source === winner.source ? 'later in the file' : 'stylesheet loaded later';
+        context.report({
+          source: loser.source,
+          start: loser.start,
+          end: loser.start + loser.rule.selector.length,
+          message: `"${loser.rule.selector}" is also defined in ${winnerLocation}, which wins (${why}); ${describeConflicts(loser, winner)}`
+        });
+      });
+    });
+  }
+};
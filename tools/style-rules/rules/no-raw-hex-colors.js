@@ -0,0 +1,78 @@
+/**
+ * no-raw-hex-colors
+ *
+ * Hex colors written outside the token definitions drift from the design
+ * system. Custom property declarations (--color-*: #...) are the token
+ * definitions themselves and are allowed.
+ *
+ * Options:
+ *   allow: ['#FFFFFF']  hex values that may be used directly
+ *
+ * Fix: a hex becomes var(--token) in CSS declarations and JSX style objects
+ * when exactly one token fits: its family matches the property
+ * (--color-text-* for color, --color-bg-* for background) and no theme
+ * redefines it, so the value stays the same in every theme. SVG attributes
+ * (stroke="#...") don't resolve var(), so those and every other hex are
+ * only reported.
+ */
+
+const HEX_REGEX = /#(?:[0-9a-f]{8}|[0-9a-f]{6}|[0-9a-f]{3,4})(?![\w-])/gi;
+
+// CSS property → prefix of the token family its values come from
+const TOKEN_FAMILIES = {
+  color: '--color-text-',
+  background: '--color-bg-',
+  'background-color': '--color-bg-'
+};
+
+/**
+ * CSS property of a candidate: the declaration's in CSS, the (camelCase)
+ * style object key in JSX
+ */
+function propertyOf(candidate, source) {
+  const prop = source.type === 'css' ? candidate.prop : candidate.styleProp;
+  return prop ? prop.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`) : null;
+}
+
+function tokenHint(tokens) {
+  return tokens.length ? `; use ${tokens.map(token => `var(${token})`).join(' or ')}` : '';
+}
+
+module.exports = {
+  id: 'no-raw-hex-colors',
+  defaultSeverity: 'warn',
+  description: 'Disallow raw hex colors outside token definitions',
+
+  checkFile(source, context, options = {}) {
+    const allowed = (options.allow || []).map(value => value.toLowerCase());
+    const candidates = source.type === 'css'
+      ? source.declarations.filter(decl => !decl.prop.startsWith('--'))
+      : source.strings;
+
+    candidates.forEach(candidate => {
+      HEX_REGEX.lastIndex = 0;
+      let match;
+      while ((match = HEX_REGEX.exec(candidate.value)) !== null) {
+        if (allowed.includes(match[0].toLowerCase())) {
+          continue;
+        }
+        const start = candidate.start + match.index;
+        const end = start + match[0].length;
+        const family = TOKEN_FAMILIES[propertyOf(candidate, source)];
+        const tokens = family
+          ? context.findTokens(match[0]).filter(token => token.startsWith(family) && !context.hasThemeOverride(token))
+          : [];
+        const canFix = tokens.length === 1 &&
+          (source.type === 'css' || candidate.inStyle) &&
+          source.text.slice(start, end) === match[0];
+
+        context.report({
+          start,
+          end,
+          message: `Raw hex color ${match[0]}${tokenHint(tokens)}`,
+          fix: canFix ? { start, end, text: `var(${tokens[0]})` } : null
+        });
+      }
+    });
+  }
+};
@@ -0,0 +1,62 @@
+/**
+ * no-tailwind-grid
+ *
+ * Tailwind grid utilities (grid-cols-*, grid-rows-*, col-span-*, row-span-*)
+ * don't compile reliably in this setup and silently collapse the dashboard
+ * to a single column. Use .ds-dashboard-grid instead.
+ *
+ * Fix: the exact dashboard grid (grid grid-cols-2 with gap-5 or no gap)
+ * becomes ds-dashboard-grid. Anything else - other column counts, other
+ * gaps, responsive variants, spans - is left for a manual fix.
+ */
+
+const { rewriteClassSegment } = require('../fixes');
+
+const GRID_UTILITY_REGEX = /^(?:[\w-]+:)*!?-?(grid-cols|grid-rows|col-span|row-span|col-start|row-start)-/;
+const LAYOUT_CLASS_REGEX = /^(?:[\w-]+:)*!?(grid|inline-grid|gap|gap-x|gap-y|grid-flow|auto-cols|auto-rows)(-|$)/;
+
+/**
+ * Fix for a class segment, when it is exactly the dashboard grid
+ */
+function dashboardGridFix(segment, classes) {
+  if (!segment || !segment.exact) {
+    return null;
+  }
+  const layoutClasses = classes.filter(name =>
+    GRID_UTILITY_REGEX.test(name) || LAYOUT_CLASS_REGEX.test(name)
+  );
+  const isDashboardGrid = layoutClasses.includes('grid') &&
+    layoutClasses.includes('grid-cols-2') &&
+    layoutClasses.every(name => ['grid', 'grid-cols-2', 'gap-5'].includes(name));
+
+  if (!isDashboardGrid) {
+    return null;
+  }
+  return rewriteClassSegment(segment, new Map([
+    ['grid', null],
+    ['grid-cols-2', 'ds-dashboard-grid'],
+    ['gap-5', null]
+  ]));
+}
+
+module.exports = {
+  id: 'no-tailwind-grid',
+  defaultSeverity: 'error',
+  description: 'Disallow Tailwind grid utilities; use ds-dashboard-grid',
+
+  checkFile(source, context) {
+    source.classNames
+      .filter(entry => entry.context !== 'selector' && GRID_UTILITY_REGEX.test(entry.name))
+      .forEach(entry => {
+        const segmentClasses = source.classNames
+          .filter(other => other.segment === entry.segment)
+          .map(other => other.name);
+        context.report({
+          start: entry.start,
+          end: entry.end,
+          message: `Tailwind grid utility "${entry.name}" (fails to compile; use ds-dashboard-grid)`,
+          fix: entry.context === 'apply' ? null : dashboardGridFix(entry.segment, segmentClasses)
+        });
+      });
+  }
+};
@@ -0,0 +1,26 @@
+/**
+ * no-tailwind-palette
+ *
+ * Tailwind palette utilities (bg-gray-100, text-blue-600) bypass the
+ * design tokens, so they drift from the design when tokens change.
+ */
+
+const PALETTE_UTILITY_REGEX = /^(?:[\w-]+:)*!?(bg|text|border|ring|fill|stroke|from|via|to)-[a-z]+-\d{2,3}(?:\/\d+)?$/;
+
+module.exports = {
+  id: 'no-tailwind-palette',
+  defaultSeverity: 'warn',
+  description: 'Flag Tailwind palette color utilities that bypass design tokens',
+
+  checkFile(source, context) {
+    source.classNames
+      .filter(entry => entry.context !== 'selector' && PALETTE_UTILITY_REGEX.test(entry.name))
+      .forEach(entry => {
+        context.report({
+          start: entry.start,
+          end: entry.end,
+          message: `Tailwind color utility "${entry.name}" (use design-system classes or tokens)`
+        });
+      });
+  }
+};
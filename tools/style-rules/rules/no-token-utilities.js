@@ -0,0 +1,48 @@
+/**
+ * no-token-utilities
+ *
+ * Utilities generated from design-token names (text-text-secondary,
+ * bg-brand-primary, bg-bg-secondary) depend on the Tailwind theme and
+ * face the same compilation issues as grid utilities. Use the semantic
+ * ds-* classes instead.
+ *
+ * Fix: text-text-* → ds-text-* and bg-bg-* → ds-bg-*, when that class is
+ * defined in a stylesheet. Variants (hover:, md:) are left alone.
+ */
+
+const TOKEN_UTILITY_REGEX = /^(?:[\w-]+:)*!?(text-text|bg-brand|bg-bg|text-brand|border-brand)-[\w-]+$/;
+
+const SEMANTIC_PREFIXES = [
+  ['text-text-', 'ds-text-'],
+  ['bg-bg-', 'ds-bg-']
+];
+
+function semanticClass(name) {
+  const mapping = SEMANTIC_PREFIXES.find(([prefix]) => name.startsWith(prefix));
+  return mapping ? mapping[1] + name.slice(mapping[0].length) : null;
+}
+
+module.exports = {
+  id: 'no-token-utilities',
+  defaultSeverity: 'warn',
+  description: 'Disallow text-text-* / bg-brand-* style utilities; use semantic ds-* classes',
+
+  checkFile(source, context) {
+    source.classNames
+      .filter(entry => TOKEN_UTILITY_REGEX.test(entry.name))
+      .forEach(entry => {
+        const verb = entry.context === 'selector' ? 'Defines' : 'Uses';
+        const replacement = semanticClass(entry.name);
+        const isDefined = Boolean(replacement) && context.isClassDefined(replacement);
+        const canFix = isDefined && entry.context !== 'selector' &&
+          source.text.slice(entry.start, entry.end) === entry.name;
+
+        context.report({
+          start: entry.start,
+          end: entry.end,
+          message: `${verb} token utility "${entry.name}" (use ${isDefined ? replacement : 'a semantic ds-* class'})`,
+          fix: canFix ? { start: entry.start, end: entry.end, text: replacement } : null
+        });
+      });
+  }
+};
@@ -0,0 +1,31 @@
+/**
+ * no-undefined-ds-classes
+ *
+ * A ds-* class used in JSX but defined in no stylesheet renders unstyled
+ * without any build error.
+ */
+
+const { collectUsedClasses, collectDefinedClasses } = require('../class-usage');
+
+module.exports = {
+  id: 'no-undefined-ds-classes',
+  defaultSeverity: 'error',
+  description: 'Require every ds-* class used in JSX to be defined in a stylesheet',
+
+  checkProject(sources, context) {
+    const { used } = collectUsedClasses(sources);
+    const defined = collectDefinedClasses(sources);
+
+    used.forEach((usages, name) => {
+      if (defined.has(name)) {
+        return;
+      }
+      usages.forEach(({ source, entry }) => context.report({
+        source,
+        start: entry.start,
+        end: entry.end,
+        message: `Class "${name}" is not defined in any stylesheet`
+      }));
+    });
+  }
+};
@@ -0,0 +1,48 @@
+/**
+ * no-unused-ds-classes
+ *
+ * ds-* selectors no component or example uses are dead CSS. Classes
+ * matching a dynamic prefix (className={`ds-status-${status}`}) count
+ * as used.
+ *
+ * Options:
+ *   ignore: ['ds-sr-only']  classes that are used outside the scanned files
+ */
+
+const { collectUsedClasses, collectDefinedClasses } = require('../class-usage');
+
+module.exports = {
+  id: 'no-unused-ds-classes',
+  defaultSeverity: 'warn',
+  description: 'Flag ds-* selectors that no scanned JSX uses',
+
+  checkProject(sources, context, options = {}) {
+    const ignored = options.ignore || [];
+    const { used, prefixes } = collectUsedClasses(sources);
+    const defined = collectDefinedClasses(sources);
+
+    defined.forEach((definitions, name) => {
+      const isUsed = used.has(name) ||
+        ignored.includes(name) ||
+        [...prefixes].some(prefix => name.startsWith(prefix));
+      if (isUsed) {
+        return;
+      }
+
+      // One finding per stylesheet, at the first selector defining the class
+      const reported = new Set();
+      definitions.forEach(({ source, entry }) => {
+        if (reported.has(source)) {
+          return;
+        }
+        reported.add(source);
+        context.report({
+          source,
+          start: entry.start,
+          end: entry.end,
+          message: `Class ".${name}" is not used by any component or example`
+        });
+      });
+    });
+  }
+};
@@ -0,0 +1,63 @@
+/**
+ * require-ds-classes
+ *
+ * The design-system classes and variables components depend on must be
+ * defined in a stylesheet. Without them the layout falls back to
+ * unstyled blocks with no build error.
+ *
+ * Options:
+ *   classes:   class names that must be defined
+ *   variables: custom properties that must be defined
+ */
+
+const DEFAULT_CLASSES = [
+  'ds-dashboard-grid',
+  'ds-sidebar',
+  'ds-nav-item',
+  'ds-panel',
+  'ds-chart-container',
+  'ds-loading-text',
+  'ds-placeholder-text'
+];
+
+const DEFAULT_VARIABLES = ['--color-bg-primary', '--color-brand-primary'];
+
+module.exports = {
+  id: 'require-ds-classes',
+  defaultSeverity: 'error',
+  description: 'Require the core ds-* classes and token variables to be defined',
+
+  checkProject(sources, context, options = {}) {
+    const stylesheets = sources.filter(source => source.type === 'css');
+    const defined = new Set();
+    const variables = new Set();
+
+    stylesheets.forEach(source => {
+      source.classNames
+        .filter(entry => entry.context === 'selector')
+        .forEach(entry => defined.add(entry.name));
+      source.declarations
+        .filter(decl => decl.prop.startsWith('--'))
+        .forEach(decl => variables.add(decl.prop));
+    });
+
+    // Project-level findings are reported at the top of the first stylesheet
+    const anchor = stylesheets[0] || sources[0];
+
+    (options.classes || DEFAULT_CLASSES)
+      .filter(className => !defined.has(className))
+      .forEach(className => context.report({
+        source: anchor,
+        start: 0,
+        message: `Design-system class ".${className}" is not defined in any stylesheet`
+      }));
+
+    (options.variables || DEFAULT_VARIABLES)
+      .filter(variable => !variables.has(variable))
+      .forEach(variable => context.report({
+        source: anchor,
+        start: 0,
+        message: `Design token "${variable}" is not defined in any stylesheet`
+      }));
+  }
+};
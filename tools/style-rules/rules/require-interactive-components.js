@@ -0,0 +1,58 @@
+/**
+ * require-interactive-components
+ *
+ * Components exported from design tools are often static. At least one
+ * component must keep state (useState) and handle clicks (onClick).
+ *
+ * Options:
+ *   directory: where components live (default "components")
+ */
+
+const path = require('path');
+const ts = require('typescript');
+
+function findInteractivity(sourceFile) {
+  const found = { onClick: false, useState: false };
+
+  const visit = node => {
+    if (ts.isJsxAttribute(node) && node.name.getText(sourceFile) === 'onClick') {
+      found.onClick = true;
+    } else if (ts.isCallExpression(node)) {
+      const callee = node.expression;
+      const name = ts.isPropertyAccessExpression(callee) ? callee.name.text : callee.getText(sourceFile);
+      if (name === 'useState' || name === 'useReducer') {
+        found.useState = true;
+      }
+    }
+    ts.forEachChild(node, visit);
+  };
+  visit(sourceFile);
+
+  return found;
+}
+
+module.exports = {
+  id: 'require-interactive-components',
+  defaultSeverity: 'error',
+  description: 'Require at least one stateful component with click handling',
+
+  checkProject(sources, context, options = {}) {
+    const directory = options.directory || 'components';
+    const components = sources.filter(source =>
+      source.type === 'tsx' && source.relPath.split(path.sep)[0] === directory
+    );
+
+    const interactive = components.some(source => {
+      const found = findInteractivity(source.ast);
+      return found.onClick && found.useState;
+    });
+
+    if (!interactive && components.length > 0) {
+      context.report({
+        source: components[0],
+        start: 0,
+        message: `No component in ${directory}/ combines useState with an onClick handler (static design export?)`
+      });
+    }
+  }
+};
@@ -0,0 +1,106 @@
+/**
+ * Unified Diff
+ *
+ * Minimal line-based unified diff (LCS) for --dry-run output. Sources
+ * checked by verify-styles are small, so the quadratic table is fine.
+ */
+
+const CONTEXT_LINES = 3;
+
+function splitLines(text) {
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Line operations turning a into b: [{ type: ' ' | '-' | '+', line }]
+ */
+function diffLines(a, b) {
+  const table = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j]
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i++] });
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      ops.push({ type: '-', line: a[i++] });
+    } else {
+      ops.push({ type: '+', line: b[j++] });
+    }
+  }
+  while (i < a.length) {
+    ops.push({ type: '-', line: a[i++] });
+  }
+  while (j < b.length) {
+    ops.push({ type: '+', line: b[j++] });
+  }
+  return ops;
+}
+
+/**
+ * Unified diff between two versions of a file ('' when identical)
+ *
+ * @param {string} filePath - Path shown in the ---/+++ headers
+ */
+function createUnifiedDiff(filePath, before, after) {
+  if (before === after) {
+    return '';
+  }
+
+  const ops = diffLines(splitLines(before), splitLines(after));
+  const changed = ops.map((op, index) => (op.type !== ' ' ? index : -1)).filter(index => index !== -1);
+
+  // Group changes whose context windows touch into hunks
+  const hunks = [];
+  changed.forEach(index => {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= CONTEXT_LINES * 2) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  });
+
+  const output = [`--- a/${filePath}`, `+++ b/${filePath}`];
+  hunks.forEach(hunk => {
+    const from = Math.max(0, hunk.start - CONTEXT_LINES);
+    const to = Math.min(ops.length - 1, hunk.end + CONTEXT_LINES);
+
+    // 1-based line numbers of the hunk start in each file
+    let oldLine = 1;
+    let newLine = 1;
+    for (let k = 0; k < from; k++) {
+      if (ops[k].type !== '+') {
+        oldLine++;
+      }
+      if (ops[k].type !== '-') {
+        newLine++;
+      }
+    }
+
+    const slice = ops.slice(from, to + 1);
+    const oldCount = slice.filter(op => op.type !== '+').length;
+    const newCount = slice.filter(op => op.type !== '-').length;
+    output.push(`@@ -${oldCount ? oldLine : oldLine - 1},${oldCount} +${newCount ? newLine : newLine - 1},${newCount} @@`);
+    slice.forEach(op => output.push(`${op.type}${op.line}`));
+  });
+
+  return output.join('\n') + '\n';
+}
+
+module.exports = {
+  createUnifiedDiff
+};
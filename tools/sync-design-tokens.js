@@ -0,0 +1,478 @@
+#!/usr/bin/env node
+
+/**
+ * Design Token Sync
+ *
+ * Generates the design-system token outputs from one token source:
+ *   styles/design-system.css   :root custom properties (between @tokens markers)
+ *   tailwind.config.ts         theme.extend colors/spacing/borderRadius (between @tokens markers)
+ *   lib/design-tokens.ts       typed constants module (whole file)
+ *
+ * The source is either a W3C Design Tokens (DTCG) file or a Figma
+ * Variables export (GET /v1/files/:key/variables/local).
+ *
+ * Themes: a DTCG token can carry per-theme values in
+ * "$extensions": { "mode": { "dark": "#0F172A" } }; in a Figma export every
+ * non-default collection mode is a theme. Each theme becomes a
+ * :root[data-theme="<name>"] block and a themeTokens entry.
+ *
+ * Usage:
+ *   node tools/sync-design-tokens.js
+ *   node tools/sync-design-tokens.js --input=figma/variables.json
+ *   node tools/sync-design-tokens.js --check
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const DEFAULT_INPUT = path.join(ROOT, 'tokens', 'design-tokens.json');
+const CSS_PATH = path.join(ROOT, 'styles', 'design-system.css');
+const TAILWIND_PATH = path.join(ROOT, 'tailwind.config.ts');
+const TS_PATH = path.join(ROOT, 'lib', 'design-tokens.ts');
+const GLOBALS_PATH = path.join(ROOT, 'app', 'globals.css');
+
+const CSS_MARKERS = {
+  start: '/* @tokens:start - generated by tools/sync-design-tokens.js, edit tokens/design-tokens.json instead */',
+  end: '/* @tokens:end */'
+};
+const TS_MARKERS = {
+  start: '// @tokens:start - generated by tools/sync-design-tokens.js',
+  end: '// @tokens:end'
+};
+
+/**
+ * Tokens are normalized to:
+ *   { path: ['color', 'bg', 'primary'], type: 'color', value: '#FFFFFF' | { ref: [...] }, group: 'Color System' | null,
+ *     modes: { dark: '#1E293B' | { ref: [...] } } }
+ * where group is the description of the closest described ancestor group
+ */
+
+function parseDimension(value) {
+  if (value && typeof value === 'object' && 'value' in value) {
+    return `${value.value}${value.unit || 'px'}`;
+  }
+  return String(value);
+}
+
+function parseReference(value) {
+  const match = typeof value === 'string' && /^\{([^}]+)\}$/.exec(value.trim());
+  return match ? { ref: match[1].split('.') } : null;
+}
+
+/**
+ * Parse a W3C Design Tokens (DTCG) file
+ */
+function parseDtcg(json) {
+  const tokens = [];
+
+  const walk = (node, currentPath, inheritedType, inheritedGroup) => {
+    const type = node.$type || inheritedType;
+
+    if ('$value' in node) {
+      const parseValue = raw => parseReference(raw) ||
+        (type === 'dimension' ? parseDimension(raw) : String(raw));
+      const modes = {};
+      Object.entries((node.$extensions && node.$extensions.mode) || {}).forEach(([mode, raw]) => {
+        modes[mode] = parseValue(raw);
+      });
+      tokens.push({ path: currentPath, type, value: parseValue(node.$value), group: inheritedGroup, modes });
+      return;
+    }
+
+    // Group descriptions become section comments in the generated CSS
+    const group = node.$description && currentPath.length > 0 ? node.$description : inheritedGroup;
+    Object.keys(node)
+      .filter(key => !key.startsWith('$'))
+      .forEach(key => walk(node[key], [...currentPath, key], type, group));
+  };
+
+  walk(json, [], null, null);
+  return tokens;
+}
+
+function toHexChannel(channel) {
+  return Math.round(channel * 255).toString(16).padStart(2, '0').toUpperCase();
+}
+
+function figmaColorToCss({ r, g, b, a = 1 }) {
+  if (a < 1) {
+    return `rgba(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)}, ${Number(a.toFixed(3))})`;
+  }
+  return `#${toHexChannel(r)}${toHexChannel(g)}${toHexChannel(b)}`;
+}
+
+/**
+ * Parse a Figma Variables export; values come from each collection's
+ * default mode, and other modes (e.g. "Dark") become themes. Variable
+ * names such as "color/bg/primary" become paths.
+ */
+function parseFigmaVariables(json) {
+  const meta = json.meta || json;
+  const variables = meta.variables || {};
+  const collections = meta.variableCollections || {};
+  const namesById = {};
+
+  Object.values(variables).forEach(variable => {
+    namesById[variable.id] = variable.name.split('/').map(part => part.trim().replace(/\s+/g, '-').toLowerCase());
+  });
+
+  return Object.values(variables)
+    .filter(variable => !variable.remote)
+    .map(variable => {
+      const collection = collections[variable.variableCollectionId] || {};
+      const modeId = collection.defaultModeId || Object.keys(variable.valuesByMode)[0];
+      const type = variable.resolvedType === 'COLOR' ? 'color' : variable.resolvedType === 'FLOAT' ? 'dimension' : 'string';
+
+      const parseValue = raw => {
+        if (raw && raw.type === 'VARIABLE_ALIAS') {
+          return { ref: namesById[raw.id] };
+        }
+        if (type === 'color') {
+          return figmaColorToCss(raw);
+        }
+        return type === 'dimension' ? `${raw}px` : String(raw);
+      };
+
+      const value = parseValue(variable.valuesByMode[modeId]);
+      const modes = {};
+      (collection.modes || [])
+        .filter(mode => mode.modeId !== modeId && mode.modeId in variable.valuesByMode)
+        .forEach(mode => {
+          const modeValue = parseValue(variable.valuesByMode[mode.modeId]);
+          if (JSON.stringify(modeValue) !== JSON.stringify(value)) {
+            modes[mode.name.trim().replace(/\s+/g, '-').toLowerCase()] = modeValue;
+          }
+        });
+
+      return { path: namesById[variable.id], type, value, group: null, modes };
+    });
+}
+
+/**
+ * Load the token source, detecting Figma Variables vs DTCG by shape
+ */
+function loadTokens(inputPath) {
+  const json = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+  const isFigma = (json.meta && json.meta.variables) || (json.variables && json.variableCollections);
+  return isFigma ? parseFigmaVariables(json) : parseDtcg(json);
+}
+
+function cssName(tokenPath) {
+  return `--${tokenPath.join('-')}`;
+}
+
+function modeValue(token, mode) {
+  return mode && token.modes && token.modes[mode] !== undefined ? token.modes[mode] : token.value;
+}
+
+function cssValue(token, mode) {
+  const value = modeValue(token, mode);
+  return value.ref ? `var(${cssName(value.ref)})` : value;
+}
+
+/**
+ * Theme names used by any token, in first-seen order
+ */
+function themeNames(tokens) {
+  return [...new Set(tokens.flatMap(token => Object.keys(token.modes || {})))];
+}
+
+/**
+ * Resolve aliases to literal values, for the TS constants module. In a
+ * theme, an alias follows its target's theme value.
+ */
+function resolveValue(token, tokensByName, mode = null, seen = new Set()) {
+  const value = modeValue(token, mode);
+  if (!value.ref) {
+    return value;
+  }
+  const name = cssName(value.ref);
+  const target = tokensByName.get(name);
+  if (!target || seen.has(name)) {
+    throw new Error(`Token ${cssName(token.path)} references unknown or circular token ${name}`);
+  }
+  seen.add(name);
+  return resolveValue(target, tokensByName, mode, seen);
+}
+
+function generateCssBlock(tokens) {
+  const lines = [CSS_MARKERS.start, ':root {'];
+  let lastGroup = null;
+
+  tokens.forEach(token => {
+    if (token.group && token.group !== lastGroup) {
+      if (lines.length > 2) {
+        lines.push('  ');
+      }
+      lines.push(`  /* ${token.group} */`);
+      lastGroup = token.group;
+    }
+    lines.push(`  ${cssName(token.path)}: ${cssValue(token)};`);
+  });
+  lines.push('}');
+
+  // Aliases are not repeated: var() references resolve against the theme values
+  themeNames(tokens).forEach(mode => {
+    lines.push('', `${themeSelector(mode)} {`, `  color-scheme: ${mode === 'dark' ? 'dark' : 'light'};`);
+    tokens
+      .filter(token => token.modes && token.modes[mode] !== undefined)
+      .forEach(token => lines.push(`  ${cssName(token.path)}: ${cssValue(token, mode)};`));
+    lines.push('}');
+  });
+
+  lines.push(CSS_MARKERS.end);
+  return lines.join('\n');
+}
+
+function generateTailwindBlock(tokens) {
+  const sections = { colors: [], spacing: [], borderRadius: [] };
+
+  tokens.forEach(token => {
+    const [group, ...rest] = token.path;
+    const reference = `var(${cssName(token.path)})`;
+    if (token.type === 'color' && group === 'color') {
+      sections.colors.push([rest.join('-'), reference]);
+    } else if (group === 'spacing') {
+      sections.spacing.push([rest.join('-'), reference]);
+    } else if (token.path[token.path.length - 1] === 'radius') {
+      sections.borderRadius.push([token.path.slice(0, -1).join('-'), reference]);
+    }
+  });
+
+  const lines = [`      ${TS_MARKERS.start}`];
+  Object.entries(sections)
+    .filter(([, entries]) => entries.length > 0)
+    .forEach(([section, entries]) => {
+      lines.push(`      ${section}: {`);
+      entries.forEach(([key, value]) => lines.push(`        '${key}': '${value}',`));
+      lines.push('      },');
+    });
+  lines.push(`      ${TS_MARKERS.end}`);
+  return lines.join('\n');
+}
+
+function generateTsModule(tokens) {
+  const tokensByName = new Map(tokens.map(token => [cssName(token.path), token]));
+  const entries = tokens.map(token =>
+    `  '${token.path.join('-')}': '${resolveValue(token, tokensByName)}',`
+  );
+  // Per theme, every token whose resolved value differs (including aliases of changed tokens)
+  const themeEntries = themeNames(tokens).flatMap(mode => [
+    `  ${/^[a-z_$][\w$]*$/i.test(mode) ? mode : `'${mode}'`}: {`,
+    ...tokens
+      .filter(token => resolveValue(token, tokensByName, mode) !== resolveValue(token, tokensByName))
+      .map(token => `    '${token.path.join('-')}': '${resolveValue(token, tokensByName, mode)}',`),
+    '  },'
+  ]);
+
+  return [
+    '/**',
+    ' * Design tokens as typed constants.',
+    ' *',
+    ' * Generated by tools/sync-design-tokens.js from tokens/design-tokens.json.',
+    ' * Do not edit by hand: run `npm run tokens` instead.',
+    ' */',
+    '',
+    'export const tokens = {',
+    ...entries,
+    '} as const;',
+    '',
+    'export type TokenName = keyof typeof tokens;',
+    '',
+    '/**',
+    ' * Values that differ from `tokens` in each theme (applied with',
+    ' * <html data-theme="...">)',
+    ' */',
+    'export const themeTokens = {',
+    ...themeEntries,
+    '} as const;',
+    '',
+    'export type ThemeName = \'light\' | keyof typeof themeTokens;',
+    '',
+    '/**',
+    ' * Resolved token value in a theme',
+    ' */',
+    'export function themeToken(name: TokenName, theme: ThemeName = \'light\'): string {',
+    '  const overrides: Partial<Record<TokenName, string>> = theme === \'light\' ? {} : themeTokens[theme];',
+    '  return overrides[name] ?? tokens[name];',
+    '}',
+    '',
+    '/**',
+    ' * CSS custom property reference for a token, e.g. cssVar(\'color-brand-primary\')',
+    ' */',
+    'export function cssVar(name: TokenName): string {',
+    '  return `var(--${name})`;',
+    '}',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Replace the marked region of a file; the first :root block is taken
+ * over on the first run, before the markers exist
+ */
+function replaceRegion(content, markers, block, filePath) {
+  const start = content.indexOf(markers.start.split(' - ')[0]);
+  const end = content.indexOf(markers.end);
+
+  if (start !== -1 && end !== -1) {
+    const lineStart = content.lastIndexOf('\n', start) + 1;
+    return content.slice(0, lineStart) + block + content.slice(end + markers.end.length);
+  }
+
+  if (markers === CSS_MARKERS) {
+    const rootMatch = /:root\s*\{[^}]*\}/.exec(content);
+    if (rootMatch) {
+      return content.slice(0, rootMatch.index) + block + content.slice(rootMatch.index + rootMatch[0].length);
+    }
+  }
+
+  throw new Error(`No @tokens:start/@tokens:end markers found in ${path.relative(ROOT, filePath)}`);
+}
+
+function themeSelector(mode) {
+  return mode ? `:root[data-theme="${mode}"]` : ':root';
+}
+
+/**
+ * Custom properties declared in a CSS string's rules for one selector
+ * (:root by default), name -> value
+ */
+function readDeclarations(css, selector = ':root') {
+  const declarations = new Map();
+  const ruleRegex = /([^{}]+)\{([^{}]*)\}/g;
+  const declarationRegex = /(--[\w-]+)\s*:\s*([^;]+);/g;
+  let rule;
+  while ((rule = ruleRegex.exec(css)) !== null) {
+    // Strip comments and any preceding at-rule statements (@tailwind base;)
+    if (rule[1].replace(/\/\*[\s\S]*?\*\//g, '').split(';').pop().trim() !== selector) {
+      continue;
+    }
+    let match;
+    while ((match = declarationRegex.exec(rule[2])) !== null) {
+      declarations.set(match[1], match[2].trim());
+    }
+  }
+  return declarations;
+}
+
+/**
+ * Build every output from the token source
+ * @returns {Array<{path: string, current: string, next: string}>}
+ */
+function buildOutputs(tokens) {
+  const css = fs.readFileSync(CSS_PATH, 'utf8');
+  const tailwind = fs.readFileSync(TAILWIND_PATH, 'utf8');
+  const ts = fs.existsSync(TS_PATH) ? fs.readFileSync(TS_PATH, 'utf8') : '';
+
+  return [
+    { path: CSS_PATH, current: css, next: replaceRegion(css, CSS_MARKERS, generateCssBlock(tokens), CSS_PATH) },
+    { path: TAILWIND_PATH, current: tailwind, next: replaceRegion(tailwind, TS_MARKERS, generateTailwindBlock(tokens), TAILWIND_PATH) },
+    { path: TS_PATH, current: ts, next: generateTsModule(tokens) }
+  ];
+}
+
+/**
+ * Report tokens that app/globals.css redefines with another value.
+ * globals.css is imported after design-system.css, so its value wins at
+ * runtime and the token is silently ignored.
+ * @returns {number} How many overrides were found
+ */
+function reportGlobalsOverrides(tokens) {
+  if (!fs.existsSync(GLOBALS_PATH)) {
+    return 0;
+  }
+  const css = fs.readFileSync(GLOBALS_PATH, 'utf8');
+  let count = 0;
+  [null, ...themeNames(tokens)].forEach(mode => {
+    const globals = readDeclarations(css, themeSelector(mode));
+    const label = mode ? ` (${mode})` : '';
+    tokens.forEach(token => {
+      const name = cssName(token.path);
+      if (globals.has(name) && globals.get(name).toLowerCase() !== cssValue(token, mode).toLowerCase()) {
+        console.log(`   ⚠️  app/globals.css overrides ${name}${label}: ${globals.get(name)} (token: ${cssValue(token, mode)})`);
+        count++;
+      }
+    });
+  });
+  return count;
+}
+
+function syncTokens({ inputPath = DEFAULT_INPUT, check = false } = {}) {
+  console.log(`🎨 ${check ? 'Checking' : 'Syncing'} design tokens from ${path.relative(ROOT, inputPath)}`);
+
+  const tokens = loadTokens(inputPath);
+  const outputs = buildOutputs(tokens);
+  const drifted = outputs.filter(output => output.current !== output.next);
+
+  console.log(`   Tokens: ${tokens.length}`);
+  const overrides = reportGlobalsOverrides(tokens);
+
+  if (check) {
+    if (drifted.length === 0 && overrides === 0) {
+      console.log('✅ Generated token files are in sync');
+      return true;
+    }
+    if (overrides > 0) {
+      console.log(`❌ app/globals.css overrides ${overrides} token(s) with another value; remove those declarations or change the token source`);
+    }
+    if (drifted.length === 0) {
+      return false;
+    }
+    console.log('❌ Token outputs have drifted from the token source:');
+    drifted.forEach(output => {
+      console.log(`   - ${path.relative(ROOT, output.path)}`);
+      if (output.path === CSS_PATH) {
+        [null, ...themeNames(tokens)].forEach(mode => {
+          const current = readDeclarations(output.current, themeSelector(mode));
+          const label = mode ? ` (${mode})` : '';
+          readDeclarations(output.next, themeSelector(mode)).forEach((value, name) => {
+            if (current.get(name) !== value) {
+              console.log(`       ${name}${label}: ${current.has(name) ? current.get(name) : '(missing)'} → ${value}`);
+            }
+          });
+        });
+      }
+    });
+    console.log('   Run `npm run tokens` to regenerate them');
+    return false;
+  }
+
+  outputs.forEach(output => {
+    if (output.current !== output.next) {
+      fs.mkdirSync(path.dirname(output.path), { recursive: true });
+      fs.writeFileSync(output.path, output.next);
+      console.log(`   ✓ Updated ${path.relative(ROOT, output.path)}`);
+    }
+  });
+  console.log('✅ Design tokens synced');
+  return true;
+}
+
+// Run if called directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const inputArg = args.find(arg => arg.startsWith('--input='));
+
+  try {
+    const ok = syncTokens({
+      inputPath: inputArg ? path.resolve(inputArg.split('=')[1]) : DEFAULT_INPUT,
+      check: args.includes('--check')
+    });
+    process.exit(ok ? 0 : 1);
+  } catch (error) {
+    console.error('❌ Token sync failed:', error.message);
+    process.exit(2);
+  }
+}
+
+module.exports = {
+  parseDtcg,
+  parseFigmaVariables,
+  loadTokens,
+  generateCssBlock,
+  generateTailwindBlock,
+  generateTsModule,
+  syncTokens
+};
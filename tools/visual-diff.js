@@ -0,0 +1,150 @@
+/**
+ * Visual Diff
+ *
+ * Pixel-level comparison between a PNG exported from Figma and a
+ * Playwright screenshot of the same region. Works fully offline: the
+ * baseline is a local file and nothing is fetched from Figma.
+ *
+ * Export the Figma frame at 1x so one design pixel maps to one CSS pixel
+ * at the default device scale factor.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PNG } = require('pngjs');
+const pixelmatch = require('pixelmatch');
+
+const DEFAULT_VISUAL_OPTIONS = {
+  // Per-pixel color distance (0-1) below which pixels count as equal
+  threshold: 0.1,
+  // Count anti-aliased edge pixels as differences (false ignores them)
+  includeAntiAliasing: false,
+  // Share of differing pixels above which the comparison fails
+  maxDiffRatio: 0.01,
+  // Region to screenshot; the whole viewport when empty
+  selector: null,
+  // Where baseline/actual/diff images are written (next to the report by default)
+  outputDir: null
+};
+
+function readPng(filePath) {
+  return PNG.sync.read(fs.readFileSync(filePath));
+}
+
+/**
+ * Copy an image onto a transparent canvas of the given size
+ * so images of different sizes can be compared pixel by pixel
+ */
+function padImage(image, width, height) {
+  if (image.width === width && image.height === height) {
+    return image;
+  }
+  const padded = new PNG({ width, height });
+  PNG.bitblt(image, padded, 0, 0, image.width, image.height, 0, 0);
+  return padded;
+}
+
+/**
+ * Compare two decoded PNGs
+ * Differently sized images are padded with transparent pixels (which
+ * pixelmatch blends onto white), so extra content shows up as differences
+ *
+ * @returns {{width, height, diffPixels, diffRatio, sizeMatch, diff: PNG}}
+ */
+function diffImages(baseline, actual, options = {}) {
+  const { threshold, includeAntiAliasing } = { ...DEFAULT_VISUAL_OPTIONS, ...options };
+  const width = Math.max(baseline.width, actual.width);
+  const height = Math.max(baseline.height, actual.height);
+  const diff = new PNG({ width, height });
+
+  const diffPixels = pixelmatch(
+    padImage(baseline, width, height).data,
+    padImage(actual, width, height).data,
+    diff.data,
+    width,
+    height,
+    { threshold, includeAA: includeAntiAliasing }
+  );
+
+  return {
+    width,
+    height,
+    diffPixels,
+    diffRatio: diffPixels / (width * height),
+    sizeMatch: baseline.width === actual.width && baseline.height === actual.height,
+    diff
+  };
+}
+
+/**
+ * Screenshot the region to compare: the first element matching the
+ * selector, or the viewport
+ */
+async function captureRegion(page, selector) {
+  const screenshotOptions = { animations: 'disabled', caret: 'hide' };
+  if (selector) {
+    return page.locator(selector).first().screenshot(screenshotOptions);
+  }
+  return page.screenshot(screenshotOptions);
+}
+
+function slugify(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Screenshot the page region, diff it against the Figma export and write
+ * <name>-baseline.png, <name>-actual.png and <name>-diff.png
+ *
+ * @param {import('playwright').Page} page
+ * @param {string} name - Run name, used for the image file names
+ * @param {object} options - baseline path plus DEFAULT_VISUAL_OPTIONS overrides
+ */
+async function compareVisual(page, name, options) {
+  const settings = { ...DEFAULT_VISUAL_OPTIONS, ...options };
+  const baselinePath = path.resolve(settings.baseline);
+
+  if (!fs.existsSync(baselinePath)) {
+    throw new Error(`Figma PNG export not found: ${baselinePath}`);
+  }
+
+  const baseline = readPng(baselinePath);
+  const actualBuffer = await captureRegion(page, settings.selector);
+  const actual = PNG.sync.read(actualBuffer);
+  const result = diffImages(baseline, actual, settings);
+
+  const outputDir = path.resolve(settings.outputDir || 'layout-report');
+  fs.mkdirSync(outputDir, { recursive: true });
+  const slug = slugify(name);
+  const artifacts = {
+    baseline: path.join(outputDir, `${slug}-baseline.png`),
+    actual: path.join(outputDir, `${slug}-actual.png`),
+    diff: path.join(outputDir, `${slug}-diff.png`)
+  };
+  fs.copyFileSync(baselinePath, artifacts.baseline);
+  fs.writeFileSync(artifacts.actual, actualBuffer);
+  fs.writeFileSync(artifacts.diff, PNG.sync.write(result.diff));
+
+  return {
+    match: result.diffRatio <= settings.maxDiffRatio,
+    baseline: baselinePath,
+    selector: settings.selector,
+    threshold: settings.threshold,
+    includeAntiAliasing: settings.includeAntiAliasing,
+    maxDiffRatio: settings.maxDiffRatio,
+    diffPixels: result.diffPixels,
+    diffRatio: result.diffRatio,
+    size: {
+      match: result.sizeMatch,
+      expected: { width: baseline.width, height: baseline.height },
+      actual: { width: actual.width, height: actual.height }
+    },
+    artifacts
+  };
+}
+
+module.exports = {
+  DEFAULT_VISUAL_OPTIONS,
+  diffImages,
+  compareVisual
+};
@@ -0,0 +1,245 @@
+/**
+ * Watch Mode Overlay
+ *
+ * Browser script served by tools/dev-watch.js and loaded by app/layout.tsx
+ * in development when VERIFY_WATCH_URL is set. Shows the latest style and
+ * layout results in a corner panel and outlines the elements whose layout
+ * doesn't match the Figma design.
+ *
+ * Layout results come from the watcher's own browser at each configured
+ * breakpoint; the overlay shows the run for this page at the largest
+ * breakpoint that fits the window. Everything is drawn in a shadow root so
+ * page styles don't leak in or out.
+ */
+
+(function () {
+  if (window.__verifyWatchOverlay) {
+    return;
+  }
+  window.__verifyWatchOverlay = true;
+
+  const origin = document.currentScript ? new URL(document.currentScript.src).origin : 'http://127.0.0.1:3199';
+  const MAX_FINDINGS = 10;
+  // Re-place outlines after client-side navigation and layout changes
+  const REFRESH_MS = 1000;
+
+  const STYLES = `
+    :host { all: initial; }
+    .panel {
+      position: fixed; left: 12px; bottom: 12px; z-index: 2147483647;
+      width: 420px; max-width: calc(100vw - 24px); max-height: 50vh; overflow: auto;
+      font: 12px/16px ui-monospace, SFMono-Regular, Menlo, monospace; color: #0F172A;
+      background: #FFFFFF; border: 1px solid #CBD5E1; border-radius: 6px;
+      box-shadow: 0 4px 12px rgba(15, 23, 42, 0.2);
+    }
+    .bar { display: flex; align-items: center; gap: 8px; padding: 6px 8px; }
+    .bar strong { flex: 1; }
+    .toggle { font: inherit; color: inherit; background: #F1F5F9; border: 1px solid #CBD5E1; border-radius: 4px; padding: 0 6px; cursor: pointer; }
+    .body { border-top: 1px solid #E2E8F0; padding: 6px 8px; }
+    .body h2 { font: inherit; font-weight: 600; margin: 6px 0 2px; }
+    .body ul { margin: 0; padding-left: 16px; }
+    .body p { margin: 2px 0; }
+    .error { color: #B91C1C; }
+    .muted { color: #64748B; }
+    .outline {
+      position: fixed; z-index: 2147483646; pointer-events: none; box-sizing: border-box;
+      border: 2px dashed #DC2626; border-radius: 4px; background: rgba(220, 38, 38, 0.06);
+    }
+    .outline span {
+      position: absolute; left: -2px; top: -2px; transform: translateY(-100%);
+      padding: 1px 4px; border-radius: 4px 4px 0 0; white-space: nowrap;
+      font: 11px/14px ui-monospace, SFMono-Regular, Menlo, monospace; color: #FFFFFF; background: #DC2626;
+    }
+  `;
+
+  const host = document.createElement('div');
+  host.setAttribute('data-verify-watch', '');
+  const root = host.attachShadow({ mode: 'open' });
+  const style = document.createElement('style');
+  style.textContent = STYLES;
+  const outlines = document.createElement('div');
+  const panel = document.createElement('section');
+  panel.className = 'panel';
+  panel.setAttribute('aria-label', 'Design verification results');
+  root.append(style, outlines, panel);
+  document.body.appendChild(host);
+
+  let state = null;
+  let connected = false;
+  let expanded = false;
+
+  const element = (tag, text, className) => {
+    const node = document.createElement(tag);
+    if (text !== undefined) {
+      node.textContent = text;
+    }
+    if (className) {
+      node.className = className;
+    }
+    return node;
+  };
+
+  const normalizePath = pathname => pathname.replace(/\/+$/, '') || '/';
+
+  /**
+   * This page's run at the largest breakpoint that fits the window,
+   * or its smallest breakpoint when none fits
+   */
+  const currentRun = () => {
+    if (!state || !state.layout || !state.layout.runs) {
+      return null;
+    }
+    const here = state.layout.runs
+      .filter(run => normalizePath(new URL(run.url).pathname) === normalizePath(location.pathname))
+      .sort((a, b) => b.viewport.width - a.viewport.width);
+    return here.find(run => run.viewport.width <= window.innerWidth) || here[here.length - 1] || null;
+  };
+
+  const styleSummary = styles => {
+    if (!styles) {
+      return 'styles …';
+    }
+    return styles.error ? 'styles 💥' : `styles ✗${styles.errors} ⚠${styles.warnings}`;
+  };
+
+  const layoutSummary = (layout, run) => {
+    if (layout === undefined) {
+      return '';
+    }
+    if (!layout || !run) {
+      return 'layout —';
+    }
+    return `layout ${run.error ? '💥' : run.match ? '✅' : '❌'}`;
+  };
+
+  const renderBody = run => {
+    const body = element('div', undefined, 'body');
+    const styles = state.styles;
+
+    body.append(element('h2', 'Styles'));
+    if (!styles) {
+      body.append(element('p', 'Checking…', 'muted'));
+    } else if (styles.error) {
+      body.append(element('p', styles.error, 'error'));
+    } else if (styles.findings.length === 0) {
+      body.append(element('p', `No errors, and no warnings in changed files (${styles.files} files checked)`, 'muted'));
+    } else {
+      const list = element('ul');
+      styles.findings.slice(0, MAX_FINDINGS).forEach(finding => {
+        list.append(element('li', `${finding.file}:${finding.line} ${finding.message} (${finding.ruleId})`,
+          finding.severity === 'error' ? 'error' : undefined));
+      });
+      body.append(list);
+    }
+
+    if (state.layout !== undefined) {
+      body.append(element('h2', 'Layout'));
+      if (!state.layout) {
+        body.append(element('p', 'Starting browser…', 'muted'));
+      } else if (state.layout.error) {
+        body.append(element('p', state.layout.error, 'error'));
+      } else if (!run) {
+        body.append(element('p', 'No layout target for this page', 'muted'));
+      } else {
+        body.append(element('p', run.name));
+        if (run.viewport.width !== window.innerWidth) {
+          body.append(element('p', `Measured at ${run.viewport.width}px; this window is ${window.innerWidth}px wide`, 'muted'));
+        }
+        if (run.error) {
+          body.append(element('p', run.error, 'error'));
+        } else if (run.match) {
+          body.append(element('p', `Matches the Figma design (${run.pattern})`));
+        } else {
+          body.append(element('p', run.reasons.join('; '), 'error'));
+        }
+      }
+    }
+    return body;
+  };
+
+  const renderPanel = () => {
+    const run = currentRun();
+    const bar = element('div', undefined, 'bar');
+    const title = element('strong', connected ? 'Verify' : 'Verify (watcher disconnected)');
+    const summary = element('span', state ? [styleSummary(state.styles), layoutSummary(state.layout, run)].filter(Boolean).join(' · ') : '');
+    const toggle = element('button', expanded ? 'Hide' : 'Details', 'toggle');
+    toggle.type = 'button';
+    toggle.setAttribute('aria-expanded', String(expanded));
+    toggle.addEventListener('click', () => {
+      expanded = !expanded;
+      renderPanel();
+    });
+    bar.append(title, summary, toggle);
+
+    panel.replaceChildren(bar);
+    if (expanded && state) {
+      panel.append(renderBody(run));
+    }
+  };
+
+  /**
+   * Outline the run's mismatched elements where they are on screen now
+   */
+  const renderOutlines = () => {
+    const run = currentRun();
+    outlines.replaceChildren();
+    if (!run || run.error || run.match) {
+      return;
+    }
+
+    const matches = document.querySelectorAll(run.selector);
+    run.elements.forEach(item => {
+      const target = matches[item.index];
+      if (!target) {
+        return;
+      }
+      const rect = target.getBoundingClientRect();
+      const outline = element('div', undefined, 'outline');
+      outline.style.left = `${rect.left}px`;
+      outline.style.top = `${rect.top}px`;
+      outline.style.width = `${rect.width}px`;
+      outline.style.height = `${rect.height}px`;
+      outline.append(element('span', `${item.label}: ${item.message}`));
+      outlines.append(outline);
+    });
+  };
+
+  let frame = 0;
+  const scheduleOutlines = () => {
+    cancelAnimationFrame(frame);
+    frame = requestAnimationFrame(renderOutlines);
+  };
+
+  let lastPath = location.pathname;
+  setInterval(() => {
+    if (location.pathname !== lastPath) {
+      lastPath = location.pathname;
+      renderPanel();
+    }
+    scheduleOutlines();
+  }, REFRESH_MS);
+  window.addEventListener('scroll', scheduleOutlines, { capture: true, passive: true });
+  window.addEventListener('resize', () => {
+    renderPanel();
+    scheduleOutlines();
+  });
+
+  // EventSource reconnects by itself when the watcher restarts
+  const events = new EventSource(`${origin}/events`);
+  events.onopen = () => {
+    connected = true;
+    renderPanel();
+  };
+  events.onerror = () => {
+    connected = false;
+    renderPanel();
+  };
+  events.onmessage = event => {
+    state = JSON.parse(event.data);
+    connected = true;
+    renderPanel();
+    scheduleOutlines();
+  };
+
+  renderPanel();
+})();
@@ -0,0 +1,32 @@
+/**
+ * Design System Verification Configuration
+ *
+ * Configures the style rules run by verify-styles.js.
+ * Each rule is "error", "warn" or "off", or [severity, options].
+ */
+
+// Silence a single finding inline instead of turning a rule off:
+//   // verify-styles-disable-next-line no-raw-hex-colors -- chart palette
+//   {/* verify-styles-disable-line no-tailwind-palette */}
+
+module.exports = {
+  // Directories scanned recursively, and names skipped anywhere below them
+  include: ['styles', 'app', 'components', 'examples'],
+  exclude: ['node_modules', '.next'],
+
+  // Calls whose arguments are class names (in addition to className attributes)
+  classNameFunctions: ['clsx', 'cn', 'classnames', 'classNames', 'cx', 'twMerge', 'cva'],
+
+  rules: {
+    'no-tailwind-grid': 'error', // grid-cols-*, col-span-*, ... fail to compile
+    'no-token-utilities': 'warn', // text-text-*, bg-brand-*, bg-bg-*
+    'no-tailwind-palette': 'warn', // bg-gray-100, text-blue-600, ...
+    'no-raw-hex-colors': ['warn', { allow: [] }], // hex values outside token definitions
+    'require-ds-classes': 'error', // core ds-* classes and tokens must be defined
+    'no-undefined-ds-classes': 'error', // ds-* classes used in JSX must exist in a stylesheet
+    'no-unused-ds-classes': ['warn', { ignore: [] }], // dead ds-* selectors
+    // Same ds-* selector in several stylesheets; cascadeOrder lists stylesheets in load order
+    'no-duplicate-ds-definitions': ['warn', { cascadeOrder: ['styles/design-system.css', 'app/globals.css'] }],
+    'require-interactive-components': 'error' // at least one component with useState + onClick
+  }
+};
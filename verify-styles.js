@@ -2,186 +2,135 @@
 
 /**
  * Design System Verification Script
- * 
+ *
  * This script verifies that the design system is correctly implemented
  * and checks for common anti-patterns that could cause issues.
- * 
- * Run: node verify-styles.js
+ *
+ * Files are parsed into ASTs (TypeScript compiler API for TSX/JSX, postcss
+ * for CSS) and checked by the rules in tools/style-rules/rules. Rules and
+ * severities are configured in verify-styles.config.js; findings can be
+ * silenced inline with verify-styles-disable-* comments.
+ *
+ * Run: node verify-styles.js [--config=path]
+ *      node verify-styles.js --fix       # rewrite known anti-patterns in place
+ *      node verify-styles.js --dry-run   # print the --fix changes as a unified diff
+ *      node verify-styles.js --watch     # re-check on every change (see tools/dev-watch.js)
  * Or add to package.json: "verify-styles": "node verify-styles.js"
  */
 
 const fs = require('fs');
 const path = require('path');
+const { BUILTIN_RULES, loadConfig, runRules } = require('./tools/style-rules/engine');
+const { fixSources } = require('./tools/style-rules/fixes');
+const { createUnifiedDiff } = require('./tools/style-rules/unified-diff');
+
+const SEVERITY_LABELS = {
+  error: '✗ error',
+  warn: '⚠ warn '
+};
+
+/**
+ * Print the fixes as a unified diff without touching any file.
+ * The diff goes to stdout and the summary to stderr, so the output can be
+ * piped into `git apply`.
+ */
+const printDryRun = (sources, results) => {
+  const fixed = fixSources(sources, results);
+  fixed.forEach(({ source, before, after }) => {
+    process.stdout.write(createUnifiedDiff(source.relPath.split(path.sep).join('/'), before, after));
+  });
+
+  const count = fixed.reduce((sum, file) => sum + file.fixed, 0);
+  const unfixable = results.filter(result => !result.fix).length;
+  console.error(`\n🔧 ${count} fix(es) in ${fixed.length} file(s) would be applied; ${unfixable} finding(s) need a manual fix`);
+};
+
+/**
+ * Apply the fixes in place and return how many were applied
+ */
+const applyFixes = (sources, results) => {
+  const fixed = fixSources(sources, results);
+  fixed.forEach(({ source, after }) => fs.writeFileSync(source.path, after));
+
+  const count = fixed.reduce((sum, file) => sum + file.fixed, 0);
+  console.log(`🔧 Fixed ${count} issue(s) in ${fixed.length} file(s)`);
+  fixed.forEach(({ source, fixed: fileCount }) => console.log(`   - ${source.relPath} (${fileCount})`));
+  console.log('');
+  return count;
+};
 
 const verifyImplementation = () => {
+  const args = process.argv.slice(2);
+  const configArg = args.find(arg => arg.startsWith('--config='));
+  const root = process.cwd();
+  const config = loadConfig(root, configArg ? configArg.split('=')[1] : undefined);
+
+  if (args.includes('--watch')) {
+    // Runs until Ctrl+C
+    const { watch, watchOptions } = require('./tools/dev-watch');
+    watch({ ...watchOptions(args), root, styleConfig: config }).catch(error => {
+      console.error('❌ Watch mode could not start:', error.message);
+      process.exit(2);
+    });
+    return;
+  }
+
+  let { sources, results } = runRules({ root, config });
+
+  if (args.includes('--dry-run')) {
+    printDryRun(sources, results);
+    process.exit(0);
+  }
+
   console.log('\n🔍 Design System Verification Starting...\n');
-  
-  const checks = {
-    cssVariables: false,
-    gridClasses: false,
-    semanticClasses: false,
-    interactiveComponents: false,
-    antiPatternTailwind: false,
-    antiPatternUtilities: false,
-    formValidation: false
-  };
-  
-  const warnings = [];
-  const errors = [];
-  
-  // Check for CSS variables and classes in stylesheets
-  const checkStylesheets = () => {
-    const stylesDir = './styles';
-    const appDir = './app';
-    
-    // Check design-system.css
-    if (fs.existsSync('./styles/design-system.css')) {
-      const content = fs.readFileSync('./styles/design-system.css', 'utf8');
-      
-      // Check for CSS variables
-      if (content.includes('--color-bg-primary') || content.includes('--color-primary')) {
-        checks.cssVariables = true;
-      }
-      
-      // Check for grid classes
-      if (content.includes('.ds-dashboard-grid') || content.includes('.app-grid-2')) {
-        checks.gridClasses = true;
-      }
-      
-      // Check for semantic classes
-      if (content.includes('.ds-loading-text') || content.includes('.ds-placeholder-text')) {
-        checks.semanticClasses = true;
-      }
-      
-      // Check for problematic utility classes
-      if (content.includes('.text-text-') || content.includes('.bg-brand-')) {
-        warnings.push('Found utility classes (text-text-*, bg-brand-*) that might face compilation issues');
-        checks.antiPatternUtilities = true;
-      }
-    }
-    
-    // Check globals.css
-    if (fs.existsSync('./app/globals.css')) {
-      const content = fs.readFileSync('./app/globals.css', 'utf8');
-      
-      if (content.includes('--color-')) {
-        checks.cssVariables = true;
-      }
-      
-      if (content.includes('.ds-dashboard-grid')) {
-        checks.gridClasses = true;
-      }
-    }
-  };
-  
-  // Check for interactive components with proper state management
-  const checkComponents = () => {
-    const componentsDir = './components';
-    
-    if (fs.existsSync(componentsDir)) {
-      const files = fs.readdirSync(componentsDir).filter(f => 
-        f.endsWith('.jsx') || f.endsWith('.tsx')
-      );
-      
-      files.forEach(file => {
-        const content = fs.readFileSync(path.join(componentsDir, file), 'utf8');
-        
-        // Check for interactive patterns
-        if (content.includes('onClick') && content.includes('useState')) {
-          checks.interactiveComponents = true;
-        }
-        
-        // Check for form validation
-        if (content.includes('onChange') && (content.includes('validation') || content.includes('isValid'))) {
-          checks.formValidation = true;
-        }
-        
-        // Check for Tailwind anti-patterns
-        if (content.match(/className=["'][^"']*grid-cols-\d/)) {
-          errors.push(`${file}: Uses grid-cols-* Tailwind utilities (will fail compilation)`);
-          checks.antiPatternTailwind = true;
-        }
-        
-        if (content.match(/className=["'][^"']*bg-\w+-\d{3}/)) {
-          warnings.push(`${file}: May be using Tailwind color utilities`);
-        }
-      });
-    }
-  };
-  
-  // Check example files
-  const checkExamples = () => {
-    const examplesDir = './examples';
-    
-    if (fs.existsSync(examplesDir)) {
-      const files = fs.readdirSync(examplesDir).filter(f => 
-        f.endsWith('.jsx') || f.endsWith('.tsx')
-      );
-      
-      files.forEach(file => {
-        const content = fs.readFileSync(path.join(examplesDir, file), 'utf8');
-        
-        // Check for problematic patterns in examples
-        if (content.includes('text-text-')) {
-          warnings.push(`${file}: Uses text-text-* utility classes (should use semantic classes)`);
-        }
-        
-        if (content.match(/grid-cols-/)) {
-          errors.push(`${file}: Example uses grid-cols-* (anti-pattern)`);
-        }
-      });
-    }
-  };
-  
-  // Run all checks
-  checkStylesheets();
-  checkComponents();
-  checkExamples();
-  
+
+  if (args.includes('--fix') && applyFixes(sources, results) > 0) {
+    // Re-check so the report shows what is left
+    ({ sources, results } = runRules({ root, config }));
+  }
+
+  const errors = results.filter(result => result.severity === 'error');
+  const warnings = results.filter(result => result.severity === 'warn');
+
   // Report results
   console.log('═══════════════════════════════════════════════════════════');
   console.log('                    VERIFICATION RESULTS                    ');
   console.log('═══════════════════════════════════════════════════════════\n');
-  
-  console.log('✅ REQUIRED CHECKS:');
-  console.log(`   CSS Variables:          ${checks.cssVariables ? '✓ PASS' : '✗ FAIL'}`);
-  console.log(`   Grid Classes:           ${checks.gridClasses ? '✓ PASS' : '✗ FAIL'}`);
-  console.log(`   Interactive Components: ${checks.interactiveComponents ? '✓ PASS' : '✗ FAIL'}`);
-  console.log(`   Semantic Classes:       ${checks.semanticClasses ? '✓ PASS' : '✗ FAIL'}`);
-  
-  console.log('\n📋 OPTIONAL CHECKS:');
-  console.log(`   Form Validation:        ${checks.formValidation ? '✓ FOUND' : '○ NOT FOUND'}`);
-  
-  console.log('\n🚫 ANTI-PATTERN CHECKS:');
-  console.log(`   Tailwind Grid Classes:  ${checks.antiPatternTailwind ? '✗ FOUND (MUST FIX)' : '✓ NONE'}`);
-  console.log(`   Utility Classes:        ${checks.antiPatternUtilities ? '⚠ FOUND (REVIEW)' : '✓ NONE'}`);
-  
-  // Show errors and warnings
-  if (errors.length > 0) {
-    console.log('\n❌ ERRORS (Must Fix):');
-    errors.forEach(error => console.log(`   - ${error}`));
-  }
-  
-  if (warnings.length > 0) {
-    console.log('\n⚠️  WARNINGS (Should Review):');
-    warnings.forEach(warning => console.log(`   - ${warning}`));
+
+  console.log(`📋 Checked ${sources.length} files with ${BUILTIN_RULES.length} rules\n`);
+
+  // Group findings by file, like a linter
+  const byFile = new Map();
+  results.forEach(result => {
+    if (!byFile.has(result.file)) {
+      byFile.set(result.file, []);
+    }
+    byFile.get(result.file).push(result);
+  });
+
+  byFile.forEach((fileResults, file) => {
+    console.log(file);
+    fileResults.forEach(result => {
+      const location = `${result.line}:${result.column}`.padEnd(8);
+      const fixable = result.fix ? ' (fixable)' : '';
+      console.log(`  ${location} ${SEVERITY_LABELS[result.severity]}  ${result.message}${fixable}  ${result.ruleId}`);
+    });
+    console.log('');
+  });
+
+  const fixable = results.filter(result => result.fix).length;
+  if (fixable > 0) {
+    console.log(`🔧 ${fixable} issue(s) can be fixed with --fix (preview with --dry-run)\n`);
   }
-  
+
   // Summary
-  const requiredPassed = checks.cssVariables && checks.gridClasses && checks.interactiveComponents;
-  const hasErrors = checks.antiPatternTailwind || errors.length > 0;
-  
-  console.log('\n═══════════════════════════════════════════════════════════');
-  if (hasErrors) {
-    console.log('❌ VERIFICATION FAILED - Critical issues found');
+  console.log('═══════════════════════════════════════════════════════════');
+  if (errors.length > 0) {
+    console.log(`❌ VERIFICATION FAILED - ${errors.length} error(s), ${warnings.length} warning(s)`);
     console.log('   Fix the errors above before proceeding');
     process.exit(1);
-  } else if (!requiredPassed) {
-    console.log('⚠️  VERIFICATION INCOMPLETE - Missing required elements');
-    console.log('   Implement the missing checks above');
-    process.exit(1);
   } else if (warnings.length > 0) {
-    console.log('✅ VERIFICATION PASSED WITH WARNINGS');
+    console.log(`✅ VERIFICATION PASSED WITH WARNINGS - ${warnings.length} warning(s)`);
     console.log('   Review warnings for potential improvements');
     process.exit(0);
   } else {
@@ -192,4 +141,9 @@ const verifyImplementation = () => {
 };
 
 // Run verification
-verifyImplementation();
\ No newline at end of file
+try {
+  verifyImplementation();
+} catch (error) {
+  console.error('❌ Verification could not run:', error.message);
+  process.exit(2);
+}